@@ -21,7 +21,8 @@ const db = new sqlite3.Database(dbPath, (err) => {
     process.exit(1); // Exit if database fails
   } else {
     console.log('✅ Connected to SQLite database at:', dbPath);
-    initDatabase();
+    // Run statements in order so migrations see the tables they alter
+    db.serialize(initDatabase);
   }
 });
 
@@ -102,7 +103,7 @@ function initDatabase() {
       tax REAL DEFAULT 0,
       discount REAL DEFAULT 0,
       grand_total REAL NOT NULL,
-      payment_method TEXT CHECK(payment_method IN ('cash', 'card', 'online')) DEFAULT 'cash',
+      payment_method TEXT DEFAULT 'cash',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
     )
@@ -136,6 +137,1453 @@ function initDatabase() {
       console.log('✅ Sale items table ready');
     }
   });
+
+  // ============================================
+  // TAX_RATES TABLE
+  // Tax classes (standard, reduced, zero-rated, exempt) and their rates
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tax_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT CHECK(type IN ('standard', 'reduced', 'zero', 'exempt')) DEFAULT 'standard',
+      rate REAL NOT NULL DEFAULT 0,
+      is_default INTEGER DEFAULT 0,
+      status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating tax_rates table:', err.message);
+    } else {
+      console.log('✅ Tax rates table ready');
+    }
+  });
+
+  // ============================================
+  // CATEGORY_TAX_RATES TABLE
+  // Default tax rate for every product in a category
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS category_tax_rates (
+      category TEXT PRIMARY KEY,
+      tax_rate_id INTEGER NOT NULL,
+      FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating category_tax_rates table:', err.message);
+    } else {
+      console.log('✅ Category tax rates table ready');
+    }
+  });
+
+  // ============================================
+  // PROMOTIONS TABLE
+  // Admin-managed discounts, multi-buys, happy hours and coupons
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS promotions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT CHECK(type IN ('percentage', 'fixed_amount', 'fixed_price', 'buy_x_get_y', 'bundle')) NOT NULL,
+      product_id INTEGER,
+      category TEXT,
+      value REAL DEFAULT 0,
+      buy_quantity INTEGER,
+      get_quantity INTEGER,
+      coupon_code TEXT UNIQUE,
+      usage_limit INTEGER,
+      times_used INTEGER DEFAULT 0,
+      starts_at DATETIME,
+      ends_at DATETIME,
+      daily_start TEXT,
+      daily_end TEXT,
+      days_of_week TEXT,
+      status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating promotions table:', err.message);
+    } else {
+      console.log('✅ Promotions table ready');
+    }
+  });
+
+  // ============================================
+  // RETURNS TABLE
+  // Refunds against an invoice; the original sale is never changed
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS returns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      return_number TEXT UNIQUE NOT NULL,
+      sale_id INTEGER NOT NULL,
+      user_id INTEGER,
+      reason TEXT NOT NULL,
+      refund_method TEXT NOT NULL,
+      subtotal REAL NOT NULL DEFAULT 0,
+      tax REAL NOT NULL DEFAULT 0,
+      total_refund REAL NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE RESTRICT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating returns table:', err.message);
+    } else {
+      console.log('✅ Returns table ready');
+    }
+  });
+
+  // ============================================
+  // RETURN_ITEMS TABLE
+  // Lines (or part quantities of lines) refunded in each return
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS return_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      return_id INTEGER NOT NULL,
+      sale_item_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      amount REAL NOT NULL,
+      tax_amount REAL DEFAULT 0,
+      restock TEXT CHECK(restock IN ('sellable', 'damaged')) DEFAULT 'sellable',
+      FOREIGN KEY (return_id) REFERENCES returns(id) ON DELETE CASCADE,
+      FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating return_items table:', err.message);
+    } else {
+      console.log('✅ Return items table ready');
+    }
+  });
+
+  // ============================================
+  // PAYMENTS TABLE
+  // Tenders used to pay each sale (a sale can be split across several)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sale_id INTEGER NOT NULL,
+      method TEXT NOT NULL,
+      amount REAL NOT NULL,
+      tendered REAL,
+      change_given REAL DEFAULT 0,
+      reference TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating payments table:', err.message);
+    } else {
+      console.log('✅ Payments table ready');
+    }
+  });
+
+  // ============================================
+  // REGISTER_SESSIONS TABLE
+  // Cashier shifts: opening float, closing counts and the Z-report
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS register_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      register_name TEXT DEFAULT 'Main',
+      opening_float REAL NOT NULL DEFAULT 0,
+      status TEXT CHECK(status IN ('open', 'closed')) DEFAULT 'open',
+      opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME,
+      closed_by INTEGER,
+      expected_cash REAL,
+      counted_cash REAL,
+      over_short REAL,
+      notes TEXT,
+      z_report TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT,
+      FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating register_sessions table:', err.message);
+    } else {
+      console.log('✅ Register sessions table ready');
+    }
+  });
+
+  // A cashier can only have one open session at a time
+  db.run(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_register_sessions_open_user
+    ON register_sessions(user_id) WHERE status = 'open'
+  `);
+
+  // ============================================
+  // CASH_MOVEMENTS TABLE
+  // Cash put into or taken out of the drawer outside of sales
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS cash_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      type TEXT CHECK(type IN ('pay_in', 'drop', 'payout')) NOT NULL,
+      amount REAL NOT NULL,
+      reason TEXT,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES register_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating cash_movements table:', err.message);
+    } else {
+      console.log('✅ Cash movements table ready');
+    }
+  });
+
+  // ============================================
+  // STOCK_MOVEMENTS TABLE
+  // Append-only ledger of every change to products.quantity.
+  // No foreign key on product_id so history outlives deleted products.
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      balance_after INTEGER NOT NULL,
+      reason TEXT,
+      reference_type TEXT,
+      reference_id INTEGER,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating stock_movements table:', err.message);
+    } else {
+      console.log('✅ Stock movements table ready');
+    }
+  });
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, id)');
+
+  // Ledger rows are never edited or removed; corrections are new movements
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS stock_movements_no_update
+    BEFORE UPDATE ON stock_movements
+    BEGIN SELECT RAISE(ABORT, 'stock_movements is append-only'); END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS stock_movements_no_delete
+    BEFORE DELETE ON stock_movements
+    BEGIN SELECT RAISE(ABORT, 'stock_movements is append-only'); END
+  `);
+
+  // ============================================
+  // SUPPLIERS TABLE
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS suppliers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      contact_name TEXT,
+      email TEXT,
+      phone TEXT,
+      address TEXT,
+      lead_time_days INTEGER,
+      notes TEXT,
+      status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating suppliers table:', err.message);
+    } else {
+      console.log('✅ Suppliers table ready');
+    }
+  });
+
+  // ============================================
+  // PURCHASE_ORDERS TABLE
+  // draft → ordered → partially_received → received
+  // (cancelled before anything arrives, closed when the rest will never come)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      po_number TEXT UNIQUE NOT NULL,
+      supplier_id INTEGER NOT NULL,
+      status TEXT CHECK(status IN ('draft', 'ordered', 'partially_received', 'received', 'cancelled', 'closed')) DEFAULT 'draft',
+      order_date DATETIME,
+      expected_date DATE,
+      total_cost REAL DEFAULT 0,
+      notes TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE RESTRICT,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating purchase_orders table:', err.message);
+    } else {
+      console.log('✅ Purchase orders table ready');
+    }
+  });
+
+  // ============================================
+  // PURCHASE_ORDER_ITEMS TABLE
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS purchase_order_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      purchase_order_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity_ordered INTEGER NOT NULL,
+      quantity_received INTEGER DEFAULT 0,
+      unit_cost REAL NOT NULL,
+      FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating purchase_order_items table:', err.message);
+    } else {
+      console.log('✅ Purchase order items table ready');
+    }
+  });
+
+  // ============================================
+  // GOODS_RECEIPTS TABLE
+  // One row per delivery (goods-received note) against a purchase order
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS goods_receipts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_number TEXT UNIQUE NOT NULL,
+      purchase_order_id INTEGER NOT NULL,
+      received_by INTEGER,
+      total_cost REAL DEFAULT 0,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE RESTRICT,
+      FOREIGN KEY (received_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating goods_receipts table:', err.message);
+    } else {
+      console.log('✅ Goods receipts table ready');
+    }
+  });
+
+  // ============================================
+  // GOODS_RECEIPT_ITEMS TABLE
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS goods_receipt_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      goods_receipt_id INTEGER NOT NULL,
+      purchase_order_item_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      unit_cost REAL NOT NULL,
+      FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id) ON DELETE CASCADE,
+      FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items(id) ON DELETE RESTRICT,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating goods_receipt_items table:', err.message);
+    } else {
+      console.log('✅ Goods receipt items table ready');
+    }
+  });
+
+  // ============================================
+  // BRANCHES TABLE
+  // Shops and warehouses that hold stock; the default branch holds stock from before branches
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS branches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      address TEXT,
+      phone TEXT,
+      is_default INTEGER DEFAULT 0,
+      status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating branches table:', err.message);
+    } else {
+      console.log('✅ Branches table ready');
+    }
+  });
+
+  // ============================================
+  // PRODUCT_STOCK TABLE
+  // Quantity of each product held at each branch.
+  // products.quantity stays the total across all branches.
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_stock (
+      product_id INTEGER NOT NULL,
+      branch_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (product_id, branch_id),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating product_stock table:', err.message);
+    } else {
+      console.log('✅ Product stock table ready');
+    }
+  });
+
+  // ============================================
+  // TRANSFER_ORDERS TABLE
+  // Stock moved between branches: requested → in_transit → received
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS transfer_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transfer_number TEXT UNIQUE NOT NULL,
+      from_branch_id INTEGER NOT NULL,
+      to_branch_id INTEGER NOT NULL,
+      status TEXT CHECK(status IN ('requested', 'in_transit', 'received', 'cancelled')) DEFAULT 'requested',
+      notes TEXT,
+      requested_by INTEGER,
+      requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      dispatched_by INTEGER,
+      dispatched_at DATETIME,
+      received_by INTEGER,
+      received_at DATETIME,
+      cancelled_by INTEGER,
+      cancelled_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (from_branch_id) REFERENCES branches(id) ON DELETE RESTRICT,
+      FOREIGN KEY (to_branch_id) REFERENCES branches(id) ON DELETE RESTRICT,
+      FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (dispatched_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (received_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating transfer_orders table:', err.message);
+    } else {
+      console.log('✅ Transfer orders table ready');
+    }
+  });
+
+  // ============================================
+  // TRANSFER_ORDER_ITEMS TABLE
+  // quantity_received below quantity_dispatched is a discrepancy (lost or damaged in transit)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS transfer_order_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transfer_order_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity_requested INTEGER NOT NULL,
+      quantity_dispatched INTEGER,
+      quantity_received INTEGER,
+      discrepancy_note TEXT,
+      FOREIGN KEY (transfer_order_id) REFERENCES transfer_orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating transfer_order_items table:', err.message);
+    } else {
+      console.log('✅ Transfer order items table ready');
+    }
+  });
+
+  // ============================================
+  // STOCKTAKES TABLE
+  // A count of one branch, for one category or (category NULL) everything
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stocktakes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stocktake_number TEXT UNIQUE NOT NULL,
+      branch_id INTEGER NOT NULL,
+      category TEXT,
+      status TEXT CHECK(status IN ('counting', 'posted', 'cancelled')) DEFAULT 'counting',
+      notes TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      posted_by INTEGER,
+      posted_at DATETIME,
+      cancelled_by INTEGER,
+      cancelled_at DATETIME,
+      FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE RESTRICT,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (posted_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating stocktakes table:', err.message);
+    } else {
+      console.log('✅ Stocktakes table ready');
+    }
+  });
+
+  // ============================================
+  // STOCKTAKE_ITEMS TABLE
+  // Expected quantity and cost frozen when the stocktake starts;
+  // adjustment is what was posted for the line
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stocktake_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stocktake_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      expected_quantity INTEGER NOT NULL,
+      unit_cost REAL DEFAULT 0,
+      approved INTEGER,
+      reason TEXT,
+      adjustment INTEGER,
+      UNIQUE (stocktake_id, product_id),
+      FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating stocktake_items table:', err.message);
+    } else {
+      console.log('✅ Stocktake items table ready');
+    }
+  });
+
+  // ============================================
+  // STOCKTAKE_COUNTS TABLE
+  // Counts submitted by the counters; a line's counted quantity is their sum
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS stocktake_counts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stocktake_item_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      code TEXT,
+      location TEXT,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stocktake_item_id) REFERENCES stocktake_items(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating stocktake_counts table:', err.message);
+    } else {
+      console.log('✅ Stocktake counts table ready');
+    }
+  });
+
+  // ============================================
+  // PRODUCT_BARCODES TABLE
+  // Every code a product scans as (EAN-13, UPC-A, EAN-8, internal, PLU for weighed items);
+  // the primary one is also kept on products.barcode
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_barcodes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      code TEXT UNIQUE NOT NULL,
+      type TEXT CHECK(type IN ('ean13', 'upca', 'ean8', 'internal', 'plu')) DEFAULT 'internal',
+      is_primary INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating product_barcodes table:', err.message);
+    } else {
+      console.log('✅ Product barcodes table ready');
+    }
+  });
+
+  // ============================================
+  // PRODUCT_IMAGES TABLE
+  // Uploaded photos, each stored as WebP renditions (see services/images.js);
+  // the primary one is also kept on products.image_path / thumbnail_path.
+  // Paths are storage keys (see services/storage), not URLs
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS product_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      thumbnail_path TEXT NOT NULL,
+      medium_path TEXT NOT NULL,
+      large_path TEXT NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      original_name TEXT,
+      is_primary INTEGER DEFAULT 0,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating product_images table:', err.message);
+    } else {
+      console.log('✅ Product images table ready');
+    }
+  });
+
+  // ============================================
+  // PRODUCTS_FTS TABLE
+  // Full-text index for product search (see services/search.js); rowid is the
+  // product id and the triggers below keep it in step with products and barcodes
+  // ============================================
+  db.run(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+      name, sku, brand, description, category, barcodes,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating products_fts table:', err.message);
+    } else {
+      console.log('✅ Product search index ready');
+    }
+  });
+
+  // Indexed words, for correcting misspelt searches
+  db.run("CREATE VIRTUAL TABLE IF NOT EXISTS products_fts_vocab USING fts5vocab(products_fts, 'row')");
+
+  // A product's search document, for the product id in the trigger's :id
+  const ftsDocument = (id) => `
+    INSERT INTO products_fts (rowid, name, sku, brand, description, category, barcodes)
+    SELECT p.id, p.name, p.sku, p.brand, p.description, p.category,
+           (SELECT GROUP_CONCAT(code, ' ') FROM product_barcodes WHERE product_id = p.id)
+    FROM products p WHERE p.id = ${id};`;
+
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products
+    BEGIN ${ftsDocument('NEW.id')} END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS products_fts_update
+    AFTER UPDATE OF name, sku, brand, description, category ON products
+    BEGIN
+      DELETE FROM products_fts WHERE rowid = OLD.id;
+      ${ftsDocument('NEW.id')}
+    END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products
+    BEGIN DELETE FROM products_fts WHERE rowid = OLD.id; END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS product_barcodes_fts_insert AFTER INSERT ON product_barcodes
+    BEGIN
+      DELETE FROM products_fts WHERE rowid = NEW.product_id;
+      ${ftsDocument('NEW.product_id')}
+    END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS product_barcodes_fts_delete AFTER DELETE ON product_barcodes
+    BEGIN
+      DELETE FROM products_fts WHERE rowid = OLD.product_id;
+      ${ftsDocument('OLD.product_id')}
+    END
+  `);
+
+  // ============================================
+  // PRICE_HISTORY TABLE
+  // Every change to a product's selling or purchase price, with the prices it
+  // replaced and who made it (see services/prices.js)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS price_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      purchase_price REAL,
+      selling_price REAL,
+      previous_purchase_price REAL,
+      previous_selling_price REAL,
+      reason TEXT,
+      scheduled_change_id INTEGER,
+      user_id INTEGER,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (scheduled_change_id) REFERENCES scheduled_price_changes(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating price_history table:', err.message);
+    } else {
+      console.log('✅ Price history table ready');
+    }
+  });
+
+  // ============================================
+  // SCHEDULED_PRICE_CHANGES TABLE
+  // New prices that take effect at a set time (UTC); a price list is the
+  // changes sharing a name and effective_at
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS scheduled_price_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      name TEXT,
+      selling_price REAL,
+      purchase_price REAL,
+      effective_at DATETIME NOT NULL,
+      status TEXT CHECK(status IN ('pending', 'applied', 'cancelled')) DEFAULT 'pending',
+      created_by INTEGER,
+      applied_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating scheduled_price_changes table:', err.message);
+    } else {
+      console.log('✅ Scheduled price changes table ready');
+    }
+  });
+
+  // ============================================
+  // COST_LAYERS TABLE
+  // Stock received at one unit cost and not yet used up, per branch
+  // (see services/costing.js)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS cost_layers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      branch_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      remaining INTEGER NOT NULL,
+      unit_cost REAL NOT NULL,
+      movement_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating cost_layers table:', err.message);
+    } else {
+      console.log('✅ Cost layers table ready');
+    }
+  });
+
+  // ============================================
+  // CUSTOMERS TABLE
+  // phone_key is the phone's digits alone, which the till looks customers up by
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      phone TEXT,
+      phone_key TEXT,
+      email TEXT,
+      tax_id TEXT,
+      address TEXT,
+      notes TEXT,
+      status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating customers table:', err.message);
+    } else {
+      console.log('✅ Customers table ready');
+    }
+  });
+
+  // ============================================
+  // LOYALTY_TIERS TABLE
+  // Membership levels reached by points earned over the last year;
+  // members of a tier earn points times its multiplier
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS loyalty_tiers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      min_points INTEGER UNIQUE NOT NULL,
+      multiplier REAL NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating loyalty_tiers table:', err.message);
+    } else {
+      console.log('✅ Loyalty tiers table ready');
+    }
+  });
+
+  // ============================================
+  // CATEGORY_LOYALTY_RATES TABLE
+  // Points earned per currency unit spent in a category, in place of the default
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS category_loyalty_rates (
+      category TEXT PRIMARY KEY,
+      points_per_unit REAL NOT NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating category_loyalty_rates table:', err.message);
+    } else {
+      console.log('✅ Category loyalty rates table ready');
+    }
+  });
+
+  // ============================================
+  // LOYALTY_LEDGER TABLE
+  // Append-only record of every change to a customer's points
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS loyalty_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      type TEXT CHECK(type IN ('earn', 'redeem', 'reverse_earn', 'reverse_redeem', 'expire', 'adjust')) NOT NULL,
+      points INTEGER NOT NULL,
+      balance_after INTEGER NOT NULL,
+      reason TEXT,
+      reference_type TEXT,
+      reference_id INTEGER,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE RESTRICT
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating loyalty_ledger table:', err.message);
+    } else {
+      console.log('✅ Loyalty ledger table ready');
+    }
+  });
+
+  // Points history is never edited or removed; corrections are new entries
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS loyalty_ledger_no_update
+    BEFORE UPDATE ON loyalty_ledger
+    BEGIN SELECT RAISE(ABORT, 'loyalty_ledger is append-only'); END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS loyalty_ledger_no_delete
+    BEFORE DELETE ON loyalty_ledger
+    BEGIN SELECT RAISE(ABORT, 'loyalty_ledger is append-only'); END
+  `);
+
+  // ============================================
+  // GIFT_CARDS TABLE
+  // Gift cards sold at the till and store credit given for returns; the
+  // balance is the sum of the account's transactions
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gift_cards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      type TEXT CHECK(type IN ('gift_card', 'store_credit')) NOT NULL,
+      customer_id INTEGER,
+      initial_value REAL NOT NULL,
+      status TEXT CHECK(status IN ('active', 'void')) DEFAULT 'active',
+      expires_at DATE,
+      issued_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating gift_cards table:', err.message);
+    } else {
+      console.log('✅ Gift cards table ready');
+    }
+  });
+
+  // ============================================
+  // GIFT_CARD_TRANSACTIONS TABLE
+  // Append-only log of every change to a gift card or store credit balance
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS gift_card_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      gift_card_id INTEGER NOT NULL,
+      type TEXT CHECK(type IN ('issue', 'top_up', 'redeem', 'refund', 'expire', 'void')) NOT NULL,
+      amount REAL NOT NULL,
+      balance_after REAL NOT NULL,
+      payment_method TEXT,
+      session_id INTEGER,
+      reference_type TEXT,
+      reference_id INTEGER,
+      user_id INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id) ON DELETE RESTRICT,
+      FOREIGN KEY (session_id) REFERENCES register_sessions(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating gift_card_transactions table:', err.message);
+    } else {
+      console.log('✅ Gift card transactions table ready');
+    }
+  });
+
+  // Balances are only ever changed by new transactions
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS gift_card_transactions_no_update
+    BEFORE UPDATE ON gift_card_transactions
+    BEGIN SELECT RAISE(ABORT, 'gift_card_transactions is append-only'); END
+  `);
+  db.run(`
+    CREATE TRIGGER IF NOT EXISTS gift_card_transactions_no_delete
+    BEFORE DELETE ON gift_card_transactions
+    BEGIN SELECT RAISE(ABORT, 'gift_card_transactions is append-only'); END
+  `);
+
+  // ============================================
+  // SALE_ORDERS TABLE
+  // Carts not sold yet: parked carts, quotations and layaways. Quotations and
+  // layaways keep the priced breakdown they were given (breakdown, JSON)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sale_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_number TEXT UNIQUE NOT NULL,
+      type TEXT CHECK(type IN ('parked', 'quotation', 'layaway')) NOT NULL,
+      status TEXT CHECK(status IN ('open', 'completed', 'cancelled')) DEFAULT 'open',
+      customer_id INTEGER,
+      customer_name TEXT,
+      user_id INTEGER,
+      branch_id INTEGER,
+      discount REAL DEFAULT 0,
+      coupon_codes TEXT,
+      subtotal REAL NOT NULL,
+      tax REAL NOT NULL,
+      total_discount REAL DEFAULT 0,
+      grand_total REAL NOT NULL,
+      breakdown TEXT NOT NULL,
+      notes TEXT,
+      valid_until DATE,
+      sale_id INTEGER,
+      completed_at DATETIME,
+      cancelled_at DATETIME,
+      cancelled_by INTEGER,
+      cancel_reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+      FOREIGN KEY (branch_id) REFERENCES branches(id),
+      FOREIGN KEY (sale_id) REFERENCES sales(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating sale_orders table:', err.message);
+    } else {
+      console.log('✅ Sale orders table ready');
+    }
+  });
+
+  // ============================================
+  // SALE_ORDER_ITEMS TABLE
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sale_order_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL,
+      price REAL NOT NULL,
+      discount REAL DEFAULT 0,
+      total REAL NOT NULL,
+      FOREIGN KEY (order_id) REFERENCES sale_orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating sale_order_items table:', err.message);
+    } else {
+      console.log('✅ Sale order items table ready');
+    }
+  });
+
+  // ============================================
+  // SALE_ORDER_PAYMENTS TABLE
+  // Layaway deposits and instalments, and refunds of them when a layaway is cancelled
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sale_order_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      type TEXT CHECK(type IN ('payment', 'refund')) NOT NULL,
+      method TEXT NOT NULL,
+      amount REAL NOT NULL,
+      tendered REAL,
+      change_given REAL DEFAULT 0,
+      reference TEXT,
+      gift_card_id INTEGER,
+      session_id INTEGER,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES sale_orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id),
+      FOREIGN KEY (session_id) REFERENCES register_sessions(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating sale_order_payments table:', err.message);
+    } else {
+      console.log('✅ Sale order payments table ready');
+    }
+  });
+
+  // ============================================
+  // NUMBERING_SERIES TABLE
+  // How invoice and credit note numbers are made up (see services/numbering.js)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS numbering_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      document_type TEXT UNIQUE NOT NULL CHECK(document_type IN ('invoice', 'credit_note')),
+      prefix TEXT NOT NULL,
+      padding INTEGER NOT NULL DEFAULT 6,
+      include_branch INTEGER DEFAULT 1,
+      include_year INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating numbering_series table:', err.message);
+    } else {
+      console.log('✅ Numbering series table ready');
+    }
+  });
+
+  // ============================================
+  // NUMBERING_COUNTERS TABLE
+  // Last number taken per series, branch and fiscal year (0 when the series leaves them out)
+  // ============================================
+  db.run(`
+    CREATE TABLE IF NOT EXISTS numbering_counters (
+      series_id INTEGER NOT NULL,
+      branch_id INTEGER NOT NULL,
+      fiscal_year INTEGER NOT NULL,
+      last_number INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (series_id, branch_id, fiscal_year),
+      FOREIGN KEY (series_id) REFERENCES numbering_series(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('❌ Error creating numbering_counters table:', err.message);
+    } else {
+      console.log('✅ Numbering counters table ready');
+    }
+  });
+
+  // ============================================
+  // MIGRATIONS
+  // Columns added to tables that already exist in deployed databases
+  // ============================================
+  addColumn('products', 'tax_rate_id INTEGER REFERENCES tax_rates(id) ON DELETE SET NULL');
+  addColumn('products', 'damaged_quantity INTEGER DEFAULT 0');
+  addColumn('products', 'supplier_id INTEGER REFERENCES suppliers(id) ON DELETE SET NULL');
+  addColumn('products', 'barcode TEXT');
+  addColumn('products', 'parent_id INTEGER REFERENCES products(id) ON DELETE CASCADE');
+  addColumn('products', 'variant_attributes TEXT');
+  addColumn('products', 'price_override REAL');
+  addColumn('products', 'has_variants INTEGER DEFAULT 0');
+  addColumn('products', 'thumbnail_path TEXT');
+  addColumn('sales', "status TEXT CHECK(status IN ('completed', 'voided')) DEFAULT 'completed'");
+  addColumn('sales', 'voided_at DATETIME');
+  addColumn('sales', 'voided_by INTEGER');
+  addColumn('sales', 'session_id INTEGER REFERENCES register_sessions(id)');
+  addColumn('returns', 'session_id INTEGER REFERENCES register_sessions(id)');
+  addColumn('users', 'branch_id INTEGER REFERENCES branches(id)');
+  addColumn('sales', 'branch_id INTEGER REFERENCES branches(id)');
+  addColumn('returns', 'branch_id INTEGER REFERENCES branches(id)');
+  addColumn('register_sessions', 'branch_id INTEGER REFERENCES branches(id)');
+  addColumn('purchase_orders', 'branch_id INTEGER REFERENCES branches(id)');
+  addColumn('stock_movements', 'branch_id INTEGER');
+  addColumn('sale_items', 'discount REAL DEFAULT 0');
+  addColumn('sale_items', 'tax_rate_id INTEGER');
+  addColumn('sale_items', 'tax_rate REAL');
+  addColumn('sale_items', 'tax_amount REAL DEFAULT 0');
+  addColumn('sale_items', 'promotion_id INTEGER');
+  addColumn('sale_items', 'promotion_discount REAL DEFAULT 0');
+  addColumn('sale_items', 'unit_cost REAL');
+  addColumn('sale_items', 'cost REAL');
+  addColumn('return_items', 'cost REAL');
+  addColumn('transfer_order_items', 'unit_cost REAL');
+  addColumn('stock_movements', 'unit_cost REAL');
+  addColumn('stock_movements', 'value REAL');
+  addColumn('sales', 'customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL');
+  addColumn('sales', 'points_earned INTEGER DEFAULT 0');
+  addColumn('sales', 'points_redeemed INTEGER DEFAULT 0');
+  addColumn('sales', 'points_discount REAL DEFAULT 0');
+  addColumn('returns', 'points_reversed INTEGER DEFAULT 0');
+  addColumn('returns', 'points_refunded INTEGER DEFAULT 0');
+  addColumn('returns', 'points_refund_value REAL DEFAULT 0');
+  addColumn('payments', 'gift_card_id INTEGER REFERENCES gift_cards(id)');
+  addColumn('returns', 'gift_card_id INTEGER REFERENCES gift_cards(id)');
+  addColumn('products', 'reserved_quantity INTEGER DEFAULT 0');
+  addColumn('product_stock', 'reserved_quantity INTEGER DEFAULT 0');
+
+  // Variants hang off their parent product; barcodes are unique when set
+  db.run('CREATE INDEX IF NOT EXISTS idx_products_parent ON products(parent_id)');
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode) WHERE barcode IS NOT NULL');
+  db.run('CREATE INDEX IF NOT EXISTS idx_product_barcodes_product ON product_barcodes(product_id)');
+
+  // Lists page through sales and products newest first
+  db.run('CREATE INDEX IF NOT EXISTS idx_sales_created ON sales(created_at, id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_products_created ON products(created_at, id)');
+
+  // Barcodes set before products could have several
+  db.run(`
+    INSERT OR IGNORE INTO product_barcodes (product_id, code, type, is_primary)
+    SELECT id, barcode,
+           CASE WHEN barcode GLOB '[0-9]*' AND barcode NOT GLOB '*[^0-9]*'
+                THEN CASE length(barcode) WHEN 13 THEN 'ean13' WHEN 12 THEN 'upca' WHEN 8 THEN 'ean8' ELSE 'internal' END
+                ELSE 'internal' END,
+           1
+    FROM products WHERE barcode IS NOT NULL
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, sort_order)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history(product_id, id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_price_history_changed ON price_history(changed_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_scheduled_price_changes_due ON scheduled_price_changes(status, effective_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_cost_layers_stock ON cost_layers(product_id, branch_id, id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_stock_movements_created ON stock_movements(created_at)');
+
+  // One customer per phone number; their sales are read newest first
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone_key) WHERE phone_key IS NOT NULL');
+  db.run('CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id, created_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_customer ON loyalty_ledger(customer_id, id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_card ON gift_card_transactions(gift_card_id, id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_session ON gift_card_transactions(session_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_sale_orders_open ON sale_orders(status, type, branch_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_sale_order_items_order ON sale_order_items(order_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_sale_order_payments_order ON sale_order_payments(order_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_sale_order_payments_session ON sale_order_payments(session_id)');
+
+  // Images uploaded before renditions were made are used as they are at every size
+  db.run(`
+    INSERT INTO product_images (product_id, thumbnail_path, medium_path, large_path, is_primary)
+    SELECT id, image_path, image_path, image_path, 1 FROM products
+    WHERE image_path IS NOT NULL AND id NOT IN (SELECT product_id FROM product_images)
+  `);
+  db.run("UPDATE products SET thumbnail_path = image_path WHERE image_path IS NOT NULL AND thumbnail_path IS NULL");
+
+  // Image columns hold storage keys; older rows kept the /uploads/ URL path
+  ['thumbnail_path', 'medium_path', 'large_path'].forEach((column) => {
+    db.run(`UPDATE product_images SET ${column} = substr(${column}, 10) WHERE ${column} LIKE '/uploads/%'`);
+  });
+  ['image_path', 'thumbnail_path'].forEach((column) => {
+    db.run(`UPDATE products SET ${column} = substr(${column}, 10) WHERE ${column} LIKE '/uploads/%'`);
+  });
+
+  // Prices from before the history was kept, as of the product's last edit
+  db.run(`
+    INSERT INTO price_history (product_id, purchase_price, selling_price, reason, changed_at)
+    SELECT id, purchase_price, selling_price, 'Price before history was kept', COALESCE(updated_at, created_at)
+    FROM products WHERE id NOT IN (SELECT product_id FROM price_history)
+  `);
+
+  // Products from before the search index
+  db.run(`
+    INSERT INTO products_fts (rowid, name, sku, brand, description, category, barcodes)
+    SELECT p.id, p.name, p.sku, p.brand, p.description, p.category,
+           (SELECT GROUP_CONCAT(code, ' ') FROM product_barcodes WHERE product_id = p.id)
+    FROM products p WHERE p.id NOT IN (SELECT rowid FROM products_fts)
+  `);
+
+  // Sales from before split payments were paid with one tender
+  db.run(`
+    INSERT INTO payments (sale_id, method, amount, created_at)
+    SELECT id, COALESCE(payment_method, 'cash'), grand_total, created_at FROM sales
+    WHERE id NOT IN (SELECT sale_id FROM payments)
+  `);
+
+  // Free-text product suppliers become supplier records
+  db.run(`
+    INSERT OR IGNORE INTO suppliers (name)
+    SELECT DISTINCT TRIM(supplier) FROM products
+    WHERE supplier IS NOT NULL AND TRIM(supplier) != ''
+  `);
+  db.run(`
+    UPDATE products SET supplier_id = (SELECT id FROM suppliers WHERE name = TRIM(products.supplier))
+    WHERE supplier_id IS NULL AND supplier IS NOT NULL AND TRIM(supplier) != ''
+  `);
+
+  // Products that predate the ledger start from their current quantity
+  db.run(`
+    INSERT INTO stock_movements (product_id, type, quantity, balance_after, reason)
+    SELECT id, 'opening', quantity, quantity, 'Opening balance' FROM products
+    WHERE id NOT IN (SELECT product_id FROM stock_movements)
+  `);
+
+  migrateBranches();
+  valueExistingStock();
+  seedTaxRates();
+  seedNumberingSeries();
+  dropPaymentMethodCheck();
+}
+
+/**
+ * Add A Column To An Existing Table
+ * Ignores the error raised when the column is already there
+ *
+ * @param {String} table - Table name
+ * @param {String} definition - Column definition, e.g. "discount REAL DEFAULT 0"
+ */
+function addColumn(table, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`❌ Error adding ${table}.${definition.split(' ')[0]}:`, err.message);
+    }
+  });
+}
+
+/**
+ * Drop The sales.payment_method CHECK Constraint
+ *
+ * Older databases only allow 'cash', 'card' or 'online'; split payments
+ * store 'split' and new tenders are validated by the application.
+ * SQLite cannot alter a constraint, so the table is rebuilt once.
+ */
+function dropPaymentMethodCheck() {
+  const check = " CHECK(payment_method IN ('cash', 'card', 'online'))";
+
+  db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'sales'", (err, row) => {
+    if (err || !row || !row.sql.includes(check)) return;
+
+    const createSql = row.sql
+      .replace(check, '')
+      .replace(/^CREATE TABLE "?sales"?/, 'CREATE TABLE sales_rebuild');
+
+    // Indexes already made on sales go with the old table and are made again on the new one
+    db.all(
+      "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'sales' AND sql IS NOT NULL",
+      (err, indexes) => {
+        if (err) return console.error('❌ Error rebuilding sales table:', err.message);
+        rebuildSales(createSql, indexes.map(index => index.sql));
+      }
+    );
+  });
+}
+
+/**
+ * Swap The Sales Table For One Built From createSql
+ *
+ * @param {String} createSql - CREATE TABLE sales_rebuild statement
+ * @param {Array} indexSql - CREATE INDEX statements to run on the new table
+ */
+function rebuildSales(createSql, indexSql) {
+  const steps = [
+    createSql,
+    'INSERT INTO sales_rebuild SELECT * FROM sales',
+    'DROP TABLE sales',
+    'ALTER TABLE sales_rebuild RENAME TO sales',
+    ...indexSql
+  ];
+
+  // Each step waits for the previous one, so nothing is dropped after a failure
+  const runStep = (index) => {
+    if (index === steps.length) {
+      return db.run('COMMIT', () => {
+        db.run('PRAGMA foreign_keys = ON');
+        console.log('✅ Sales table migrated for split payments');
+      });
+    }
+
+    db.run(steps[index], (err) => {
+      if (err) {
+        console.error('❌ Error rebuilding sales table:', err.message);
+        db.run('ROLLBACK', () => db.run('PRAGMA foreign_keys = ON'));
+        return;
+      }
+      runStep(index + 1);
+    });
+  };
+
+  // Foreign keys must be off while the referenced table is swapped
+  db.run('PRAGMA foreign_keys = OFF', () => {
+    db.run('BEGIN TRANSACTION', () => runStep(0));
+  });
+}
+
+/**
+ * Move Single-Store Data Onto Branches
+ *
+ * Branches are created from the free-text users.branch values (or a
+ * "Main" branch on a new database). The first one becomes the default
+ * branch and takes all existing stock, movements and purchase orders;
+ * sales, returns and register sessions follow their cashier's branch.
+ */
+function migrateBranches() {
+  const defaultBranch = '(SELECT id FROM branches WHERE is_default = 1)';
+
+  db.run(`
+    INSERT OR IGNORE INTO branches (code, name)
+    SELECT UPPER(REPLACE(TRIM(branch), ' ', '_')), TRIM(branch) FROM users
+    WHERE branch IS NOT NULL AND TRIM(branch) != ''
+    GROUP BY TRIM(branch) ORDER BY MIN(id)
+  `);
+  db.run(`
+    INSERT INTO branches (code, name)
+    SELECT 'MAIN', 'Main' WHERE NOT EXISTS (SELECT 1 FROM branches)
+  `);
+  db.run(`
+    UPDATE branches SET is_default = 1
+    WHERE id = (SELECT MIN(id) FROM branches)
+      AND NOT EXISTS (SELECT 1 FROM branches WHERE is_default = 1)
+  `);
+
+  db.run(`
+    UPDATE users SET branch_id = COALESCE((SELECT id FROM branches WHERE name = TRIM(users.branch)), ${defaultBranch})
+    WHERE branch_id IS NULL
+  `);
+  db.run(`
+    UPDATE register_sessions SET branch_id = COALESCE((SELECT branch_id FROM users WHERE id = register_sessions.user_id), ${defaultBranch})
+    WHERE branch_id IS NULL
+  `);
+  db.run(`
+    UPDATE sales SET branch_id = COALESCE((SELECT branch_id FROM users WHERE id = sales.user_id), ${defaultBranch})
+    WHERE branch_id IS NULL
+  `);
+  db.run(`
+    UPDATE returns SET branch_id = (SELECT branch_id FROM sales WHERE id = returns.sale_id)
+    WHERE branch_id IS NULL
+  `);
+  db.run(`UPDATE purchase_orders SET branch_id = ${defaultBranch} WHERE branch_id IS NULL`);
+
+  db.run(`
+    INSERT INTO product_stock (product_id, branch_id, quantity)
+    SELECT id, ${defaultBranch}, quantity FROM products
+    WHERE id NOT IN (SELECT product_id FROM product_stock)
+  `);
+
+  // The ledger is append-only, so its guard is lifted just for this one-time backfill
+  db.get('SELECT COUNT(*) as count FROM stock_movements WHERE branch_id IS NULL', (err, row) => {
+    if (err || row.count === 0) return;
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run('DROP TRIGGER IF EXISTS stock_movements_no_update');
+      db.run(`UPDATE stock_movements SET branch_id = ${defaultBranch} WHERE branch_id IS NULL`);
+      db.run(`
+        CREATE TRIGGER stock_movements_no_update
+        BEFORE UPDATE ON stock_movements
+        BEGIN SELECT RAISE(ABORT, 'stock_movements is append-only'); END
+      `);
+      db.run('COMMIT', (err) => {
+        if (err) {
+          console.error('❌ Error assigning stock movements to a branch:', err.message);
+          db.run('ROLLBACK');
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Value Stock From Before Costing
+ * Stock on hand gets one cost layer at the purchase price, recorded on the
+ * ledger as a 'valuation' movement that changes value but not quantity.
+ * Sales and returns from before then are costed at the purchase price too.
+ */
+function valueExistingStock() {
+  const uncosted = `
+    FROM product_stock ps JOIN products p ON p.id = ps.product_id
+    WHERE ps.quantity > 0 AND NOT EXISTS
+      (SELECT 1 FROM cost_layers WHERE product_id = ps.product_id AND branch_id = ps.branch_id)`;
+
+  db.run(`
+    INSERT INTO stock_movements
+      (product_id, branch_id, type, quantity, balance_after, unit_cost, value, reason)
+    SELECT ps.product_id, ps.branch_id, 'valuation', 0, ps.quantity, COALESCE(p.purchase_price, 0),
+           ROUND(ps.quantity * COALESCE(p.purchase_price, 0), 2), 'Stock valued at purchase price when costing started'
+    ${uncosted}
+  `);
+  db.run(`
+    INSERT INTO cost_layers (product_id, branch_id, quantity, remaining, unit_cost, movement_id)
+    SELECT ps.product_id, ps.branch_id, ps.quantity, ps.quantity, COALESCE(p.purchase_price, 0),
+           (SELECT MAX(id) FROM stock_movements
+            WHERE product_id = ps.product_id AND branch_id = ps.branch_id AND type = 'valuation')
+    ${uncosted}
+  `);
+
+  db.run(`
+    UPDATE sale_items SET
+      unit_cost = COALESCE((SELECT purchase_price FROM products WHERE id = sale_items.product_id), 0),
+      cost = ROUND(quantity * COALESCE((SELECT purchase_price FROM products WHERE id = sale_items.product_id), 0), 2)
+    WHERE cost IS NULL
+  `);
+  db.run(`
+    UPDATE return_items SET
+      cost = ROUND(quantity * (SELECT unit_cost FROM sale_items WHERE id = return_items.sale_item_id), 2)
+    WHERE cost IS NULL
+  `);
+}
+
+/**
+ * Seed Default Tax Rates
+ * The standard rate starts at TAX_RATE (percent) and can be changed by admins later
+ */
+function seedTaxRates() {
+  const standardRate = parseFloat(process.env.TAX_RATE) || 0;
+
+  db.run(
+    `INSERT OR IGNORE INTO tax_rates (code, name, type, rate, is_default) VALUES
+     ('STD', 'Standard', 'standard', ?, 1),
+     ('ZERO', 'Zero-rated', 'zero', 0, 0),
+     ('EXEMPT', 'Exempt', 'exempt', 0, 0)`,
+    [standardRate],
+    (err) => {
+      if (err) console.error('❌ Error seeding tax rates:', err.message);
+    }
+  );
+}
+
+/**
+ * Seed Default Numbering Series
+ * Invoices are numbered INV-<branch>-<year>-000001 and credit notes CN-...; admins can change the format later
+ */
+function seedNumberingSeries() {
+  db.run(
+    `INSERT OR IGNORE INTO numbering_series (document_type, prefix) VALUES ('invoice', 'INV'), ('credit_note', 'CN')`,
+    (err) => {
+      if (err) console.error('❌ Error seeding numbering series:', err.message);
+    }
+  );
 }
 
 /**
@@ -155,8 +1603,10 @@ function createDefaultAdmin() {
       const hashedPassword = bcrypt.hashSync('admin123', 10);
       
       db.run(
-        `INSERT INTO users (username, email, password, role, branch, status)
-         VALUES (?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO users (username, email, password, role, branch, branch_id, status)
+         VALUES (?, ?, ?, ?,
+                 COALESCE((SELECT name FROM branches WHERE is_default = 1), ?),
+                 (SELECT id FROM branches WHERE is_default = 1), ?)`,
         ['admin', 'admin@company.com', hashedPassword, 'admin', 'HQ', 'active'],
         (err) => {
           if (err) {
@@ -42,10 +42,25 @@ const verifyToken = (req, res, next) => {
       });
     }
 
+    // Tokens issued before branches existed carry no branch; staff must log in again
+    if (decoded.role !== 'admin' && !decoded.branchId) {
+      return res.status(401).json({ 
+        success: false,
+        error: 'Invalid or expired token. Please login again.' 
+      });
+    }
+
     // Token is valid, attach user info to request
     req.userId = decoded.id;
     req.userRole = decoded.role;
     req.userEmail = decoded.email;
+    req.branchId = decoded.branchId || null;
+
+    // Branch the request is limited to: staff only ever see their own branch,
+    // admins see every branch unless they pick one with ?branch_id=
+    req.branchScope = decoded.role === 'admin'
+      ? parseInt(req.query.branch_id) || null
+      : decoded.branchId;
     
     // Continue to next middleware or route
     next();
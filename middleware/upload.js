@@ -0,0 +1,54 @@
+/**
+ * IMAGE UPLOAD MIDDLEWARE
+ *
+ * Keeps uploaded images in memory; services/images.js checks what they
+ * really are and writes the renditions, so nothing unchecked reaches storage.
+ */
+
+const multer = require('multer');
+const { processImage, removeFiles } = require('../services/images');
+
+/**
+ * Multer Instance For Product Images
+ *
+ * Usage: imageUpload.single('image') or imageUpload.array('images')
+ */
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 10
+  }
+});
+
+/**
+ * Turn The Uploaded Image Into Renditions
+ *
+ * Runs after imageUpload.single(); sets req.image (see processImage) when a
+ * file came with the request and answers 400 when it is not a usable image.
+ * If the request then ends in an error the renditions are deleted again.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const processUploadedImage = (req, res, next) => {
+  if (!req.file) return next();
+
+  processImage(req.file.buffer, (err, image) => {
+    if (err) {
+      return res.status(err.status || 500).json({
+        success: false,
+        error: err.status ? err.message : 'Failed to save image'
+      });
+    }
+
+    req.image = image;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) removeFiles(Object.values(image.keys));
+    });
+    next();
+  });
+};
+
+module.exports = { imageUpload, processUploadedImage };
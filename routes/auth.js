@@ -13,6 +13,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const db = require('../database');
 const { JWT_SECRET, verifyToken } = require('../middleware/auth');
+const { resolveBranch } = require('../services/branches');
 
 const router = express.Router();
 
@@ -21,7 +22,7 @@ const router = express.Router();
 // POST /api/auth/register
 // ============================================
 router.post('/register', (req, res) => {
-  const { username, email, password, role, branch } = req.body;
+  const { username, email, password, role, branch, branch_id } = req.body;
 
   // Validate required fields
   if (!username || !email || !password) {
@@ -48,37 +49,47 @@ router.post('/register', (req, res) => {
     });
   }
 
-  // Hash password (10 salt rounds)
-  const hashedPassword = bcrypt.hashSync(password, 10);
+  // Branch by id or name; the default branch when none is given
+  resolveBranch({ branch_id, branch }, (err, userBranch) => {
+    if (err) {
+      return res.status(err.status || 500).json({ 
+        success: false,
+        error: err.status ? err.message : 'Failed to create user account' 
+      });
+    }
 
-  // Insert new user into database
-  db.run(
-    `INSERT INTO users (username, email, password, role, branch) 
-     VALUES (?, ?, ?, ?, ?)`,
-    [username, email, hashedPassword, role || 'user', branch || 'Main'],
-    function(err) {
-      if (err) {
-        // Check if email or username already exists
-        if (err.message.includes('UNIQUE constraint failed')) {
-          return res.status(400).json({ 
+    // Hash password (10 salt rounds)
+    const hashedPassword = bcrypt.hashSync(password, 10);
+
+    // Insert new user into database
+    db.run(
+      `INSERT INTO users (username, email, password, role, branch, branch_id) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [username, email, hashedPassword, role || 'user', userBranch.name, userBranch.id],
+      function(err) {
+        if (err) {
+          // Check if email or username already exists
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Email or username already exists' 
+            });
+          }
+          return res.status(500).json({ 
             success: false,
-            error: 'Email or username already exists' 
+            error: 'Failed to create user account' 
           });
         }
-        return res.status(500).json({ 
-          success: false,
-          error: 'Failed to create user account' 
+
+        // Success! User created
+        res.status(201).json({ 
+          success: true,
+          message: 'User registered successfully',
+          userId: this.lastID 
         });
       }
-
-      // Success! User created
-      res.status(201).json({ 
-        success: true,
-        message: 'User registered successfully',
-        userId: this.lastID 
-      });
-    }
-  );
+    );
+  });
 });
 
 // ============================================
@@ -135,7 +146,8 @@ router.post('/login', (req, res) => {
       { 
         id: user.id, 
         role: user.role,
-        email: user.email 
+        email: user.email,
+        branchId: user.branch_id 
       }, 
       JWT_SECRET, 
       { expiresIn: '24h' }
@@ -152,6 +164,7 @@ router.post('/login', (req, res) => {
         email: user.email,
         role: user.role,
         branch: user.branch,
+        branch_id: user.branch_id,
         status: user.status
       }
     });
@@ -166,7 +179,7 @@ router.post('/login', (req, res) => {
 router.get('/me', verifyToken, (req, res) => {
   // Get user details (excluding password)
   db.get(
-    'SELECT id, username, email, role, branch, status, created_at FROM users WHERE id = ?',
+    'SELECT id, username, email, role, branch, branch_id, status, created_at FROM users WHERE id = ?',
     [req.userId],
     (err, user) => {
       if (err) {
@@ -0,0 +1,245 @@
+/**
+ * PRODUCT BARCODE ROUTES
+ *
+ * The codes a product scans as, and printable labels:
+ * - GET /api/products/:productId/barcodes - List a product's barcodes
+ * - POST /api/products/:productId/barcodes - Add a barcode (Admin only)
+ * - POST /api/products/:productId/barcodes/generate - Give a product without a manufacturer code an in-store code (Admin only)
+ * - DELETE /api/products/:productId/barcodes/:barcodeId - Remove a barcode (Admin only)
+ * - GET /api/products/:productId/barcodes/label - Barcode label image (?format=svg|png&code=...)
+ *
+ * Scanning goes through GET /api/products/lookup/:code.
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { addBarcode, refreshPrimary, internalCode } = require('../services/barcodes');
+const { toSvg, toPng } = require('../utils/barcodeImage');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Add a barcode in its own transaction and answer the request
+ */
+const saveBarcode = (res, barcode, message) => {
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    addBarcode(barcode, (err, saved) => {
+      if (err) {
+        db.run('ROLLBACK');
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.status ? err.message : 'Failed to save barcode'
+        });
+      }
+
+      db.run('COMMIT', () => {
+        res.status(201).json({
+          success: true,
+          message,
+          barcode: saved
+        });
+      });
+    });
+  });
+};
+
+// ============================================
+// GET PRODUCT BARCODES
+// GET /api/products/:productId/barcodes
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  db.all(
+    'SELECT * FROM product_barcodes WHERE product_id = ? ORDER BY is_primary DESC, id',
+    [req.params.productId],
+    (err, barcodes) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch barcodes'
+        });
+      }
+
+      res.json({
+        success: true,
+        count: barcodes.length,
+        barcodes
+      });
+    }
+  );
+});
+
+// ============================================
+// ADD BARCODE
+// POST /api/products/:productId/barcodes
+// Admin Only - Body: { code, type: 'ean13' | 'upca' | 'ean8' | 'internal' | 'plu', is_primary }
+// type is detected from the code when left out; GS1 codes must have a valid check digit
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const { code, type, is_primary } = req.body;
+
+  db.get('SELECT id FROM products WHERE id = ?', [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save barcode'
+      });
+    }
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    saveBarcode(res, {
+      productId: product.id,
+      code,
+      type,
+      primary: is_primary === true || is_primary === 'true'
+    }, 'Barcode added successfully');
+  });
+});
+
+// ============================================
+// GENERATE IN-STORE BARCODE
+// POST /api/products/:productId/barcodes/generate
+// Admin Only - For products with no manufacturer code; becomes the primary code
+// ============================================
+router.post('/generate', verifyToken, isAdmin, (req, res) => {
+  db.get(
+    `SELECT p.id,
+            (SELECT COUNT(*) FROM product_barcodes WHERE product_id = p.id AND type IN ('ean13', 'upca', 'ean8')) as manufacturer_codes
+     FROM products p WHERE p.id = ?`,
+    [req.params.productId],
+    (err, product) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to generate barcode'
+        });
+      }
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found'
+        });
+      }
+
+      if (product.manufacturer_codes > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Product already has a manufacturer barcode'
+        });
+      }
+
+      saveBarcode(res, {
+        productId: product.id,
+        code: internalCode(product.id),
+        type: 'internal',
+        primary: true
+      }, 'Barcode generated successfully');
+    }
+  );
+});
+
+// ============================================
+// BARCODE LABEL
+// GET /api/products/:productId/barcodes/label?format=svg&code=4006381333931&price=true
+// Draws the primary code unless another of the product's codes is named
+// ============================================
+router.get('/label', verifyToken, (req, res) => {
+  const format = req.query.format || 'svg';
+
+  if (!['svg', 'png'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'format must be "svg" or "png"'
+    });
+  }
+
+  db.get(
+    `SELECT p.name, p.selling_price, b.code
+     FROM products p
+     JOIN product_barcodes b ON b.product_id = p.id
+     WHERE p.id = ? AND (b.code = ? OR (? IS NULL AND b.is_primary = 1))`,
+    [req.params.productId, req.query.code || null, req.query.code || null],
+    (err, label) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to draw label'
+        });
+      }
+
+      if (!label) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product has no such barcode; add or generate one first'
+        });
+      }
+
+      const caption = req.query.price === 'true'
+        ? `${label.name} - ${Number(label.selling_price).toFixed(2)}`
+        : label.name;
+      const image = format === 'png' ? toPng(label.code) : toSvg(label.code, { caption });
+
+      if (!image) {
+        return res.status(400).json({
+          success: false,
+          error: 'Labels can only be drawn for EAN-13, UPC-A and EAN-8 codes'
+        });
+      }
+
+      res.type(format === 'png' ? 'image/png' : 'image/svg+xml').send(image);
+    }
+  );
+});
+
+// ============================================
+// DELETE BARCODE
+// DELETE /api/products/:productId/barcodes/:barcodeId
+// Admin Only - Removing the primary code promotes the next one
+// ============================================
+router.delete('/:barcodeId', verifyToken, isAdmin, (req, res) => {
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    db.run(
+      'DELETE FROM product_barcodes WHERE id = ? AND product_id = ?',
+      [req.params.barcodeId, req.params.productId],
+      function(err) {
+        if (err || this.changes === 0) {
+          db.run('ROLLBACK');
+          return res.status(err ? 500 : 404).json({
+            success: false,
+            error: err ? 'Failed to delete barcode' : 'Barcode not found'
+          });
+        }
+
+        refreshPrimary(Number(req.params.productId), null, (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to delete barcode'
+            });
+          }
+
+          db.run('COMMIT', () => {
+            res.json({
+              success: true,
+              message: 'Barcode deleted successfully'
+            });
+          });
+        });
+      }
+    );
+  });
+});
+
+module.exports = router;
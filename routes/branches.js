@@ -0,0 +1,298 @@
+/**
+ * BRANCH ROUTES
+ *
+ * Shops and warehouses that hold stock:
+ * - GET /api/branches - List branches with stock totals (?status=active)
+ * - GET /api/branches/:id - Get single branch with its stock
+ * - POST /api/branches - Create branch (Admin only)
+ * - PUT /api/branches/:id - Update branch or make it the default (Admin only)
+ * - DELETE /api/branches/:id - Delete unused branch (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { BRANCH_PRODUCTS } = require('../services/stock');
+
+const router = express.Router();
+
+// ============================================
+// GET ALL BRANCHES
+// GET /api/branches?status=active
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status } = req.query;
+
+  let query = `
+    SELECT b.*,
+           (SELECT COUNT(*) FROM product_stock WHERE branch_id = b.id AND quantity > 0) as product_count,
+           (SELECT COALESCE(SUM(quantity), 0) FROM product_stock WHERE branch_id = b.id) as total_quantity,
+           (SELECT COUNT(*) FROM users WHERE branch_id = b.id) as user_count
+    FROM branches b
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND b.status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY b.is_default DESC, b.name';
+
+  db.all(query, params, (err, branches) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch branches'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: branches.length,
+      branches
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE BRANCH
+// GET /api/branches/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get('SELECT * FROM branches WHERE id = ?', [req.params.id], (err, branch) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch branch'
+      });
+    }
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Branch not found'
+      });
+    }
+
+    db.all(
+      `SELECT id, name, sku, branch_quantity as quantity, min_stock, branch_status as status
+       FROM (${BRANCH_PRODUCTS})
+       WHERE branch_quantity != 0
+       ORDER BY name`,
+      [branch.id],
+      (err, products) => {
+        branch.products = products || [];
+        res.json({
+          success: true,
+          branch
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// CREATE BRANCH
+// POST /api/branches
+// Admin Only
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const { code, name, address, phone } = req.body;
+
+  if (!code || !String(code).trim() || !name || !String(name).trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Branch code and name are required'
+    });
+  }
+
+  db.run(
+    'INSERT INTO branches (code, name, address, phone) VALUES (?, ?, ?, ?)',
+    [String(code).trim().toUpperCase(), String(name).trim(), address, phone],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A branch with this code or name already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to create branch'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Branch created successfully',
+        branchId: this.lastID
+      });
+    }
+  );
+});
+
+// ============================================
+// UPDATE BRANCH
+// PUT /api/branches/:id
+// Admin Only - Fields left out keep their current value; is_default: true moves the default here
+// ============================================
+router.put('/:id', verifyToken, isAdmin, (req, res) => {
+  const { code, name, address, phone, status, is_default } = req.body;
+  const makeDefault = is_default === true || is_default === 'true';
+
+  if (status && !['active', 'inactive'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status. Must be "active" or "inactive"'
+    });
+  }
+
+  db.get('SELECT * FROM branches WHERE id = ?', [req.params.id], (err, branch) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update branch'
+      });
+    }
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Branch not found'
+      });
+    }
+
+    if (status === 'inactive' && (branch.is_default || makeDefault)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default branch cannot be set inactive'
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      if (makeDefault) {
+        db.run('UPDATE branches SET is_default = 0 WHERE id != ?', [branch.id]);
+      }
+
+      db.run(
+        `UPDATE branches SET
+         code = COALESCE(?, code), name = COALESCE(?, name), address = COALESCE(?, address),
+         phone = COALESCE(?, phone), status = COALESCE(?, status),
+         is_default = CASE WHEN ? THEN 1 ELSE is_default END
+         WHERE id = ?`,
+        [code ? String(code).trim().toUpperCase() : null, name ? String(name).trim() : null,
+         address, phone, status, makeDefault ? 1 : 0, branch.id],
+        (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            if (err.message.includes('UNIQUE constraint failed')) {
+              return res.status(400).json({
+                success: false,
+                error: 'A branch with this code or name already exists'
+              });
+            }
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to update branch'
+            });
+          }
+
+          // Keep the users' branch text in step with the record
+          db.run(
+            'UPDATE users SET branch = (SELECT name FROM branches WHERE id = ?) WHERE branch_id = ?',
+            [branch.id, branch.id]
+          );
+
+          db.run('COMMIT', (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to update branch'
+              });
+            }
+
+            res.json({
+              success: true,
+              message: 'Branch updated successfully'
+            });
+          });
+        }
+      );
+    });
+  });
+});
+
+// ============================================
+// DELETE BRANCH
+// DELETE /api/branches/:id
+// Admin Only - Branches with users, stock history, sales or sale orders are kept; set them inactive instead
+// ============================================
+router.delete('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get(
+    `SELECT b.is_default,
+            (SELECT COUNT(*) FROM users WHERE branch_id = b.id) +
+            (SELECT COUNT(*) FROM stock_movements WHERE branch_id = b.id) +
+            (SELECT COUNT(*) FROM sales WHERE branch_id = b.id) +
+            (SELECT COUNT(*) FROM register_sessions WHERE branch_id = b.id) +
+            (SELECT COUNT(*) FROM purchase_orders WHERE branch_id = b.id) +
+            (SELECT COUNT(*) FROM transfer_orders WHERE b.id IN (from_branch_id, to_branch_id)) +
+            (SELECT COUNT(*) FROM stocktakes WHERE branch_id = b.id) +
+            (SELECT COUNT(*) FROM sale_orders WHERE branch_id = b.id) as usage
+     FROM branches b WHERE b.id = ?`,
+    [req.params.id],
+    (err, branch) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to delete branch'
+        });
+      }
+
+      if (!branch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      if (branch.is_default) {
+        return res.status(400).json({
+          success: false,
+          error: 'The default branch cannot be deleted'
+        });
+      }
+
+      if (branch.usage > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Branch is in use. Set it inactive instead.'
+        });
+      }
+
+      db.serialize(() => {
+        db.run('DELETE FROM product_stock WHERE branch_id = ? AND quantity = 0', [req.params.id]);
+        db.run('DELETE FROM branches WHERE id = ?', [req.params.id], (err) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to delete branch'
+            });
+          }
+
+          res.json({
+            success: true,
+            message: 'Branch deleted successfully'
+          });
+        });
+      });
+    }
+  );
+});
+
+module.exports = router;
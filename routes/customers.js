@@ -0,0 +1,539 @@
+/**
+ * CUSTOMER ROUTES
+ *
+ * Customer accounts that sales can be linked to (POST /api/sales with customer_id):
+ * - GET /api/customers - List customers with visits, lifetime value and points balance (?search=&status=, paged: see services/listing.js)
+ * - GET /api/customers/lookup - Find customers by phone at the till (?phone=)
+ * - GET /api/customers/reports/lifetime-value - Best customers by what they spent (?start_date=&end_date=&limit=) (Admin only)
+ * - GET /api/customers/reports/last-visit - Customers not seen for a while (?days=90) (Admin only)
+ * - GET /api/customers/:id - Get single customer with their stats
+ * - GET /api/customers/:id/purchases - Purchase history with items (paged)
+ * - POST /api/customers - Create customer
+ * - PUT /api/customers/:id - Update customer
+ * - DELETE /api/customers/:id - Delete customer without sales or points history (Admin only)
+ *
+ * Sales from before customer accounts are linked with `npm run customers:migrate`.
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { CUSTOMERS, phoneKey } = require('../services/customers');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+const { roundMoney } = require('../utils/money');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/customers
+const CUSTOMER_LIST = {
+  sort: {
+    name: 'name',
+    created_at: 'created_at',
+    visits: 'visits',
+    lifetime_value: 'lifetime_value',
+    points_balance: 'points_balance',
+    last_visit_at: "COALESCE(last_visit_at, '')"
+  },
+  defaultSort: 'name',
+  fields: [
+    'id', 'name', 'phone', 'email', 'tax_id', 'address', 'notes', 'status',
+    'visits', 'lifetime_value', 'points_balance', 'first_visit_at', 'last_visit_at', 'created_at', 'updated_at'
+  ]
+};
+
+// Sort fields and fields of GET /api/customers/:id/purchases
+const PURCHASE_LIST = {
+  sort: {
+    created_at: 'created_at',
+    grand_total: 'grand_total'
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'invoice_number', 'customer_name', 'subtotal', 'tax', 'discount', 'grand_total', 'refunded',
+    'payment_method', 'status', 'branch_id', 'branch_name', 'cashier_name', 'created_at', 'items'
+  ]
+};
+
+// Phone searches shorter than this only match a whole number
+const MIN_PHONE_SUFFIX = 7;
+
+// Customer states
+const CUSTOMER_STATUSES = ['active', 'inactive'];
+
+/**
+ * Trimmed Text, Or Null When Blank
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+const textOrNull = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+};
+
+// ============================================
+// GET ALL CUSTOMERS
+// GET /api/customers?search=ana&status=active
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status, search } = req.query;
+
+  const list = parseListQuery(req.query, CUSTOMER_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  let query = `${CUSTOMERS} WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    query += ' AND c.status = ?';
+    params.push(status);
+  }
+  if (search) {
+    const searchTerm = `%${search}%`;
+    const digits = phoneKey(search);
+    query += ` AND (c.name LIKE ? OR c.email LIKE ? OR c.tax_id LIKE ?${digits ? ' OR c.phone_key LIKE ?' : ''})`;
+    params.push(searchTerm, searchTerm, searchTerm);
+    if (digits) params.push(`%${digits}%`);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch customers'
+      });
+    }
+
+    const customers = page.rows.map(customer => pickFields(customer, list.fields));
+    res.json({
+      success: true,
+      count: customers.length,
+      total: page.total,
+      pagination: page.pagination,
+      customers
+    });
+  });
+});
+
+// ============================================
+// LOOK UP CUSTOMERS BY PHONE
+// GET /api/customers/lookup?phone=+1 (555) 010-2030
+// Digits are compared, so formatting does not matter; a number without its
+// country code still finds one saved with it. Exact matches come first.
+// ============================================
+router.get('/lookup', verifyToken, (req, res) => {
+  const digits = phoneKey(req.query.phone);
+
+  if (!digits) {
+    return res.status(400).json({
+      success: false,
+      error: 'phone is required'
+    });
+  }
+
+  let query = `${CUSTOMERS} WHERE c.status = 'active' AND (c.phone_key = ?`;
+  const params = [digits];
+  if (digits.length >= MIN_PHONE_SUFFIX) {
+    query += ' OR c.phone_key LIKE ? OR ? LIKE \'%\' || c.phone_key';
+    params.push(`%${digits}`, digits);
+  }
+  query += ') ORDER BY c.phone_key = ? DESC, c.name LIMIT 10';
+  params.push(digits);
+
+  db.all(query, params, (err, customers) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to look up customers'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: customers.length,
+      customers
+    });
+  });
+});
+
+// ============================================
+// LIFETIME VALUE REPORT
+// GET /api/customers/reports/lifetime-value?start_date=2024-01-01&end_date=2024-12-31&limit=20
+// Admin Only - Customers ranked by what they spent (net of refunds) in the dates
+// given, or ever, with their visits and average basket
+// ============================================
+router.get('/reports/lifetime-value', verifyToken, isAdmin, (req, res) => {
+  const { start_date, end_date } = req.query;
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a whole number from 1 to 200'
+    });
+  }
+
+  let salesFilter = "s.status != 'voided' AND s.customer_id IS NOT NULL";
+  const params = [];
+  if (start_date) {
+    salesFilter += ' AND DATE(s.created_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    salesFilter += ' AND DATE(s.created_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  const spend = `
+    SELECT s.customer_id, s.grand_total - COALESCE(r.refunded, 0) as spent, s.created_at
+    FROM sales s
+    LEFT JOIN (SELECT sale_id, SUM(total_refund) as refunded FROM returns GROUP BY sale_id) r ON r.sale_id = s.id
+    WHERE ${salesFilter}`;
+
+  db.all(
+    `SELECT c.id, c.name, c.phone, c.email,
+            COUNT(*) as visits,
+            ROUND(SUM(x.spent), 2) as lifetime_value,
+            ROUND(SUM(x.spent) / COUNT(*), 2) as average_basket,
+            MIN(x.created_at) as first_visit_at,
+            MAX(x.created_at) as last_visit_at
+     FROM (${spend}) x
+     JOIN customers c ON c.id = x.customer_id
+     GROUP BY c.id
+     ORDER BY lifetime_value DESC, c.id
+     LIMIT ?`,
+    [...params, limit],
+    (err, customers) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch report'
+        });
+      }
+
+      db.get(
+        `SELECT COUNT(DISTINCT customer_id) as customers, COUNT(*) as visits, ROUND(COALESCE(SUM(spent), 0), 2) as total
+         FROM (${spend})`,
+        params,
+        (err, totals) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to fetch report'
+            });
+          }
+
+          res.json({
+            success: true,
+            totals: {
+              ...totals,
+              average_value: totals.customers > 0 ? roundMoney(totals.total / totals.customers) : 0
+            },
+            count: customers.length,
+            customers
+          });
+        }
+      );
+    }
+  );
+});
+
+// ============================================
+// LAST VISIT REPORT
+// GET /api/customers/reports/last-visit?days=90
+// Admin Only - Active customers whose last purchase is at least this many days
+// old (or who never bought), longest absent first
+// ============================================
+router.get('/reports/last-visit', verifyToken, isAdmin, (req, res) => {
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'days must be a whole number of 0 or more'
+    });
+  }
+
+  db.all(
+    `SELECT id, name, phone, email, visits, lifetime_value, last_visit_at,
+            CAST(julianday('now') - julianday(last_visit_at) AS INTEGER) as days_since_visit
+     FROM (${CUSTOMERS} WHERE c.status = 'active')
+     WHERE last_visit_at IS NULL OR last_visit_at <= datetime('now', ?)
+     ORDER BY last_visit_at IS NOT NULL, last_visit_at, lifetime_value DESC`,
+    [`-${days} days`],
+    (err, customers) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch report'
+        });
+      }
+
+      res.json({
+        success: true,
+        days,
+        count: customers.length,
+        customers
+      });
+    }
+  );
+});
+
+// ============================================
+// GET SINGLE CUSTOMER
+// GET /api/customers/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get(`${CUSTOMERS} WHERE c.id = ?`, [req.params.id], (err, customer) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch customer'
+      });
+    }
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    customer.average_basket = customer.visits > 0 ? roundMoney(customer.lifetime_value / customer.visits) : 0;
+    res.json({
+      success: true,
+      customer
+    });
+  });
+});
+
+// ============================================
+// CUSTOMER PURCHASE HISTORY
+// GET /api/customers/:id/purchases?limit=20
+// Sales newest first with what was bought on each, voided sales included
+// ============================================
+router.get('/:id/purchases', verifyToken, (req, res) => {
+  const list = parseListQuery(req.query, PURCHASE_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  db.get('SELECT id FROM customers WHERE id = ?', [req.params.id], (err, customer) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch purchases'
+      });
+    }
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const query = `
+      SELECT s.*, b.name as branch_name, u.username as cashier_name,
+             COALESCE((SELECT SUM(total_refund) FROM returns WHERE sale_id = s.id), 0) as refunded
+      FROM sales s
+      LEFT JOIN branches b ON s.branch_id = b.id
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE s.customer_id = ?`;
+
+    fetchPage(query, [req.params.id], list, (err, page) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch purchases'
+        });
+      }
+
+      const saleIds = page.rows.map(sale => sale.id);
+      db.all(
+        `SELECT si.sale_id, si.product_id, p.name as product_name, p.sku, si.quantity, si.price, si.discount, si.total,
+                COALESCE((SELECT SUM(quantity) FROM return_items WHERE sale_item_id = si.id), 0) as returned_quantity
+         FROM sale_items si
+         LEFT JOIN products p ON si.product_id = p.id
+         WHERE si.sale_id IN (${saleIds.map(() => '?').join(', ') || 'NULL'})
+         ORDER BY si.id`,
+        saleIds,
+        (err, items) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to fetch purchases'
+            });
+          }
+
+          const purchases = page.rows.map(sale => pickFields({
+            ...sale,
+            items: items.filter(item => item.sale_id === sale.id).map(({ sale_id, ...item }) => item)
+          }, list.fields));
+
+          res.json({
+            success: true,
+            count: purchases.length,
+            total: page.total,
+            pagination: page.pagination,
+            purchases
+          });
+        }
+      );
+    });
+  });
+});
+
+// ============================================
+// CREATE CUSTOMER
+// POST /api/customers
+// ============================================
+router.post('/', verifyToken, (req, res) => {
+  const { name, phone, email, tax_id, address, notes } = req.body;
+
+  if (!textOrNull(name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Customer name is required'
+    });
+  }
+
+  db.run(
+    `INSERT INTO customers (name, phone, phone_key, email, tax_id, address, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [textOrNull(name), textOrNull(phone), phoneKey(phone), textOrNull(email), textOrNull(tax_id),
+     textOrNull(address), textOrNull(notes)],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A customer with this phone number already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to create customer'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Customer created successfully',
+        customerId: this.lastID
+      });
+    }
+  );
+});
+
+// ============================================
+// UPDATE CUSTOMER
+// PUT /api/customers/:id
+// Fields left out keep their current value
+// ============================================
+router.put('/:id', verifyToken, (req, res) => {
+  const { name, phone, email, tax_id, address, notes, status } = req.body;
+
+  if (status && !CUSTOMER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status. Must be "active" or "inactive"'
+    });
+  }
+
+  db.run(
+    `UPDATE customers SET
+     name = COALESCE(?, name), phone = COALESCE(?, phone), phone_key = COALESCE(?, phone_key),
+     email = COALESCE(?, email), tax_id = COALESCE(?, tax_id), address = COALESCE(?, address),
+     notes = COALESCE(?, notes), status = COALESCE(?, status), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [textOrNull(name), textOrNull(phone), phoneKey(phone), textOrNull(email), textOrNull(tax_id),
+     textOrNull(address), textOrNull(notes), status || null, req.params.id],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A customer with this phone number already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update customer'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Customer updated successfully'
+      });
+    }
+  );
+});
+
+// ============================================
+// DELETE CUSTOMER
+// DELETE /api/customers/:id
+// Admin Only - Customers with sales or loyalty points history are kept; set them inactive instead
+// ============================================
+router.delete('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get(
+    `SELECT (SELECT COUNT(*) FROM sales WHERE customer_id = ?)
+          + (SELECT COUNT(*) FROM loyalty_ledger WHERE customer_id = ?) as count`,
+    [req.params.id, req.params.id],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to delete customer'
+        });
+      }
+
+      if (row.count > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Customer has sales or loyalty points history. Set them inactive instead.'
+        });
+      }
+
+      db.run('DELETE FROM customers WHERE id = ?', [req.params.id], function(err) {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to delete customer'
+          });
+        }
+
+        if (this.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Customer not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Customer deleted successfully'
+        });
+      });
+    }
+  );
+});
+
+module.exports = router;
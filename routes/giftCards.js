@@ -0,0 +1,596 @@
+/**
+ * GIFT CARD ROUTES
+ *
+ * Gift cards and store credit accounts (spent through POST /api/sales with a
+ * 'gift_card' or 'store_credit' tender; see services/giftCards.js):
+ * - GET /api/gift-cards - List accounts with balances (?type=&status=&customer_id=&search=, paged: see services/listing.js) (Admin only)
+ * - GET /api/gift-cards/lookup - Balance of a card by its code (?code=)
+ * - GET /api/gift-cards/reports/liability - Outstanding balances owed to card holders (?date=&start_date=) (Admin only)
+ * - GET /api/gift-cards/:id - Get single account with its full code (Admin only)
+ * - GET /api/gift-cards/:id/transactions - Account's transaction log (paged)
+ * - POST /api/gift-cards - Issue a gift card (paid for at the till) or store credit (store credit: Admin only)
+ * - POST /api/gift-cards/:id/top-ups - Add to a balance (store credit: Admin only)
+ * - POST /api/gift-cards/:id/void - Void an account and write off its balance (Admin only)
+ * - POST /api/gift-cards/expire - Write off expired balances now (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { findOpenSession } = require('../services/registerSessions');
+const {
+  GIFT_CARD_TYPES, ISSUE_METHODS, GIFT_CARDS,
+  maskCode, expiryFor, isExpired, addTransaction, issueCard, findByCode, expireCards
+} = require('../services/giftCards');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+const { roundMoney } = require('../utils/money');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/gift-cards
+const GIFT_CARD_LIST = {
+  sort: {
+    created_at: 'created_at',
+    balance: 'balance',
+    expires_at: "COALESCE(expires_at, '')"
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'code', 'type', 'customer_id', 'customer_name', 'initial_value', 'balance', 'status', 'expires_at',
+    'expired', 'issued_by', 'created_at', 'updated_at'
+  ]
+};
+
+// Sort fields and fields of GET /api/gift-cards/:id/transactions
+const TRANSACTION_LIST = {
+  sort: {
+    id: 'id',
+    created_at: 'created_at'
+  },
+  defaultSort: '-id',
+  fields: [
+    'id', 'gift_card_id', 'type', 'amount', 'balance_after', 'payment_method', 'session_id', 'reference_type',
+    'reference_id', 'user_id', 'username', 'note', 'created_at'
+  ]
+};
+
+// Account states
+const GIFT_CARD_STATUSES = ['active', 'void'];
+
+/**
+ * Account As Shown To Staff: Code Masked, Expiry Worked Out
+ *
+ * @param {Object} card - GIFT_CARDS row
+ * @param {Boolean} fullCode - Keep the whole code (admins looking up one account)
+ * @returns {Object}
+ */
+const presentCard = (card, fullCode) => ({
+  ...card,
+  code: fullCode ? card.code : maskCode(card.code),
+  expired: isExpired(card)
+});
+
+/**
+ * Check How A Gift Card Sale Or Top-Up Is Paid For
+ *
+ * Gift cards are paid for like a sale (cash needs the cashier's open register
+ * session); store credit is given by an admin and not paid for.
+ *
+ * @param {Object} req - Request (body.payment_method, userId, userRole)
+ * @param {String} type - gift_card or store_credit
+ * @param {Function} callback - (status, error, payment) payment is { paymentMethod, sessionId }
+ */
+const checkPayment = (req, type, callback) => {
+  const { payment_method } = req.body;
+
+  if (type === 'store_credit') {
+    if (req.userRole !== 'admin') return callback(403, 'Only admins can give store credit.');
+    if (payment_method) return callback(400, 'Store credit is not paid for; leave out payment_method.');
+    return callback(null, null, { paymentMethod: null, sessionId: null });
+  }
+
+  if (!ISSUE_METHODS.includes(payment_method)) {
+    return callback(400, `payment_method must be one of: ${ISSUE_METHODS.join(', ')}`);
+  }
+
+  findOpenSession(req.userId, (err, session) => {
+    if (err) return callback(500, 'Failed to fetch register session.');
+    if (!session && payment_method === 'cash') {
+      return callback(409, 'Open a register session before taking cash.');
+    }
+    callback(null, null, { paymentMethod: payment_method, sessionId: session ? session.id : null });
+  });
+};
+
+// ============================================
+// GET ALL GIFT CARDS
+// GET /api/gift-cards?type=gift_card&status=active&customer_id=1&search=HT4B
+// Admin Only - search matches the last group of the code
+// ============================================
+router.get('/', verifyToken, isAdmin, (req, res) => {
+  const { type, status, customer_id, search } = req.query;
+
+  const list = parseListQuery(req.query, GIFT_CARD_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  if (type && !GIFT_CARD_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${GIFT_CARD_TYPES.join(', ')}`
+    });
+  }
+
+  if (status && !GIFT_CARD_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Must be one of: ${GIFT_CARD_STATUSES.join(', ')}`
+    });
+  }
+
+  let query = `${GIFT_CARDS} WHERE 1=1`;
+  const params = [];
+
+  if (type) {
+    query += ' AND g.type = ?';
+    params.push(type);
+  }
+  if (status) {
+    query += ' AND g.status = ?';
+    params.push(status);
+  }
+  if (customer_id) {
+    query += ' AND g.customer_id = ?';
+    params.push(customer_id);
+  }
+  if (search) {
+    query += ' AND g.code LIKE ?';
+    params.push(`%${String(search).toUpperCase().replace(/[^A-Z0-9]/g, '')}`);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch gift cards'
+      });
+    }
+
+    const giftCards = page.rows.map(card => pickFields(presentCard(card, false), list.fields));
+    res.json({
+      success: true,
+      count: giftCards.length,
+      total: page.total,
+      pagination: page.pagination,
+      giftCards
+    });
+  });
+});
+
+// ============================================
+// LOOK UP A CARD BY CODE
+// GET /api/gift-cards/lookup?code=K7QF-2MZR-9XWD-HT4B
+// ============================================
+router.get('/lookup', verifyToken, (req, res) => {
+  if (!req.query.code) {
+    return res.status(400).json({
+      success: false,
+      error: 'code is required'
+    });
+  }
+
+  findByCode(req.query.code, (err, card) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to look up gift card'
+      });
+    }
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    const { id, code, type, balance, status, expires_at, expired } = presentCard(card, false);
+    res.json({
+      success: true,
+      giftCard: { id, code, type, balance, status, expires_at, expired }
+    });
+  });
+});
+
+// ============================================
+// OUTSTANDING LIABILITY REPORT
+// GET /api/gift-cards/reports/liability?date=2024-12-31&start_date=2024-01-01
+// Admin Only - Balances still owed at the end of date (default today), by type,
+// and what was issued, redeemed and written off from start_date up to then
+// ============================================
+router.get('/reports/liability', verifyToken, isAdmin, (req, res) => {
+  const date = req.query.date || new Date().toISOString().slice(0, 10);
+  const { start_date } = req.query;
+
+  db.all(
+    `SELECT g.type, COUNT(*) as accounts, ROUND(SUM(b.balance), 2) as outstanding
+     FROM gift_cards g
+     JOIN (SELECT gift_card_id, SUM(amount) as balance FROM gift_card_transactions
+           WHERE created_at < datetime(DATE(?), '+1 day') GROUP BY gift_card_id) b ON b.gift_card_id = g.id
+     WHERE ROUND(b.balance, 2) > 0
+     GROUP BY g.type`,
+    [date],
+    (err, balances) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to build liability report'
+        });
+      }
+
+      let query = `
+        SELECT g.type as account_type, t.type, COUNT(*) as count, ROUND(SUM(t.amount), 2) as amount
+        FROM gift_card_transactions t
+        JOIN gift_cards g ON t.gift_card_id = g.id
+        WHERE t.created_at < datetime(DATE(?), '+1 day')`;
+      const params = [date];
+
+      if (start_date) {
+        query += ' AND DATE(t.created_at) >= DATE(?)';
+        params.push(start_date);
+      }
+      query += ' GROUP BY g.type, t.type ORDER BY g.type, t.type';
+
+      db.all(query, params, (err, movements) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to build liability report'
+          });
+        }
+
+        const byType = GIFT_CARD_TYPES.map(type => {
+          const row = balances.find(balance => balance.type === type) || { accounts: 0, outstanding: 0 };
+          return {
+            type,
+            accounts: row.accounts,
+            outstanding: row.outstanding,
+            movements: movements
+              .filter(movement => movement.account_type === type)
+              .map(({ account_type, ...movement }) => movement)
+          };
+        });
+
+        res.json({
+          success: true,
+          report: {
+            date,
+            start_date: start_date || null,
+            outstanding: roundMoney(byType.reduce((sum, row) => sum + row.outstanding, 0)),
+            accounts: byType.reduce((sum, row) => sum + row.accounts, 0),
+            by_type: byType
+          }
+        });
+      });
+    }
+  );
+});
+
+// ============================================
+// GET SINGLE GIFT CARD
+// GET /api/gift-cards/:id
+// Admin Only - Shows the full code, e.g. to reprint a lost card
+// ============================================
+router.get('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get(`${GIFT_CARDS} WHERE g.id = ?`, [req.params.id], (err, card) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch gift card'
+      });
+    }
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      giftCard: presentCard(card, true)
+    });
+  });
+});
+
+// ============================================
+// GET GIFT CARD TRANSACTIONS
+// GET /api/gift-cards/:id/transactions
+// ============================================
+router.get('/:id/transactions', verifyToken, (req, res) => {
+  const list = parseListQuery(req.query, TRANSACTION_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  const query = `
+    SELECT t.*, u.username
+    FROM gift_card_transactions t
+    LEFT JOIN users u ON t.user_id = u.id
+    WHERE t.gift_card_id = ?`;
+
+  fetchPage(query, [req.params.id], list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch gift card transactions'
+      });
+    }
+
+    const transactions = page.rows.map(transaction => pickFields(transaction, list.fields));
+    res.json({
+      success: true,
+      count: transactions.length,
+      total: page.total,
+      pagination: page.pagination,
+      transactions
+    });
+  });
+});
+
+// ============================================
+// ISSUE GIFT CARD OR STORE CREDIT
+// POST /api/gift-cards
+// Body: { type, amount, payment_method, customer_id, expires_at, note }
+// Gift cards are sold by any cashier; store credit is Admin only
+// ============================================
+router.post('/', verifyToken, (req, res) => {
+  const { customer_id, note } = req.body;
+  const type = req.body.type || 'gift_card';
+  const amount = roundMoney(parseFloat(req.body.amount));
+
+  if (!GIFT_CARD_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${GIFT_CARD_TYPES.join(', ')}`
+    });
+  }
+
+  if (isNaN(amount) || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'amount must be greater than 0'
+    });
+  }
+
+  const expiry = expiryFor(type, req.body.expires_at);
+  if (expiry.error) {
+    return res.status(400).json({
+      success: false,
+      error: expiry.error
+    });
+  }
+
+  checkPayment(req, type, (status, error, payment) => {
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      issueCard({
+        type,
+        amount,
+        customerId: parseInt(customer_id) || null,
+        expiresAt: expiry.expiresAt,
+        paymentMethod: payment.paymentMethod,
+        sessionId: payment.sessionId,
+        userId: req.userId,
+        note: note ? String(note).trim() : null
+      }, (err, card) => {
+        if (err) {
+          db.run('ROLLBACK');
+          return res.status(err.status || 500).json({
+            success: false,
+            error: err.status ? err.message : 'Failed to issue gift card'
+          });
+        }
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to issue gift card'
+            });
+          }
+
+          res.status(201).json({
+            success: true,
+            message: type === 'gift_card' ? 'Gift card issued successfully' : 'Store credit issued successfully',
+            giftCard: card
+          });
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// TOP UP GIFT CARD OR STORE CREDIT
+// POST /api/gift-cards/:id/top-ups
+// Body: { amount, payment_method, note }; store credit top-ups are Admin only
+// ============================================
+router.post('/:id/top-ups', verifyToken, (req, res) => {
+  const amount = roundMoney(parseFloat(req.body.amount));
+
+  if (isNaN(amount) || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'amount must be greater than 0'
+    });
+  }
+
+  db.get('SELECT * FROM gift_cards WHERE id = ?', [req.params.id], (err, card) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch gift card'
+      });
+    }
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    if (card.status !== 'active' || isExpired(card)) {
+      return res.status(400).json({
+        success: false,
+        error: card.status !== 'active' ? 'Gift card is void' : `Gift card expired on ${card.expires_at}`
+      });
+    }
+
+    checkPayment(req, card.type, (status, error, payment) => {
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      addTransaction({
+        giftCardId: card.id,
+        type: 'top_up',
+        amount,
+        paymentMethod: payment.paymentMethod,
+        sessionId: payment.sessionId,
+        userId: req.userId,
+        note: req.body.note ? String(req.body.note).trim() : null
+      }, (err, balance) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to top up gift card'
+          });
+        }
+
+        db.run('UPDATE gift_cards SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [card.id]);
+        res.status(201).json({
+          success: true,
+          message: 'Gift card topped up successfully',
+          balance
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// VOID GIFT CARD OR STORE CREDIT
+// POST /api/gift-cards/:id/void
+// Admin Only - Body: { reason }; the remaining balance is written off
+// ============================================
+router.post('/:id/void', verifyToken, isAdmin, (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'A reason for voiding the card is required'
+    });
+  }
+
+  db.get(`${GIFT_CARDS} WHERE g.id = ?`, [req.params.id], (err, card) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch gift card'
+      });
+    }
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    if (card.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        error: 'Gift card is already void'
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      db.run(
+        "UPDATE gift_cards SET status = 'void', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'",
+        [card.id]
+      );
+
+      addTransaction({
+        giftCardId: card.id,
+        type: 'void',
+        amount: -card.balance,
+        userId: req.userId,
+        note: String(reason).trim()
+      }, (err) => {
+        if (err) {
+          db.run('ROLLBACK');
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to void gift card'
+          });
+        }
+
+        db.run('COMMIT', () => {
+          res.json({
+            success: true,
+            message: 'Gift card voided',
+            written_off: card.balance
+          });
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// EXPIRE GIFT CARDS
+// POST /api/gift-cards/expire
+// Admin Only - The server also does this every hour
+// ============================================
+router.post('/expire', verifyToken, isAdmin, (req, res) => {
+  expireCards((err, accounts) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to expire gift cards'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${accounts} expired balance(s) written off`,
+      accounts
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+/**
+ * PRODUCT IMAGE ROUTES
+ *
+ * A product's photos, each served as thumbnail, medium and large WebP renditions
+ * (urls.thumbnail, urls.medium, urls.large on each image):
+ * - GET /api/products/:productId/images - List a product's images
+ * - POST /api/products/:productId/images - Upload one or more images (Admin only)
+ * - PUT /api/products/:productId/images/:imageId - Make primary or reorder (Admin only)
+ * - DELETE /api/products/:productId/images/:imageId - Remove an image and its files (Admin only)
+ *
+ * Files nothing refers to any more are swept by POST /api/products/images/cleanup.
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+const {
+  processImage, removeFiles, imageFiles, withRenditionUrls, addImage, refreshPrimaryImage
+} = require('../services/images');
+
+const router = express.Router({ mergeParams: true });
+
+// ============================================
+// GET PRODUCT IMAGES
+// GET /api/products/:productId/images
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  db.all(
+    'SELECT * FROM product_images WHERE product_id = ? ORDER BY is_primary DESC, sort_order, id',
+    [req.params.productId],
+    (err, images) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch images'
+        });
+      }
+
+      res.json({
+        success: true,
+        count: images.length,
+        images: images.map(withRenditionUrls)
+      });
+    }
+  );
+});
+
+// ============================================
+// UPLOAD IMAGES
+// POST /api/products/:productId/images
+// Admin Only - multipart/form-data: images (up to 10 files), is_primary
+// The first upload becomes primary when is_primary=true or the product has no image yet
+// ============================================
+router.post('/', verifyToken, isAdmin, imageUpload.array('images', 10), (req, res) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload at least one file in the "images" field'
+    });
+  }
+
+  db.get('SELECT id FROM products WHERE id = ?', [req.params.productId], (err, product) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save images'
+      });
+    }
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    // Process every file before touching the database; drop what was written if one fails
+    const processed = [];
+    const processNext = () => {
+      if (processed.length === files.length) return saveAll();
+
+      const file = files[processed.length];
+      processImage(file.buffer, (err, image) => {
+        if (err) {
+          removeFiles(processed.flatMap(image => Object.values(image.keys)));
+          return res.status(err.status || 500).json({
+            success: false,
+            error: err.status ? `${file.originalname}: ${err.message}` : 'Failed to save images'
+          });
+        }
+
+        processed.push(image);
+        processNext();
+      });
+    };
+
+    const saveAll = () => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        const imageIds = [];
+        const saveNext = () => {
+          if (imageIds.length === processed.length) {
+            return db.run('COMMIT', () => {
+              res.status(201).json({
+                success: true,
+                message: `${imageIds.length} image(s) added`,
+                imageIds
+              });
+            });
+          }
+
+          const i = imageIds.length;
+          addImage({
+            productId: product.id,
+            image: processed[i],
+            originalName: files[i].originalname,
+            primary: i === 0 && (req.body.is_primary === true || req.body.is_primary === 'true')
+          }, (err, imageId) => {
+            if (err) {
+              db.run('ROLLBACK');
+              removeFiles(processed.flatMap(image => Object.values(image.keys)));
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to save images'
+              });
+            }
+            imageIds.push(imageId);
+            saveNext();
+          });
+        };
+
+        saveNext();
+      });
+    };
+
+    processNext();
+  });
+});
+
+// ============================================
+// UPDATE IMAGE
+// PUT /api/products/:productId/images/:imageId
+// Admin Only - Body: { is_primary: true, sort_order }
+// ============================================
+router.put('/:imageId', verifyToken, isAdmin, (req, res) => {
+  const { is_primary, sort_order } = req.body;
+
+  if (sort_order !== undefined && !Number.isInteger(Number(sort_order))) {
+    return res.status(400).json({
+      success: false,
+      error: 'sort_order must be a whole number'
+    });
+  }
+
+  db.get(
+    'SELECT * FROM product_images WHERE id = ? AND product_id = ?',
+    [req.params.imageId, req.params.productId],
+    (err, image) => {
+      if (err || !image) {
+        return res.status(err ? 500 : 404).json({
+          success: false,
+          error: err ? 'Failed to update image' : 'Image not found'
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        db.run(
+          'UPDATE product_images SET sort_order = COALESCE(?, sort_order) WHERE id = ?',
+          [sort_order === undefined ? null : Number(sort_order), image.id],
+          (err) => {
+            const done = (err) => {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Failed to update image'
+                });
+              }
+
+              db.run('COMMIT', () => {
+                res.json({
+                  success: true,
+                  message: 'Image updated successfully'
+                });
+              });
+            };
+
+            if (err) return done(err);
+            const primary = is_primary === true || is_primary === 'true';
+            refreshPrimaryImage(image.product_id, primary ? image.id : null, done);
+          }
+        );
+      });
+    }
+  );
+});
+
+// ============================================
+// DELETE IMAGE
+// DELETE /api/products/:productId/images/:imageId
+// Admin Only - Removing the primary image promotes the next one
+// ============================================
+router.delete('/:imageId', verifyToken, isAdmin, (req, res) => {
+  db.get(
+    'SELECT * FROM product_images WHERE id = ? AND product_id = ?',
+    [req.params.imageId, req.params.productId],
+    (err, image) => {
+      if (err || !image) {
+        return res.status(err ? 500 : 404).json({
+          success: false,
+          error: err ? 'Failed to delete image' : 'Image not found'
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        db.run('DELETE FROM product_images WHERE id = ?', [image.id], (err) => {
+          const done = (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to delete image'
+              });
+            }
+
+            // Files go once the row is gone for good
+            db.run('COMMIT', () => {
+              removeFiles(imageFiles([image]));
+              res.json({
+                success: true,
+                message: 'Image deleted successfully'
+              });
+            });
+          };
+
+          if (err) return done(err);
+          refreshPrimaryImage(image.product_id, null, done);
+        });
+      });
+    }
+  );
+});
+
+module.exports = router;
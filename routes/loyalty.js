@@ -0,0 +1,514 @@
+/**
+ * LOYALTY ROUTES
+ *
+ * Loyalty points of customer accounts (earned and redeemed through POST /api/sales,
+ * reversed through voids and returns; see services/loyalty.js):
+ * - GET /api/loyalty/settings - Earn rate, point value, expiry and tier window
+ * - GET /api/loyalty/tiers - List membership tiers
+ * - POST /api/loyalty/tiers - Create tier (Admin only)
+ * - PUT /api/loyalty/tiers/:id - Update tier (Admin only)
+ * - DELETE /api/loyalty/tiers/:id - Delete tier (Admin only)
+ * - GET /api/loyalty/categories - List category earn rates
+ * - PUT /api/loyalty/categories/:category - Set a category's earn rate (Admin only)
+ * - GET /api/loyalty/customers/:id - Customer's balance, tier and next tier
+ * - GET /api/loyalty/customers/:id/ledger - Customer's points history (?type=, paged: see services/listing.js)
+ * - POST /api/loyalty/customers/:id/adjustments - Add or remove points by hand (Admin only)
+ * - POST /api/loyalty/expire - Expire old points now (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const {
+  POINTS_PER_UNIT, POINT_VALUE, EXPIRY_DAYS, TIER_WINDOW_DAYS, BALANCE_SQL,
+  pointsValue, addEntry, expirePoints, loadStanding
+} = require('../services/loyalty');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/loyalty/customers/:id/ledger
+const LEDGER_LIST = {
+  sort: {
+    id: 'id',
+    created_at: 'created_at'
+  },
+  defaultSort: '-id',
+  fields: [
+    'id', 'customer_id', 'type', 'points', 'balance_after', 'reason', 'reference_type', 'reference_id',
+    'user_id', 'username', 'created_at'
+  ]
+};
+
+// Kinds of ledger entries
+const LEDGER_TYPES = ['earn', 'redeem', 'reverse_earn', 'reverse_redeem', 'expire', 'adjust'];
+
+/**
+ * Validate A Tier From A Request Body
+ *
+ * @param {Object} body - { name, min_points, multiplier }
+ * @returns {Object} { error } or { tier }
+ */
+const parseTier = ({ name, min_points, multiplier }) => {
+  if (!name || !String(name).trim() || min_points === undefined || min_points === null || min_points === '') {
+    return { error: 'Name and min_points are required' };
+  }
+
+  const minPoints = Number(min_points);
+  if (!Number.isInteger(minPoints) || minPoints < 0) {
+    return { error: 'min_points must be a whole number of points, 0 or more' };
+  }
+
+  const tierMultiplier = multiplier === undefined || multiplier === null || multiplier === '' ? 1 : parseFloat(multiplier);
+  if (isNaN(tierMultiplier) || tierMultiplier <= 0) {
+    return { error: 'multiplier must be greater than 0' };
+  }
+
+  return { tier: { name: String(name).trim(), minPoints, multiplier: tierMultiplier } };
+};
+
+// ============================================
+// GET LOYALTY SETTINGS
+// GET /api/loyalty/settings
+// ============================================
+router.get('/settings', verifyToken, (req, res) => {
+  res.json({
+    success: true,
+    settings: {
+      points_per_unit: POINTS_PER_UNIT,
+      point_value: POINT_VALUE,
+      expiry_days: EXPIRY_DAYS,
+      tier_window_days: TIER_WINDOW_DAYS
+    }
+  });
+});
+
+// ============================================
+// GET ALL TIERS
+// GET /api/loyalty/tiers
+// ============================================
+router.get('/tiers', verifyToken, (req, res) => {
+  db.all('SELECT * FROM loyalty_tiers ORDER BY min_points', (err, tiers) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tiers'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: tiers.length,
+      tiers
+    });
+  });
+});
+
+// ============================================
+// CREATE TIER
+// POST /api/loyalty/tiers
+// Admin Only
+// ============================================
+router.post('/tiers', verifyToken, isAdmin, (req, res) => {
+  const { error, tier } = parseTier(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  db.run(
+    'INSERT INTO loyalty_tiers (name, min_points, multiplier) VALUES (?, ?, ?)',
+    [tier.name, tier.minPoints, tier.multiplier],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A tier with this name or min_points already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to create tier'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Tier created successfully',
+        tierId: this.lastID
+      });
+    }
+  );
+});
+
+// ============================================
+// UPDATE TIER
+// PUT /api/loyalty/tiers/:id
+// Admin Only
+// ============================================
+router.put('/tiers/:id', verifyToken, isAdmin, (req, res) => {
+  const { error, tier } = parseTier(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  db.run(
+    'UPDATE loyalty_tiers SET name = ?, min_points = ?, multiplier = ? WHERE id = ?',
+    [tier.name, tier.minPoints, tier.multiplier, req.params.id],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A tier with this name or min_points already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update tier'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tier not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tier updated successfully'
+      });
+    }
+  );
+});
+
+// ============================================
+// DELETE TIER
+// DELETE /api/loyalty/tiers/:id
+// Admin Only - Members simply fall to the tier below
+// ============================================
+router.delete('/tiers/:id', verifyToken, isAdmin, (req, res) => {
+  db.run('DELETE FROM loyalty_tiers WHERE id = ?', [req.params.id], function(err) {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete tier'
+      });
+    }
+
+    if (this.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tier deleted successfully'
+    });
+  });
+});
+
+// ============================================
+// GET CATEGORY EARN RATES
+// GET /api/loyalty/categories
+// ============================================
+router.get('/categories', verifyToken, (req, res) => {
+  db.all('SELECT * FROM category_loyalty_rates ORDER BY category', (err, categories) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch category earn rates'
+      });
+    }
+
+    res.json({
+      success: true,
+      default_points_per_unit: POINTS_PER_UNIT,
+      categories
+    });
+  });
+});
+
+// ============================================
+// SET CATEGORY EARN RATE
+// PUT /api/loyalty/categories/:category
+// Admin Only - Send points_per_unit: null to go back to the default rate
+// ============================================
+router.put('/categories/:category', verifyToken, isAdmin, (req, res) => {
+  const { points_per_unit } = req.body;
+  const { category } = req.params;
+
+  if (points_per_unit === undefined || points_per_unit === null || points_per_unit === '') {
+    return db.run('DELETE FROM category_loyalty_rates WHERE category = ?', [category], (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update category earn rate'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Category "${category}" now earns the default ${POINTS_PER_UNIT} point(s) per unit`
+      });
+    });
+  }
+
+  const rate = parseFloat(points_per_unit);
+  if (isNaN(rate) || rate < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'points_per_unit must be 0 or more'
+    });
+  }
+
+  db.run(
+    `INSERT INTO category_loyalty_rates (category, points_per_unit) VALUES (?, ?)
+     ON CONFLICT(category) DO UPDATE SET points_per_unit = excluded.points_per_unit`,
+    [category, rate],
+    (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update category earn rate'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Category "${category}" now earns ${rate} point(s) per unit`
+      });
+    }
+  );
+});
+
+// ============================================
+// GET CUSTOMER POINTS
+// GET /api/loyalty/customers/:id
+// Old points are expired first so the balance is current
+// ============================================
+router.get('/customers/:id', verifyToken, (req, res) => {
+  db.get('SELECT id, name FROM customers WHERE id = ?', [req.params.id], (err, customer) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch loyalty points'
+      });
+    }
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    expirePoints(customer.id, (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to expire loyalty points'
+        });
+      }
+
+      loadStanding(customer.id, (err, standing) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch loyalty points'
+          });
+        }
+
+        res.json({
+          success: true,
+          loyalty: {
+            customer_id: customer.id,
+            name: customer.name,
+            points_balance: standing.balance,
+            points_value: pointsValue(standing.balance),
+            qualifying_points: standing.qualifying_points,
+            tier: standing.tier,
+            next_tier: standing.next_tier,
+            points_to_next_tier: standing.next_tier ? standing.next_tier.min_points - standing.qualifying_points : null
+          }
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// GET CUSTOMER POINTS LEDGER
+// GET /api/loyalty/customers/:id/ledger?type=earn
+// ============================================
+router.get('/customers/:id/ledger', verifyToken, (req, res) => {
+  const { type } = req.query;
+
+  const list = parseListQuery(req.query, LEDGER_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  if (type && !LEDGER_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${LEDGER_TYPES.join(', ')}`
+    });
+  }
+
+  let query = `
+    SELECT l.*, u.username
+    FROM loyalty_ledger l
+    LEFT JOIN users u ON l.user_id = u.id
+    WHERE l.customer_id = ?`;
+  const params = [req.params.id];
+
+  if (type) {
+    query += ' AND l.type = ?';
+    params.push(type);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch points ledger'
+      });
+    }
+
+    const entries = page.rows.map(entry => pickFields(entry, list.fields));
+    res.json({
+      success: true,
+      count: entries.length,
+      total: page.total,
+      pagination: page.pagination,
+      entries
+    });
+  });
+});
+
+// ============================================
+// ADJUST CUSTOMER POINTS
+// POST /api/loyalty/customers/:id/adjustments
+// Admin Only - Body: { points, reason }; negative points take points away
+// ============================================
+router.post('/customers/:id/adjustments', verifyToken, isAdmin, (req, res) => {
+  const { reason } = req.body;
+  const points = Number(req.body.points);
+
+  if (!Number.isInteger(points) || points === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'points must be a whole number other than 0'
+    });
+  }
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'A reason for the adjustment is required'
+    });
+  }
+
+  const customerId = Number(req.params.id);
+
+  expirePoints(customerId, (err) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to expire loyalty points'
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      db.get(`SELECT (${BALANCE_SQL}) as balance`, [customerId], (err, row) => {
+        if (err) {
+          db.run('ROLLBACK');
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to adjust points'
+          });
+        }
+
+        if (row.balance + points < 0) {
+          db.run('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            error: `Only ${row.balance} points available`
+          });
+        }
+
+        addEntry({
+          customerId,
+          type: 'adjust',
+          points,
+          reason: String(reason).trim(),
+          userId: req.userId
+        }, (err, balanceAfter) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(err.status || 500).json({
+              success: false,
+              error: err.status ? err.message : 'Failed to adjust points'
+            });
+          }
+
+          db.run('COMMIT', (err) => {
+            if (err) {
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to adjust points'
+              });
+            }
+
+            res.status(201).json({
+              success: true,
+              message: 'Points adjusted successfully',
+              points,
+              points_balance: balanceAfter
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// EXPIRE OLD POINTS
+// POST /api/loyalty/expire
+// Admin Only - The server also does this every hour
+// ============================================
+router.post('/expire', verifyToken, isAdmin, (req, res) => {
+  expirePoints(null, (err, customers) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to expire loyalty points'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Points expired for ${customers} customer(s)`,
+      customers
+    });
+  });
+});
+
+module.exports = router;
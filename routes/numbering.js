@@ -0,0 +1,159 @@
+/**
+ * NUMBERING SERIES ROUTES
+ *
+ * How invoice and credit note numbers are made up (see services/numbering.js):
+ * - GET /api/numbering-series - List series with the last number taken per branch and year (Admin only)
+ * - PUT /api/numbering-series/:document_type - Change a series' format (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { DOCUMENT_TYPES, FISCAL_YEAR_START_MONTH, fiscalYear, formatNumber } = require('../services/numbering');
+
+const router = express.Router();
+
+/**
+ * Whether A Counter Is Still Used By Its Series' Format
+ *
+ * Counters from before the branch or year was taken in or out of the
+ * numbers are kept (so their numbers are never issued again) but not shown
+ * as numbers.
+ *
+ * @param {Object} series - numbering_series row
+ * @param {Object} counter - numbering_counters row
+ * @returns {Boolean}
+ */
+const inFormat = (series, counter) => Boolean(series.include_branch) === (counter.branch_id !== 0) &&
+  Boolean(series.include_year) === (counter.fiscal_year !== 0);
+
+// ============================================
+// GET ALL NUMBERING SERIES
+// GET /api/numbering-series
+// Admin Only
+// ============================================
+router.get('/', verifyToken, isAdmin, (req, res) => {
+  db.all('SELECT * FROM numbering_series ORDER BY id', (err, series) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch numbering series'
+      });
+    }
+
+    db.all(
+      `SELECT c.*, b.code as branch_code, b.name as branch_name
+       FROM numbering_counters c
+       LEFT JOIN branches b ON c.branch_id = b.id
+       ORDER BY c.fiscal_year DESC, b.name`,
+      (err, counters) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch numbering series'
+          });
+        }
+
+        res.json({
+          success: true,
+          fiscal_year: fiscalYear(),
+          fiscal_year_start_month: FISCAL_YEAR_START_MONTH,
+          series: series.map(row => ({
+            ...row,
+            counters: counters
+              .filter(counter => counter.series_id === row.id)
+              .map(counter => ({
+                ...counter,
+                last_issued: inFormat(row, counter)
+                  ? formatNumber(row, counter.branch_code || '', counter.fiscal_year, counter.last_number)
+                  : null
+              }))
+          }))
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// UPDATE NUMBERING SERIES
+// PUT /api/numbering-series/invoice
+// Body: { prefix, padding, include_branch, include_year }
+// Admin Only - Counters carry on from where they are, so numbers already issued are never reused
+// ============================================
+router.put('/:document_type', verifyToken, isAdmin, (req, res) => {
+  const { prefix, padding, include_branch, include_year } = req.body;
+
+  if (!DOCUMENT_TYPES.includes(req.params.document_type)) {
+    return res.status(404).json({
+      success: false,
+      error: `Numbering series not found. Must be one of: ${DOCUMENT_TYPES.join(', ')}`
+    });
+  }
+
+  // a dash in the prefix could make a number look like one of another format
+  const newPrefix = prefix !== undefined ? String(prefix).trim().toUpperCase() : null;
+  if (newPrefix !== null && !/^[A-Z0-9]{1,10}$/.test(newPrefix)) {
+    return res.status(400).json({
+      success: false,
+      error: 'prefix must be 1 to 10 letters or digits'
+    });
+  }
+
+  const newPadding = padding !== undefined ? Number(padding) : null;
+  if (newPadding !== null && (!Number.isInteger(newPadding) || newPadding < 1 || newPadding > 12)) {
+    return res.status(400).json({
+      success: false,
+      error: 'padding must be a whole number from 1 to 12'
+    });
+  }
+
+  db.get(
+    'SELECT id FROM numbering_series WHERE prefix = ? AND document_type != ?',
+    [newPrefix, req.params.document_type],
+    (err, clash) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update numbering series'
+        });
+      }
+
+      if (clash) {
+        return res.status(400).json({
+          success: false,
+          error: `Prefix ${newPrefix} is used by another series`
+        });
+      }
+
+      db.run(
+        `UPDATE numbering_series SET
+         prefix = COALESCE(?, prefix),
+         padding = COALESCE(?, padding),
+         include_branch = COALESCE(?, include_branch),
+         include_year = COALESCE(?, include_year),
+         updated_at = CURRENT_TIMESTAMP
+         WHERE document_type = ?`,
+        [newPrefix, newPadding,
+         include_branch !== undefined ? (include_branch ? 1 : 0) : null,
+         include_year !== undefined ? (include_year ? 1 : 0) : null,
+         req.params.document_type],
+        (err) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to update numbering series'
+            });
+          }
+
+          res.json({
+            success: true,
+            message: 'Numbering series updated successfully'
+          });
+        }
+      );
+    }
+  );
+});
+
+module.exports = router;
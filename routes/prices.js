@@ -0,0 +1,570 @@
+/**
+ * PRICE ROUTES
+ *
+ * Price history, scheduled price changes and margin reports (Admin only).
+ * Every change to a product's selling or purchase price is recorded with who
+ * made it (see services/prices.js):
+ * - GET /api/prices/history - Price changes (?product_id=&user_id=&start_date=&end_date=, paged: see services/listing.js)
+ * - GET /api/prices/as-of - Prices in effect at the end of a date (?date=&product_id=&category=)
+ * - GET /api/prices/reports/margins - Margin changes over time (?start_date=&end_date=&period=month&category=&product_id=)
+ * - GET /api/prices/scheduled - Scheduled changes (?status=pending&product_id=&name=, paged)
+ * - POST /api/prices/scheduled - Schedule new prices for one or more products
+ * - POST /api/prices/scheduled/apply - Apply the changes that are due now
+ * - DELETE /api/prices/scheduled/:id - Cancel a pending change
+ *
+ * Scheduled changes are otherwise applied by the server within a minute of falling due.
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { marginSql, applyDueChanges } = require('../services/prices');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/prices/history
+const HISTORY_LIST = {
+  sort: {
+    changed_at: 'changed_at',
+    product_name: 'product_name',
+    margin_percent: 'COALESCE(margin_percent, 0)'
+  },
+  defaultSort: '-changed_at',
+  fields: [
+    'id', 'product_id', 'product_name', 'sku', 'purchase_price', 'selling_price', 'margin', 'margin_percent',
+    'previous_purchase_price', 'previous_selling_price', 'previous_margin', 'previous_margin_percent',
+    'reason', 'scheduled_change_id', 'user_id', 'changed_by', 'changed_at'
+  ]
+};
+
+// Sort fields and fields of GET /api/prices/scheduled
+const SCHEDULED_LIST = {
+  sort: {
+    effective_at: 'effective_at',
+    created_at: 'created_at',
+    product_name: 'product_name'
+  },
+  defaultSort: 'effective_at',
+  fields: [
+    'id', 'product_id', 'product_name', 'sku', 'name', 'selling_price', 'purchase_price',
+    'current_selling_price', 'current_purchase_price', 'effective_at', 'status',
+    'created_by', 'created_by_name', 'applied_at', 'created_at'
+  ]
+};
+
+// Scheduled change states
+const SCHEDULE_STATUSES = ['pending', 'applied', 'cancelled'];
+
+// Report periods and how changed_at is grouped into them
+const MARGIN_PERIODS = { day: '%Y-%m-%d', week: '%Y-W%W', month: '%Y-%m' };
+
+/**
+ * Read A Date Or Date-Time As A UTC Timestamp Like CURRENT_TIMESTAMP's
+ *
+ * Times without a zone are UTC, as they are in the database.
+ *
+ * @param {String} value - e.g. 2024-07-01, 2024-07-01 06:00 or 2024-07-01T06:00:00+02:00
+ * @returns {String|null} 'YYYY-MM-DD HH:MM:SS', or null if it is not a date
+ */
+const toTimestamp = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().replace(' ', 'T');
+  const date = new Date(/T[\d:.]+$/.test(text) ? `${text}Z` : text);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+/**
+ * Read A Price That May Be Left Out
+ *
+ * @param {*} value
+ * @returns {Number|null|NaN} null when left out, NaN when not a price
+ */
+const parsePrice = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : NaN;
+};
+
+// ============================================
+// PRICE HISTORY
+// GET /api/prices/history?product_id=1&user_id=2&start_date=2024-01-01&end_date=2024-03-31
+// Admin Only - margin is selling minus purchase price, margin_percent its share of the selling price
+// ============================================
+router.get('/history', verifyToken, isAdmin, (req, res) => {
+  const { product_id, user_id, start_date, end_date } = req.query;
+
+  const list = parseListQuery(req.query, HISTORY_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  let query = `
+    SELECT h.*, p.name as product_name, p.sku, u.username as changed_by,
+           ROUND(h.selling_price - COALESCE(h.purchase_price, 0), 2) as margin,
+           ${marginSql('h.selling_price', 'h.purchase_price')} as margin_percent,
+           ROUND(h.previous_selling_price - COALESCE(h.previous_purchase_price, 0), 2) as previous_margin,
+           ${marginSql('h.previous_selling_price', 'h.previous_purchase_price')} as previous_margin_percent
+    FROM price_history h
+    JOIN products p ON h.product_id = p.id
+    LEFT JOIN users u ON h.user_id = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (product_id) {
+    query += ' AND h.product_id = ?';
+    params.push(product_id);
+  }
+  if (user_id) {
+    query += ' AND h.user_id = ?';
+    params.push(user_id);
+  }
+  if (start_date) {
+    query += ' AND DATE(h.changed_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(h.changed_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch price history'
+      });
+    }
+
+    const history = page.rows.map(row => pickFields(row, list.fields));
+    res.json({
+      success: true,
+      count: history.length,
+      total: page.total,
+      pagination: page.pagination,
+      history
+    });
+  });
+});
+
+// ============================================
+// PRICES AS OF A DATE
+// GET /api/prices/as-of?date=2024-03-31&category=Drinks
+// Admin Only - The last recorded prices on or before the end of that day (UTC);
+// products without a price recorded by then are left out
+// ============================================
+router.get('/as-of', verifyToken, isAdmin, (req, res) => {
+  const { date, product_id, category } = req.query;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !toTimestamp(date)) {
+    return res.status(400).json({
+      success: false,
+      error: 'date is required as YYYY-MM-DD'
+    });
+  }
+
+  let query = `
+    SELECT p.id as product_id, p.name as product_name, p.sku, p.category,
+           h.purchase_price, h.selling_price,
+           ROUND(h.selling_price - COALESCE(h.purchase_price, 0), 2) as margin,
+           ${marginSql('h.selling_price', 'h.purchase_price')} as margin_percent,
+           h.changed_at as price_since
+    FROM products p
+    JOIN price_history h ON h.id = (
+      SELECT MAX(id) FROM price_history WHERE product_id = p.id AND changed_at <= ?)
+    WHERE 1=1
+  `;
+  const params = [`${date} 23:59:59`];
+
+  if (product_id) {
+    query += ' AND p.id = ?';
+    params.push(product_id);
+  }
+  if (category) {
+    query += ' AND p.category = ?';
+    params.push(category);
+  }
+
+  query += ' ORDER BY p.name';
+
+  db.all(query, params, (err, prices) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch prices'
+      });
+    }
+
+    res.json({
+      success: true,
+      date,
+      count: prices.length,
+      prices
+    });
+  });
+});
+
+// ============================================
+// MARGIN REPORT
+// GET /api/prices/reports/margins?start_date=2024-01-01&end_date=2024-12-31&period=month&category=Drinks
+// Admin Only - periods: price changes per day, week or month with the average margin
+// before and after them; products: each changed product's margin before its first
+// change in the range and after its last, biggest drop first
+// ============================================
+router.get('/reports/margins', verifyToken, isAdmin, (req, res) => {
+  const { start_date, end_date, category, product_id } = req.query;
+  const period = req.query.period || 'month';
+
+  if (!MARGIN_PERIODS[period]) {
+    return res.status(400).json({
+      success: false,
+      error: `period must be one of: ${Object.keys(MARGIN_PERIODS).join(', ')}`
+    });
+  }
+
+  // Changes only: the first price of a new product replaced nothing
+  let filter = 'WHERE h.previous_selling_price IS NOT NULL';
+  const params = [];
+
+  if (start_date) {
+    filter += ' AND DATE(h.changed_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    filter += ' AND DATE(h.changed_at) <= DATE(?)';
+    params.push(end_date);
+  }
+  if (category) {
+    filter += ' AND p.category = ?';
+    params.push(category);
+  }
+  if (product_id) {
+    filter += ' AND h.product_id = ?';
+    params.push(product_id);
+  }
+
+  const margin = marginSql('h.selling_price', 'h.purchase_price');
+  const previousMargin = marginSql('h.previous_selling_price', 'h.previous_purchase_price');
+
+  db.all(
+    `SELECT strftime('${MARGIN_PERIODS[period]}', h.changed_at) as period,
+            COUNT(*) as changes,
+            COUNT(DISTINCT h.product_id) as products,
+            ROUND(AVG(${previousMargin}), 2) as avg_margin_percent_before,
+            ROUND(AVG(${margin}), 2) as avg_margin_percent_after,
+            ROUND(AVG(${margin} - ${previousMargin}), 2) as avg_margin_change
+     FROM price_history h
+     JOIN products p ON h.product_id = p.id
+     ${filter}
+     GROUP BY period ORDER BY period`,
+    params,
+    (err, periods) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to build margin report'
+        });
+      }
+
+      db.all(
+        `SELECT c.product_id, c.product_name, c.sku, c.category, c.changes,
+                f.previous_selling_price as selling_price_before, f.previous_purchase_price as purchase_price_before,
+                l.selling_price as selling_price_after, l.purchase_price as purchase_price_after,
+                ${marginSql('f.previous_selling_price', 'f.previous_purchase_price')} as margin_percent_before,
+                ${marginSql('l.selling_price', 'l.purchase_price')} as margin_percent_after,
+                ROUND(${marginSql('l.selling_price', 'l.purchase_price')}
+                      - ${marginSql('f.previous_selling_price', 'f.previous_purchase_price')}, 2) as margin_change
+         FROM (SELECT h.product_id, p.name as product_name, p.sku, p.category,
+                      COUNT(*) as changes, MIN(h.id) as first_id, MAX(h.id) as last_id
+               FROM price_history h
+               JOIN products p ON h.product_id = p.id
+               ${filter}
+               GROUP BY h.product_id) c
+         JOIN price_history f ON f.id = c.first_id
+         JOIN price_history l ON l.id = c.last_id
+         ORDER BY margin_change IS NULL, margin_change, c.product_name`,
+        params,
+        (err, products) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to build margin report'
+            });
+          }
+
+          res.json({
+            success: true,
+            period,
+            start_date: start_date || null,
+            end_date: end_date || null,
+            periods,
+            products
+          });
+        }
+      );
+    }
+  );
+});
+
+// ============================================
+// GET SCHEDULED PRICE CHANGES
+// GET /api/prices/scheduled?status=pending&product_id=1&name=July%20price%20list
+// Admin Only
+// ============================================
+router.get('/scheduled', verifyToken, isAdmin, (req, res) => {
+  const { status, product_id, name } = req.query;
+
+  const list = parseListQuery(req.query, SCHEDULED_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  if (status && !SCHEDULE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${SCHEDULE_STATUSES.join(', ')}`
+    });
+  }
+
+  let query = `
+    SELECT c.*, p.name as product_name, p.sku,
+           p.selling_price as current_selling_price, p.purchase_price as current_purchase_price,
+           u.username as created_by_name
+    FROM scheduled_price_changes c
+    JOIN products p ON c.product_id = p.id
+    LEFT JOIN users u ON c.created_by = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND c.status = ?';
+    params.push(status);
+  }
+  if (product_id) {
+    query += ' AND c.product_id = ?';
+    params.push(product_id);
+  }
+  if (name) {
+    query += ' AND c.name = ?';
+    params.push(name);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch scheduled price changes'
+      });
+    }
+
+    const changes = page.rows.map(row => pickFields(row, list.fields));
+    res.json({
+      success: true,
+      count: changes.length,
+      total: page.total,
+      pagination: page.pagination,
+      changes
+    });
+  });
+});
+
+// ============================================
+// SCHEDULE PRICE CHANGES
+// POST /api/prices/scheduled
+// Admin Only - Body: { name: 'July price list', effective_at: '2024-07-01T00:00:00Z',
+//                      items: [{ product_id, selling_price, purchase_price }] }
+// effective_at without a time zone is read as UTC. A price left out stays as it is then;
+// a parent's selling price carries over to its variants, a variant's becomes its override.
+// ============================================
+router.post('/scheduled', verifyToken, isAdmin, (req, res) => {
+  const { items } = req.body;
+  const name = req.body.name ? String(req.body.name).trim() : null;
+  const effectiveAt = toTimestamp(req.body.effective_at);
+
+  if (!effectiveAt) {
+    return res.status(400).json({
+      success: false,
+      error: 'effective_at must be a date or date-time'
+    });
+  }
+
+  if (effectiveAt <= toTimestamp(new Date().toISOString())) {
+    return res.status(400).json({
+      success: false,
+      error: 'effective_at must be in the future; change current prices on the product itself'
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one item is required'
+    });
+  }
+
+  const changes = items.map(item => ({
+    productId: parseInt(item.product_id),
+    sellingPrice: parsePrice(item.selling_price),
+    purchasePrice: parsePrice(item.purchase_price)
+  }));
+
+  for (const change of changes) {
+    if (!change.productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every item needs a product_id'
+      });
+    }
+    if (Number.isNaN(change.sellingPrice) || Number.isNaN(change.purchasePrice)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prices must be zero or more'
+      });
+    }
+    if (change.sellingPrice === null && change.purchasePrice === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Item for product ${change.productId} has no selling_price or purchase_price`
+      });
+    }
+  }
+
+  const productIds = [...new Set(changes.map(change => change.productId))];
+
+  db.all(
+    `SELECT id FROM products WHERE id IN (${productIds.map(() => '?').join(',')})`,
+    productIds,
+    (err, products) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to schedule price changes'
+        });
+      }
+
+      const found = new Set(products.map(product => product.id));
+      const missing = productIds.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Product(s) not found: ${missing.join(', ')}`
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        const changeIds = [];
+        const next = (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to schedule price changes'
+            });
+          }
+
+          if (changeIds.length === changes.length) {
+            return db.run('COMMIT', () => {
+              res.status(201).json({
+                success: true,
+                message: `${changeIds.length} price change(s) scheduled for ${effectiveAt} UTC`,
+                effective_at: effectiveAt,
+                changeIds
+              });
+            });
+          }
+
+          const change = changes[changeIds.length];
+          db.run(
+            `INSERT INTO scheduled_price_changes
+             (product_id, name, selling_price, purchase_price, effective_at, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [change.productId, name, change.sellingPrice, change.purchasePrice, effectiveAt, req.userId],
+            function(err) {
+              if (!err) changeIds.push(this.lastID);
+              next(err);
+            }
+          );
+        };
+
+        next(null);
+      });
+    }
+  );
+});
+
+// ============================================
+// APPLY DUE PRICE CHANGES
+// POST /api/prices/scheduled/apply
+// Admin Only - Applies what is due without waiting for the scheduler
+// ============================================
+router.post('/scheduled/apply', verifyToken, isAdmin, (req, res) => {
+  applyDueChanges((err, applied) => {
+    if (err) {
+      console.error('Error applying price changes:', err);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to apply price changes'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${applied.length} price change(s) applied`,
+      changeIds: applied.map(change => change.id)
+    });
+  });
+});
+
+// ============================================
+// CANCEL SCHEDULED PRICE CHANGE
+// DELETE /api/prices/scheduled/:id
+// Admin Only - Pending changes only; the record is kept as cancelled
+// ============================================
+router.delete('/scheduled/:id', verifyToken, isAdmin, (req, res) => {
+  db.get('SELECT status FROM scheduled_price_changes WHERE id = ?', [req.params.id], (err, change) => {
+    if (err || !change) {
+      return res.status(err ? 500 : 404).json({
+        success: false,
+        error: err ? 'Failed to cancel price change' : 'Scheduled price change not found'
+      });
+    }
+
+    if (change.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `This price change is already ${change.status}`
+      });
+    }
+
+    db.run(
+      "UPDATE scheduled_price_changes SET status = 'cancelled' WHERE id = ? AND status = 'pending'",
+      [req.params.id],
+      (err) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to cancel price change'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Price change cancelled'
+        });
+      }
+    );
+  });
+});
+
+module.exports = router;
@@ -2,113 +2,398 @@
  * PRODUCT MANAGEMENT ROUTES
  * 
  * Handles all product-related operations:
- * - GET /api/products - List all products (with filters)
- * - GET /api/products/:id - Get single product
+ * - GET /api/products - List products, variants grouped under their parent (filters, paging, sorting, fields)
+ * - GET /api/products/:id - Get single product (with its variants)
+ * - GET /api/products/lookup/:code - Exact barcode/SKU match for scanning
+ * - GET /api/products/export - Download the catalogue as CSV or XLSX (Admin only)
+ * - POST /api/products/import - Create or update products from CSV or XLSX (Admin only)
  * - POST /api/products - Add new product (Admin only)
  * - PUT /api/products/:id - Update product (Admin only)
  * - DELETE /api/products/:id - Delete product (Admin only)
  * - GET /api/products/stats/dashboard - Get dashboard statistics
+ * - GET /api/products/:id/movements - Stock movement history
+ * - POST /api/products/:id/stock-adjustments - Manual stock adjustment (Admin only)
+ * - GET /api/products/stock/reconcile - Products whose stock drifted from the ledger (Admin only)
+ * - POST /api/products/stock/rebuild - Reset quantities from the ledger (Admin only)
+ * - GET /api/products/stock/valuation - Stock value at cost on any date (Admin only)
+ * - POST /api/products/images/cleanup - Delete image files nothing refers to (Admin only)
+ *
+ * Variants (size, colour, ...) live under /api/products/:productId/variants (see routes/variants.js),
+ * barcodes and labels under /api/products/:productId/barcodes (see routes/barcodes.js),
+ * images under /api/products/:productId/images (see routes/images.js).
+ * Price changes are kept in the price history and can be scheduled ahead (see routes/prices.js).
  */
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const db = require('../database');
 const { verifyToken, isAdmin } = require('../middleware/auth');
+const { imageUpload, processUploadedImage } = require('../middleware/upload');
+const { BRANCH_PRODUCTS, withAvailable, asBranchStock, adjustStock, refreshStatus, findDrift, rebuildFromLedger } = require('../services/stock');
+const { writeBranchId } = require('../services/branches');
+const { withAttributes, asGroup, loadFamilies, groupVariants, syncVariants } = require('../services/variants');
+const { WEIGHED_SQL, isStockQuantity, setPrimaryBarcode, findByCode, embeddedAmounts } = require('../services/barcodes');
+const { FORMATS, formatOf, readSheet, loadContext, planImport, applyImport, exportCatalogue } = require('../services/catalogue');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+const { MATCH_SQL, buildMatch } = require('../services/search');
+const { recordPrices } = require('../services/prices');
+const { COSTING_METHOD, profitLines, valueStock } = require('../services/costing');
+const { roundMoney } = require('../utils/money');
+const { addImage, imageFiles, removeFiles, withImageUrls, withRenditionUrls, removeOrphans } = require('../services/images');
 
 const router = express.Router();
 
+// Sort fields and fields of GET /api/products (quantity depends on the listing, see below)
+const PRODUCT_LIST = {
+  sort: {
+    name: 'name',
+    sku: 'sku',
+    category: "COALESCE(category, '')",
+    selling_price: 'selling_price',
+    quantity: 'quantity',
+    created_at: 'created_at',
+    updated_at: 'updated_at'
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'name', 'sku', 'category', 'brand', 'description', 'purchase_price', 'selling_price',
+    'quantity', 'total_quantity', 'reserved_quantity', 'available_quantity', 'min_stock', 'image_path', 'thumbnail_path', 'image_url', 'thumbnail_url',
+    'supplier', 'supplier_id', 'status',
+    'tax_rate_id', 'damaged_quantity', 'barcode', 'parent_id', 'attributes', 'price_override',
+    'has_variants', 'variants', 'variant_count', 'created_at', 'updated_at'
+  ]
+};
+
 // ============================================
-// MULTER CONFIGURATION FOR IMAGE UPLOADS
+// MULTER CONFIGURATION FOR CATALOGUE FILES
 // ============================================
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
-}
+// Catalogue files for import are read from memory, never written to uploads/
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    // Create unique filename: timestamp-randomnumber.extension
-    const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname);
-    cb(null, uniqueName);
+// ============================================
+// GET ALL PRODUCTS (with optional filters)
+// GET /api/products?search=laptop&category=electronics&status=in_stock&supplier_id=2&branch_id=1&flat=true
+//     &limit=50&page=1&sort=-created_at&fields=id,name,sku  (see services/listing.js)
+// search matches word starts with typo correction (see services/search.js) and sorts by
+// relevance by default; corrected lists the misspelt words and what was searched instead.
+// Staff always see their own branch's stock; admins see totals unless they pick a branch.
+// A variant that matches brings in its parent with all its variants, and pages count
+// parents and standalone products; flat=true lists and pages rows as they are.
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { search, category, status, supplier_id, flat } = req.query;
+  const grouped = flat !== 'true';
+
+  // Searches sort by relevance unless told otherwise
+  const list = parseListQuery(req.query, {
+    ...PRODUCT_LIST,
+    sort: {
+      ...PRODUCT_LIST.sort,
+      quantity: grouped ? 'list_quantity' : req.branchScope ? 'branch_quantity' : 'quantity',
+      ...(search ? { relevance: 'search_rank' } : {})
+    },
+    defaultSort: search ? 'relevance' : PRODUCT_LIST.defaultSort
+  });
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error,
+      products: []
+    });
   }
+
+  buildMatch(search, (err, found) => {
+    if (err) {
+      console.error('Error searching products:', err);
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to fetch products',
+        products: []
+      });
+    }
+
+    // Build dynamic query (stock and status are per branch when scoped to one)
+    const source = req.branchScope ? `SELECT * FROM (${BRANCH_PRODUCTS})` : 'SELECT * FROM products';
+    const sourceParams = req.branchScope ? [req.branchScope] : [];
+    let query = `SELECT *, NULL as search_rank FROM (${source}) WHERE 1=1`;
+    let params = [...sourceParams];
+
+    // Add search filter (full-text over name, sku, brand, description, category and barcodes)
+    if (found) {
+      query = `SELECT s.*, m.search_rank FROM (${source}) s JOIN (${MATCH_SQL}) m ON m.product_id = s.id WHERE 1=1`;
+      params.push(found.match);
+    }
+
+    // Add category filter
+    if (category) {
+      query += ' AND category = ?';
+      params.push(category);
+    }
+
+    // Add status filter
+    if (status) {
+      query += req.branchScope ? ' AND branch_status = ?' : ' AND status = ?';
+      params.push(status);
+    }
+
+    // Add supplier filter
+    if (supplier_id) {
+      query += ' AND supplier_id = ?';
+      params.push(supplier_id);
+    }
+
+    // Grouped lists page over parents and standalone products; a parent's quantity is its
+    // variants' total and its relevance that of its best match
+    if (grouped) {
+      const variantQuantity = req.branchScope
+        ? `(SELECT COALESCE(SUM(ps.quantity), 0) FROM product_stock ps JOIN products v ON v.id = ps.product_id
+            WHERE v.parent_id = t.id AND ps.branch_id = ?)`
+        : '(SELECT COALESCE(SUM(v.quantity), 0) FROM products v WHERE v.parent_id = t.id)';
+      query = `SELECT t.*, CASE WHEN t.has_variants = 1 THEN ${variantQuantity}
+                                ELSE t.${req.branchScope ? 'branch_quantity' : 'quantity'} END as list_quantity,
+                      f.search_rank
+               FROM (${source}) t
+               JOIN (SELECT COALESCE(parent_id, id) as top_id, ${found ? 'MIN(search_rank)' : 'NULL'} as search_rank
+                     FROM (${query}) GROUP BY top_id) f ON f.top_id = t.id
+               WHERE t.parent_id IS NULL`;
+      params = [...(req.branchScope ? [req.branchScope] : []), ...sourceParams, ...params];
+    }
+
+    fetchPage(query, params, list, (err, page) => {
+      if (err) {
+        console.error('Error fetching products:', err);
+        return res.status(500).json({ 
+          success: false,
+          error: 'Failed to fetch products',
+          products: [] // ✅ Always send empty array on error
+        });
+      }
+
+      if (!grouped) {
+        const products = page.rows.map(({ search_rank, ...row }) =>
+          pickFields(withImageUrls(withAttributes(req.branchScope ? asBranchStock(row) : withAvailable(row))), list.fields));
+        return res.json({
+          success: true,
+          count: products.length,
+          total: page.total,
+          pagination: page.pagination,
+          corrected: found ? found.corrected : [],
+          products
+        });
+      }
+
+      groupVariants(page.rows, req.branchScope, (err, groups) => {
+        if (err) {
+          console.error('Error grouping variants:', err);
+          return res.status(500).json({ 
+            success: false,
+            error: 'Failed to fetch products',
+            products: []
+          });
+        }
+
+        const products = groups.map(group => {
+          const picked = pickFields(group, list.fields);
+          if (list.fields && picked.variants) {
+            picked.variants = picked.variants.map(variant => pickFields(variant, list.fields));
+          }
+          return picked;
+        });
+
+        res.json({
+          success: true,
+          count: products.length,
+          total: page.total,
+          pagination: page.pagination,
+          corrected: found ? found.corrected : [],
+          products: products || [] // ✅ Ensure products is always an array
+        });
+      });
+    });
+  });
 });
 
-// Configure multer with file filters
-const upload = multer({
-  storage: storage,
-  limits: { 
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Allowed image formats
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files (JPEG, JPG, PNG, GIF, WEBP) are allowed!'));
+// ============================================
+// SCAN LOOKUP
+// GET /api/products/lookup/4006381333931?branch_id=1
+// Exact match on a barcode, then a SKU, then a weighed-item barcode (which also
+// returns the price and weight it carries)
+// ============================================
+router.get('/lookup/:code', verifyToken, (req, res) => {
+  const code = String(req.params.code).trim();
+
+  findByCode(code, (err, match) => {
+    if (err) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to look up code' 
+      });
     }
-  }
+
+    if (!match) {
+      return res.status(404).json({ 
+        success: false,
+        error: `No product found for code ${code}` 
+      });
+    }
+
+    loadFamilies([match.product_id], req.branchScope, (err, family) => {
+      const row = family && family.find(item => item.id === match.product_id);
+      if (err || !row) {
+        return res.status(500).json({ 
+          success: false,
+          error: 'Failed to look up code' 
+        });
+      }
+
+      res.json({
+        success: true,
+        matched_by: match.matched_by,
+        product: row.has_variants ? asGroup(row, family.filter(item => item.parent_id === row.id)) : row,
+        embedded: match.embedded ? embeddedAmounts(match.embedded, row.selling_price) : null
+      });
+    });
+  });
 });
 
 // ============================================
-// GET ALL PRODUCTS (with optional filters)
-// GET /api/products?search=laptop&category=electronics&status=in_stock
+// EXPORT CATALOGUE
+// GET /api/products/export?format=xlsx&branch_id=1
+// Admin Only - Same columns as the import; quantities are one branch's when branch_id is given
 // ============================================
-router.get('/', verifyToken, (req, res) => {
-  const { search, category, status } = req.query;
-  
-  // Build dynamic query
-  let query = 'SELECT * FROM products WHERE 1=1';
-  const params = [];
-
-  // Add search filter (searches name, sku, and category)
-  if (search) {
-    query += ' AND (name LIKE ? OR sku LIKE ? OR category LIKE ?)';
-    const searchTerm = `%${search}%`;
-    params.push(searchTerm, searchTerm, searchTerm);
-  }
+router.get('/export', verifyToken, isAdmin, (req, res) => {
+  const format = req.query.format || 'csv';
 
-  // Add category filter
-  if (category) {
-    query += ' AND category = ?';
-    params.push(category);
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'format must be "csv" or "xlsx"' 
+    });
   }
 
-  // Add status filter
-  if (status) {
-    query += ' AND status = ?';
-    params.push(status);
+  exportCatalogue(format, req.branchScope, (err, file) => {
+    if (err) {
+      console.error('Error exporting products:', err);
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to export products' 
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`products-${date}.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(file);
+  });
+});
+
+// ============================================
+// IMPORT CATALOGUE
+// POST /api/products/import
+// Admin Only - multipart form: file (.csv or .xlsx), dry_run, upsert, skip_invalid, branch_id
+// Every row is checked before anything is written. With errors nothing is imported unless
+// skip_invalid=true; dry_run=true only reports what would happen. upsert=true updates
+// products whose SKU already exists (blank cells keep their value). Quantities are totals,
+// or branch_id's stock when given; differences are booked as adjustments.
+// ============================================
+router.post('/import', verifyToken, isAdmin, sheetUpload.single('file'), (req, res) => {
+  const flag = (name) => req.body[name] === true || req.body[name] === 'true';
+  const stockBranch = parseInt(req.body.branch_id) || null;
+
+  if (!req.file) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Upload the catalogue as "file"' 
+    });
   }
 
-  // Order by most recent first
-  query += ' ORDER BY created_at DESC';
+  const format = formatOf(req.file);
+  if (!format) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Only .csv and .xlsx files can be imported' 
+    });
+  }
 
-  // Execute query
-  db.all(query, params, (err, products) => {
+  readSheet(req.file.buffer, format, (err, sheet) => {
     if (err) {
-      console.error('Error fetching products:', err);
-      return res.status(500).json({ 
+      return res.status(err.status || 500).json({ 
         success: false,
-        error: 'Failed to fetch products',
-        products: [] // ✅ Always send empty array on error
+        error: err.status ? err.message : 'Failed to read file' 
       });
     }
 
-    res.json({
-      success: true,
-      count: products.length,
-      products: products || [] // ✅ Ensure products is always an array
+    loadContext(stockBranch, (err, context) => {
+      if (err) {
+        return res.status(500).json({ 
+          success: false,
+          error: 'Failed to import products' 
+        });
+      }
+
+      const plan = planImport(sheet.rows, context, { upsert: flag('upsert') });
+      const valid = plan.filter(entry => entry.errors.length === 0);
+      const report = plan.map(({ row, sku, action, errors }) => ({
+        row, sku, action: errors.length > 0 ? 'error' : action, errors
+      }));
+      const summary = {
+        rows: plan.length,
+        create: valid.filter(entry => entry.action === 'create').length,
+        update: valid.filter(entry => entry.action === 'update').length,
+        errors: plan.length - valid.length
+      };
+
+      if (flag('dry_run')) {
+        return res.json({
+          success: true,
+          dry_run: true,
+          columns: sheet.columns,
+          summary,
+          rows: report
+        });
+      }
+
+      if (summary.errors > 0 && !flag('skip_invalid')) {
+        return res.status(400).json({
+          success: false,
+          error: `${summary.errors} row(s) have errors; nothing was imported`,
+          summary,
+          rows: report.filter(entry => entry.action === 'error')
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        applyImport(valid, context, {
+          userId: req.userId,
+          branchId: stockBranch || writeBranchId(req)
+        }, (err, failed) => {
+          if (err) {
+            console.error('Error importing products:', err);
+            db.run('ROLLBACK');
+            return res.status(err.status || 500).json({ 
+              success: false,
+              error: `Row ${failed ? failed.row : '?'}: ${err.status ? err.message : 'failed to import'}; nothing was imported` 
+            });
+          }
+
+          db.run('COMMIT', () => {
+            res.json({
+              success: true,
+              message: `${summary.create} product(s) created, ${summary.update} updated, ${summary.errors} skipped`,
+              summary,
+              rows: report.filter(entry => entry.action === 'error')
+            });
+          });
+        });
+      });
     });
   });
 });
@@ -116,9 +401,10 @@ router.get('/', verifyToken, (req, res) => {
 // ============================================
 // GET SINGLE PRODUCT
 // GET /api/products/:id
+// A parent comes with its variants, and its stock is theirs added up
 // ============================================
 router.get('/:id', verifyToken, (req, res) => {
-  db.get('SELECT * FROM products WHERE id = ?', [req.params.id], (err, product) => {
+  loadFamilies([Number(req.params.id)], req.branchScope, (err, family) => {
     if (err) {
       return res.status(500).json({ 
         success: false,
@@ -126,29 +412,62 @@ router.get('/:id', verifyToken, (req, res) => {
       });
     }
 
-    if (!product) {
+    const row = family.find(item => item.id === Number(req.params.id));
+    if (!row) {
       return res.status(404).json({ 
         success: false,
         error: 'Product not found' 
       });
     }
 
-    res.json({
-      success: true,
-      product
-    });
+    const product = row.has_variants ? asGroup(row, family.filter(item => item.parent_id === row.id)) : row;
+
+    db.all(
+      'SELECT * FROM product_images WHERE product_id = ? ORDER BY is_primary DESC, sort_order, id',
+      [req.params.id],
+      (err, images) => {
+        product.images = (images || []).map(withRenditionUrls);
+
+        // Stock held at each branch (admins only; staff see their own branch)
+        if (req.userRole !== 'admin') {
+          return res.json({
+            success: true,
+            product
+          });
+        }
+
+        db.all(
+          `SELECT b.id as branch_id, b.name as branch_name, SUM(ps.quantity) as quantity,
+                  SUM(COALESCE(ps.reserved_quantity, 0)) as reserved_quantity,
+                  SUM(ps.quantity - COALESCE(ps.reserved_quantity, 0)) as available_quantity
+           FROM product_stock ps
+           JOIN branches b ON ps.branch_id = b.id
+           JOIN products p ON ps.product_id = p.id
+           WHERE p.id = ? OR p.parent_id = ?
+           GROUP BY b.id ORDER BY b.name`,
+          [req.params.id, req.params.id],
+          (err, stock) => {
+            product.stock = stock || [];
+            res.json({
+              success: true,
+              product
+            });
+          }
+        );
+      }
+    );
   });
 });
 
 // ============================================
 // ADD NEW PRODUCT
 // POST /api/products
-// Admin Only - With Image Upload
+// Admin Only - With Image Upload (image becomes the primary image)
 // ============================================
-router.post('/', verifyToken, isAdmin, upload.single('image'), (req, res) => {
+router.post('/', verifyToken, isAdmin, imageUpload.single('image'), processUploadedImage, (req, res) => {
   const {
-    name, sku, category, brand, description,
-    purchase_price, selling_price, quantity, min_stock, supplier
+    name, sku, barcode, category, brand, description,
+    purchase_price, selling_price, quantity, min_stock, supplier, supplier_id, tax_rate_id
   } = req.body;
 
   // Validate required fields
@@ -159,131 +478,242 @@ router.post('/', verifyToken, isAdmin, upload.single('image'), (req, res) => {
     });
   }
 
-  // Get image path if uploaded
-  const imagePath = req.file ? `/uploads/${req.file.filename}` : null;
-  
   // Parse numeric values
   const qty = parseInt(quantity) || 0;
   const minStock = parseInt(min_stock) || 5;
   const purchasePrice = parseFloat(purchase_price) || 0;
   const sellingPrice = parseFloat(selling_price);
+  const taxRateId = parseInt(tax_rate_id) || null;
+  const supplierId = parseInt(supplier_id) || null;
   
-  // Determine stock status automatically
-  let status = 'in_stock';
-  if (qty === 0) {
-    status = 'out_of_stock';
-  } else if (qty <= minStock) {
-    status = 'low_stock';
-  }
+  // Product starts empty; the opening quantity is booked through the stock ledger
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
 
-  // Insert product into database
-  db.run(
-    `INSERT INTO products 
-    (name, sku, category, brand, description, purchase_price, selling_price, 
-     quantity, min_stock, image_path, supplier, status) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [name, sku, category, brand, description, purchasePrice, sellingPrice, 
-     qty, minStock, imagePath, supplier, status],
-    function(err) {
-      if (err) {
-        console.error('Error adding product:', err);
+    // Insert product into database
+    db.run(
+      `INSERT INTO products 
+      (name, sku, category, brand, description, purchase_price, selling_price, 
+       quantity, min_stock, supplier, supplier_id, status, tax_rate_id) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, COALESCE((SELECT name FROM suppliers WHERE id = ?), ?), ?, 'out_of_stock', ?)`,
+      [name, sku, category, brand, description, purchasePrice, sellingPrice, 
+       minStock, supplierId, supplier, supplierId, taxRateId],
+      function(err) {
+        if (err) {
+          console.error('Error adding product:', err);
+          db.run('ROLLBACK');
+        
+          // Check for duplicate SKU
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Product with this SKU already exists' 
+            });
+          }
+
+          if (err.message.includes('FOREIGN KEY constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Tax rate or supplier not found' 
+            });
+          }
         
-        // Check for duplicate SKU
-        if (err.message.includes('UNIQUE constraint failed')) {
-          return res.status(400).json({ 
+          return res.status(500).json({ 
             success: false,
-            error: 'Product with this SKU already exists' 
+            error: 'Failed to add product' 
           });
         }
-        
-        return res.status(500).json({ 
-          success: false,
-          error: 'Failed to add product' 
+
+        const productId = this.lastID;
+
+        const fail = (err) => {
+          db.run('ROLLBACK');
+          res.status(err.status || 500).json({ 
+            success: false,
+            error: err.status ? err.message : 'Failed to add product' 
+          });
+        };
+
+        const saveImage = (callback) => {
+          if (!req.image) return callback(null);
+          addImage({ productId, image: req.image, originalName: req.file.originalname, primary: true }, callback);
+        };
+
+        setPrimaryBarcode(productId, barcode, (err) => {
+          if (err) return fail(err);
+
+          saveImage((err) => {
+            if (err) return fail(err);
+
+            recordPrices(productId, { userId: req.userId, reason: 'Product created' }, (err) => {
+              if (err) return fail(err);
+
+              adjustStock({
+                productId,
+                branchId: writeBranchId(req),
+                change: qty,
+                type: 'opening',
+                userId: req.userId,
+                reason: 'Product created'
+              }, (err) => {
+                if (err) return fail(err);
+
+                db.run('COMMIT', () => {
+                  // Success!
+                  res.status(201).json({ 
+                    success: true,
+                    message: 'Product added successfully',
+                    productId 
+                  });
+                });
+              });
+            });
+          });
         });
       }
-
-      // Success!
-      res.status(201).json({ 
-        success: true,
-        message: 'Product added successfully',
-        productId: this.lastID 
-      });
-    }
-  );
+    );
+  });
 });
 
 // ============================================
 // UPDATE PRODUCT
 // PUT /api/products/:id
-// Admin Only - With Optional Image Upload
+// Admin Only - With Optional Image Upload (added as the new primary image)
+// Editing a parent carries its details and price over to its variants; barcode: '' removes it
 // ============================================
-router.put('/:id', verifyToken, isAdmin, upload.single('image'), (req, res) => {
+router.put('/:id', verifyToken, isAdmin, imageUpload.single('image'), processUploadedImage, (req, res) => {
   const {
-    name, sku, category, brand, description,
-    purchase_price, selling_price, quantity, min_stock, supplier
+    name, sku, barcode, category, brand, description,
+    purchase_price, selling_price, quantity, min_stock, supplier, supplier_id, tax_rate_id, stock_reason
   } = req.body;
 
-  // Parse values
-  const qty = parseInt(quantity) || 0;
-  const minStock = parseInt(min_stock) || 5;
-  const purchasePrice = parseFloat(purchase_price) || 0;
-  const sellingPrice = parseFloat(selling_price);
-
-  // Determine status
-  let status = 'in_stock';
-  if (qty === 0) status = 'out_of_stock';
-  else if (qty <= minStock) status = 'low_stock';
-
-  // Build update query
-  let query = `
-    UPDATE products SET 
-    name = ?, sku = ?, category = ?, brand = ?, description = ?,
-    purchase_price = ?, selling_price = ?, quantity = ?, min_stock = ?,
-    supplier = ?, status = ?, updated_at = CURRENT_TIMESTAMP
-  `;
-  
-  const params = [
-    name, sku, category, brand, description,
-    purchasePrice, sellingPrice, qty, minStock, supplier, status
-  ];
-
-  // Add image if new one uploaded
-  if (req.file) {
-    query += ', image_path = ?';
-    params.push(`/uploads/${req.file.filename}`);
-  }
-
-  query += ' WHERE id = ?';
-  params.push(req.params.id);
-
-  // Execute update
-  db.run(query, params, function(err) {
+  db.get('SELECT quantity, parent_id, has_variants FROM products WHERE id = ?', [req.params.id], (err, existing) => {
     if (err) {
-      console.error('Error updating product:', err);
-      
-      if (err.message.includes('UNIQUE constraint failed')) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'Another product with this SKU already exists' 
-        });
-      }
-      
       return res.status(500).json({ 
         success: false,
-        error: 'Failed to update product' 
+        error: 'Failed to fetch product' 
       });
     }
 
-    if (this.changes === 0) {
+    if (!existing) {
       return res.status(404).json({ 
         success: false,
         error: 'Product not found' 
       });
     }
 
-    res.json({ 
-      success: true,
-      message: 'Product updated successfully' 
+    if (existing.parent_id) {
+      return res.status(400).json({ 
+        success: false,
+        error: `This is a variant; update it through /api/products/${existing.parent_id}/variants/${req.params.id}` 
+      });
+    }
+
+    // Parse values (quantity left out keeps the current stock)
+    const qty = quantity === undefined || quantity === '' ? existing.quantity : parseInt(quantity) || 0;
+    const minStock = parseInt(min_stock) || 5;
+    const purchasePrice = parseFloat(purchase_price) || 0;
+    const sellingPrice = parseFloat(selling_price);
+    const taxRateId = parseInt(tax_rate_id) || null;
+    const supplierId = parseInt(supplier_id) || null;
+
+    // Build update query (quantity changes go through the stock ledger below)
+    let query = `
+      UPDATE products SET 
+      name = ?, sku = ?, category = ?, brand = ?, description = ?,
+      purchase_price = ?, selling_price = ?, min_stock = ?,
+      supplier = COALESCE((SELECT name FROM suppliers WHERE id = ?), ?), supplier_id = ?,
+      tax_rate_id = ?, updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    const params = [
+      name, sku, category, brand, description,
+      purchasePrice, sellingPrice, minStock, supplierId, supplier, supplierId, taxRateId
+    ];
+
+    query += ' WHERE id = ?';
+    params.push(req.params.id);
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      // Execute update
+      db.run(query, params, function(err) {
+        if (err) {
+          console.error('Error updating product:', err);
+          db.run('ROLLBACK');
+        
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Another product with this SKU already exists' 
+            });
+          }
+
+          if (err.message.includes('FOREIGN KEY constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Tax rate or supplier not found' 
+            });
+          }
+        
+          return res.status(500).json({ 
+            success: false,
+            error: 'Failed to update product' 
+          });
+        }
+
+        // Book a quantity change as an adjustment; otherwise min_stock may still move the status
+        const done = (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(err.status || 500).json({ 
+              success: false,
+              error: err.status ? err.message : 'Failed to update product' 
+            });
+          }
+
+          db.run('COMMIT', () => {
+            res.json({ 
+              success: true,
+              message: 'Product updated successfully' 
+            });
+          });
+        };
+
+        // Price changes are logged once the variants have caught up with the parent
+        const finish = (err) => {
+          if (err) return done(err);
+          recordPrices(Number(req.params.id), { userId: req.userId, reason: 'Product edited' }, done);
+        };
+
+        const saveImage = (callback) => {
+          if (!req.image) return callback(null);
+          addImage({ productId: Number(req.params.id), image: req.image, originalName: req.file.originalname, primary: true }, callback);
+        };
+
+        setPrimaryBarcode(Number(req.params.id), barcode, (err) => {
+          if (err) return done(err);
+
+          saveImage((err) => {
+            if (err) return done(err);
+
+            if (existing.has_variants) return syncVariants(Number(req.params.id), finish);
+
+            if (qty === existing.quantity) return refreshStatus(req.params.id, finish);
+
+            // quantity is the total across branches; the difference lands on one branch
+            adjustStock({
+              productId: Number(req.params.id),
+              branchId: writeBranchId(req),
+              change: qty - existing.quantity,
+              type: 'adjustment',
+              userId: req.userId,
+              reason: stock_reason || 'Product edited'
+            }, finish);
+          });
+        });
+      });
     });
   });
 });
@@ -294,58 +724,69 @@ router.put('/:id', verifyToken, isAdmin, upload.single('image'), (req, res) => {
 // Admin Only
 // ============================================
 router.delete('/:id', verifyToken, isAdmin, (req, res) => {
-  // First get the product to delete its image
-  db.get('SELECT image_path FROM products WHERE id = ?', [req.params.id], (err, product) => {
-    if (err) {
-      return res.status(500).json({ 
-        success: false,
-        error: 'Failed to fetch product' 
-      });
-    }
-
-    // Delete product from database
-    db.run('DELETE FROM products WHERE id = ?', [req.params.id], function(err) {
+  // First get the images of the product and its variants, to delete their files
+  db.all(
+    `SELECT i.* FROM product_images i JOIN products p ON i.product_id = p.id
+     WHERE p.id = ? OR p.parent_id = ?`,
+    [req.params.id, req.params.id],
+    (err, images) => {
       if (err) {
         return res.status(500).json({ 
           success: false,
-          error: 'Failed to delete product' 
+          error: 'Failed to fetch product' 
         });
       }
 
-      if (this.changes === 0) {
-        return res.status(404).json({ 
-          success: false,
-          error: 'Product not found' 
-        });
-      }
+      // Delete product from database
+      db.run('DELETE FROM products WHERE id = ?', [req.params.id], function(err) {
+        if (err) {
+          return res.status(500).json({ 
+            success: false,
+            error: 'Failed to delete product' 
+          });
+        }
 
-      // Delete image file if exists
-      if (product && product.image_path) {
-        const imagePath = path.join(__dirname, '..', product.image_path);
-        fs.unlink(imagePath, (err) => {
-          if (err) console.error('Error deleting image:', err);
-        });
-      }
+        if (this.changes === 0) {
+          return res.status(404).json({ 
+            success: false,
+            error: 'Product not found' 
+          });
+        }
 
-      res.json({ 
-        success: true,
-        message: 'Product deleted successfully' 
+        // Delete image files
+        removeFiles(imageFiles(images));
+
+        res.json({ 
+          success: true,
+          message: 'Product deleted successfully' 
+        });
       });
-    });
-  });
+    }
+  );
 });
 
 // ============================================
 // GET DASHBOARD STATISTICS
-// GET /api/products/stats/dashboard
-// Admin Only
+// GET /api/products/stats/dashboard?branch_id=1
+// Admin Only - monthlyGrossRevenue is what was taken (tax included, before refunds);
+// monthlyNetRevenue is net of tax and refunds, the base monthlyProfit is worked out on
 // ============================================
 router.get('/stats/dashboard', verifyToken, isAdmin, (req, res) => {
   const stats = {};
+  const branchId = req.branchScope;
+
+  // Stock and sales of one branch, or of all branches
+  const products = branchId ? `(${BRANCH_PRODUCTS})` : 'products';
+  const quantity = branchId ? 'branch_quantity' : 'quantity';
+  const status = branchId ? 'branch_status' : 'status';
+  const productParams = branchId ? [branchId] : [];
+  const branchSales = branchId ? ' AND branch_id = ?' : '';
+  const salesParams = branchId ? [branchId] : [];
 
   // Get total products and total stock quantity
   db.get(
-    'SELECT COUNT(*) as total, SUM(quantity) as totalQty FROM products', 
+    `SELECT COUNT(*) as total, SUM(${quantity}) as totalQty FROM ${products} WHERE has_variants = 0`, 
+    productParams,
     (err, row) => {
       if (err) {
         return res.status(500).json({ 
@@ -359,26 +800,43 @@ router.get('/stats/dashboard', verifyToken, isAdmin, (req, res) => {
 
       // Get low stock count
       db.get(
-        'SELECT COUNT(*) as count FROM products WHERE status = "low_stock"', 
+        `SELECT COUNT(*) as count FROM ${products} WHERE has_variants = 0 AND ${status} = "low_stock"`, 
+        productParams,
         (err, row) => {
           stats.lowStock = row?.count || 0;
 
           // Get today's sales
           db.get(
-            'SELECT SUM(grand_total) as total FROM sales WHERE DATE(created_at) = DATE("now")', 
+            `SELECT SUM(grand_total) as total FROM sales WHERE DATE(created_at) = DATE("now") AND status != "voided"${branchSales}`, 
+            salesParams,
             (err, row) => {
               stats.salesToday = row?.total || 0;
 
               // Get this month's revenue
               db.get(
-                'SELECT SUM(grand_total) as total FROM sales WHERE strftime("%Y-%m", created_at) = strftime("%Y-%m", "now")', 
+                `SELECT SUM(grand_total) as total FROM sales WHERE strftime("%Y-%m", created_at) = strftime("%Y-%m", "now") AND status != "voided"${branchSales}`, 
+                salesParams,
                 (err, row) => {
-                  stats.monthlyProfit = row?.total || 0;
-                  
-                  res.json({
-                    success: true,
-                    stats
-                  });
+                  stats.monthlyGrossRevenue = row?.total || 0;
+                  // Kept for existing clients; same as monthlyGrossRevenue
+                  stats.monthlyRevenue = stats.monthlyGrossRevenue;
+
+                  // Get this month's gross profit: net sales ex tax less cost of goods sold
+                  const month = profitLines({ startDate: `${new Date().toISOString().slice(0, 7)}-01`, branchId });
+                  db.get(
+                    `SELECT SUM(revenue) as revenue, SUM(cost) as cogs FROM (${month.sql})`,
+                    month.params,
+                    (err, row) => {
+                      stats.monthlyNetRevenue = roundMoney(row?.revenue || 0);
+                      stats.monthlyCogs = roundMoney(row?.cogs || 0);
+                      stats.monthlyProfit = roundMoney(stats.monthlyNetRevenue - stats.monthlyCogs);
+
+                      res.json({
+                        success: true,
+                        stats
+                      });
+                    }
+                  );
                 }
               );
             }
@@ -413,4 +871,283 @@ router.get('/categories/list', verifyToken, (req, res) => {
   );
 });
 
+// ============================================
+// STOCK MOVEMENT HISTORY
+// GET /api/products/:id/movements?type=sale&branch_id=1&start_date=2024-01-01&end_date=2024-01-31&limit=100
+// ============================================
+router.get('/:id/movements', verifyToken, (req, res) => {
+  const { type, start_date, end_date } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  let query = `
+    SELECT m.*, u.username, b.name as branch_name
+    FROM stock_movements m
+    LEFT JOIN users u ON m.user_id = u.id
+    LEFT JOIN branches b ON m.branch_id = b.id
+    WHERE m.product_id = ?
+  `;
+  const params = [req.params.id];
+
+  if (req.branchScope) {
+    query += ' AND m.branch_id = ?';
+    params.push(req.branchScope);
+  }
+  if (type) {
+    query += ' AND m.type = ?';
+    params.push(type);
+  }
+  if (start_date) {
+    query += ' AND DATE(m.created_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(m.created_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  query += ' ORDER BY m.id DESC LIMIT ?';
+  params.push(limit);
+
+  db.all(query, params, (err, movements) => {
+    if (err) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to fetch stock movements' 
+      });
+    }
+
+    res.json({
+      success: true,
+      count: movements.length,
+      movements
+    });
+  });
+});
+
+// ============================================
+// MANUAL STOCK ADJUSTMENT
+// POST /api/products/:id/stock-adjustments
+// Admin Only - Body: { change: -2, reason: 'Broken in storage', type: 'adjustment' | 'damage', branch_id }
+// change is whole units, or kg to the gram for weighed products; stock reserved for layaways
+// at the branch cannot be taken out
+// ============================================
+router.post('/:id/stock-adjustments', verifyToken, isAdmin, (req, res) => {
+  const { reason } = req.body;
+  const change = Number(req.body.change);
+  const type = req.body.type || 'adjustment';
+
+  if (!Number.isFinite(change) || change === 0) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'change must be a non-zero number' 
+    });
+  }
+
+  if (!['adjustment', 'damage'].includes(type)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'type must be "adjustment" or "damage"' 
+    });
+  }
+
+  if (type === 'damage' && change > 0) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Damage takes stock out; change must be negative' 
+    });
+  }
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'A reason is required for stock adjustments' 
+    });
+  }
+
+  const branchId = writeBranchId(req);
+
+  db.get(
+    `SELECT p.name, ${WEIGHED_SQL} as is_weighed,
+            ROUND(COALESCE(ps.quantity, 0) - COALESCE(ps.reserved_quantity, 0), 3) as available
+     FROM products p
+     LEFT JOIN product_stock ps ON ps.product_id = p.id
+       AND ps.branch_id = COALESCE(?, (SELECT id FROM branches WHERE is_default = 1))
+     WHERE p.id = ?`,
+    [branchId, req.params.id],
+    (err, product) => {
+      if (err) {
+        return res.status(500).json({ 
+          success: false,
+          error: 'Failed to adjust stock' 
+        });
+      }
+
+      if (!product) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Product not found' 
+        });
+      }
+
+      // Only weighed products move by a fraction, kg to the gram
+      if (!isStockQuantity(change, product.is_weighed)) {
+        return res.status(400).json({ 
+          success: false,
+          error: product.is_weighed
+            ? `"${product.name}" is adjusted in kg to the gram`
+            : 'change must be a whole number' 
+        });
+      }
+
+      // Stock reserved for layaways stays until the reservation is released
+      if (change < 0 && product.available < -change) {
+        return res.status(400).json({ 
+          success: false,
+          error: `Not enough unreserved stock for "${product.name}". Available: ${product.available}, Requested: ${-change}. Release layaway reservations first.` 
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        // Damaged units are kept apart from sellable stock
+        if (type === 'damage') {
+          db.run('UPDATE products SET damaged_quantity = ROUND(damaged_quantity + ?, 3) WHERE id = ?', [-change, req.params.id]);
+        }
+
+        adjustStock({
+          productId: Number(req.params.id),
+          branchId,
+          change,
+          type,
+          userId: req.userId,
+          reason: String(reason).trim()
+        }, (err, balance) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(err.status || 500).json({ 
+              success: false,
+              error: err.status ? err.message : 'Failed to adjust stock' 
+            });
+          }
+
+          db.run('COMMIT', () => {
+            res.status(201).json({
+              success: true,
+              message: 'Stock adjusted',
+              quantity: balance
+            });
+          });
+        });
+      });
+    }
+  );
+});
+
+// ============================================
+// STOCK RECONCILIATION
+// GET /api/products/stock/reconcile?product_id=1
+// Admin Only - Products whose quantity differs from their ledger total
+// ============================================
+router.get('/stock/reconcile', verifyToken, isAdmin, (req, res) => {
+  findDrift(req.query.product_id, (err, products) => {
+    if (err) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to reconcile stock' 
+      });
+    }
+
+    res.json({
+      success: true,
+      count: products.length,
+      products
+    });
+  });
+});
+
+// ============================================
+// REBUILD STOCK FROM LEDGER
+// POST /api/products/stock/rebuild
+// Admin Only - Body: { product_id } (optional, all products when left out)
+// ============================================
+router.post('/stock/rebuild', verifyToken, isAdmin, (req, res) => {
+  rebuildFromLedger(req.body.product_id, (err, fixed) => {
+    if (err) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to rebuild stock' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${fixed.length} product(s) reset to their ledger quantity`,
+      products: fixed
+    });
+  });
+});
+
+// ============================================
+// STOCK VALUATION
+// GET /api/products/stock/valuation?date=2024-06-30&branch_id=1&category=Drinks
+// Admin Only - Stock on hand and its value at cost at the end of the day
+// (today by default), read from the stock ledger
+// ============================================
+router.get('/stock/valuation', verifyToken, isAdmin, (req, res) => {
+  const date = req.query.date || new Date().toISOString().split('T')[0];
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'date must be a YYYY-MM-DD date' 
+    });
+  }
+
+  valueStock({ date, branchId: req.branchScope, category: req.query.category }, (err, products) => {
+    if (err) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to value stock' 
+      });
+    }
+
+    res.json({
+      success: true,
+      date,
+      costing_method: COSTING_METHOD,
+      total_quantity: products.reduce((sum, product) => sum + product.quantity, 0),
+      total_value: roundMoney(products.reduce((sum, product) => sum + product.value, 0)),
+      count: products.length,
+      products
+    });
+  });
+});
+
+// ============================================
+// CLEAN UP IMAGE FILES
+// POST /api/products/images/cleanup?dry_run=true
+// Admin Only - Deletes stored files that no product or image refers to
+// (older than an hour, so uploads still being saved are left alone)
+// ============================================
+router.post('/images/cleanup', verifyToken, isAdmin, (req, res) => {
+  const dryRun = req.query.dry_run === 'true' || req.body.dry_run === true;
+
+  removeOrphans({ dryRun }, (err, orphans) => {
+    if (err) {
+      return res.status(500).json({ 
+        success: false,
+        error: 'Failed to clean up images' 
+      });
+    }
+
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      message: dryRun ? `${orphans.length} orphaned file(s) found` : `${orphans.length} orphaned file(s) deleted`,
+      files: orphans
+    });
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,427 @@
+/**
+ * PROMOTION ROUTES
+ *
+ * Manages promotions applied automatically by POST /api/sales:
+ * - GET /api/promotions - List promotions (?status=active&running=true, paged: see services/listing.js)
+ * - GET /api/promotions/:id - Get single promotion
+ * - POST /api/promotions - Create promotion (Admin only)
+ * - PUT /api/promotions/:id - Update promotion (Admin only)
+ * - DELETE /api/promotions/:id - Delete unused promotion (Admin only)
+ * - GET /api/promotions/reports/cost - Discount given per promotion (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { PROMOTION_TYPES, isRunning } = require('../services/promotions');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/promotions
+const PROMOTION_LIST = {
+  sort: {
+    created_at: 'created_at',
+    name: 'name',
+    starts_at: "COALESCE(starts_at, '')",
+    ends_at: "COALESCE(ends_at, '')",
+    times_used: 'COALESCE(times_used, 0)'
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'name', 'type', 'product_id', 'product_name', 'category', 'value', 'buy_quantity', 'get_quantity',
+    'coupon_code', 'usage_limit', 'times_used', 'starts_at', 'ends_at', 'daily_start', 'daily_end',
+    'days_of_week', 'status', 'created_by', 'created_at'
+  ]
+};
+
+/**
+ * Ids Of The Promotions Running Now
+ *
+ * Schedules are checked in local time (see isRunning), so this is done
+ * here rather than in SQL.
+ *
+ * @param {Function} callback - (err, ids)
+ */
+const runningIds = (callback) => {
+  db.all("SELECT * FROM promotions WHERE status = 'active'", (err, promotions) => {
+    if (err) return callback(err);
+    const now = new Date();
+    callback(null, promotions.filter(promotion => isRunning(promotion, now)).map(promotion => promotion.id));
+  });
+};
+
+// Fields an admin can set on a promotion
+const PROMOTION_FIELDS = [
+  'name', 'type', 'product_id', 'category', 'value', 'buy_quantity', 'get_quantity',
+  'coupon_code', 'usage_limit', 'starts_at', 'ends_at', 'daily_start', 'daily_end',
+  'days_of_week', 'status'
+];
+
+/**
+ * Normalize Promotion Input
+ * Empty strings become null and coupon codes are upper-cased
+ */
+const normalize = (body) => {
+  const promotion = {};
+  PROMOTION_FIELDS.forEach(field => {
+    const value = body[field];
+    promotion[field] = value === undefined || value === '' ? null : value;
+  });
+  if (promotion.coupon_code) promotion.coupon_code = String(promotion.coupon_code).trim().toUpperCase();
+  return promotion;
+};
+
+/**
+ * Validate Promotion
+ *
+ * @param {Object} promotion - Normalized promotion
+ * @returns {String|null} Error message, or null if valid
+ */
+const validatePromotion = (promotion) => {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const value = Number(promotion.value);
+
+  if (!promotion.name || !promotion.type) return 'Name and type are required';
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    return `Invalid type. Must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  }
+  if (promotion.product_id && promotion.category) {
+    return 'A promotion targets either a product or a category, not both';
+  }
+
+  switch (promotion.type) {
+    case 'percentage':
+      if (!(value > 0 && value <= 100)) return 'Percentage must be between 0 and 100';
+      break;
+    case 'fixed_amount':
+      if (!(value > 0)) return 'Amount off must be greater than 0';
+      break;
+    case 'fixed_price':
+      if (!(value >= 0) || promotion.value === null) return 'Promotional price is required';
+      break;
+    case 'buy_x_get_y':
+      if (!(promotion.buy_quantity >= 1 && promotion.get_quantity >= 1)) {
+        return 'buy_quantity and get_quantity must both be at least 1';
+      }
+      break;
+    case 'bundle':
+      if (!(promotion.buy_quantity >= 2 && value > 0)) {
+        return 'Bundles need buy_quantity of at least 2 and a bundle price (value)';
+      }
+      break;
+  }
+
+  if ((promotion.daily_start || promotion.daily_end) &&
+      !(timePattern.test(promotion.daily_start) && timePattern.test(promotion.daily_end))) {
+    return 'daily_start and daily_end must both be given as HH:MM';
+  }
+  if (promotion.days_of_week && !/^[0-6](,[0-6])*$/.test(promotion.days_of_week)) {
+    return 'days_of_week must be a comma-separated list of 0 (Sunday) to 6 (Saturday)';
+  }
+  if (promotion.status && !['active', 'inactive'].includes(promotion.status)) {
+    return 'Invalid status. Must be "active" or "inactive"';
+  }
+
+  return null;
+};
+
+// ============================================
+// GET ALL PROMOTIONS
+// GET /api/promotions?status=active&running=true
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status, running } = req.query;
+
+  const list = parseListQuery(req.query, PROMOTION_LIST);
+  if (list.error) return res.status(400).json({ success: false, error: list.error });
+
+  // Only promotions that apply right now
+  const withRunning = (callback) => (running === 'true' ? runningIds(callback) : callback(null, null));
+
+  withRunning((err, ids) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch promotions'
+      });
+    }
+
+    let query = `
+      SELECT pr.*, p.name as product_name
+      FROM promotions pr
+      LEFT JOIN products p ON pr.product_id = p.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND pr.status = ?';
+      params.push(status);
+    }
+    if (ids) {
+      query += ` AND pr.id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...ids);
+    }
+
+    fetchPage(query, params, list, (err, page) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch promotions'
+        });
+      }
+
+      const promotions = page.rows.map(promotion => pickFields(promotion, list.fields));
+      res.json({
+        success: true,
+        count: promotions.length,
+        total: page.total,
+        pagination: page.pagination,
+        promotions
+      });
+    });
+  });
+});
+
+// ============================================
+// PROMOTION COST REPORT
+// GET /api/promotions/reports/cost?start_date=2024-01-01&end_date=2024-01-31
+// Admin Only
+// ============================================
+router.get('/reports/cost', verifyToken, isAdmin, (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  let query = `
+    SELECT pr.id, pr.name, pr.type, pr.coupon_code,
+           COUNT(DISTINCT si.sale_id) as sales_count,
+           SUM(si.quantity) as units_sold,
+           COALESCE(SUM(si.price * si.quantity), 0) as gross_value,
+           COALESCE(SUM(si.promotion_discount), 0) as total_discount
+    FROM sale_items si
+    JOIN sales s ON si.sale_id = s.id
+    JOIN promotions pr ON si.promotion_id = pr.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (start_date) {
+    query += ' AND DATE(s.created_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(s.created_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  query += ' GROUP BY pr.id ORDER BY total_discount DESC';
+
+  db.all(query, params, (err, promotions) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to build promotion report'
+      });
+    }
+
+    const totalDiscount = promotions.reduce((sum, row) => sum + row.total_discount, 0);
+
+    res.json({
+      success: true,
+      total_discount: Math.round(totalDiscount * 100) / 100,
+      promotions
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE PROMOTION
+// GET /api/promotions/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get('SELECT * FROM promotions WHERE id = ?', [req.params.id], (err, promotion) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch promotion'
+      });
+    }
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      promotion
+    });
+  });
+});
+
+// ============================================
+// CREATE PROMOTION
+// POST /api/promotions
+// Admin Only
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const promotion = normalize(req.body);
+
+  const invalid = validatePromotion(promotion);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  db.run(
+    `INSERT INTO promotions
+    (name, type, product_id, category, value, buy_quantity, get_quantity, coupon_code,
+     usage_limit, starts_at, ends_at, daily_start, daily_end, days_of_week, status, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [promotion.name, promotion.type, promotion.product_id, promotion.category, promotion.value || 0,
+     promotion.buy_quantity, promotion.get_quantity, promotion.coupon_code, promotion.usage_limit,
+     promotion.starts_at, promotion.ends_at, promotion.daily_start, promotion.daily_end,
+     promotion.days_of_week, promotion.status || 'active', req.userId],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'Another promotion already uses this coupon code'
+          });
+        }
+        if (err.message.includes('FOREIGN KEY constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'Product not found'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to create promotion'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Promotion created successfully',
+        promotionId: this.lastID
+      });
+    }
+  );
+});
+
+// ============================================
+// UPDATE PROMOTION
+// PUT /api/promotions/:id
+// Admin Only - Fields left out keep their current value
+// ============================================
+router.put('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get('SELECT * FROM promotions WHERE id = ?', [req.params.id], (err, existing) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch promotion'
+      });
+    }
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    const promotion = normalize({ ...existing, ...req.body });
+
+    const invalid = validatePromotion(promotion);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    db.run(
+      `UPDATE promotions SET
+       name = ?, type = ?, product_id = ?, category = ?, value = ?, buy_quantity = ?,
+       get_quantity = ?, coupon_code = ?, usage_limit = ?, starts_at = ?, ends_at = ?,
+       daily_start = ?, daily_end = ?, days_of_week = ?, status = ?
+       WHERE id = ?`,
+      [promotion.name, promotion.type, promotion.product_id, promotion.category, promotion.value || 0,
+       promotion.buy_quantity, promotion.get_quantity, promotion.coupon_code, promotion.usage_limit,
+       promotion.starts_at, promotion.ends_at, promotion.daily_start, promotion.daily_end,
+       promotion.days_of_week, promotion.status || 'active', req.params.id],
+      (err) => {
+        if (err) {
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({
+              success: false,
+              error: 'Another promotion already uses this coupon code'
+            });
+          }
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to update promotion'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Promotion updated successfully'
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// DELETE PROMOTION
+// DELETE /api/promotions/:id
+// Admin Only - Promotions already used in sales are kept for reporting
+// ============================================
+router.delete('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get('SELECT COUNT(*) as count FROM sale_items WHERE promotion_id = ?', [req.params.id], (err, row) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete promotion'
+      });
+    }
+
+    if (row.count > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Promotion has been used in sales. Set it inactive instead.'
+      });
+    }
+
+    db.run('DELETE FROM promotions WHERE id = ?', [req.params.id], function(err) {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to delete promotion'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Promotion not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Promotion deleted successfully'
+      });
+    });
+  });
+});
+
+module.exports = router;
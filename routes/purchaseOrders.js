@@ -0,0 +1,859 @@
+/**
+ * PURCHASE ORDER ROUTES
+ *
+ * Buying stock from suppliers. Orders are drafted, sent to the supplier,
+ * then received in one or more deliveries (goods-received notes). Each
+ * delivery raises stock through the stock ledger and updates the
+ * product's purchase_price to the cost it arrived at.
+ * - GET /api/purchase-orders - List orders (?status=&supplier_id=&branch_id=, paged: see services/listing.js)
+ * - GET /api/purchase-orders/reports/open - Open and late orders (Admin only)
+ * - GET /api/purchase-orders/:id - Get single order with lines and deliveries
+ * - POST /api/purchase-orders - Create draft order (Admin only)
+ * - PUT /api/purchase-orders/:id - Edit draft order (Admin only)
+ * - POST /api/purchase-orders/:id/submit - Mark draft as ordered (Admin only)
+ * - POST /api/purchase-orders/:id/receive - Receive a full or partial delivery (Admin only)
+ * - POST /api/purchase-orders/:id/cancel - Cancel order with nothing received (Admin only)
+ * - POST /api/purchase-orders/:id/close - Close order that will not be delivered in full (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { adjustStock } = require('../services/stock');
+const { recordPrices } = require('../services/prices');
+const { writeBranchId } = require('../services/branches');
+const { WEIGHED_SQL, roundWeight, isStockQuantity } = require('../services/barcodes');
+const { roundMoney } = require('../utils/money');
+const httpError = require('../utils/httpError');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/purchase-orders
+const ORDER_LIST = {
+  sort: {
+    created_at: 'created_at',
+    po_number: 'po_number',
+    order_date: "COALESCE(order_date, '')",
+    expected_date: "COALESCE(expected_date, '')",
+    total_cost: 'COALESCE(total_cost, 0)'
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'po_number', 'supplier_id', 'supplier_name', 'status', 'order_date', 'expected_date',
+    'total_cost', 'notes', 'line_count', 'outstanding_quantity', 'branch_id', 'branch_name',
+    'created_by', 'created_by_name', 'created_at', 'updated_at'
+  ]
+};
+
+// Orders still waiting for goods
+const OPEN_STATUSES = ['ordered', 'partially_received'];
+
+/**
+ * Validate Order Lines
+ *
+ * @param {Array} items - [{ product_id, quantity, unit_cost }]
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) return 'At least one line is required';
+
+  for (const item of items) {
+    if (!parseInt(item.product_id)) return 'Every line needs a product_id';
+    if (!(Number(item.quantity) > 0)) {
+      return 'Line quantities must be positive';
+    }
+    if (item.unit_cost !== undefined && item.unit_cost !== null && !(Number(item.unit_cost) >= 0)) {
+      return 'Unit cost cannot be negative';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Price Order Lines
+ * Lines without a unit cost use the product's current purchase price.
+ * Only weighed products are ordered by a fraction (kg to the gram).
+ *
+ * @param {Array} items - Validated lines
+ * @param {Function} callback - (err, lines, totalCost)
+ */
+const priceItems = (items, callback) => {
+  const ids = [...new Set(items.map(item => parseInt(item.product_id)))];
+
+  db.all(
+    `SELECT p.id, p.name, p.purchase_price, p.has_variants, ${WEIGHED_SQL} as is_weighed
+     FROM products p WHERE p.id IN (${ids.map(() => '?').join(',')})`,
+    ids,
+    (err, products) => {
+      if (err) return callback(err);
+
+      const lines = [];
+      for (const item of items) {
+        const product = products.find(p => p.id === parseInt(item.product_id));
+        if (!product) return callback(httpError(400, `Product ID ${item.product_id} not found`));
+        if (product.has_variants) return callback(httpError(400, `Choose a variant of "${product.name}"`));
+        if (!isStockQuantity(Number(item.quantity), product.is_weighed)) {
+          return callback(httpError(400, `Quantity of "${product.name}" must be a whole number`));
+        }
+
+        const hasCost = item.unit_cost !== undefined && item.unit_cost !== null && item.unit_cost !== '';
+        lines.push({
+          product_id: product.id,
+          quantity: Number(item.quantity),
+          unit_cost: roundMoney(hasCost ? Number(item.unit_cost) : product.purchase_price || 0)
+        });
+      }
+
+      const totalCost = roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0));
+      callback(null, lines, totalCost);
+    }
+  );
+};
+
+/**
+ * Write order lines (inside the caller's transaction)
+ */
+const insertItems = (orderId, lines) => {
+  lines.forEach(line => {
+    db.run(
+      `INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity_ordered, unit_cost)
+       VALUES (?, ?, ?, ?)`,
+      [orderId, line.product_id, line.quantity, line.unit_cost]
+    );
+  });
+};
+
+// ============================================
+// GET ALL PURCHASE ORDERS
+// GET /api/purchase-orders?status=ordered&supplier_id=1&branch_id=1
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status, supplier_id } = req.query;
+
+  const list = parseListQuery(req.query, ORDER_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  let query = `
+    SELECT po.*, s.name as supplier_name, u.username as created_by_name, b.name as branch_name,
+           (SELECT COUNT(*) FROM purchase_order_items WHERE purchase_order_id = po.id) as line_count,
+           (SELECT COALESCE(ROUND(SUM(quantity_ordered - quantity_received), 3), 0)
+            FROM purchase_order_items WHERE purchase_order_id = po.id) as outstanding_quantity
+    FROM purchase_orders po
+    JOIN suppliers s ON po.supplier_id = s.id
+    LEFT JOIN users u ON po.created_by = u.id
+    LEFT JOIN branches b ON po.branch_id = b.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND po.status = ?';
+    params.push(status);
+  }
+  if (supplier_id) {
+    query += ' AND po.supplier_id = ?';
+    params.push(supplier_id);
+  }
+  if (req.branchScope) {
+    query += ' AND po.branch_id = ?';
+    params.push(req.branchScope);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch purchase orders'
+      });
+    }
+
+    const orders = page.rows.map(row => pickFields(row, list.fields));
+    res.json({
+      success: true,
+      count: orders.length,
+      total: page.total,
+      pagination: page.pagination,
+      orders
+    });
+  });
+});
+
+// ============================================
+// OPEN AND LATE ORDERS REPORT
+// GET /api/purchase-orders/reports/open?late=true&supplier_id=1&branch_id=1
+// Admin Only
+// ============================================
+router.get('/reports/open', verifyToken, isAdmin, (req, res) => {
+  const { late, supplier_id } = req.query;
+
+  let query = `
+    SELECT po.id, po.po_number, po.status, po.branch_id, po.order_date, po.expected_date,
+           s.id as supplier_id, s.name as supplier_name,
+           SUM(poi.quantity_ordered) as quantity_ordered,
+           SUM(poi.quantity_received) as quantity_received,
+           ROUND(SUM(poi.quantity_ordered - poi.quantity_received), 3) as outstanding_quantity,
+           ROUND(SUM((poi.quantity_ordered - poi.quantity_received) * poi.unit_cost), 2) as outstanding_value,
+           CASE WHEN po.expected_date IS NOT NULL AND DATE(po.expected_date) < DATE('now')
+                THEN CAST(julianday(DATE('now')) - julianday(DATE(po.expected_date)) AS INTEGER)
+                ELSE 0 END as days_late
+    FROM purchase_orders po
+    JOIN suppliers s ON po.supplier_id = s.id
+    JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+    WHERE po.status IN (${OPEN_STATUSES.map(() => '?').join(',')})
+  `;
+  const params = [...OPEN_STATUSES];
+
+  if (supplier_id) {
+    query += ' AND po.supplier_id = ?';
+    params.push(supplier_id);
+  }
+  if (req.branchScope) {
+    query += ' AND po.branch_id = ?';
+    params.push(req.branchScope);
+  }
+
+  query += ' GROUP BY po.id';
+
+  if (late === 'true') {
+    query += ' HAVING days_late > 0';
+  }
+
+  query += ' ORDER BY days_late DESC, po.expected_date';
+
+  db.all(query, params, (err, orders) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to build open orders report'
+      });
+    }
+
+    const lateOrders = orders.filter(order => order.days_late > 0);
+
+    res.json({
+      success: true,
+      summary: {
+        open_orders: orders.length,
+        late_orders: lateOrders.length,
+        outstanding_value: roundMoney(orders.reduce((sum, order) => sum + order.outstanding_value, 0)),
+        late_value: roundMoney(lateOrders.reduce((sum, order) => sum + order.outstanding_value, 0))
+      },
+      orders
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE PURCHASE ORDER
+// GET /api/purchase-orders/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get(
+    `SELECT po.*, s.name as supplier_name, u.username as created_by_name
+     FROM purchase_orders po
+     JOIN suppliers s ON po.supplier_id = s.id
+     LEFT JOIN users u ON po.created_by = u.id
+     WHERE po.id = ?`,
+    [req.params.id],
+    (err, order) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch purchase order'
+        });
+      }
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Purchase order not found'
+        });
+      }
+
+      db.all(
+        `SELECT poi.*, p.name as product_name, p.sku,
+                ROUND(poi.quantity_ordered - poi.quantity_received, 3) as outstanding_quantity
+         FROM purchase_order_items poi
+         LEFT JOIN products p ON poi.product_id = p.id
+         WHERE poi.purchase_order_id = ?`,
+        [req.params.id],
+        (err, items) => {
+          order.items = items || [];
+
+          db.all(
+            `SELECT gr.*, u.username as received_by_name
+             FROM goods_receipts gr LEFT JOIN users u ON gr.received_by = u.id
+             WHERE gr.purchase_order_id = ? ORDER BY gr.created_at`,
+            [req.params.id],
+            (err, receipts) => {
+              order.receipts = receipts || [];
+
+              db.all(
+                `SELECT gri.*, p.name as product_name
+                 FROM goods_receipt_items gri
+                 JOIN goods_receipts gr ON gri.goods_receipt_id = gr.id
+                 LEFT JOIN products p ON gri.product_id = p.id
+                 WHERE gr.purchase_order_id = ?`,
+                [req.params.id],
+                (err, receiptItems) => {
+                  order.receipts.forEach(receipt => {
+                    receipt.items = (receiptItems || []).filter(item => item.goods_receipt_id === receipt.id);
+                  });
+
+                  res.json({
+                    success: true,
+                    order
+                  });
+                }
+              );
+            }
+          );
+        }
+      );
+    }
+  );
+});
+
+// ============================================
+// CREATE PURCHASE ORDER
+// POST /api/purchase-orders
+// Admin Only - Body: { supplier_id, branch_id, expected_date, notes, items: [{ product_id, quantity, unit_cost }] }
+// Goods are delivered to branch_id (the admin's own branch if left out)
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const { supplier_id, expected_date, notes, items } = req.body;
+
+  if (!supplier_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'supplier_id is required'
+    });
+  }
+
+  const invalid = validateItems(items);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  db.get('SELECT id, status FROM suppliers WHERE id = ?', [supplier_id], (err, supplier) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch supplier'
+      });
+    }
+
+    if (!supplier) {
+      return res.status(400).json({
+        success: false,
+        error: 'Supplier not found'
+      });
+    }
+
+    if (supplier.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Supplier is inactive'
+      });
+    }
+
+    priceItems(items, (err, lines, totalCost) => {
+      if (err) {
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.status ? err.message : 'Failed to price order lines'
+        });
+      }
+
+      const poNumber = `PO-${Date.now()}-${Math.floor(Math.random() * 9000) + 1000}`;
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        db.run(
+          `INSERT INTO purchase_orders
+            (po_number, supplier_id, branch_id, expected_date, total_cost, notes, created_by)
+           VALUES (?, ?, COALESCE(?, (SELECT id FROM branches WHERE is_default = 1)), ?, ?, ?, ?)`,
+          [poNumber, supplier.id, writeBranchId(req), expected_date || null, totalCost, notes || null, req.userId],
+          function(err) {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to create purchase order'
+              });
+            }
+
+            const orderId = this.lastID;
+            insertItems(orderId, lines);
+
+            db.run('COMMIT', (err) => {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Failed to create purchase order'
+                });
+              }
+
+              res.status(201).json({
+                success: true,
+                message: 'Purchase order created',
+                orderId,
+                poNumber,
+                totalCost
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+});
+
+// ============================================
+// UPDATE DRAFT PURCHASE ORDER
+// PUT /api/purchase-orders/:id
+// Admin Only - Sending items replaces all lines
+// ============================================
+router.put('/:id', verifyToken, isAdmin, (req, res) => {
+  const { supplier_id, expected_date, notes, items } = req.body;
+
+  if (items !== undefined) {
+    const invalid = validateItems(items);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+  }
+
+  db.get('SELECT * FROM purchase_orders WHERE id = ?', [req.params.id], (err, order) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch purchase order'
+      });
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only draft orders can be edited'
+      });
+    }
+
+    const save = (lines, totalCost) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        db.run(
+          `UPDATE purchase_orders SET
+           supplier_id = COALESCE(?, supplier_id), expected_date = COALESCE(?, expected_date),
+           notes = COALESCE(?, notes), total_cost = COALESCE(?, total_cost), updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [supplier_id || null, expected_date || null, notes, lines ? totalCost : null, order.id],
+          (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              const badSupplier = err.message.includes('FOREIGN KEY constraint failed');
+              return res.status(badSupplier ? 400 : 500).json({
+                success: false,
+                error: badSupplier ? 'Supplier not found' : 'Failed to update purchase order'
+              });
+            }
+
+            if (lines) {
+              db.run('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [order.id]);
+              insertItems(order.id, lines);
+            }
+
+            db.run('COMMIT', () => {
+              res.json({
+                success: true,
+                message: 'Purchase order updated'
+              });
+            });
+          }
+        );
+      });
+    };
+
+    if (items === undefined) return save(null, null);
+
+    priceItems(items, (err, lines, totalCost) => {
+      if (err) {
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.status ? err.message : 'Failed to price order lines'
+        });
+      }
+      save(lines, totalCost);
+    });
+  });
+});
+
+// ============================================
+// SUBMIT PURCHASE ORDER
+// POST /api/purchase-orders/:id/submit
+// Admin Only - Expected date defaults to today plus the supplier's lead time
+// ============================================
+router.post('/:id/submit', verifyToken, isAdmin, (req, res) => {
+  db.run(
+    `UPDATE purchase_orders SET
+     status = 'ordered', order_date = CURRENT_TIMESTAMP,
+     expected_date = COALESCE(?, expected_date,
+       (SELECT DATE('now', '+' || lead_time_days || ' days') FROM suppliers
+        WHERE id = purchase_orders.supplier_id AND lead_time_days IS NOT NULL)),
+     updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'draft'`,
+    [req.body.expected_date || null, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to submit purchase order'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Purchase order not found or not a draft'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Purchase order submitted'
+      });
+    }
+  );
+});
+
+// ============================================
+// RECEIVE GOODS
+// POST /api/purchase-orders/:id/receive
+// Admin Only - Body: { items: [{ purchase_order_item_id, quantity, unit_cost }], notes }
+// unit_cost defaults to the ordered cost
+// ============================================
+router.post('/:id/receive', verifyToken, isAdmin, (req, res) => {
+  const { items, notes } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No items received'
+    });
+  }
+
+  db.get('SELECT * FROM purchase_orders WHERE id = ?', [req.params.id], (err, order) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch purchase order'
+      });
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot receive against a ${order.status} order`
+      });
+    }
+
+    db.all(
+      `SELECT poi.*, p.name as product_name, ${WEIGHED_SQL} as is_weighed
+       FROM purchase_order_items poi
+       LEFT JOIN products p ON poi.product_id = p.id
+       WHERE poi.purchase_order_id = ?`,
+      [order.id],
+      (err, orderItems) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch order lines'
+          });
+        }
+
+        // ── check every delivered line against what is still outstanding ──
+        const lines = [];
+        const requested = {};
+
+        for (const item of items) {
+          const orderItem = orderItems.find(oi => oi.id === parseInt(item.purchase_order_item_id));
+          const quantity = Number(item.quantity);
+
+          if (!orderItem) {
+            return res.status(400).json({
+              success: false,
+              error: `Line ${item.purchase_order_item_id} is not part of this order`
+            });
+          }
+          if (!isStockQuantity(quantity, orderItem.is_weighed) || quantity <= 0) {
+            return res.status(400).json({
+              success: false,
+              error: orderItem.is_weighed
+                ? `"${orderItem.product_name}" is received in kg to the gram`
+                : 'Received quantities must be positive whole numbers'
+            });
+          }
+
+          requested[orderItem.id] = roundWeight((requested[orderItem.id] || 0) + quantity);
+          const outstanding = roundWeight(orderItem.quantity_ordered - orderItem.quantity_received);
+
+          if (requested[orderItem.id] > outstanding) {
+            return res.status(400).json({
+              success: false,
+              error: `Only ${outstanding} of line ${orderItem.id} are still outstanding`
+            });
+          }
+
+          const hasCost = item.unit_cost !== undefined && item.unit_cost !== null && item.unit_cost !== '';
+          const unitCost = hasCost ? Number(item.unit_cost) : orderItem.unit_cost;
+          if (!(unitCost >= 0)) {
+            return res.status(400).json({
+              success: false,
+              error: 'Unit cost cannot be negative'
+            });
+          }
+
+          lines.push({
+            purchase_order_item_id: orderItem.id,
+            product_id: orderItem.product_id,
+            quantity,
+            unit_cost: roundMoney(unitCost)
+          });
+        }
+
+        receiveGoods(req, res, { order, lines, notes });
+      }
+    );
+  });
+});
+
+/**
+ * Write the goods-received note, raise stock and update costs in one transaction
+ */
+const receiveGoods = (req, res, { order, lines, notes }) => {
+  const receiptNumber = `GRN-${Date.now()}-${Math.floor(Math.random() * 9000) + 1000}`;
+  const totalCost = roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0));
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    db.run(
+      `INSERT INTO goods_receipts (receipt_number, purchase_order_id, received_by, total_cost, notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [receiptNumber, order.id, req.userId, totalCost, notes || null],
+      function(err) {
+        if (err) {
+          db.run('ROLLBACK');
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to record delivery'
+          });
+        }
+
+        const receiptId = this.lastID;
+        let index = 0;
+
+        const processNext = () => {
+          // all lines done → fully received once nothing is outstanding, then commit
+          if (index >= lines.length) {
+            db.run(
+              `UPDATE purchase_orders SET updated_at = CURRENT_TIMESTAMP,
+                 status = CASE WHEN (SELECT ROUND(SUM(quantity_ordered - quantity_received), 3) FROM purchase_order_items
+                                    WHERE purchase_order_id = purchase_orders.id) <= 0
+                               THEN 'received' ELSE 'partially_received' END
+               WHERE id = ?`,
+              [order.id]
+            );
+
+            db.get('SELECT status FROM purchase_orders WHERE id = ?', [order.id], (err, updated) => {
+              db.run('COMMIT', (commitErr) => {
+                if (err || commitErr) {
+                  db.run('ROLLBACK');
+                  return res.status(500).json({
+                    success: false,
+                    error: 'Transaction failed'
+                  });
+                }
+
+                res.status(201).json({
+                  success: true,
+                  message: updated.status === 'received' ? 'Order fully received' : 'Partial delivery received',
+                  receiptId,
+                  receiptNumber,
+                  status: updated.status,
+                  totalCost,
+                  items: lines
+                });
+              });
+            });
+            return;
+          }
+
+          const line = lines[index];
+
+          db.run(
+            `INSERT INTO goods_receipt_items
+              (goods_receipt_id, purchase_order_item_id, product_id, quantity, unit_cost)
+             VALUES (?, ?, ?, ?, ?)`,
+            [receiptId, line.purchase_order_item_id, line.product_id, line.quantity, line.unit_cost]
+          );
+
+          // guarded so two deliveries at once cannot receive more than was ordered
+          db.run(
+            `UPDATE purchase_order_items SET quantity_received = ROUND(quantity_received + ?, 3)
+             WHERE id = ? AND ROUND(quantity_received + ?, 3) <= quantity_ordered`,
+            [line.quantity, line.purchase_order_item_id, line.quantity],
+            function(err) {
+              if (err || this.changes === 0) {
+                db.run('ROLLBACK');
+                return res.status(409).json({
+                  success: false,
+                  error: 'Order lines changed while receiving. Please reload the order.'
+                });
+              }
+
+              // latest cost becomes the product's purchase price
+              db.run('UPDATE products SET purchase_price = ? WHERE id = ?', [line.unit_cost, line.product_id]);
+
+              recordPrices(line.product_id, { userId: req.userId, reason: `Received on ${order.po_number}` }, (err) => {
+                if (err) {
+                  db.run('ROLLBACK');
+                  return res.status(500).json({
+                    success: false,
+                    error: 'Failed to record price history'
+                  });
+                }
+
+                // the delivery opens a cost layer at what it cost
+                adjustStock({
+                  productId: line.product_id,
+                  branchId: order.branch_id,
+                  change: line.quantity,
+                  unitCost: line.unit_cost,
+                  type: 'receipt',
+                  userId: req.userId,
+                  reason: `Received on ${order.po_number}`,
+                  referenceType: 'goods_receipt',
+                  referenceId: receiptId
+                }, (err) => {
+                  if (err) {
+                    db.run('ROLLBACK');
+                    return res.status(500).json({
+                      success: false,
+                      error: 'Failed to update stock'
+                    });
+                  }
+
+                  index++;
+                  processNext();
+                });
+              });
+            }
+          );
+        };
+
+        processNext();
+      }
+    );
+  });
+};
+
+// ============================================
+// CANCEL PURCHASE ORDER
+// POST /api/purchase-orders/:id/cancel
+// Admin Only - Only orders with nothing received yet
+// ============================================
+router.post('/:id/cancel', verifyToken, isAdmin, (req, res) => {
+  db.run(
+    `UPDATE purchase_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN ('draft', 'ordered')`,
+    [req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to cancel purchase order'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only draft or ordered purchase orders with nothing received can be cancelled'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Purchase order cancelled'
+      });
+    }
+  );
+});
+
+// ============================================
+// CLOSE PURCHASE ORDER
+// POST /api/purchase-orders/:id/close
+// Admin Only - Stops waiting for the rest of a partly delivered order
+// ============================================
+router.post('/:id/close', verifyToken, isAdmin, (req, res) => {
+  db.run(
+    `UPDATE purchase_orders SET status = 'closed', updated_at = CURRENT_TIMESTAMP,
+     notes = COALESCE(?, notes)
+     WHERE id = ? AND status = 'partially_received'`,
+    [req.body.notes || null, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to close purchase order'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only partially received orders can be closed. Cancel orders with nothing received.'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Purchase order closed'
+      });
+    }
+  );
+});
+
+module.exports = router;
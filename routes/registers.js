@@ -0,0 +1,269 @@
+/**
+ * REGISTER SESSION ROUTES
+ *
+ * Cash drawer shifts. A cashier opens a session with a float, every sale
+ * is tied to it, and closing it produces the Z-report.
+ * - POST /api/register-sessions/open - Open a session with an opening float
+ * - GET /api/register-sessions/current - Get the caller's open session
+ * - POST /api/register-sessions/:id/movements - Record a pay-in, drop or payout
+ * - GET /api/register-sessions/:id/x-report - Mid-shift report (session stays open)
+ * - POST /api/register-sessions/:id/close - Count the drawer and close (Z-report)
+ * - GET /api/register-sessions - List sessions (Admin only, paged: see services/listing.js)
+ * - GET /api/register-sessions/:id/z-report - Re-print a stored Z-report
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { findOpenSession, buildReport } = require('../services/registerSessions');
+const { writeBranchId } = require('../services/branches');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+const MOVEMENT_TYPES = ['pay_in', 'drop', 'payout'];
+
+// Sort fields and fields of GET /api/register-sessions
+const SESSION_LIST = {
+  sort: {
+    opened_at: 'opened_at',
+    closed_at: "COALESCE(closed_at, '')",
+    cashier_name: "COALESCE(cashier_name, '')",
+    over_short: 'COALESCE(over_short, 0)'
+  },
+  defaultSort: '-opened_at',
+  fields: [
+    'id', 'user_id', 'cashier_name', 'branch_id', 'register_name', 'opening_float', 'status',
+    'opened_at', 'closed_at', 'expected_cash', 'counted_cash', 'over_short'
+  ]
+};
+
+/**
+ * Load a session the caller may act on (their own, or any for admins)
+ */
+const loadSession = (req, res, callback) => {
+  db.get('SELECT * FROM register_sessions WHERE id = ?', [req.params.id], (err, session) => {
+    if (err) return res.status(500).json({ success: false, error: 'Failed to fetch session.' });
+    if (!session) return res.status(404).json({ success: false, error: 'Register session not found.' });
+
+    if (req.userRole !== 'admin' && session.user_id !== req.userId) {
+      return res.status(403).json({ success: false, error: 'Permission denied.' });
+    }
+
+    callback(session);
+  });
+};
+
+// ============================================
+// OPEN SESSION
+// POST /api/register-sessions/open
+// ============================================
+router.post('/open', verifyToken, (req, res) => {
+  const { opening_float, register_name } = req.body;
+  const openingFloat = parseFloat(opening_float) || 0;
+
+  if (openingFloat < 0) {
+    return res.status(400).json({ success: false, error: 'Opening float cannot be negative.' });
+  }
+
+  // Admins without a branch open on the default branch
+  db.run(
+    `INSERT INTO register_sessions (user_id, branch_id, register_name, opening_float)
+     VALUES (?, COALESCE(?, (SELECT id FROM branches WHERE is_default = 1)), ?, ?)`,
+    [req.userId, writeBranchId(req), register_name || 'Main', openingFloat],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(409).json({ success: false, error: 'You already have an open register session.' });
+        }
+        return res.status(500).json({ success: false, error: 'Failed to open register session.' });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Register session opened',
+        sessionId: this.lastID
+      });
+    }
+  );
+});
+
+// ============================================
+// CURRENT SESSION
+// GET /api/register-sessions/current
+// ============================================
+router.get('/current', verifyToken, (req, res) => {
+  findOpenSession(req.userId, (err, session) => {
+    if (err) return res.status(500).json({ success: false, error: 'Failed to fetch session.' });
+    if (!session) return res.status(404).json({ success: false, error: 'No open register session.' });
+    res.json({ success: true, session });
+  });
+});
+
+// ============================================
+// LIST SESSIONS
+// GET /api/register-sessions?status=closed&user_id=2&branch_id=1&start_date=&end_date=
+// Admin Only - Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, isAdmin, (req, res) => {
+  const { status, user_id, start_date, end_date } = req.query;
+
+  const list = parseListQuery(req.query, SESSION_LIST);
+  if (list.error) return res.status(400).json({ success: false, error: list.error });
+
+  let query = `
+    SELECT rs.id, rs.user_id, u.username as cashier_name, rs.branch_id, rs.register_name, rs.opening_float,
+           rs.status, rs.opened_at, rs.closed_at, rs.expected_cash, rs.counted_cash, rs.over_short
+    FROM register_sessions rs
+    LEFT JOIN users u ON rs.user_id = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND rs.status = ?';
+    params.push(status);
+  }
+  if (user_id) {
+    query += ' AND rs.user_id = ?';
+    params.push(user_id);
+  }
+  if (req.branchScope) {
+    query += ' AND rs.branch_id = ?';
+    params.push(req.branchScope);
+  }
+  if (start_date) {
+    query += ' AND DATE(rs.opened_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(rs.opened_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) return res.status(500).json({ success: false, error: 'Failed to fetch sessions.' });
+    const sessions = page.rows.map(session => pickFields(session, list.fields));
+    res.json({ success: true, count: sessions.length, total: page.total, pagination: page.pagination, sessions });
+  });
+});
+
+// ============================================
+// CASH MOVEMENT
+// POST /api/register-sessions/:id/movements
+// Body: { type: 'pay_in' | 'drop' | 'payout', amount, reason }
+// ============================================
+router.post('/:id/movements', verifyToken, (req, res) => {
+  const { type, amount, reason } = req.body;
+  const value = parseFloat(amount);
+
+  if (!MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `Type must be one of: ${MOVEMENT_TYPES.join(', ')}` });
+  }
+  if (!(value > 0)) {
+    return res.status(400).json({ success: false, error: 'Amount must be greater than 0.' });
+  }
+  if (type === 'payout' && !reason) {
+    return res.status(400).json({ success: false, error: 'A reason is required for payouts.' });
+  }
+
+  loadSession(req, res, (session) => {
+    if (session.status !== 'open') {
+      return res.status(400).json({ success: false, error: 'Register session is closed.' });
+    }
+
+    db.run(
+      'INSERT INTO cash_movements (session_id, type, amount, reason, user_id) VALUES (?, ?, ?, ?, ?)',
+      [session.id, type, value, reason || null, req.userId],
+      function(err) {
+        if (err) return res.status(500).json({ success: false, error: 'Failed to record cash movement.' });
+
+        res.status(201).json({
+          success: true,
+          message: 'Cash movement recorded',
+          movementId: this.lastID
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// X-REPORT (mid-shift, session stays open)
+// GET /api/register-sessions/:id/x-report
+// ============================================
+router.get('/:id/x-report', verifyToken, (req, res) => {
+  loadSession(req, res, (session) => {
+    buildReport(session, null, (err, report) => {
+      if (err) return res.status(500).json({ success: false, error: 'Failed to build report.' });
+      res.json({ success: true, report: { type: 'X', ...report } });
+    });
+  });
+});
+
+// ============================================
+// CLOSE SESSION (Z-report)
+// POST /api/register-sessions/:id/close
+// Body: { counts: { cash: 512.50, card: 830 }, notes }
+// ============================================
+router.post('/:id/close', verifyToken, (req, res) => {
+  const counts = req.body.counts || {};
+  const countedCash = parseFloat(counts.cash);
+
+  if (isNaN(countedCash) || countedCash < 0) {
+    return res.status(400).json({ success: false, error: 'The counted cash amount (counts.cash) is required.' });
+  }
+
+  loadSession(req, res, (session) => {
+    if (session.status !== 'open') {
+      return res.status(400).json({ success: false, error: 'Register session is already closed.' });
+    }
+
+    const closedAt = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const closing = { ...session, status: 'closed', closed_at: closedAt };
+
+    buildReport(closing, counts, (err, report) => {
+      if (err) return res.status(500).json({ success: false, error: 'Failed to build report.' });
+
+      const zReport = { type: 'Z', ...report, closed_by: req.userId, notes: req.body.notes || null };
+      const cash = report.tenders.find(tender => tender.method === 'cash');
+
+      db.run(
+        `UPDATE register_sessions SET
+           status = 'closed', closed_at = ?, closed_by = ?,
+           expected_cash = ?, counted_cash = ?, over_short = ?, notes = ?, z_report = ?
+         WHERE id = ? AND status = 'open'`,
+        [closedAt, req.userId, cash.expected, cash.counted, cash.over_short,
+         req.body.notes || null, JSON.stringify(zReport), session.id],
+        function(err) {
+          if (err) return res.status(500).json({ success: false, error: 'Failed to close register session.' });
+          if (this.changes === 0) {
+            return res.status(409).json({ success: false, error: 'Register session is already closed.' });
+          }
+
+          res.json({
+            success: true,
+            message: 'Register session closed',
+            report: zReport
+          });
+        }
+      );
+    });
+  });
+});
+
+// ============================================
+// RE-PRINT Z-REPORT
+// GET /api/register-sessions/:id/z-report
+// ============================================
+router.get('/:id/z-report', verifyToken, (req, res) => {
+  loadSession(req, res, (session) => {
+    if (session.status !== 'closed' || !session.z_report) {
+      return res.status(400).json({ success: false, error: 'Session is still open. Use the X-report.' });
+    }
+
+    res.json({ success: true, report: JSON.parse(session.z_report) });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,433 @@
+/**
+ * RETURNS ROUTES
+ *
+ * Refunds against an existing invoice. The original sale and its items
+ * are kept untouched; each return records what was refunded and why.
+ * Refunds as store_credit go on a new store credit account, or on the one
+ * given as store_credit_code. Each return is a credit note numbered from its
+ * own series (see services/numbering.js).
+ * - POST /api/returns - Refund lines or part quantities of a sale
+ * - GET /api/returns - List returns (?sale_id=&return_number=&branch_id=&start_date=&end_date=, paged: see services/listing.js)
+ * - GET /api/returns/:id - Get single return with its items
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken } = require('../middleware/auth');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { findOpenSession } = require('../services/registerSessions');
+const { adjustStockEach } = require('../services/stock');
+const { reverseSale } = require('../services/loyalty');
+const { addTransaction, issueCard, findByCode, expiryFor, isExpired, maskCode } = require('../services/giftCards');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+const { nextNumber } = require('../services/numbering');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/returns
+const RETURN_LIST = {
+  sort: {
+    created_at: 'created_at',
+    return_number: 'return_number',
+    total_refund: 'total_refund'
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'return_number', 'sale_id', 'invoice_number', 'user_id', 'processed_by', 'reason',
+    'refund_method', 'subtotal', 'tax', 'total_refund', 'points_reversed', 'points_refunded',
+    'points_refund_value', 'session_id', 'branch_id', 'created_at'
+  ]
+};
+
+// Ways a refund can be paid out
+const REFUND_METHODS = ['cash', 'card', 'online', 'store_credit'];
+
+// Where returned goods go
+const RESTOCK_OPTIONS = ['sellable', 'damaged'];
+
+// ============================================
+// CREATE RETURN
+// POST /api/returns
+// Body: { sale_id | invoice_number, items: [{ sale_item_id, quantity, restock }], reason, refund_method,
+//         store_credit_code }
+// ============================================
+router.post('/', verifyToken, (req, res) => {
+  const { sale_id, invoice_number, items, reason, refund_method, store_credit_code } = req.body;
+
+  // ── validation ──
+  if (!sale_id && !invoice_number) {
+    return res.status(400).json({ success: false, error: 'sale_id or invoice_number is required.' });
+  }
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ success: false, error: 'No items to return.' });
+  }
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ success: false, error: 'A reason for the return is required.' });
+  }
+  const refundMethod = refund_method || 'cash';
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    return res.status(400).json({ success: false, error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}` });
+  }
+  for (const item of items) {
+    if (!parseInt(item.sale_item_id) || !Number.isFinite(Number(item.quantity)) || Number(item.quantity) <= 0) {
+      return res.status(400).json({ success: false, error: 'Every item needs a sale_item_id and a positive quantity.' });
+    }
+    if (item.restock && !RESTOCK_OPTIONS.includes(item.restock)) {
+      return res.status(400).json({ success: false, error: 'restock must be "sellable" or "damaged".' });
+    }
+  }
+
+  const saleQuery = sale_id
+    ? ['SELECT * FROM sales WHERE id = ?', [sale_id]]
+    : ['SELECT * FROM sales WHERE invoice_number = ? COLLATE NOCASE', [String(invoice_number).trim()]];
+
+  db.get(saleQuery[0], saleQuery[1], (err, sale) => {
+    if (err) return res.status(500).json({ success: false, error: 'Failed to fetch sale.' });
+    if (!sale) return res.status(404).json({ success: false, error: 'Sale not found.' });
+    if (sale.status === 'voided') {
+      return res.status(400).json({ success: false, error: 'This sale has been voided and cannot be returned.' });
+    }
+
+    // sale lines with what has already been returned from them
+    db.all(
+      `SELECT si.*,
+              COALESCE((SELECT SUM(quantity) FROM return_items WHERE sale_item_id = si.id), 0) as returned_quantity,
+              COALESCE((SELECT SUM(amount) FROM return_items WHERE sale_item_id = si.id), 0) as returned_amount,
+              COALESCE((SELECT SUM(tax_amount) FROM return_items WHERE sale_item_id = si.id), 0) as returned_tax,
+              COALESCE((SELECT SUM(cost) FROM return_items WHERE sale_item_id = si.id), 0) as returned_cost
+       FROM sale_items si WHERE si.sale_id = ?`,
+      [sale.id],
+      (err, saleItems) => {
+        if (err) return res.status(500).json({ success: false, error: 'Failed to fetch sale items.' });
+
+        // ── work out the refund for every requested line ──
+        const lines = [];
+        const requested = {};
+
+        for (const item of items) {
+          const saleItem = saleItems.find(si => si.id === parseInt(item.sale_item_id));
+          if (!saleItem) {
+            return res.status(400).json({ success: false, error: `Item ${item.sale_item_id} is not part of this sale.` });
+          }
+
+          // only weighed items are sold (and so returned) by a fraction
+          const quantity = Number(item.quantity);
+          if (!Number.isInteger(quantity) && Number.isInteger(saleItem.quantity)) {
+            return res.status(400).json({ success: false, error: `Quantity of item ${saleItem.id} must be a whole number.` });
+          }
+          requested[saleItem.id] = Math.round(((requested[saleItem.id] || 0) + quantity) * 1000) / 1000;
+          const returnable = Math.round((saleItem.quantity - saleItem.returned_quantity) * 1000) / 1000;
+
+          if (requested[saleItem.id] > returnable) {
+            return res.status(400).json({
+              success: false,
+              error: `Only ${returnable} of item ${saleItem.id} can still be returned.`
+            });
+          }
+
+          // refund what was actually paid per unit; the last units take whatever is left
+          const isLast = requested[saleItem.id] === returnable;
+          const amount = isLast
+            ? roundMoney(saleItem.total - saleItem.returned_amount - sumFor(lines, saleItem.id, 'amount'))
+            : roundMoney(saleItem.total * quantity / saleItem.quantity);
+          const taxAmount = isLast
+            ? roundMoney((saleItem.tax_amount || 0) - saleItem.returned_tax - sumFor(lines, saleItem.id, 'tax_amount'))
+            : roundMoney((saleItem.tax_amount || 0) * quantity / saleItem.quantity);
+          // cost of goods sold taken back, on the same terms
+          const cost = isLast
+            ? roundMoney((saleItem.cost || 0) - saleItem.returned_cost - sumFor(lines, saleItem.id, 'cost'))
+            : roundMoney((saleItem.cost || 0) * quantity / saleItem.quantity);
+
+          lines.push({
+            sale_item_id: saleItem.id,
+            product_id: saleItem.product_id,
+            quantity,
+            amount,
+            tax_amount: taxAmount,
+            cost,
+            restock: item.restock || 'sellable'
+          });
+        }
+
+        const totalRefund = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+        const tax = roundMoney(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+
+        // store credit can go on an existing account instead of a new one
+        const withStoreCredit = (callback) => {
+          if (refundMethod !== 'store_credit' || !store_credit_code) return callback(null, null);
+
+          findByCode(store_credit_code, (err, card) => {
+            if (err) return callback(err);
+            if (!card || card.type !== 'store_credit') return callback(httpError(400, 'Store credit not found.'));
+            if (card.status !== 'active' || isExpired(card)) {
+              return callback(httpError(400, `Store credit ${maskCode(card.code)} can no longer be used.`));
+            }
+            callback(null, card);
+          });
+        };
+
+        withStoreCredit((err, storeCredit) => {
+          if (err) {
+            return res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Failed to fetch store credit.' });
+          }
+
+          // refunds count against the cashier's open session; cash has to come out of a drawer
+          findOpenSession(req.userId, (err, session) => {
+            if (err) return res.status(500).json({ success: false, error: 'Failed to fetch register session.' });
+            if (!session && refundMethod === 'cash') {
+              return res.status(409).json({ success: false, error: 'Open a register session before giving cash refunds.' });
+            }
+
+            // goods go back to the branch taking the return
+            const sessionId = session ? session.id : null;
+            const branchId = (session && session.branch_id) || req.branchId || sale.branch_id;
+            createReturn(req, res, {
+              sale, lines, reason, refundMethod, storeCredit, totalRefund, tax, sessionId, branchId
+            });
+          });
+        });
+      }
+    );
+  });
+});
+
+/**
+ * Sum a field over lines already built for the same sale item
+ */
+const sumFor = (lines, saleItemId, field) => lines
+  .filter(line => line.sale_item_id === saleItemId)
+  .reduce((sum, line) => sum + line[field], 0);
+
+/**
+ * Write the return and put the goods back in one transaction
+ */
+const createReturn = (req, res, {
+  sale, lines, reason, refundMethod, storeCredit, totalRefund, tax, sessionId, branchId
+}) => {
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    // credit notes are numbered from the branch's series inside the transaction, so there are no gaps
+    nextNumber('credit_note', branchId, (err, returnNumber) => {
+      if (err) {
+        db.run('ROLLBACK');
+        return res.status(500).json({ success: false, error: 'Failed to number credit note.' });
+      }
+
+      db.run(
+        `INSERT INTO returns
+          (return_number, sale_id, user_id, reason, refund_method, subtotal, tax, total_refund, session_id, branch_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [returnNumber, sale.id, req.userId, String(reason).trim(), refundMethod,
+         roundMoney(totalRefund - tax), tax, totalRefund, sessionId, branchId],
+        function(err) {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(500).json({ success: false, error: 'Failed to create return.' });
+          }
+
+          const returnId = this.lastID;
+
+          lines.forEach(line => {
+            db.run(
+              `INSERT INTO return_items
+                (return_id, sale_item_id, product_id, quantity, amount, tax_amount, cost, restock)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [returnId, line.sale_item_id, line.product_id, line.quantity, line.amount, line.tax_amount,
+               line.cost, line.restock]
+            );
+
+            // damaged goods are kept apart from sellable stock
+            if (line.restock === 'damaged') {
+              db.run(
+                'UPDATE products SET damaged_quantity = damaged_quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [line.quantity, line.product_id]
+              );
+            }
+          });
+
+          // sellable goods go back on the shelf through the stock ledger, at the cost they were sold at
+          const movements = lines
+            .filter(line => line.restock === 'sellable')
+            .map(line => ({
+              productId: line.product_id,
+              branchId,
+              change: line.quantity,
+              unitCost: line.cost / line.quantity,
+              type: 'return',
+              userId: req.userId,
+              reason: String(reason).trim(),
+              referenceType: 'return',
+              referenceId: returnId
+            }));
+
+          adjustStockEach(movements, (stockErr) => {
+            if (stockErr) {
+              db.run('ROLLBACK');
+              return res.status(500).json({ success: false, error: 'Failed to restock returned items.' });
+            }
+
+            // the customer's loyalty points follow the refund; what was paid with points goes back as points
+            reverseSale({ sale, returnId, refund: totalRefund, userId: req.userId }, (pointsErr, loyalty) => {
+              if (pointsErr) {
+                db.run('ROLLBACK');
+                return res.status(500).json({ success: false, error: 'Failed to reverse loyalty points.' });
+              }
+
+              const refundDue = roundMoney(totalRefund - loyalty.points_refund_value);
+
+              // a store credit refund goes on the customer's account rather than out of a drawer
+              const creditStore = (callback) => {
+                if (refundMethod !== 'store_credit' || refundDue <= 0) return callback(null, null);
+
+                const credit = {
+                  amount: refundDue,
+                  referenceType: 'return',
+                  referenceId: returnId,
+                  userId: req.userId,
+                  note: `Refund for ${sale.invoice_number}`
+                };
+
+                if (storeCredit) {
+                  return addTransaction({ ...credit, giftCardId: storeCredit.id, type: 'top_up' }, (err, balance) => {
+                    callback(err, { id: storeCredit.id, code: maskCode(storeCredit.code), balance, expires_at: storeCredit.expires_at });
+                  });
+                }
+                issueCard({
+                  ...credit,
+                  type: 'store_credit',
+                  customerId: sale.customer_id,
+                  expiresAt: expiryFor('store_credit').expiresAt
+                }, callback);
+              };
+
+              creditStore((creditErr, credit) => {
+                if (creditErr) {
+                  db.run('ROLLBACK');
+                  return res.status(500).json({ success: false, error: 'Failed to issue store credit.' });
+                }
+
+                db.run(
+                  `UPDATE returns SET points_reversed = ?, points_refunded = ?, points_refund_value = ?, gift_card_id = ?
+                   WHERE id = ?`,
+                  [loyalty.points_reversed, loyalty.points_refunded, loyalty.points_refund_value,
+                   credit ? credit.id : null, returnId]
+                );
+
+                db.run('COMMIT', (commitErr) => {
+                  if (commitErr) {
+                    db.run('ROLLBACK');
+                    return res.status(500).json({ success: false, error: 'Transaction failed.' });
+                  }
+
+                  res.status(201).json({
+                    success: true,
+                    message: 'Return processed successfully',
+                    returnId,
+                    returnNumber,
+                    branchId,
+                    invoiceNumber: sale.invoice_number,
+                    refundMethod,
+                    totalRefund,
+                    refundDue,
+                    loyalty,
+                    storeCredit: credit,
+                    items: lines
+                  });
+                });
+              });
+            });
+          });
+        }
+      );
+    });
+  });
+};
+
+// ============================================
+// GET ALL RETURNS
+// GET /api/returns?sale_id=1&return_number=CN-MAIN-2026-000001&branch_id=1&start_date=2024-01-01&end_date=2024-01-31
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { sale_id, return_number, start_date, end_date } = req.query;
+
+  const list = parseListQuery(req.query, RETURN_LIST);
+  if (list.error) return res.status(400).json({ success: false, error: list.error });
+
+  let query = `
+    SELECT r.*, s.invoice_number, u.username as processed_by
+    FROM returns r
+    JOIN sales s ON r.sale_id = s.id
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (req.userRole !== 'admin') {
+    query += ' AND r.user_id = ?';
+    params.push(req.userId);
+  }
+  if (req.branchScope) {
+    query += ' AND r.branch_id = ?';
+    params.push(req.branchScope);
+  }
+  if (sale_id) {
+    query += ' AND r.sale_id = ?';
+    params.push(sale_id);
+  }
+  if (return_number) {
+    query += ' AND r.return_number = ? COLLATE NOCASE';
+    params.push(String(return_number).trim());
+  }
+  if (start_date) {
+    query += ' AND DATE(r.created_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(r.created_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) return res.status(500).json({ success: false, error: 'Failed to fetch returns.' });
+    const returns = page.rows.map(ret => pickFields(ret, list.fields));
+    res.json({ success: true, count: returns.length, total: page.total, pagination: page.pagination, returns });
+  });
+});
+
+// ============================================
+// GET SINGLE RETURN
+// GET /api/returns/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get(
+    `SELECT r.*, s.invoice_number, u.username as processed_by
+     FROM returns r
+     JOIN sales s ON r.sale_id = s.id
+     LEFT JOIN users u ON r.user_id = u.id
+     WHERE r.id = ?`,
+    [req.params.id],
+    (err, ret) => {
+      if (err || !ret) return res.status(404).json({ success: false, error: 'Return not found.' });
+
+      if (req.userRole !== 'admin' && ret.user_id !== req.userId) {
+        return res.status(403).json({ success: false, error: 'Permission denied.' });
+      }
+
+      db.all(
+        `SELECT ri.*, p.name as product_name, p.sku
+         FROM return_items ri LEFT JOIN products p ON ri.product_id = p.id
+         WHERE ri.return_id = ?`,
+        [req.params.id],
+        (err2, items) => {
+          ret.items = items || [];
+          res.json({ success: true, return: ret });
+        }
+      );
+    }
+  );
+});
+
+module.exports = router;
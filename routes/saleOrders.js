@@ -0,0 +1,614 @@
+/**
+ * SALE ORDER ROUTES
+ *
+ * Parked carts, quotations and layaways (completed through POST /api/sales
+ * with order_id; see services/saleOrders.js):
+ * - GET /api/sale-orders - List orders (?type=&status=&customer_id=, paged: see services/listing.js)
+ * - GET /api/sale-orders/:id - Get single order with its items and payments
+ * - POST /api/sale-orders - Park a cart, give a quotation or put goods on layaway against a deposit
+ * - POST /api/sale-orders/:id/payments - Pay an instalment on a layaway
+ * - POST /api/sale-orders/:id/cancel - Cancel an open order, refunding what was paid on a layaway
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken } = require('../middleware/auth');
+const { priceSale } = require('../services/pricing');
+const { findOpenSession } = require('../services/registerSessions');
+const { findCustomer } = require('../services/customers');
+const { expiryFor, issueCard } = require('../services/giftCards');
+const {
+  ORDER_TYPES, ORDER_STATUSES, QUOTATION_VALID_DAYS, LAYAWAY_MIN_DEPOSIT_PERCENT, PAID_SQL,
+  orderNumber, loadOrder, buildInstalment, recordPayments, reserveStock
+} = require('../services/saleOrders');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+const { roundMoney } = require('../utils/money');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/sale-orders
+const ORDER_LIST = {
+  sort: {
+    created_at: 'created_at',
+    order_number: 'order_number',
+    grand_total: 'grand_total',
+    balance: 'balance'
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'order_number', 'type', 'status', 'customer_id', 'customer_name', 'user_id', 'cashier_name', 'branch_id',
+    'branch_name', 'subtotal', 'tax', 'total_discount', 'grand_total', 'paid', 'balance', 'notes', 'valid_until',
+    'sale_id', 'completed_at', 'cancelled_at', 'cancel_reason', 'created_at', 'updated_at'
+  ]
+};
+
+// Ways a cancelled layaway's payments can be given back
+const REFUND_METHODS = ['cash', 'card', 'online', 'store_credit'];
+
+/**
+ * Work Out A Quotation's valid_until
+ *
+ * @param {String} validUntil - YYYY-MM-DD, or empty for QUOTATION_VALID_DAYS from today
+ * @returns {Object} { error } or { validUntil }
+ */
+const quotationValidUntil = (validUntil) => {
+  if (!validUntil) {
+    const date = new Date(Date.now() + QUOTATION_VALID_DAYS * 24 * 60 * 60 * 1000);
+    return { validUntil: date.toISOString().slice(0, 10) };
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(validUntil)) || isNaN(Date.parse(validUntil))) {
+    return { error: 'valid_until must be a date (YYYY-MM-DD).' };
+  }
+  if (String(validUntil) < new Date().toISOString().slice(0, 10)) {
+    return { error: 'valid_until cannot be in the past.' };
+  }
+  return { validUntil: String(validUntil) };
+};
+
+// ============================================
+// GET ALL SALE ORDERS
+// GET /api/sale-orders?type=layaway&status=open&customer_id=1
+// Staff see the orders of their own branch
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { type, status, customer_id } = req.query;
+
+  const list = parseListQuery(req.query, ORDER_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  if (type && !ORDER_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${ORDER_TYPES.join(', ')}`
+    });
+  }
+
+  if (status && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`
+    });
+  }
+
+  let query = `
+    SELECT o.*, u.username as cashier_name, b.name as branch_name,
+           (${PAID_SQL}) as paid,
+           CASE WHEN o.status = 'open' THEN ROUND(o.grand_total - (${PAID_SQL}), 2) ELSE 0 END as balance
+    FROM sale_orders o
+    LEFT JOIN users u ON o.user_id = u.id
+    LEFT JOIN branches b ON o.branch_id = b.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (req.branchScope) {
+    query += ' AND o.branch_id = ?';
+    params.push(req.branchScope);
+  }
+  if (type) {
+    query += ' AND o.type = ?';
+    params.push(type);
+  }
+  if (status) {
+    query += ' AND o.status = ?';
+    params.push(status);
+  }
+  if (customer_id) {
+    query += ' AND o.customer_id = ?';
+    params.push(customer_id);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sale orders'
+      });
+    }
+
+    const orders = page.rows.map(order => pickFields(order, list.fields));
+    res.json({
+      success: true,
+      count: orders.length,
+      total: page.total,
+      pagination: page.pagination,
+      orders
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE SALE ORDER
+// GET /api/sale-orders/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  loadOrder(req.params.id, (err, order) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sale order'
+      });
+    }
+
+    if (!order || (req.branchScope && order.branch_id !== req.branchScope)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+  });
+});
+
+// ============================================
+// CREATE SALE ORDER
+// POST /api/sale-orders
+// Body: { type, items, discount, coupon_codes, customer_id, customer_name, notes, valid_until, payments }
+// Priced like POST /api/sales. valid_until is for quotations; a layaway needs a
+// customer and a deposit (payments) taken at the cashier's open register session
+// ============================================
+router.post('/', verifyToken, (req, res) => {
+  const { type, customer_id, notes } = req.body;
+
+  if (!ORDER_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${ORDER_TYPES.join(', ')}`
+    });
+  }
+
+  if (Number(req.body.redeem_points || 0) > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Loyalty points can only be redeemed on a sale.'
+    });
+  }
+
+  if (type === 'layaway' && !customer_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'A layaway needs a customer_id.'
+    });
+  }
+
+  const validity = type === 'quotation' ? quotationValidUntil(req.body.valid_until) : { validUntil: null };
+  if (validity.error) {
+    return res.status(400).json({
+      success: false,
+      error: validity.error
+    });
+  }
+
+  priceSale(req.body, (err, breakdown) => {
+    if (err) {
+      return res.status(err.status || 500).json({
+        success: false,
+        error: err.status ? err.message : 'Failed to price order'
+      });
+    }
+
+    // ── a layaway is held once a big enough deposit is paid ──
+    let deposit = { payments: [], amount: 0, changeDue: 0 };
+    if (type === 'layaway') {
+      deposit = buildInstalment(req.body, breakdown.grand_total);
+      const minimum = roundMoney(breakdown.grand_total * LAYAWAY_MIN_DEPOSIT_PERCENT / 100);
+      if (!deposit.error && deposit.amount < minimum) {
+        deposit = { error: `A layaway needs a deposit of at least ${minimum} (${LAYAWAY_MIN_DEPOSIT_PERCENT}% of ${breakdown.grand_total}).` };
+      }
+      if (deposit.error) {
+        return res.status(400).json({
+          success: false,
+          error: deposit.error,
+          breakdown
+        });
+      }
+    }
+
+    const withCustomer = (callback) => {
+      if (!customer_id) return callback(null, null);
+      findCustomer(customer_id, callback);
+    };
+
+    withCustomer((err, customer) => {
+      if (err) {
+        return res.status(err.status || 500).json({
+          success: false,
+          error: err.status ? err.message : 'Failed to fetch customer'
+        });
+      }
+
+      findOpenSession(req.userId, (err, session) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch register session'
+          });
+        }
+
+        if (!session && type === 'layaway') {
+          return res.status(409).json({
+            success: false,
+            error: 'Open a register session before taking a deposit.'
+          });
+        }
+
+        const branchId = (session && session.branch_id) || req.branchId;
+        const number = orderNumber(type);
+
+        db.serialize(() => {
+          db.run('BEGIN TRANSACTION');
+
+          db.run(
+            `INSERT INTO sale_orders
+              (order_number, type, customer_id, customer_name, user_id, branch_id, discount, coupon_codes,
+               subtotal, tax, total_discount, grand_total, breakdown, notes, valid_until)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              number,
+              type,
+              customer ? customer.id : null,
+              req.body.customer_name || (customer && customer.name) || null,
+              req.userId,
+              branchId,
+              breakdown.discount,
+              JSON.stringify([].concat(req.body.coupon_codes || req.body.coupon_code || [])),
+              breakdown.subtotal,
+              breakdown.tax,
+              breakdown.total_discount,
+              breakdown.grand_total,
+              JSON.stringify(breakdown),
+              notes ? String(notes).trim() : null,
+              validity.validUntil
+            ],
+            function(err) {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Failed to create sale order'
+                });
+              }
+
+              const orderId = this.lastID;
+
+              breakdown.lines.forEach(line => {
+                db.run(
+                  `INSERT INTO sale_order_items (order_id, product_id, quantity, price, discount, total)
+                   VALUES (?, ?, ?, ?, ?, ?)`,
+                  [orderId, line.product_id, line.quantity, line.price, line.discount, line.total]
+                );
+              });
+
+              // ── a layaway's goods are set aside, then its deposit is recorded ──
+              const holdGoods = (callback) => {
+                if (type !== 'layaway') return callback(null);
+
+                reserveStock(breakdown.lines, branchId, 1, (err) => {
+                  if (err) return callback(err);
+                  recordPayments({
+                    orderId,
+                    type: 'payment',
+                    payments: deposit.payments,
+                    sessionId: session.id,
+                    userId: req.userId
+                  }, callback);
+                });
+              };
+
+              holdGoods((err) => {
+                if (err) {
+                  db.run('ROLLBACK');
+                  return res.status(err.status || 500).json({
+                    success: false,
+                    error: err.status ? err.message : 'Failed to create sale order'
+                  });
+                }
+
+                db.run('COMMIT', (err) => {
+                  if (err) {
+                    return res.status(500).json({
+                      success: false,
+                      error: 'Failed to create sale order'
+                    });
+                  }
+
+                  loadOrder(orderId, (err, order) => {
+                    res.status(201).json({
+                      success: true,
+                      message: `${type.charAt(0).toUpperCase()}${type.slice(1)} ${number} saved`,
+                      orderId,
+                      orderNumber: number,
+                      changeDue: deposit.changeDue,
+                      order: order || null
+                    });
+                  });
+                });
+              });
+            }
+          );
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// PAY A LAYAWAY INSTALMENT
+// POST /api/sale-orders/:id/payments
+// Body: { payments } up to the balance left, taken at the cashier's open register session
+// ============================================
+router.post('/:id/payments', verifyToken, (req, res) => {
+  loadOrder(req.params.id, (err, order) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sale order'
+      });
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale order not found'
+      });
+    }
+
+    if (order.type !== 'layaway' || order.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Instalments can only be paid on an open layaway.'
+      });
+    }
+
+    const instalment = buildInstalment(req.body, order.balance);
+    if (instalment.error) {
+      return res.status(400).json({
+        success: false,
+        error: instalment.error
+      });
+    }
+
+    findOpenSession(req.userId, (err, session) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch register session'
+        });
+      }
+
+      if (!session) {
+        return res.status(409).json({
+          success: false,
+          error: 'Open a register session before taking a payment.'
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        recordPayments({
+          orderId: order.id,
+          type: 'payment',
+          payments: instalment.payments,
+          sessionId: session.id,
+          userId: req.userId
+        }, (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to record payment'
+            });
+          }
+
+          db.run('UPDATE sale_orders SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [order.id]);
+
+          db.run('COMMIT', (err) => {
+            if (err) {
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to record payment'
+              });
+            }
+
+            const paid = roundMoney(order.paid + instalment.amount);
+            const balance = roundMoney(order.grand_total - paid);
+            res.status(201).json({
+              success: true,
+              message: balance > 0 ? 'Payment recorded' : 'Layaway paid in full',
+              orderId: order.id,
+              amount: instalment.amount,
+              changeDue: instalment.changeDue,
+              paid,
+              balance,
+              paid_in_full: balance <= 0
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// CANCEL SALE ORDER
+// POST /api/sale-orders/:id/cancel
+// Body: { reason, refund_method } refund_method is needed when a layaway has been paid on;
+// cash is given back from the cashier's open register session, store credit goes to the customer
+// ============================================
+router.post('/:id/cancel', verifyToken, (req, res) => {
+  const { reason, refund_method } = req.body;
+
+  loadOrder(req.params.id, (err, order) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sale order'
+      });
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale order not found'
+      });
+    }
+
+    if (order.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: `Order is already ${order.status}.`
+      });
+    }
+
+    if (order.paid > 0 && !REFUND_METHODS.includes(refund_method)) {
+      return res.status(400).json({
+        success: false,
+        error: `${order.paid} has been paid; refund_method must be one of: ${REFUND_METHODS.join(', ')}`
+      });
+    }
+
+    findOpenSession(req.userId, (err, session) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch register session'
+        });
+      }
+
+      if (order.paid > 0 && refund_method === 'cash' && !session) {
+        return res.status(409).json({
+          success: false,
+          error: 'Open a register session before giving cash back.'
+        });
+      }
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        db.run(
+          `UPDATE sale_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancelled_by = ?,
+                  cancel_reason = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'open'`,
+          [req.userId, reason ? String(reason).trim() : null, order.id],
+          function(err) {
+            if (err || this.changes === 0) {
+              db.run('ROLLBACK');
+              return res.status(409).json({
+                success: false,
+                error: 'Order could not be cancelled'
+              });
+            }
+
+            // ── what was paid goes back, as store credit when asked ──
+            const refund = (callback) => {
+              if (order.paid <= 0) return callback(null, null);
+
+              const giveBack = (err, credit) => {
+                if (err) return callback(err);
+                recordPayments({
+                  orderId: order.id,
+                  type: 'refund',
+                  payments: [{
+                    method: refund_method,
+                    amount: order.paid,
+                    reference: order.order_number,
+                    gift_card_id: credit ? credit.id : null
+                  }],
+                  sessionId: session ? session.id : null,
+                  userId: req.userId
+                }, (err) => callback(err, credit));
+              };
+
+              if (refund_method !== 'store_credit') return giveBack(null, null);
+              issueCard({
+                type: 'store_credit',
+                amount: order.paid,
+                customerId: order.customer_id,
+                expiresAt: expiryFor('store_credit').expiresAt,
+                referenceType: 'sale_order',
+                referenceId: order.id,
+                userId: req.userId,
+                note: `Refund for ${order.order_number}`
+              }, giveBack);
+            };
+
+            const release = (callback) => {
+              if (order.type !== 'layaway') return callback(null);
+              reserveStock(order.items, order.branch_id, -1, callback);
+            };
+
+            release((err) => {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Failed to release reserved stock'
+                });
+              }
+
+              refund((err, credit) => {
+                if (err) {
+                  db.run('ROLLBACK');
+                  return res.status(500).json({
+                    success: false,
+                    error: 'Failed to refund order'
+                  });
+                }
+
+                db.run('COMMIT', (err) => {
+                  if (err) {
+                    return res.status(500).json({
+                      success: false,
+                      error: 'Failed to cancel order'
+                    });
+                  }
+
+                  res.json({
+                    success: true,
+                    message: 'Order cancelled',
+                    orderId: order.id,
+                    refundMethod: order.paid > 0 ? refund_method : null,
+                    refunded: order.paid,
+                    storeCredit: credit
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+});
+
+module.exports = router;
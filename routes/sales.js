@@ -5,132 +5,369 @@
 const express = require('express');
 const db = require('../database');
 const { verifyToken, isAdmin } = require('../middleware/auth');
+const { priceSale, findMismatches } = require('../services/pricing');
+const { priceOrder, layawayPayments, completeOrder } = require('../services/saleOrders');
+const { nextNumber } = require('../services/numbering');
+const { buildPayments } = require('../services/payments');
+const { findOpenSession } = require('../services/registerSessions');
+const { adjustStock, adjustStockEach } = require('../services/stock');
+const { roundMoney } = require('../utils/money');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+const { withImageUrls } = require('../services/images');
+const { COSTING_METHOD, profitLines } = require('../services/costing');
+const { marginSql } = require('../services/prices');
+const { findCustomer } = require('../services/customers');
+const { tenderedPoints, settleSale, reverseSale } = require('../services/loyalty');
+const { resolveTenders, redeemTenders, refundTenders } = require('../services/giftCards');
 
 const router = express.Router();
 
+// Gross profit buckets, as strftime formats
+const PROFIT_PERIODS = { day: '%Y-%m-%d', week: '%Y-W%W', month: '%Y-%m' };
+
+// Columns each margin report row is grouped by
+const MARGIN_GROUPS = {
+  product: 'l.product_id, p.name, p.sku, p.category',
+  category: "COALESCE(p.category, 'Uncategorized') as category"
+};
+
+// Sort fields and fields of GET /api/sales
+const SALE_LIST = {
+  sort: {
+    created_at: 'created_at',
+    invoice_number: 'invoice_number',
+    grand_total: 'grand_total',
+    customer_name: "COALESCE(customer_name, '')"
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'invoice_number', 'user_id', 'cashier_name', 'customer_id', 'customer_name', 'subtotal', 'tax', 'discount',
+    'grand_total', 'payment_method', 'status', 'voided_at', 'voided_by', 'session_id', 'branch_id',
+    'branch_name', 'created_at'
+  ]
+};
+
+
+// PRICE QUOTE  —  POST /api/sales/quote
+// Returns the authoritative breakdown for a cart without selling anything
+
+router.post('/quote', verifyToken, (req, res) => {
+  priceSale(req.body, (err, breakdown) => {
+    if (err) {
+      return res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Failed to price sale.' });
+    }
+
+    res.json({ success: true, breakdown });
+  });
+});
+
 
 // CREATE SALE  —  POST /api/sales
+// Prices, promotions, tax and totals are computed server-side; client totals must agree.
+// Items are { product_id, quantity }, { product_id, weight } for weighed items, or { code } as scanned;
+// a weighed-item barcode sets the line's weight and price from the code.
+// With order_id it completes a parked cart, quotation or layaway (see services/saleOrders.js)
 
 router.post('/', verifyToken, (req, res) => {
-  const { customer_name, items, subtotal, tax, discount, grand_total, payment_method } = req.body;
+  // ── compute the authoritative breakdown ──
+  priceOrder(req.body, (err, breakdown, order) => {
+    if (err) {
+      return res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Failed to price sale.' });
+    }
 
-  // ── validation ──
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ success: false, error: 'No items provided.' });
-  }
-  if (!grand_total) {
-    return res.status(400).json({ success: false, error: 'Grand total is required.' });
-  }
+    // ── an order keeps the customer it was taken for unless another is given ──
+    const customer_name = req.body.customer_name || (order && order.customer_name);
+    const customer_id = req.body.customer_id !== undefined ? req.body.customer_id : order && order.customer_id;
+
+    // ── reject sales whose client totals disagree with ours ──
+    const mismatches = findMismatches(req.body, breakdown);
+    if (mismatches.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Sale totals do not match current prices. Please re-price the cart.',
+        mismatches,
+        breakdown
+      });
+    }
 
-  const invoiceNumber = `INV-${Date.now()}-${Math.floor(Math.random() * 9000) + 1000}`;
+    // ── tenders must cover the computed total; a layaway's have partly been paid already ──
+    const { error, payments, paymentMethod, changeDue } = order && order.type === 'layaway'
+      ? layawayPayments(req.body, order)
+      : buildPayments(req.body, breakdown.grand_total);
+    if (error) return res.status(400).json({ success: false, error, breakdown });
+
+    // ── loyalty points can only come out of a linked customer's balance ──
+    const tender = tenderedPoints(payments);
+    if (tender.error) return res.status(400).json({ success: false, error: tender.error, breakdown });
+    if ((breakdown.points_redeemed > 0 || tender.points > 0) && !customer_id) {
+      return res.status(400).json({ success: false, error: 'Link a customer to redeem loyalty points.', breakdown });
+    }
 
-  // ── run everything inside db.serialize so statements execute in order ──
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+    // ── a linked customer must exist; their name is kept on the sale ──
+    const withCustomer = (callback) => {
+      if (customer_id === undefined || customer_id === null || customer_id === '') return callback(null, null);
+      findCustomer(customer_id, callback);
+    };
 
-    // 1. insert sale header
-    db.run(
-      `INSERT INTO sales
-        (invoice_number, user_id, customer_name, subtotal, tax, discount, grand_total, payment_method)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        invoiceNumber,
-        req.userId,
-        customer_name || 'Walk-in Customer',
-        subtotal || 0,
-        tax || 0,
-        discount || 0,
-        grand_total,
-        payment_method || 'cash'
-      ]
-    );
-
-    // 2. get the new sale id
-    db.get('SELECT last_insert_rowid() as id', (err, row) => {
-      if (err || !row) {
-        db.run('ROLLBACK');
-        return res.status(500).json({ success: false, error: 'Failed to create sale record.' });
+    withCustomer((err, customer) => {
+      if (err) {
+        return res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Failed to fetch customer.' });
       }
 
-      const saleId = row.id;
+      // ── gift cards and store credit must be usable for what is drawn on them ──
+      resolveTenders(payments, (err) => {
+        if (err) {
+          return res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Failed to fetch gift card.' });
+        }
+
+        // ── every sale belongs to the cashier's open register session ──
+        findOpenSession(req.userId, (err, session) => {
+          if (err) return res.status(500).json({ success: false, error: 'Failed to fetch register session.' });
+          if (!session) {
+            return res.status(409).json({ success: false, error: 'Open a register session before selling.' });
+          }
 
-      // 3. loop over every item: check stock → insert sale_item → reduce stock
-      let index = 0;
+          // ── layaway goods are reserved at the branch that took it ──
+          const branchId = session.branch_id || req.branchId;
+          if (order && order.type === 'layaway' && order.branch_id && order.branch_id !== branchId) {
+            return res.status(409).json({ success: false, error: `Layaway ${order.order_number} must be completed at its own branch.` });
+          }
 
-      const processNext = () => {
-        // all items done → commit
-        if (index >= items.length) {
-          db.run('COMMIT', (commitErr) => {
-            if (commitErr) {
-              return res.status(500).json({ success: false, error: 'Transaction failed.' });
-            }
-            return res.status(201).json({
-              success: true,
-              message: 'Sale completed successfully',
-              invoiceNumber,
-              saleId,
-              itemsCount: items.length,
-              grandTotal: grand_total
-            });
+          createSale(req, res, {
+            customer_name: customer_name || (customer && customer.name),
+            customerId: customer ? customer.id : null,
+            breakdown, payments, paymentMethod, changeDue,
+            sessionId: session.id,
+            branchId,
+            order
           });
-          return;
-        }
+        });
+      });
+    });
+  });
+});
 
-        const item = items[index];
+/**
+ * Write a priced sale: header, items and stock changes in one transaction
+ */
+const createSale = (req, res, { customer_name, customerId, breakdown, payments, paymentMethod, changeDue, sessionId, branchId, order }) => {
+  const { lines } = breakdown;
 
-        // 3a. check current stock
-        db.get('SELECT quantity, min_stock, name FROM products WHERE id = ?', [item.product_id], (err, product) => {
-          if (err || !product) {
-            db.run('ROLLBACK');
-            return res.status(400).json({ success: false, error: `Product ID ${item.product_id} not found.` });
-          }
+  // ── run everything inside db.serialize so statements execute in order ──
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
 
-          if (product.quantity < item.quantity) {
+    // 1. number the invoice from its branch's series (inside the transaction, so no gaps)
+    nextNumber('invoice', branchId, (err, invoiceNumber) => {
+      if (err) {
+        db.run('ROLLBACK');
+        return res.status(500).json({ success: false, error: 'Failed to number invoice.' });
+      }
+
+      // 2. insert sale header and get the new sale id
+      db.run(
+        `INSERT INTO sales
+          (invoice_number, user_id, customer_id, customer_name, subtotal, tax, discount, grand_total, payment_method,
+           session_id, branch_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          invoiceNumber,
+          req.userId,
+          customerId,
+          customer_name || 'Walk-in Customer',
+          breakdown.subtotal,
+          breakdown.tax,
+          breakdown.total_discount,
+          breakdown.grand_total,
+          paymentMethod,
+          sessionId,
+          branchId
+        ],
+        function(err) {
+          if (err) {
             db.run('ROLLBACK');
-            return res.status(400).json({
-              success: false,
-              error: `Not enough stock for "${product.name}". Available: ${product.quantity}, Requested: ${item.quantity}`
-            });
+            return res.status(500).json({ success: false, error: 'Failed to create sale record.' });
           }
 
-          // 3b. insert sale item row
-          db.run(
-            'INSERT INTO sale_items (sale_id, product_id, quantity, price, total) VALUES (?, ?, ?, ?, ?)',
-            [saleId, item.product_id, item.quantity, item.price, item.total || (item.quantity * item.price)]
-          );
+          const saleId = this.lastID;
 
-          // 3c. reduce stock
-          const newQty = product.quantity - item.quantity;
-          let newStatus = 'in_stock';
-          if (newQty === 0) newStatus = 'out_of_stock';
-          else if (newQty <= product.min_stock) newStatus = 'low_stock';
+          // 2b. record every tender
+          payments.forEach(payment => {
+            db.run(
+              `INSERT INTO payments (sale_id, method, amount, tendered, change_given, reference, gift_card_id)
+               VALUES (?, ?, ?, ?, ?, ?, ?)`,
+              [saleId, payment.method, payment.amount, payment.tendered, payment.change_given, payment.reference,
+               payment.gift_card_id]
+            );
+          });
 
-          db.run(
-            'UPDATE products SET quantity = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [newQty, newStatus, item.product_id]
-          );
+          // 2c. close the order the sale completes, releasing a layaway's reserved goods to it
+          const completeNextOrder = () => {
+            if (!order) return countNextPromotion();
+
+            completeOrder(order, saleId, (err) => {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(err.status || 500).json({
+                  success: false, error: err.status ? err.message : 'Failed to complete order.'
+                });
+              }
+              countNextPromotion();
+            });
+          };
+
+          // 2d. count promotion usage (guards coupon usage limits under concurrent sales)
+          const promotions = breakdown.promotions;
+          let promotionIndex = 0;
+
+          const countNextPromotion = () => {
+            if (promotionIndex >= promotions.length) return processNext();
+
+            const promotion = promotions[promotionIndex];
+            db.run(
+              `UPDATE promotions SET times_used = times_used + 1
+               WHERE id = ? AND (usage_limit IS NULL OR times_used < usage_limit)`,
+              [promotion.id],
+              function(err) {
+                if (err || this.changes === 0) {
+                  db.run('ROLLBACK');
+                  return res.status(409).json({ success: false, error: `Promotion "${promotion.name}" is no longer available.` });
+                }
+                promotionIndex++;
+                countNextPromotion();
+              }
+            );
+          };
+
+          // 4. take gift card and store credit tenders off their balances,
+          //    then redeem and earn the customer's loyalty points
+          const settleLoyalty = (callback) => {
+            redeemTenders({ saleId, payments, userId: req.userId }, (err) => {
+              if (err || !customerId) return callback(err, null);
+              settleSale({ saleId, customerId, breakdown, payments, userId: req.userId }, callback);
+            });
+          };
+
+          // 3. loop over every line: check stock → reduce stock → insert sale_item
+          let index = 0;
+
+          const processNext = () => {
+            // all lines done → settle gift cards and loyalty points → commit
+            if (index >= lines.length) {
+              settleLoyalty((err, loyalty) => {
+                if (err) {
+                  db.run('ROLLBACK');
+                  return res.status(err.status || 500).json({
+                    success: false, error: err.status ? err.message : 'Failed to settle gift cards and loyalty points.'
+                  });
+                }
 
-          // move to next item
-          index++;
-          processNext();
-        });
-      };
+                db.run('COMMIT', (commitErr) => {
+                  if (commitErr) {
+                    return res.status(500).json({ success: false, error: 'Transaction failed.' });
+                  }
+                  return res.status(201).json({
+                    success: true,
+                    message: 'Sale completed successfully',
+                    invoiceNumber,
+                    saleId,
+                    sessionId,
+                    branchId,
+                    customerId,
+                    orderId: order ? order.id : null,
+                    itemsCount: lines.length,
+                    grandTotal: breakdown.grand_total,
+                    changeDue,
+                    payments,
+                    loyalty,
+                    breakdown
+                  });
+                });
+              });
+              return;
+            }
 
-      processNext(); // kick off the loop
+            const line = lines[index];
+
+            // 3a. check current stock at this branch, less what is reserved for layaways
+            db.get(
+              `SELECT p.name, p.min_stock, COALESCE(ps.quantity, 0) - COALESCE(ps.reserved_quantity, 0) as quantity
+               FROM products p
+               LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.branch_id = ?
+               WHERE p.id = ?`,
+              [branchId, line.product_id],
+              (err, product) => {
+                if (err || !product) {
+                  db.run('ROLLBACK');
+                  return res.status(400).json({ success: false, error: `Product ID ${line.product_id} not found.` });
+                }
+
+                if (product.quantity < line.quantity) {
+                  db.run('ROLLBACK');
+                  return res.status(400).json({
+                    success: false,
+                    error: `Not enough stock for "${product.name}". Available: ${product.quantity}, Requested: ${line.quantity}`
+                  });
+                }
+
+                // 3b. reduce stock (recorded in the stock ledger), which costs the units sold
+                adjustStock({
+                  productId: line.product_id,
+                  branchId,
+                  change: -line.quantity,
+                  type: 'sale',
+                  userId: req.userId,
+                  referenceType: 'sale',
+                  referenceId: saleId
+                }, (err, balance, value) => {
+                  if (err) {
+                    db.run('ROLLBACK');
+                    return res.status(500).json({ success: false, error: 'Failed to update stock.' });
+                  }
+
+                  // 3c. insert sale item row with its cost of goods sold
+                  db.run(
+                    `INSERT INTO sale_items
+                      (sale_id, product_id, quantity, price, discount, promotion_id, promotion_discount,
+                       tax_rate_id, tax_rate, tax_amount, total, unit_cost, cost)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [saleId, line.product_id, line.quantity, line.price, line.discount,
+                     line.promotion_id, line.promotion_discount,
+                     line.tax_rate_id, line.tax_rate, line.tax, line.total,
+                     -value / line.quantity, -value]
+                  );
+
+                  // move to next line
+                  index++;
+                  processNext();
+                });
+              }
+            );
+          };
+
+          completeNextOrder(); // kick off the loop
+        }
+      );
     });
   });
-});
+};
 
 // ============================================
 // GET ALL SALES  —  GET /api/sales
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js).
+// ?invoice_number= finds a sale by its number, in the series format or the older INV-<timestamp> one
 // ============================================
 router.get('/', verifyToken, (req, res) => {
-  const { start_date, end_date, payment_method, customer } = req.query;
+  const { start_date, end_date, payment_method, customer, customer_id, status, invoice_number } = req.query;
+
+  const list = parseListQuery(req.query, SALE_LIST);
+  if (list.error) return res.status(400).json({ success: false, error: list.error });
 
   let query = `
-    SELECT s.*, u.username as cashier_name
+    SELECT s.*, u.username as cashier_name, b.name as branch_name
     FROM sales s
     LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN branches b ON s.branch_id = b.id
     WHERE 1=1
   `;
   const params = [];
@@ -139,6 +376,10 @@ router.get('/', verifyToken, (req, res) => {
     query += ' AND s.user_id = ?';
     params.push(req.userId);
   }
+  if (req.branchScope) {
+    query += ' AND s.branch_id = ?';
+    params.push(req.branchScope);
+  }
   if (start_date) {
     query += ' AND DATE(s.created_at) >= DATE(?)';
     params.push(start_date);
@@ -148,19 +389,30 @@ router.get('/', verifyToken, (req, res) => {
     params.push(end_date);
   }
   if (payment_method) {
-    query += ' AND s.payment_method = ?';
+    query += ' AND s.id IN (SELECT sale_id FROM payments WHERE method = ?)';
     params.push(payment_method);
   }
   if (customer) {
     query += ' AND s.customer_name LIKE ?';
     params.push(`%${customer}%`);
   }
+  if (customer_id) {
+    query += ' AND s.customer_id = ?';
+    params.push(customer_id);
+  }
+  if (status) {
+    query += ' AND s.status = ?';
+    params.push(status);
+  }
+  if (invoice_number) {
+    query += ' AND s.invoice_number = ? COLLATE NOCASE';
+    params.push(String(invoice_number).trim());
+  }
 
-  query += ' ORDER BY s.created_at DESC';
-
-  db.all(query, params, (err, sales) => {
+  fetchPage(query, params, list, (err, page) => {
     if (err) return res.status(500).json({ success: false, error: 'Failed to fetch sales.' });
-    res.json({ success: true, count: sales.length, sales: sales || [] });
+    const sales = page.rows.map(sale => pickFields(sale, list.fields));
+    res.json({ success: true, count: sales.length, total: page.total, pagination: page.pagination, sales });
   });
 });
 
@@ -172,8 +424,10 @@ router.get('/:id', verifyToken, (req, res) => {
   if (req.params.id === 'reports') return res.status(404).json({ success: false, error: 'Not found' });
 
   db.get(
-    `SELECT s.*, u.username as cashier_name
-     FROM sales s LEFT JOIN users u ON s.user_id = u.id
+    `SELECT s.*, u.username as cashier_name, b.name as branch_name
+     FROM sales s
+     LEFT JOIN users u ON s.user_id = u.id
+     LEFT JOIN branches b ON s.branch_id = b.id
      WHERE s.id = ?`,
     [req.params.id],
     (err, sale) => {
@@ -184,13 +438,29 @@ router.get('/:id', verifyToken, (req, res) => {
       }
 
       db.all(
-        `SELECT si.*, p.name as product_name, p.sku, p.category, p.image_path
-         FROM sale_items si LEFT JOIN products p ON si.product_id = p.id
+        `SELECT si.*, p.name as product_name, p.sku, p.category, p.image_path, p.thumbnail_path,
+                pr.name as promotion_name,
+                COALESCE((SELECT SUM(quantity) FROM return_items WHERE sale_item_id = si.id), 0) as returned_quantity
+         FROM sale_items si
+         LEFT JOIN products p ON si.product_id = p.id
+         LEFT JOIN promotions pr ON si.promotion_id = pr.id
          WHERE si.sale_id = ?`,
         [req.params.id],
         (err2, items) => {
-          sale.items = items || [];
-          res.json({ success: true, sale });
+          sale.items = (items || []).map(withImageUrls);
+
+          db.all('SELECT * FROM payments WHERE sale_id = ? ORDER BY id', [req.params.id], (err3, payments) => {
+            sale.payments = payments || [];
+
+            db.all(
+              'SELECT id, return_number, reason, refund_method, total_refund, created_at FROM returns WHERE sale_id = ? ORDER BY created_at',
+              [req.params.id],
+              (err4, returns) => {
+                sale.returns = returns || [];
+                res.json({ success: true, sale });
+              }
+            );
+          });
         }
       );
     }
@@ -198,37 +468,85 @@ router.get('/:id', verifyToken, (req, res) => {
 });
 
 
-// DELETE SALE  —  DELETE /api/sales/:id   (admin)
+// VOID SALE  —  DELETE /api/sales/:id   (admin)
+// The sale and its items are kept (marked voided) so the invoice stays on record
 
 router.delete('/:id', verifyToken, isAdmin, (req, res) => {
-  db.all('SELECT product_id, quantity FROM sale_items WHERE sale_id = ?', [req.params.id], (err, items) => {
-    if (err) return res.status(500).json({ success: false, error: 'Failed.' });
+  db.get(
+    `SELECT s.*, (SELECT COUNT(*) FROM returns WHERE sale_id = s.id) as return_count
+     FROM sales s WHERE s.id = ?`,
+    [req.params.id],
+    (err, sale) => {
+      if (err) return res.status(500).json({ success: false, error: 'Failed.' });
+      if (!sale) return res.status(404).json({ success: false, error: 'Sale not found.' });
+      if (sale.status === 'voided') return res.status(400).json({ success: false, error: 'Sale is already voided.' });
+      if (sale.return_count > 0) {
+        return res.status(400).json({ success: false, error: 'Sale has returns. Use a return for the remaining items.' });
+      }
 
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
+      db.all('SELECT product_id, quantity, unit_cost FROM sale_items WHERE sale_id = ?', [req.params.id], (err, items) => {
+        if (err) return res.status(500).json({ success: false, error: 'Failed.' });
 
-      // restore stock
-      (items || []).forEach(item => {
-        db.run('UPDATE products SET quantity = quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [item.quantity, item.product_id]);
-      });
+        db.serialize(() => {
+          db.run('BEGIN TRANSACTION');
 
-      db.run('DELETE FROM sale_items WHERE sale_id = ?', [req.params.id]);
-      db.run('DELETE FROM sales WHERE id = ?', [req.params.id], function (delErr) {
-        if (delErr || this.changes === 0) {
-          db.run('ROLLBACK');
-          return res.status(404).json({ success: false, error: 'Sale not found.' });
-        }
-        db.run('COMMIT', () => {
-          res.json({ success: true, message: 'Sale voided. Stock restored.' });
+          db.run(
+            `UPDATE sales SET status = 'voided', voided_at = CURRENT_TIMESTAMP, voided_by = ?
+             WHERE id = ? AND status != 'voided'`,
+            [req.userId, req.params.id],
+            function (voidErr) {
+              if (voidErr || this.changes === 0) {
+                db.run('ROLLBACK');
+                return res.status(409).json({ success: false, error: 'Sale could not be voided.' });
+              }
+
+              // restore stock to the branch it was sold from, at the cost it was sold at
+              const movements = (items || []).map(item => ({
+                productId: item.product_id,
+                branchId: sale.branch_id,
+                change: item.quantity,
+                unitCost: item.unit_cost,
+                type: 'void',
+                userId: req.userId,
+                referenceType: 'sale',
+                referenceId: Number(req.params.id)
+              }));
+
+              adjustStockEach(movements, (stockErr) => {
+                if (stockErr) {
+                  db.run('ROLLBACK');
+                  return res.status(500).json({ success: false, error: 'Failed to restore stock.' });
+                }
+
+                // take back the points the sale earned and give back the points it used
+                reverseSale({ sale, returnId: null, refund: sale.grand_total, userId: req.userId }, (pointsErr, loyalty) => {
+                  if (pointsErr) {
+                    db.run('ROLLBACK');
+                    return res.status(500).json({ success: false, error: 'Failed to reverse loyalty points.' });
+                  }
+
+                  // gift cards and store credit get back what was paid from them
+                  refundTenders(sale.id, req.userId, (cardErr) => {
+                    if (cardErr) {
+                      db.run('ROLLBACK');
+                      return res.status(500).json({ success: false, error: 'Failed to refund gift cards.' });
+                    }
+                    db.run('COMMIT', () => {
+                      res.json({ success: true, message: 'Sale voided. Stock restored.', loyalty });
+                    });
+                  });
+                });
+              });
+            }
+          );
         });
       });
-    });
-  });
+    }
+  );
 });
 
 // ============================================
-// REPORTS  —  GET /api/sales/reports/summary
+// REPORTS  —  GET /api/sales/reports/summary?period=month&branch_id=1
 // ============================================
 router.get('/reports/summary', verifyToken, (req, res) => {
   const { period } = req.query;
@@ -244,6 +562,19 @@ router.get('/reports/summary', verifyToken, (req, res) => {
   if (req.userRole !== 'admin') {
     dateFilter += ` AND user_id = ${parseInt(req.userId)}`;
   }
+  if (req.branchScope) {
+    dateFilter += ` AND branch_id = ${parseInt(req.branchScope)}`;
+  }
+
+  // same period applied to a table alias (sales "s", returns "r")
+  const scoped = (alias) => dateFilter
+    .replace(/created_at/g, `${alias}.created_at`)
+    .replace(/user_id/g, `${alias}.user_id`)
+    .replace(/branch_id/g, `${alias}.branch_id`);
+
+  // voided sales never count; refunds are netted out by the date they were given
+  const saleFilter = `${scoped('s')} AND s.status != 'voided'`;
+  const returnFilter = `${scoped('r')} AND r.sale_id IN (SELECT id FROM sales WHERE status != 'voided')`;
 
   db.get(
     `SELECT
@@ -255,33 +586,86 @@ router.get('/reports/summary', verifyToken, (req, res) => {
        COALESCE(SUM(discount),0)    as total_discount,
        MIN(grand_total) as min_sale,
        MAX(grand_total) as max_sale
-     FROM sales WHERE ${dateFilter}`,
+     FROM sales s WHERE ${saleFilter}`,
     (err, summary) => {
       if (err) return res.status(500).json({ success: false, error: 'Failed.' });
 
-      db.all(
-        `SELECT payment_method, COUNT(*) as count, COALESCE(SUM(grand_total),0) as total
-         FROM sales WHERE ${dateFilter} GROUP BY payment_method`,
-        (err2, payMethods) => {
+      db.get(
+        `SELECT COUNT(*) as total_returns,
+                ROUND(COALESCE(SUM(total_refund),0), 2) as total_refunds,
+                COALESCE(SUM(tax),0)          as refunded_tax
+         FROM returns r WHERE ${returnFilter}`,
+        (errR, refunds) => {
+          if (errR) return res.status(500).json({ success: false, error: 'Failed.' });
+
           db.all(
-            `SELECT p.id, p.name, p.sku,
-                    SUM(si.quantity) as units_sold,
-                    COALESCE(SUM(si.total),0) as revenue
-             FROM sale_items si
-             JOIN sales s ON si.sale_id = s.id
-             JOIN products p ON si.product_id = p.id
-             WHERE ${dateFilter.replace(/created_at/g, 's.created_at')}
-             GROUP BY p.id ORDER BY units_sold DESC LIMIT 10`,
-            (err3, topProducts) => {
-              res.json({
-                success: true,
-                period: period || 'all_time',
-                summary: {
-                  ...summary,
-                  payment_methods: payMethods || [],
-                  top_products: topProducts || []
+            `SELECT method as payment_method,
+                    SUM(sales_count) as count,
+                    ROUND(COALESCE(SUM(total),0), 2) as total,
+                    ROUND(COALESCE(SUM(refunds),0), 2) as refunds,
+                    ROUND(COALESCE(SUM(total),0) - COALESCE(SUM(refunds),0), 2) as net
+             FROM (
+               SELECT p.method, COUNT(DISTINCT p.sale_id) as sales_count, SUM(p.amount) as total, 0 as refunds
+               FROM payments p JOIN sales s ON p.sale_id = s.id
+               WHERE ${saleFilter} GROUP BY p.method
+               UNION ALL
+               SELECT r.refund_method, 0, 0, SUM(r.total_refund - r.points_refund_value)
+               FROM returns r WHERE ${returnFilter} GROUP BY r.refund_method
+               UNION ALL
+               SELECT 'points', 0, 0, SUM(r.points_refund_value)
+               FROM returns r WHERE ${returnFilter} AND r.points_refund_value > 0 GROUP BY 1
+             )
+             GROUP BY method ORDER BY total DESC`,
+            (err2, payMethods) => {
+              db.all(
+                `SELECT p.id, p.name, p.sku,
+                        SUM(si.quantity) - COALESCE(SUM(ret.quantity),0) as units_sold,
+                        COALESCE(SUM(si.total),0) - COALESCE(SUM(ret.amount),0) as revenue
+                 FROM sale_items si
+                 JOIN sales s ON si.sale_id = s.id
+                 JOIN products p ON si.product_id = p.id
+                 LEFT JOIN (SELECT sale_item_id, SUM(quantity) as quantity, SUM(amount) as amount
+                            FROM return_items GROUP BY sale_item_id) ret ON ret.sale_item_id = si.id
+                 WHERE ${saleFilter}
+                 GROUP BY p.id ORDER BY units_sold DESC LIMIT 10`,
+                (err3, topProducts) => {
+                  // tax collected per rate net of refunded tax, for filing
+                  db.all(
+                    `SELECT t.tax_rate_id, tr.code, tr.name, tr.type, t.rate,
+                            COALESCE(SUM(t.net),0) as net_amount,
+                            COALESCE(SUM(t.tax),0) as tax_amount
+                     FROM (
+                       SELECT si.tax_rate_id, si.tax_rate as rate,
+                              si.total - COALESCE(si.tax_amount,0) as net, COALESCE(si.tax_amount,0) as tax
+                       FROM sale_items si JOIN sales s ON si.sale_id = s.id
+                       WHERE ${saleFilter}
+                       UNION ALL
+                       SELECT si.tax_rate_id, si.tax_rate as rate,
+                              -(ri.amount - ri.tax_amount) as net, -ri.tax_amount as tax
+                       FROM return_items ri
+                       JOIN returns r ON ri.return_id = r.id
+                       JOIN sale_items si ON ri.sale_item_id = si.id
+                       WHERE ${returnFilter}
+                     ) t
+                     LEFT JOIN tax_rates tr ON t.tax_rate_id = tr.id
+                     GROUP BY t.tax_rate_id, t.rate ORDER BY t.rate DESC`,
+                    (err4, taxByRate) => {
+                      res.json({
+                        success: true,
+                        period: period || 'all_time',
+                        summary: {
+                          ...summary,
+                          ...refunds,
+                          net_revenue: roundMoney(summary.total_revenue - refunds.total_refunds),
+                          payment_methods: payMethods || [],
+                          top_products: topProducts || [],
+                          tax_by_rate: taxByRate || []
+                        }
+                      });
+                    }
+                  );
                 }
-              });
+              );
             }
           );
         }
@@ -290,8 +674,28 @@ router.get('/reports/summary', verifyToken, (req, res) => {
   );
 });
 
+/**
+ * Add refunds per period bucket to report rows and net them out of revenue
+ *
+ * @param {Array} rows - Sales rows ({ [key], total_revenue })
+ * @param {Array} refunds - Refund rows ({ [key], total_refunds })
+ * @param {String} key - Bucket column, e.g. "hour" or "date"
+ */
+const netRefunds = (rows, refunds, key) => {
+  const byKey = {};
+  rows.forEach(row => { byKey[row[key]] = { ...row, total_refunds: 0 }; });
+  refunds.forEach(refund => {
+    if (!byKey[refund[key]]) byKey[refund[key]] = { [key]: refund[key], sales_count: 0, total_revenue: 0 };
+    byKey[refund[key]].total_refunds = refund.total_refunds;
+  });
+
+  return Object.values(byKey)
+    .map(row => ({ ...row, net_revenue: roundMoney(row.total_revenue - row.total_refunds) }))
+    .sort((a, b) => (a[key] < b[key] ? -1 : 1));
+};
+
 // ============================================
-// DAILY REPORT  —  GET /api/sales/reports/daily
+// DAILY REPORT  —  GET /api/sales/reports/daily?date=&branch_id=
 // ============================================
 router.get('/reports/daily', verifyToken, (req, res) => {
   const targetDate = req.query.date || new Date().toISOString().split('T')[0];
@@ -300,19 +704,37 @@ router.get('/reports/daily', verifyToken, (req, res) => {
     SELECT strftime('%H:00', created_at) as hour,
            COUNT(*) as sales_count,
            COALESCE(SUM(grand_total),0) as total_revenue
-    FROM sales WHERE DATE(created_at) = DATE(?)`;
+    FROM sales WHERE DATE(created_at) = DATE(?) AND status != 'voided'`;
 
-  if (req.userRole !== 'admin') query += ` AND user_id = ${parseInt(req.userId)}`;
+  let refundQuery = `
+    SELECT strftime('%H:00', created_at) as hour,
+           ROUND(COALESCE(SUM(total_refund),0), 2) as total_refunds
+    FROM returns WHERE DATE(created_at) = DATE(?)
+      AND sale_id IN (SELECT id FROM sales WHERE status != 'voided')`;
+
+  if (req.userRole !== 'admin') {
+    query += ` AND user_id = ${parseInt(req.userId)}`;
+    refundQuery += ` AND user_id = ${parseInt(req.userId)}`;
+  }
+  if (req.branchScope) {
+    query += ` AND branch_id = ${parseInt(req.branchScope)}`;
+    refundQuery += ` AND branch_id = ${parseInt(req.branchScope)}`;
+  }
   query += ' GROUP BY hour ORDER BY hour';
+  refundQuery += ' GROUP BY hour';
 
   db.all(query, [targetDate], (err, data) => {
     if (err) return res.status(500).json({ success: false, error: 'Failed.' });
-    res.json({ success: true, date: targetDate, data: data || [] });
+
+    db.all(refundQuery, [targetDate], (err2, refunds) => {
+      if (err2) return res.status(500).json({ success: false, error: 'Failed.' });
+      res.json({ success: true, date: targetDate, data: netRefunds(data || [], refunds || [], 'hour') });
+    });
   });
 });
 
 
-// MONTHLY REPORT  —  GET /api/sales/reports/monthly
+// MONTHLY REPORT  —  GET /api/sales/reports/monthly?year=&month=&branch_id=
 
 router.get('/reports/monthly', verifyToken, (req, res) => {
   const now = new Date();
@@ -325,15 +747,110 @@ router.get('/reports/monthly', verifyToken, (req, res) => {
            COALESCE(SUM(grand_total),0) as total_revenue
     FROM sales
     WHERE strftime('%Y', created_at) = ?
-      AND strftime('%m', created_at) = ?`;
+      AND strftime('%m', created_at) = ?
+      AND status != 'voided'`;
 
-  if (req.userRole !== 'admin') query += ` AND user_id = ${parseInt(req.userId)}`;
+  let refundQuery = `
+    SELECT strftime('%Y-%m-%d', created_at) as date,
+           ROUND(COALESCE(SUM(total_refund),0), 2) as total_refunds
+    FROM returns
+    WHERE strftime('%Y', created_at) = ?
+      AND strftime('%m', created_at) = ?
+      AND sale_id IN (SELECT id FROM sales WHERE status != 'voided')`;
+
+  if (req.userRole !== 'admin') {
+    query += ` AND user_id = ${parseInt(req.userId)}`;
+    refundQuery += ` AND user_id = ${parseInt(req.userId)}`;
+  }
+  if (req.branchScope) {
+    query += ` AND branch_id = ${parseInt(req.branchScope)}`;
+    refundQuery += ` AND branch_id = ${parseInt(req.branchScope)}`;
+  }
   query += ' GROUP BY date ORDER BY date';
+  refundQuery += ' GROUP BY date';
 
-  db.all(query, [String(year), String(month).padStart(2, '0')], (err, data) => {
+  const params = [String(year), String(month).padStart(2, '0')];
+
+  db.all(query, params, (err, data) => {
     if (err) return res.status(500).json({ success: false, error: 'Failed.' });
-    res.json({ success: true, year, month, data: data || [] });
+
+    db.all(refundQuery, params, (err2, refunds) => {
+      if (err2) return res.status(500).json({ success: false, error: 'Failed.' });
+      res.json({ success: true, year, month, data: netRefunds(data || [], refunds || [], 'date') });
+    });
   });
 });
 
+// ============================================
+// GROSS PROFIT  —  GET /api/sales/reports/profit?start_date=&end_date=&period=month&branch_id=
+// Admin Only - net sales (ex tax, after returns) less their cost of goods sold, per day,
+// week or month; sellable returns put their cost back (see services/costing.js)
+// ============================================
+router.get('/reports/profit', verifyToken, isAdmin, (req, res) => {
+  const { start_date, end_date } = req.query;
+  const period = req.query.period || 'month';
+
+  if (!PROFIT_PERIODS[period]) {
+    return res.status(400).json({ success: false, error: `period must be one of: ${Object.keys(PROFIT_PERIODS).join(', ')}` });
+  }
+
+  const lines = profitLines({ startDate: start_date, endDate: end_date, branchId: req.branchScope });
+  const totals = `ROUND(COALESCE(SUM(revenue), 0), 2) as revenue, ROUND(COALESCE(SUM(cost), 0), 2) as cogs,
+                  ROUND(COALESCE(SUM(revenue) - SUM(cost), 0), 2) as gross_profit,
+                  ${marginSql('SUM(revenue)', 'SUM(cost)')} as margin_percent`;
+
+  db.all(
+    `SELECT strftime('${PROFIT_PERIODS[period]}', created_at) as period, ${totals}
+     FROM (${lines.sql}) GROUP BY period ORDER BY period`,
+    lines.params,
+    (err, periods) => {
+      if (err) return res.status(500).json({ success: false, error: 'Failed.' });
+
+      db.get(`SELECT ${totals} FROM (${lines.sql})`, lines.params, (err2, total) => {
+        if (err2) return res.status(500).json({ success: false, error: 'Failed.' });
+        res.json({ success: true, period, costing_method: COSTING_METHOD, totals: total, periods });
+      });
+    }
+  );
+});
+
+// ============================================
+// MARGINS  —  GET /api/sales/reports/margins?group=product&start_date=&end_date=&category=&branch_id=
+// Admin Only - gross profit and margin by product or by category, most profitable first
+// ============================================
+router.get('/reports/margins', verifyToken, isAdmin, (req, res) => {
+  const { start_date, end_date, category } = req.query;
+  const group = req.query.group || 'product';
+
+  if (!MARGIN_GROUPS[group]) {
+    return res.status(400).json({ success: false, error: `group must be one of: ${Object.keys(MARGIN_GROUPS).join(', ')}` });
+  }
+
+  const lines = profitLines({ startDate: start_date, endDate: end_date, branchId: req.branchScope });
+  const params = [...lines.params];
+  let categoryFilter = '';
+  if (category) {
+    categoryFilter = ' WHERE p.category = ?';
+    params.push(category);
+  }
+
+  // deleted products are kept as their id, so what they earned still counts
+  db.all(
+    `SELECT ${MARGIN_GROUPS[group]},
+            SUM(l.quantity) as quantity,
+            ROUND(SUM(l.revenue), 2) as revenue, ROUND(SUM(l.cost), 2) as cogs,
+            ROUND(SUM(l.revenue) - SUM(l.cost), 2) as gross_profit,
+            ${marginSql('SUM(l.revenue)', 'SUM(l.cost)')} as margin_percent
+     FROM (${lines.sql}) l
+     LEFT JOIN products p ON p.id = l.product_id${categoryFilter}
+     GROUP BY ${group === 'product' ? 'l.product_id' : 'p.category'}
+     ORDER BY gross_profit DESC`,
+    params,
+    (err, rows) => {
+      if (err) return res.status(500).json({ success: false, error: 'Failed.' });
+      res.json({ success: true, group, costing_method: COSTING_METHOD, count: rows.length, data: rows });
+    }
+  );
+});
+
 module.exports = router;
\ No newline at end of file
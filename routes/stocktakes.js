@@ -0,0 +1,666 @@
+/**
+ * STOCKTAKE ROUTES
+ *
+ * Shelf counts. Starting a stocktake freezes the expected quantity of every
+ * product in scope; counters then submit what they find, and the approved
+ * variances are posted to stock in one go. Stock sold while counting is
+ * unaffected because only the variance against the snapshot is posted.
+ * - GET /api/stocktakes - List stocktakes (?status=&branch_id=)
+ * - GET /api/stocktakes/:id - Get single stocktake with its lines (?filter=variances|uncounted)
+ * - GET /api/stocktakes/:id/variances - Variance report valued at purchase price
+ * - POST /api/stocktakes - Start a stocktake for a branch and category (Admin only)
+ * - POST /api/stocktakes/:id/counts - Submit counts by product_id, SKU or barcode
+ * - DELETE /api/stocktakes/:id/counts/:countId - Remove a count entered by mistake
+ * - POST /api/stocktakes/:id/post - Post approved variances as stock adjustments (Admin only)
+ * - POST /api/stocktakes/:id/cancel - Cancel without changing stock (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { adjustStockEach, findBelowReserved } = require('../services/stock');
+const { WEIGHED_SQL, roundWeight, isStockQuantity } = require('../services/barcodes');
+const { worksAt, writeBranchId } = require('../services/branches');
+const { roundMoney } = require('../utils/money');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/stocktakes
+const STOCKTAKE_LIST = {
+  sort: {
+    created_at: 'created_at',
+    stocktake_number: 'stocktake_number',
+    status: "COALESCE(status, '')"
+  },
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'stocktake_number', 'branch_id', 'branch_name', 'category', 'status', 'notes',
+    'line_count', 'counted_lines', 'created_by', 'created_by_name', 'created_at',
+    'posted_by', 'posted_at', 'cancelled_by', 'cancelled_at'
+  ]
+};
+
+// Lines with their counted quantity (sum of all counts) and variance against the snapshot
+const ITEMS_SQL = `
+  SELECT si.*, p.name as product_name, p.sku, p.category,
+         c.counted_quantity, COALESCE(c.count_entries, 0) as count_entries,
+         ROUND(c.counted_quantity - si.expected_quantity, 3) as variance,
+         ROUND((c.counted_quantity - si.expected_quantity) * si.unit_cost, 2) as variance_value
+  FROM stocktake_items si
+  JOIN products p ON si.product_id = p.id
+  LEFT JOIN (SELECT stocktake_item_id, ROUND(SUM(quantity), 3) as counted_quantity, COUNT(*) as count_entries
+             FROM stocktake_counts GROUP BY stocktake_item_id) c ON c.stocktake_item_id = si.id
+  WHERE si.stocktake_id = ?`;
+
+/**
+ * Load a stocktake the caller may see, or answer with an error
+ */
+const loadStocktake = (req, res, callback) => {
+  db.get(
+    `SELECT st.*, b.name as branch_name
+     FROM stocktakes st JOIN branches b ON st.branch_id = b.id
+     WHERE st.id = ?`,
+    [req.params.id],
+    (err, stocktake) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch stocktake'
+        });
+      }
+
+      if (!stocktake) {
+        return res.status(404).json({
+          success: false,
+          error: 'Stocktake not found'
+        });
+      }
+
+      if (!worksAt(req, stocktake.branch_id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Permission denied'
+        });
+      }
+
+      callback(stocktake);
+    }
+  );
+};
+
+/**
+ * Sum up a variance report
+ *
+ * @param {Array} items - Rows from ITEMS_SQL
+ */
+const summarize = (items) => {
+  const counted = items.filter(item => item.counted_quantity !== null);
+  const varied = counted.filter(item => item.variance !== 0);
+
+  return {
+    lines: items.length,
+    counted_lines: counted.length,
+    uncounted_lines: items.length - counted.length,
+    lines_with_variance: varied.length,
+    units_short: varied.filter(item => item.variance < 0).reduce((sum, item) => sum - item.variance, 0),
+    units_over: varied.filter(item => item.variance > 0).reduce((sum, item) => sum + item.variance, 0),
+    value_short: roundMoney(varied.filter(item => item.variance < 0).reduce((sum, item) => sum - item.variance_value, 0)),
+    value_over: roundMoney(varied.filter(item => item.variance > 0).reduce((sum, item) => sum + item.variance_value, 0)),
+    net_value: roundMoney(varied.reduce((sum, item) => sum + item.variance_value, 0))
+  };
+};
+
+// ============================================
+// GET ALL STOCKTAKES
+// GET /api/stocktakes?status=counting&branch_id=1
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status } = req.query;
+
+  const list = parseListQuery(req.query, STOCKTAKE_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  let query = `
+    SELECT st.*, b.name as branch_name, u.username as created_by_name,
+           (SELECT COUNT(*) FROM stocktake_items WHERE stocktake_id = st.id) as line_count,
+           (SELECT COUNT(DISTINCT sc.stocktake_item_id)
+            FROM stocktake_counts sc JOIN stocktake_items si ON sc.stocktake_item_id = si.id
+            WHERE si.stocktake_id = st.id) as counted_lines
+    FROM stocktakes st
+    JOIN branches b ON st.branch_id = b.id
+    LEFT JOIN users u ON st.created_by = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND st.status = ?';
+    params.push(status);
+  }
+  if (req.branchScope) {
+    query += ' AND st.branch_id = ?';
+    params.push(req.branchScope);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch stocktakes'
+      });
+    }
+
+    const stocktakes = page.rows.map(row => pickFields(row, list.fields));
+    res.json({
+      success: true,
+      count: stocktakes.length,
+      total: page.total,
+      pagination: page.pagination,
+      stocktakes
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE STOCKTAKE
+// GET /api/stocktakes/:id?filter=variances|uncounted
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  loadStocktake(req, res, (stocktake) => {
+    let query = ITEMS_SQL;
+
+    if (req.query.filter === 'variances') {
+      query += ' AND c.counted_quantity IS NOT NULL AND c.counted_quantity != si.expected_quantity';
+    } else if (req.query.filter === 'uncounted') {
+      query += ' AND c.counted_quantity IS NULL';
+    }
+
+    db.all(`${query} ORDER BY p.name`, [stocktake.id], (err, items) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch stocktake lines'
+        });
+      }
+
+      stocktake.items = items;
+      res.json({
+        success: true,
+        stocktake
+      });
+    });
+  });
+});
+
+// ============================================
+// VARIANCE REPORT
+// GET /api/stocktakes/:id/variances
+// Counted lines that differ from the snapshot, valued at purchase price
+// ============================================
+router.get('/:id/variances', verifyToken, (req, res) => {
+  loadStocktake(req, res, (stocktake) => {
+    db.all(`${ITEMS_SQL} ORDER BY p.name`, [stocktake.id], (err, items) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to build variance report'
+        });
+      }
+
+      res.json({
+        success: true,
+        stocktake_number: stocktake.stocktake_number,
+        status: stocktake.status,
+        summary: summarize(items),
+        variances: items
+          .filter(item => item.counted_quantity !== null && item.variance !== 0)
+          .sort((a, b) => Math.abs(b.variance_value) - Math.abs(a.variance_value))
+      });
+    });
+  });
+});
+
+// ============================================
+// START STOCKTAKE
+// POST /api/stocktakes
+// Admin Only - Body: { branch_id, category, notes } - no category counts every product
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const { notes } = req.body;
+  const category = req.body.category ? String(req.body.category).trim() : null;
+
+  db.get(
+    'SELECT * FROM branches WHERE id = COALESCE(?, (SELECT id FROM branches WHERE is_default = 1))',
+    [writeBranchId(req)],
+    (err, branch) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch branch'
+        });
+      }
+
+      if (!branch) {
+        return res.status(400).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      // one count at a time over the same shelves
+      db.get(
+        `SELECT stocktake_number FROM stocktakes
+         WHERE branch_id = ? AND status = 'counting'
+           AND (category IS NULL OR ? IS NULL OR category = ?)`,
+        [branch.id, category, category],
+        (err, running) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to start stocktake'
+            });
+          }
+
+          if (running) {
+            return res.status(409).json({
+              success: false,
+              error: `Stocktake ${running.stocktake_number} is still counting these products`
+            });
+          }
+
+          const stocktakeNumber = `ST-${Date.now()}-${Math.floor(Math.random() * 9000) + 1000}`;
+
+          db.serialize(() => {
+            db.run('BEGIN TRANSACTION');
+
+            db.run(
+              `INSERT INTO stocktakes (stocktake_number, branch_id, category, notes, created_by)
+               VALUES (?, ?, ?, ?, ?)`,
+              [stocktakeNumber, branch.id, category, notes || null, req.userId],
+              function(err) {
+                if (err) {
+                  db.run('ROLLBACK');
+                  return res.status(500).json({
+                    success: false,
+                    error: 'Failed to start stocktake'
+                  });
+                }
+
+                const stocktakeId = this.lastID;
+
+                // freeze what the system expects to be on the shelves right now
+                db.run(
+                  `INSERT INTO stocktake_items (stocktake_id, product_id, expected_quantity, unit_cost)
+                   SELECT ?, p.id, COALESCE(ps.quantity, 0), COALESCE(p.purchase_price, 0)
+                   FROM products p
+                   LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.branch_id = ?
+                   WHERE p.has_variants = 0 AND (? IS NULL OR p.category = ?)`,
+                  [stocktakeId, branch.id, category, category],
+                  function(err) {
+                    if (err || this.changes === 0) {
+                      db.run('ROLLBACK');
+                      return res.status(err ? 500 : 400).json({
+                        success: false,
+                        error: err ? 'Failed to start stocktake' : 'No products to count'
+                      });
+                    }
+
+                    const lineCount = this.changes;
+
+                    db.run('COMMIT', (err) => {
+                      if (err) {
+                        db.run('ROLLBACK');
+                        return res.status(500).json({
+                          success: false,
+                          error: 'Failed to start stocktake'
+                        });
+                      }
+
+                      res.status(201).json({
+                        success: true,
+                        message: 'Stocktake started',
+                        stocktakeId,
+                        stocktakeNumber,
+                        lineCount
+                      });
+                    });
+                  }
+                );
+              }
+            );
+          });
+        }
+      );
+    }
+  );
+});
+
+// ============================================
+// SUBMIT COUNTS
+// POST /api/stocktakes/:id/counts
+// Body: { counts: [{ product_id | sku | barcode, quantity, location }] }
+// Counts add up, so several people can count different shelves of the same product
+// ============================================
+router.post('/:id/counts', verifyToken, (req, res) => {
+  const { counts } = req.body;
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No counts submitted'
+    });
+  }
+
+  loadStocktake(req, res, (stocktake) => {
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        error: `Stocktake is ${stocktake.status}`
+      });
+    }
+
+    db.all(
+      `SELECT si.id, si.product_id, p.sku, p.name, ${WEIGHED_SQL} as is_weighed,
+              (SELECT GROUP_CONCAT(code, ' ') FROM product_barcodes WHERE product_id = p.id) as barcodes
+       FROM stocktake_items si
+       JOIN products p ON si.product_id = p.id
+       WHERE si.stocktake_id = ?`,
+      [stocktake.id],
+      (err, items) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch stocktake lines'
+          });
+        }
+
+        // ── match every count to a line of this stocktake ──
+        const entries = [];
+        for (const count of counts) {
+          const code = count.barcode || count.sku;
+          const scanned = code ? String(code).trim() : null;
+          const quantity = Number(count.quantity);
+          const item = count.product_id
+            ? items.find(i => i.product_id === parseInt(count.product_id))
+            : items.find(i => scanned && (
+              (i.barcodes && i.barcodes.split(' ').includes(scanned)) ||
+              (i.sku && i.sku.toLowerCase() === scanned.toLowerCase())));
+
+          if (!item) {
+            return res.status(400).json({
+              success: false,
+              error: `${count.product_id ? `Product ID ${count.product_id}` : `Code "${code}"`} is not part of this stocktake`
+            });
+          }
+          if (!isStockQuantity(quantity, item.is_weighed) || quantity < 0) {
+            return res.status(400).json({
+              success: false,
+              error: item.is_weighed
+                ? `"${item.name}" is counted in kg to the gram, 0 or more`
+                : 'Counted quantities must be whole numbers of 0 or more'
+            });
+          }
+
+          entries.push({ item, quantity, code: code || null, location: count.location || null });
+        }
+
+        db.serialize(() => {
+          db.run('BEGIN TRANSACTION');
+
+          entries.forEach(entry => {
+            db.run(
+              `INSERT INTO stocktake_counts (stocktake_item_id, quantity, code, location, user_id)
+               VALUES (?, ?, ?, ?, ?)`,
+              [entry.item.id, entry.quantity, entry.code, entry.location, req.userId]
+            );
+          });
+
+          db.run('COMMIT', (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(500).json({
+                success: false,
+                error: 'Failed to save counts'
+              });
+            }
+
+            res.status(201).json({
+              success: true,
+              message: `${entries.length} count(s) recorded`,
+              counts: entries.map(entry => ({
+                stocktake_item_id: entry.item.id,
+                product_id: entry.item.product_id,
+                quantity: entry.quantity
+              }))
+            });
+          });
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// REMOVE COUNT
+// DELETE /api/stocktakes/:id/counts/:countId
+// The counter who entered it, or an admin
+// ============================================
+router.delete('/:id/counts/:countId', verifyToken, (req, res) => {
+  loadStocktake(req, res, (stocktake) => {
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        error: `Stocktake is ${stocktake.status}`
+      });
+    }
+
+    db.run(
+      `DELETE FROM stocktake_counts
+       WHERE id = ? AND (user_id = ? OR ? = 'admin')
+         AND stocktake_item_id IN (SELECT id FROM stocktake_items WHERE stocktake_id = ?)`,
+      [req.params.countId, req.userId, req.userRole, stocktake.id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to remove count'
+          });
+        }
+
+        if (this.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Count not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Count removed'
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// POST STOCKTAKE
+// POST /api/stocktakes/:id/post
+// Admin Only - Body: { reason, zero_uncounted, lines: [{ stocktake_item_id, approved, reason }] }
+// Every counted variance is approved unless a line says otherwise; uncounted lines are
+// left alone unless zero_uncounted is true. Each posted variance needs a reason.
+// The count stands even when it leaves less than layaways have reserved; those
+// products are listed in belowReserved so the reservations can be sorted out.
+// ============================================
+router.post('/:id/post', verifyToken, isAdmin, (req, res) => {
+  const { reason, lines: decisions } = req.body;
+  const zeroUncounted = req.body.zero_uncounted === true || req.body.zero_uncounted === 'true';
+
+  if (decisions !== undefined && !Array.isArray(decisions)) {
+    return res.status(400).json({
+      success: false,
+      error: 'lines must be an array'
+    });
+  }
+
+  loadStocktake(req, res, (stocktake) => {
+    if (stocktake.status !== 'counting') {
+      return res.status(400).json({
+        success: false,
+        error: `Stocktake is ${stocktake.status}`
+      });
+    }
+
+    db.all(ITEMS_SQL, [stocktake.id], (err, items) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch stocktake lines'
+        });
+      }
+
+      // ── decide every line with a variance ──
+      const lines = [];
+      for (const item of items) {
+        const counted = item.counted_quantity !== null ? item.counted_quantity : (zeroUncounted ? 0 : null);
+        if (counted === null || counted === item.expected_quantity) continue;
+
+        const decision = (decisions || []).find(d => parseInt(d.stocktake_item_id) === item.id) || {};
+        const approved = decision.approved !== false && decision.approved !== 'false';
+        const lineReason = decision.reason || reason || (item.counted_quantity === null ? 'Not found in stocktake' : null);
+
+        if (approved && !lineReason) {
+          return res.status(400).json({
+            success: false,
+            error: `A reason is required for the variance on "${item.product_name}"`
+          });
+        }
+
+        lines.push({ item, change: roundWeight(counted - item.expected_quantity), approved, reason: lineReason || null });
+      }
+
+      const posted = lines.filter(line => line.approved);
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        db.run(
+          `UPDATE stocktakes SET status = 'posted', posted_by = ?, posted_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'counting'`,
+          [req.userId, stocktake.id],
+          function(err) {
+            if (err || this.changes === 0) {
+              db.run('ROLLBACK');
+              return res.status(409).json({
+                success: false,
+                error: 'Stocktake changed while posting. Please reload it.'
+              });
+            }
+
+            db.serialize(() => {
+              lines.forEach(line => {
+                db.run(
+                  'UPDATE stocktake_items SET approved = ?, reason = ?, adjustment = ? WHERE id = ?',
+                  [line.approved ? 1 : 0, line.reason, line.approved ? line.change : 0, line.item.id]
+                );
+              });
+
+              // only the variance moves stock, so sales made while counting still count
+              adjustStockEach(posted.map(line => ({
+                productId: line.item.product_id,
+                branchId: stocktake.branch_id,
+                change: line.change,
+                type: 'stocktake',
+                userId: req.userId,
+                reason: line.reason,
+                referenceType: 'stocktake',
+                referenceId: stocktake.id
+              })), (err) => {
+                if (err) {
+                  db.run('ROLLBACK');
+                  return res.status(err.status || 500).json({
+                    success: false,
+                    error: err.status ? err.message : 'Failed to post stocktake'
+                  });
+                }
+
+                findBelowReserved(stocktake.branch_id, posted.map(line => line.item.product_id), (err, belowReserved) => {
+                  if (err) {
+                    db.run('ROLLBACK');
+                    return res.status(500).json({
+                      success: false,
+                      error: 'Failed to post stocktake'
+                    });
+                  }
+
+                  db.run('COMMIT', (err) => {
+                    if (err) {
+                      db.run('ROLLBACK');
+                      return res.status(500).json({
+                        success: false,
+                        error: 'Transaction failed'
+                      });
+                    }
+
+                    res.json({
+                      success: true,
+                      message: belowReserved.length
+                        ? `Stocktake posted; ${belowReserved.length} product(s) now hold less than layaways have reserved`
+                        : 'Stocktake posted',
+                      adjustedLines: posted.length,
+                      rejectedLines: lines.length - posted.length,
+                      netValue: roundMoney(posted.reduce((sum, line) => sum + line.change * line.item.unit_cost, 0)),
+                      belowReserved
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+});
+
+// ============================================
+// CANCEL STOCKTAKE
+// POST /api/stocktakes/:id/cancel
+// Admin Only - Counts are kept for reference; stock is not changed
+// ============================================
+router.post('/:id/cancel', verifyToken, isAdmin, (req, res) => {
+  db.run(
+    `UPDATE stocktakes SET status = 'cancelled', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'counting'`,
+    [req.userId, req.params.id],
+    function(err) {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to cancel stocktake'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only stocktakes still counting can be cancelled'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Stocktake cancelled'
+      });
+    }
+  );
+});
+
+module.exports = router;
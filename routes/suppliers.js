@@ -0,0 +1,260 @@
+/**
+ * SUPPLIER ROUTES
+ *
+ * Suppliers that products are bought from:
+ * - GET /api/suppliers - List suppliers (?status=active&search=acme, paged: see services/listing.js)
+ * - GET /api/suppliers/:id - Get single supplier with its products
+ * - POST /api/suppliers - Create supplier (Admin only)
+ * - PUT /api/suppliers/:id - Update supplier (Admin only)
+ * - DELETE /api/suppliers/:id - Delete supplier without purchase orders (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/suppliers
+const SUPPLIER_LIST = {
+  sort: {
+    name: 'name',
+    created_at: 'created_at',
+    lead_time_days: 'COALESCE(lead_time_days, 0)',
+    product_count: 'product_count'
+  },
+  defaultSort: 'name',
+  fields: [
+    'id', 'name', 'contact_name', 'email', 'phone', 'address', 'lead_time_days', 'notes', 'status',
+    'product_count', 'created_at', 'updated_at'
+  ]
+};
+
+// ============================================
+// GET ALL SUPPLIERS
+// GET /api/suppliers?status=active&search=acme
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status, search } = req.query;
+
+  const list = parseListQuery(req.query, SUPPLIER_LIST);
+  if (list.error) return res.status(400).json({ success: false, error: list.error });
+
+  let query = `
+    SELECT s.*, (SELECT COUNT(*) FROM products WHERE supplier_id = s.id) as product_count
+    FROM suppliers s
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND s.status = ?';
+    params.push(status);
+  }
+  if (search) {
+    query += ' AND (s.name LIKE ? OR s.contact_name LIKE ? OR s.email LIKE ?)';
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch suppliers'
+      });
+    }
+
+    const suppliers = page.rows.map(supplier => pickFields(supplier, list.fields));
+    res.json({
+      success: true,
+      count: suppliers.length,
+      total: page.total,
+      pagination: page.pagination,
+      suppliers
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE SUPPLIER
+// GET /api/suppliers/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get('SELECT * FROM suppliers WHERE id = ?', [req.params.id], (err, supplier) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch supplier'
+      });
+    }
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      });
+    }
+
+    db.all(
+      'SELECT id, name, sku, quantity, purchase_price, status FROM products WHERE supplier_id = ? ORDER BY name',
+      [req.params.id],
+      (err, products) => {
+        supplier.products = products || [];
+        res.json({
+          success: true,
+          supplier
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// CREATE SUPPLIER
+// POST /api/suppliers
+// Admin Only
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const { name, contact_name, email, phone, address, lead_time_days, notes } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Supplier name is required'
+    });
+  }
+
+  db.run(
+    `INSERT INTO suppliers (name, contact_name, email, phone, address, lead_time_days, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [String(name).trim(), contact_name, email, phone, address, parseInt(lead_time_days) || null, notes],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A supplier with this name already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to create supplier'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Supplier created successfully',
+        supplierId: this.lastID
+      });
+    }
+  );
+});
+
+// ============================================
+// UPDATE SUPPLIER
+// PUT /api/suppliers/:id
+// Admin Only - Fields left out keep their current value
+// ============================================
+router.put('/:id', verifyToken, isAdmin, (req, res) => {
+  const { name, contact_name, email, phone, address, lead_time_days, notes, status } = req.body;
+
+  if (status && !['active', 'inactive'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status. Must be "active" or "inactive"'
+    });
+  }
+
+  db.run(
+    `UPDATE suppliers SET
+     name = COALESCE(?, name), contact_name = COALESCE(?, contact_name), email = COALESCE(?, email),
+     phone = COALESCE(?, phone), address = COALESCE(?, address),
+     lead_time_days = COALESCE(?, lead_time_days), notes = COALESCE(?, notes),
+     status = COALESCE(?, status), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [name ? String(name).trim() : null, contact_name, email, phone, address,
+     parseInt(lead_time_days) || null, notes, status, req.params.id],
+    function(err) {
+      if (err) {
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A supplier with this name already exists'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update supplier'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Supplier not found'
+        });
+      }
+
+      // Keep the product's supplier text in step with the record
+      db.run(
+        'UPDATE products SET supplier = (SELECT name FROM suppliers WHERE id = ?) WHERE supplier_id = ?',
+        [req.params.id, req.params.id]
+      );
+
+      res.json({
+        success: true,
+        message: 'Supplier updated successfully'
+      });
+    }
+  );
+});
+
+// ============================================
+// DELETE SUPPLIER
+// DELETE /api/suppliers/:id
+// Admin Only - Suppliers with purchase orders are kept; set them inactive instead
+// ============================================
+router.delete('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get('SELECT COUNT(*) as count FROM purchase_orders WHERE supplier_id = ?', [req.params.id], (err, row) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete supplier'
+      });
+    }
+
+    if (row.count > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Supplier has purchase orders. Set it inactive instead.'
+      });
+    }
+
+    db.run('DELETE FROM suppliers WHERE id = ?', [req.params.id], function(err) {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to delete supplier'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Supplier not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Supplier deleted successfully'
+      });
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+/**
+ * TAX RATE ROUTES
+ *
+ * Manages tax classes and which products/categories they apply to:
+ * - GET /api/tax-rates - List all tax rates
+ * - POST /api/tax-rates - Create tax rate (Admin only)
+ * - PUT /api/tax-rates/:id - Update tax rate (Admin only)
+ * - DELETE /api/tax-rates/:id - Delete unused tax rate (Admin only)
+ * - GET /api/tax-rates/categories - List category tax assignments
+ * - PUT /api/tax-rates/categories/:category - Assign tax rate to category (Admin only)
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const TAX_TYPES = ['standard', 'reduced', 'zero', 'exempt'];
+
+// ============================================
+// GET ALL TAX RATES
+// GET /api/tax-rates
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  db.all('SELECT * FROM tax_rates ORDER BY is_default DESC, rate DESC, name', (err, taxRates) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tax rates'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: taxRates.length,
+      taxRates
+    });
+  });
+});
+
+// ============================================
+// GET CATEGORY TAX ASSIGNMENTS
+// GET /api/tax-rates/categories
+// ============================================
+router.get('/categories', verifyToken, (req, res) => {
+  db.all(
+    `SELECT ctr.category, ctr.tax_rate_id, tr.code, tr.name, tr.rate
+     FROM category_tax_rates ctr
+     JOIN tax_rates tr ON ctr.tax_rate_id = tr.id
+     ORDER BY ctr.category`,
+    (err, categories) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch category tax rates'
+        });
+      }
+
+      res.json({
+        success: true,
+        categories
+      });
+    }
+  );
+});
+
+// ============================================
+// ASSIGN TAX RATE TO CATEGORY
+// PUT /api/tax-rates/categories/:category
+// Admin Only - Send tax_rate_id: null to remove the assignment
+// ============================================
+router.put('/categories/:category', verifyToken, isAdmin, (req, res) => {
+  const taxRateId = parseInt(req.body.tax_rate_id) || null;
+  const { category } = req.params;
+
+  if (!taxRateId) {
+    return db.run('DELETE FROM category_tax_rates WHERE category = ?', [category], (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update category tax rate'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Category "${category}" now uses the default tax rate`
+      });
+    });
+  }
+
+  db.run(
+    `INSERT INTO category_tax_rates (category, tax_rate_id) VALUES (?, ?)
+     ON CONFLICT(category) DO UPDATE SET tax_rate_id = excluded.tax_rate_id`,
+    [category, taxRateId],
+    (err) => {
+      if (err) {
+        if (err.message.includes('FOREIGN KEY constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'Tax rate not found'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update category tax rate'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Tax rate assigned to category "${category}"`
+      });
+    }
+  );
+});
+
+// ============================================
+// CREATE TAX RATE
+// POST /api/tax-rates
+// Admin Only
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  const { code, name, type, rate, is_default } = req.body;
+
+  // Validate required fields
+  if (!code || !name || rate === undefined || rate === null || rate === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Code, name and rate are required'
+    });
+  }
+
+  const taxRate = parseFloat(rate);
+  if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'Rate must be a percentage between 0 and 100'
+    });
+  }
+
+  if (type && !TAX_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${TAX_TYPES.join(', ')}`
+    });
+  }
+
+  db.serialize(() => {
+    // Only one rate can be the default
+    if (is_default) db.run('UPDATE tax_rates SET is_default = 0');
+
+    db.run(
+      'INSERT INTO tax_rates (code, name, type, rate, is_default) VALUES (?, ?, ?, ?, ?)',
+      [code.toUpperCase(), name, type || 'standard', taxRate, is_default ? 1 : 0],
+      function(err) {
+        if (err) {
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({
+              success: false,
+              error: 'A tax rate with this code already exists'
+            });
+          }
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to create tax rate'
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          message: 'Tax rate created successfully',
+          taxRateId: this.lastID
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// UPDATE TAX RATE
+// PUT /api/tax-rates/:id
+// Admin Only - Past sales keep the rate they were sold at
+// ============================================
+router.put('/:id', verifyToken, isAdmin, (req, res) => {
+  const { name, type, rate, is_default, status } = req.body;
+
+  const taxRate = parseFloat(rate);
+  if (rate !== undefined && (isNaN(taxRate) || taxRate < 0 || taxRate > 100)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Rate must be a percentage between 0 and 100'
+    });
+  }
+
+  if (type && !TAX_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid type. Must be one of: ${TAX_TYPES.join(', ')}`
+    });
+  }
+
+  if (status && !['active', 'inactive'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status. Must be "active" or "inactive"'
+    });
+  }
+
+  db.serialize(() => {
+    if (is_default) db.run('UPDATE tax_rates SET is_default = 0');
+
+    db.run(
+      `UPDATE tax_rates SET
+       name = COALESCE(?, name),
+       type = COALESCE(?, type),
+       rate = COALESCE(?, rate),
+       status = COALESCE(?, status),
+       is_default = CASE WHEN ? THEN 1 ELSE is_default END
+       WHERE id = ?`,
+      [name || null, type || null, rate !== undefined ? taxRate : null, status || null,
+       is_default ? 1 : 0, req.params.id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to update tax rate'
+          });
+        }
+
+        if (this.changes === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Tax rate not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Tax rate updated successfully'
+        });
+      }
+    );
+  });
+});
+
+// ============================================
+// DELETE TAX RATE
+// DELETE /api/tax-rates/:id
+// Admin Only - Rates still assigned to products or the default cannot be deleted
+// ============================================
+router.delete('/:id', verifyToken, isAdmin, (req, res) => {
+  db.get(
+    `SELECT tr.is_default,
+       (SELECT COUNT(*) FROM products WHERE tax_rate_id = tr.id) as product_count
+     FROM tax_rates tr WHERE tr.id = ?`,
+    [req.params.id],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch tax rate'
+        });
+      }
+
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tax rate not found'
+        });
+      }
+
+      if (row.is_default) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete the default tax rate'
+        });
+      }
+
+      if (row.product_count > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Tax rate is assigned to ${row.product_count} product(s). Set it inactive instead.`
+        });
+      }
+
+      db.run('DELETE FROM tax_rates WHERE id = ?', [req.params.id], (err) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to delete tax rate'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Tax rate deleted successfully'
+        });
+      });
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,770 @@
+/**
+ * TRANSFER ROUTES
+ *
+ * Stock moved between branches. Dispatching takes the goods out of the
+ * source branch; receiving puts what actually arrived into the destination.
+ * - GET /api/transfers - List transfers (?status=&branch_id=)
+ * - GET /api/transfers/reports/discrepancies - Lines received short (Admin only)
+ * - GET /api/transfers/:id - Get single transfer with its lines
+ * - POST /api/transfers - Request a transfer
+ * - POST /api/transfers/:id/dispatch - Send the goods (source branch)
+ * - POST /api/transfers/:id/receive - Book what arrived (destination branch)
+ * - POST /api/transfers/:id/cancel - Cancel a transfer not yet dispatched
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { adjustStock } = require('../services/stock');
+const { worksAt } = require('../services/branches');
+const { WEIGHED_SQL, roundWeight, isStockQuantity } = require('../services/barcodes');
+const httpError = require('../utils/httpError');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
+
+const router = express.Router();
+
+// Sort fields and fields of GET /api/transfers
+const TRANSFER_LIST = {
+  sort: {
+    requested_at: 'requested_at',
+    transfer_number: 'transfer_number',
+    updated_at: 'updated_at'
+  },
+  defaultSort: '-requested_at',
+  fields: [
+    'id', 'transfer_number', 'from_branch_id', 'from_branch_name', 'to_branch_id', 'to_branch_name',
+    'status', 'notes', 'line_count', 'quantity_requested', 'requested_by', 'requested_by_name',
+    'requested_at', 'dispatched_by', 'dispatched_at', 'received_by', 'received_at',
+    'cancelled_by', 'cancelled_at', 'updated_at'
+  ]
+};
+
+/**
+ * Load a transfer with its lines, or answer 404
+ */
+const loadTransfer = (req, res, callback) => {
+  db.get('SELECT * FROM transfer_orders WHERE id = ?', [req.params.id], (err, transfer) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch transfer'
+      });
+    }
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    db.all(
+      `SELECT ti.*, ${WEIGHED_SQL} as is_weighed
+       FROM transfer_order_items ti
+       LEFT JOIN products p ON ti.product_id = p.id
+       WHERE ti.transfer_order_id = ?`,
+      [transfer.id],
+      (err, items) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch transfer lines'
+          });
+        }
+
+        callback(transfer, items);
+      }
+    );
+  });
+};
+
+/**
+ * Match posted quantities to transfer lines
+ * Lines left out of the body take their default quantity.
+ *
+ * @param {Array} posted - [{ transfer_item_id, quantity, note }] or undefined
+ * @param {Array} items - Transfer lines
+ * @param {Function} defaultOf - Line → quantity used when the line is not posted
+ * @param {Function} maxOf - Line → largest allowed quantity
+ * @returns {Object} { error } or { lines: [{ item, quantity, note }] }
+ */
+const matchLines = (posted, items, defaultOf, maxOf) => {
+  if (posted !== undefined && !Array.isArray(posted)) return { error: 'items must be an array' };
+
+  const lines = [];
+  for (const item of items) {
+    const entry = (posted || []).find(p => parseInt(p.transfer_item_id) === item.id);
+    const quantity = entry ? Number(entry.quantity) : defaultOf(item);
+
+    if (!isStockQuantity(quantity, item.is_weighed) || quantity < 0) {
+      return { error: item.is_weighed
+        ? `Line ${item.id} is weighed; its quantity is kg to the gram, 0 or more`
+        : 'Quantities must be whole numbers of 0 or more' };
+    }
+    if (quantity > maxOf(item)) {
+      return { error: `Line ${item.id} allows at most ${maxOf(item)}` };
+    }
+
+    lines.push({ item, quantity, note: entry && entry.note ? String(entry.note).trim() : null });
+  }
+
+  const unknown = (posted || []).find(p => !items.some(item => item.id === parseInt(p.transfer_item_id)));
+  if (unknown) return { error: `Line ${unknown.transfer_item_id} is not part of this transfer` };
+
+  return { lines };
+};
+
+/**
+ * Run a step for each line one after another (inside the caller's transaction)
+ */
+const eachLine = (lines, step, callback) => {
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err);
+    if (index >= lines.length) return callback(null);
+    step(lines[index++], next);
+  };
+
+  next();
+};
+
+// ============================================
+// GET ALL TRANSFERS
+// GET /api/transfers?status=in_transit&branch_id=1
+// Staff see transfers into or out of their own branch
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  const { status } = req.query;
+
+  const list = parseListQuery(req.query, TRANSFER_LIST);
+  if (list.error) {
+    return res.status(400).json({
+      success: false,
+      error: list.error
+    });
+  }
+
+  let query = `
+    SELECT t.*, fb.name as from_branch_name, tb.name as to_branch_name,
+           u.username as requested_by_name,
+           (SELECT COUNT(*) FROM transfer_order_items WHERE transfer_order_id = t.id) as line_count,
+           (SELECT COALESCE(SUM(quantity_requested), 0)
+            FROM transfer_order_items WHERE transfer_order_id = t.id) as quantity_requested
+    FROM transfer_orders t
+    JOIN branches fb ON t.from_branch_id = fb.id
+    JOIN branches tb ON t.to_branch_id = tb.id
+    LEFT JOIN users u ON t.requested_by = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (status) {
+    query += ' AND t.status = ?';
+    params.push(status);
+  }
+  if (req.branchScope) {
+    query += ' AND (t.from_branch_id = ? OR t.to_branch_id = ?)';
+    params.push(req.branchScope, req.branchScope);
+  }
+
+  fetchPage(query, params, list, (err, page) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to fetch transfers'
+      });
+    }
+
+    const transfers = page.rows.map(row => pickFields(row, list.fields));
+    res.json({
+      success: true,
+      count: transfers.length,
+      total: page.total,
+      pagination: page.pagination,
+      transfers
+    });
+  });
+});
+
+// ============================================
+// DISCREPANCY REPORT
+// GET /api/transfers/reports/discrepancies?branch_id=1&start_date=&end_date=
+// Admin Only - Lines where less arrived than was dispatched
+// ============================================
+router.get('/reports/discrepancies', verifyToken, isAdmin, (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  let query = `
+    SELECT t.id as transfer_id, t.transfer_number, t.received_at,
+           fb.name as from_branch_name, tb.name as to_branch_name,
+           ti.product_id, p.name as product_name, p.sku,
+           ti.quantity_dispatched, ti.quantity_received,
+           ROUND(ti.quantity_dispatched - ti.quantity_received, 3) as quantity_missing,
+           ROUND((ti.quantity_dispatched - ti.quantity_received) * COALESCE(p.purchase_price, 0), 2) as value_missing,
+           ti.discrepancy_note
+    FROM transfer_order_items ti
+    JOIN transfer_orders t ON ti.transfer_order_id = t.id
+    JOIN branches fb ON t.from_branch_id = fb.id
+    JOIN branches tb ON t.to_branch_id = tb.id
+    LEFT JOIN products p ON ti.product_id = p.id
+    WHERE t.status = 'received' AND ti.quantity_received < ti.quantity_dispatched
+  `;
+  const params = [];
+
+  if (req.branchScope) {
+    query += ' AND (t.from_branch_id = ? OR t.to_branch_id = ?)';
+    params.push(req.branchScope, req.branchScope);
+  }
+  if (start_date) {
+    query += ' AND DATE(t.received_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(t.received_at) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  query += ' ORDER BY t.received_at DESC';
+
+  db.all(query, params, (err, lines) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to build discrepancy report'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: lines.length,
+      quantity_missing: lines.reduce((sum, line) => sum + line.quantity_missing, 0),
+      lines
+    });
+  });
+});
+
+// ============================================
+// GET SINGLE TRANSFER
+// GET /api/transfers/:id
+// ============================================
+router.get('/:id', verifyToken, (req, res) => {
+  db.get(
+    `SELECT t.*, fb.name as from_branch_name, tb.name as to_branch_name,
+            ru.username as requested_by_name, du.username as dispatched_by_name,
+            rcu.username as received_by_name, cu.username as cancelled_by_name
+     FROM transfer_orders t
+     JOIN branches fb ON t.from_branch_id = fb.id
+     JOIN branches tb ON t.to_branch_id = tb.id
+     LEFT JOIN users ru ON t.requested_by = ru.id
+     LEFT JOIN users du ON t.dispatched_by = du.id
+     LEFT JOIN users rcu ON t.received_by = rcu.id
+     LEFT JOIN users cu ON t.cancelled_by = cu.id
+     WHERE t.id = ?`,
+    [req.params.id],
+    (err, transfer) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch transfer'
+        });
+      }
+
+      if (!transfer) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transfer not found'
+        });
+      }
+
+      if (!worksAt(req, transfer.from_branch_id) && !worksAt(req, transfer.to_branch_id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Permission denied'
+        });
+      }
+
+      db.all(
+        `SELECT ti.*, p.name as product_name, p.sku,
+                CASE WHEN ti.quantity_received IS NOT NULL
+                     THEN ROUND(ti.quantity_dispatched - ti.quantity_received, 3) END as quantity_missing
+         FROM transfer_order_items ti
+         LEFT JOIN products p ON ti.product_id = p.id
+         WHERE ti.transfer_order_id = ?`,
+        [transfer.id],
+        (err, items) => {
+          transfer.items = items || [];
+          res.json({
+            success: true,
+            transfer
+          });
+        }
+      );
+    }
+  );
+});
+
+// ============================================
+// REQUEST TRANSFER
+// POST /api/transfers
+// Body: { from_branch_id, to_branch_id, notes, items: [{ product_id, quantity }] }
+// to_branch_id defaults to the caller's branch
+// ============================================
+router.post('/', verifyToken, (req, res) => {
+  const { notes, items } = req.body;
+  const fromBranchId = parseInt(req.body.from_branch_id);
+  const toBranchId = parseInt(req.body.to_branch_id) || req.branchId;
+
+  if (!fromBranchId || !toBranchId) {
+    return res.status(400).json({
+      success: false,
+      error: 'from_branch_id and to_branch_id are required'
+    });
+  }
+
+  if (fromBranchId === toBranchId) {
+    return res.status(400).json({
+      success: false,
+      error: 'A transfer needs two different branches'
+    });
+  }
+
+  if (!worksAt(req, fromBranchId) && !worksAt(req, toBranchId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only request transfers into or out of your own branch'
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one line is required'
+    });
+  }
+
+  for (const item of items) {
+    if (!parseInt(item.product_id) || !(Number(item.quantity) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every line needs a product_id and a positive quantity'
+      });
+    }
+  }
+
+  db.all(
+    'SELECT id, name, status FROM branches WHERE id IN (?, ?)',
+    [fromBranchId, toBranchId],
+    (err, branches) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch branches'
+        });
+      }
+
+      if (branches.length < 2) {
+        return res.status(400).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+
+      const inactive = branches.find(branch => branch.status !== 'active');
+      if (inactive) {
+        return res.status(400).json({
+          success: false,
+          error: `Branch "${inactive.name}" is inactive`
+        });
+      }
+
+      const ids = [...new Set(items.map(item => parseInt(item.product_id)))];
+
+      db.all(`SELECT p.id, p.name, p.has_variants, ${WEIGHED_SQL} as is_weighed FROM products p WHERE p.id IN (${ids.map(() => '?').join(',')})`, ids, (err, products) => {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to fetch products'
+          });
+        }
+
+        const missing = ids.find(id => !products.some(product => product.id === id));
+        if (missing) {
+          return res.status(400).json({
+            success: false,
+            error: `Product ID ${missing} not found`
+          });
+        }
+
+        const parent = products.find(product => product.has_variants);
+        if (parent) {
+          return res.status(400).json({
+            success: false,
+            error: `Choose a variant of "${parent.name}"`
+          });
+        }
+
+        // only weighed products move by a fraction (kg to the gram)
+        const fraction = items.find(item => !isStockQuantity(Number(item.quantity),
+          products.find(product => product.id === parseInt(item.product_id)).is_weighed));
+        if (fraction) {
+          return res.status(400).json({
+            success: false,
+            error: `Quantity ${fraction.quantity} of product ID ${fraction.product_id} must be a whole number`
+          });
+        }
+
+        const transferNumber = `TRF-${Date.now()}-${Math.floor(Math.random() * 9000) + 1000}`;
+
+        db.serialize(() => {
+          db.run('BEGIN TRANSACTION');
+
+          db.run(
+            `INSERT INTO transfer_orders (transfer_number, from_branch_id, to_branch_id, notes, requested_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            [transferNumber, fromBranchId, toBranchId, notes || null, req.userId],
+            function(err) {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Failed to create transfer'
+                });
+              }
+
+              const transferId = this.lastID;
+
+              // lines and commit run in order
+              db.serialize(() => {
+                items.forEach(item => {
+                  db.run(
+                    `INSERT INTO transfer_order_items (transfer_order_id, product_id, quantity_requested)
+                     VALUES (?, ?, ?)`,
+                    [transferId, parseInt(item.product_id), Number(item.quantity)]
+                  );
+                });
+
+                db.run('COMMIT', (err) => {
+                  if (err) {
+                    db.run('ROLLBACK');
+                    return res.status(500).json({
+                      success: false,
+                      error: 'Failed to create transfer'
+                    });
+                  }
+
+                  res.status(201).json({
+                    success: true,
+                    message: 'Transfer requested',
+                    transferId,
+                    transferNumber
+                  });
+                });
+              });
+            }
+          );
+        });
+      });
+    }
+  );
+});
+
+// ============================================
+// DISPATCH TRANSFER
+// POST /api/transfers/:id/dispatch
+// Body: { items: [{ transfer_item_id, quantity }] } - lines left out are sent in full
+// Stock leaves the source branch and is in transit until received
+// ============================================
+router.post('/:id/dispatch', verifyToken, (req, res) => {
+  loadTransfer(req, res, (transfer, items) => {
+    if (!worksAt(req, transfer.from_branch_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the sending branch can dispatch a transfer'
+      });
+    }
+
+    if (transfer.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        error: `Transfer is ${transfer.status.replace('_', ' ')}; only requested transfers can be dispatched`
+      });
+    }
+
+    const { error, lines } = matchLines(
+      req.body.items, items,
+      item => item.quantity_requested,
+      item => item.quantity_requested
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!lines.some(line => line.quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to dispatch. Cancel the transfer instead.'
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      // guarded so the same transfer cannot be dispatched twice
+      db.run(
+        `UPDATE transfer_orders SET status = 'in_transit', dispatched_by = ?,
+           dispatched_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'requested'`,
+        [req.userId, transfer.id],
+        function(err) {
+          if (err || this.changes === 0) {
+            db.run('ROLLBACK');
+            return res.status(409).json({
+              success: false,
+              error: 'Transfer changed while dispatching. Please reload it.'
+            });
+          }
+
+          eachLine(lines, (line, next) => {
+            const send = (err) => {
+              if (err || line.quantity === 0) return next(err);
+
+              // check stock free at the sending branch; layaway reservations stay put
+              db.get(
+                `SELECT p.name, COALESCE(ps.quantity, 0) - COALESCE(ps.reserved_quantity, 0) as available
+                 FROM products p
+                 LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.branch_id = ?
+                 WHERE p.id = ?`,
+                [transfer.from_branch_id, line.item.product_id],
+                (err, product) => {
+                  if (err) return next(err);
+                  if (!product) return next(httpError(400, `Product ID ${line.item.product_id} not found`));
+                  if (product.available < line.quantity) {
+                    return next(httpError(400,
+                      `Not enough stock for "${product.name}". Available: ${product.available}, Requested: ${line.quantity}`));
+                  }
+
+                  adjustStock({
+                    productId: line.item.product_id,
+                    branchId: transfer.from_branch_id,
+                    change: -line.quantity,
+                    type: 'transfer',
+                    userId: req.userId,
+                    reason: `Sent on ${transfer.transfer_number}`,
+                    referenceType: 'transfer',
+                    referenceId: transfer.id
+                  }, (err, balance, value) => {
+                    if (err) return next(err);
+
+                    // the receiving branch takes the stock in at the cost it left at
+                    db.run(
+                      'UPDATE transfer_order_items SET unit_cost = ? WHERE id = ?',
+                      [-value / line.quantity, line.item.id],
+                      next
+                    );
+                  });
+                }
+              );
+            };
+
+            db.run(
+              'UPDATE transfer_order_items SET quantity_dispatched = ? WHERE id = ?',
+              [line.quantity, line.item.id],
+              send
+            );
+          }, (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(err.status || 500).json({
+                success: false,
+                error: err.status ? err.message : 'Failed to dispatch transfer'
+              });
+            }
+
+            db.run('COMMIT', (err) => {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Transaction failed'
+                });
+              }
+
+              res.json({
+                success: true,
+                message: 'Transfer dispatched',
+                status: 'in_transit',
+                items: lines.map(line => ({ transfer_item_id: line.item.id, quantity_dispatched: line.quantity }))
+              });
+            });
+          });
+        }
+      );
+    });
+  });
+});
+
+// ============================================
+// RECEIVE TRANSFER
+// POST /api/transfers/:id/receive
+// Body: { items: [{ transfer_item_id, quantity, note }], notes } - lines left out arrived in full
+// Receiving less than was dispatched records a discrepancy
+// ============================================
+router.post('/:id/receive', verifyToken, (req, res) => {
+  loadTransfer(req, res, (transfer, items) => {
+    if (!worksAt(req, transfer.to_branch_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the receiving branch can receive a transfer'
+      });
+    }
+
+    if (transfer.status !== 'in_transit') {
+      return res.status(400).json({
+        success: false,
+        error: `Transfer is ${transfer.status.replace('_', ' ')}; only transfers in transit can be received`
+      });
+    }
+
+    const { error, lines } = matchLines(
+      req.body.items, items,
+      item => item.quantity_dispatched,
+      item => item.quantity_dispatched
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      db.run(
+        `UPDATE transfer_orders SET status = 'received', received_by = ?,
+           received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+           notes = COALESCE(?, notes)
+         WHERE id = ? AND status = 'in_transit'`,
+        [req.userId, req.body.notes || null, transfer.id],
+        function(err) {
+          if (err || this.changes === 0) {
+            db.run('ROLLBACK');
+            return res.status(409).json({
+              success: false,
+              error: 'Transfer changed while receiving. Please reload it.'
+            });
+          }
+
+          eachLine(lines, (line, next) => {
+            db.run(
+              'UPDATE transfer_order_items SET quantity_received = ?, discrepancy_note = ? WHERE id = ?',
+              [line.quantity, line.note, line.item.id],
+              (err) => {
+                if (err || line.quantity === 0) return next(err);
+
+                adjustStock({
+                  productId: line.item.product_id,
+                  branchId: transfer.to_branch_id,
+                  change: line.quantity,
+                  unitCost: line.item.unit_cost,
+                  type: 'transfer',
+                  userId: req.userId,
+                  reason: `Received on ${transfer.transfer_number}`,
+                  referenceType: 'transfer',
+                  referenceId: transfer.id
+                }, next);
+              }
+            );
+          }, (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              return res.status(err.status || 500).json({
+                success: false,
+                error: err.status ? err.message : 'Failed to receive transfer'
+              });
+            }
+
+            db.run('COMMIT', (err) => {
+              if (err) {
+                db.run('ROLLBACK');
+                return res.status(500).json({
+                  success: false,
+                  error: 'Transaction failed'
+                });
+              }
+
+              const discrepancies = lines
+                .filter(line => line.quantity < line.item.quantity_dispatched)
+                .map(line => ({
+                  transfer_item_id: line.item.id,
+                  product_id: line.item.product_id,
+                  quantity_dispatched: line.item.quantity_dispatched,
+                  quantity_received: line.quantity,
+                  quantity_missing: roundWeight(line.item.quantity_dispatched - line.quantity),
+                  note: line.note
+                }));
+
+              res.json({
+                success: true,
+                message: discrepancies.length > 0 ? 'Transfer received with discrepancies' : 'Transfer received',
+                status: 'received',
+                discrepancies
+              });
+            });
+          });
+        }
+      );
+    });
+  });
+});
+
+// ============================================
+// CANCEL TRANSFER
+// POST /api/transfers/:id/cancel
+// Only transfers that have not been dispatched
+// ============================================
+router.post('/:id/cancel', verifyToken, (req, res) => {
+  loadTransfer(req, res, (transfer) => {
+    if (!worksAt(req, transfer.from_branch_id) && !worksAt(req, transfer.to_branch_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied'
+      });
+    }
+
+    db.run(
+      `UPDATE transfer_orders SET status = 'cancelled', cancelled_by = ?,
+         cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+         notes = COALESCE(?, notes)
+       WHERE id = ? AND status = 'requested'`,
+      [req.userId, req.body.notes || null, transfer.id],
+      function(err) {
+        if (err) {
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to cancel transfer'
+          });
+        }
+
+        if (this.changes === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Only transfers that have not been dispatched can be cancelled'
+          });
+        }
+
+        res.json({
+          success: true,
+          message: 'Transfer cancelled'
+        });
+      }
+    );
+  });
+});
+
+module.exports = router;
@@ -2,7 +2,7 @@
  * USER MANAGEMENT ROUTES
  * 
  * Handles user account operations:
- * - GET /api/users - Get all users (Admin only)
+ * - GET /api/users - Get all users, paged (Admin only)
  * - GET /api/users/:id - Get single user details
  * - POST /api/users - Create new user (Admin only)
  * - PUT /api/users/:id - Update user (Admin only)
@@ -16,20 +16,44 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const db = require('../database');
 const { verifyToken, isAdmin } = require('../middleware/auth');
+const { resolveBranch } = require('../services/branches');
+const { parseListQuery, fetchPage, pickFields } = require('../services/listing');
 
 const router = express.Router();
 
+// Sort fields and fields of GET /api/users
+const USER_LIST = {
+  sort: {
+    username: 'username',
+    email: 'email',
+    role: "COALESCE(role, '')",
+    status: "COALESCE(status, '')",
+    created_at: 'created_at'
+  },
+  defaultSort: '-created_at',
+  fields: ['id', 'username', 'email', 'role', 'branch', 'branch_id', 'status', 'created_at']
+};
+
 // ============================================
 // GET ALL USERS
-// GET /api/users?search=john&status=active&role=user
+// GET /api/users?search=john&status=active&role=user&branch_id=1
+// Paged, sorted and projected with ?limit, page or cursor, sort and fields (see services/listing.js)
 // Admin Only
 // ============================================
 router.get('/', verifyToken, isAdmin, (req, res) => {
   const { search, status, role } = req.query;
 
+  const list = parseListQuery(req.query, USER_LIST);
+  if (list.error) {
+    return res.status(400).json({ 
+      success: false,
+      error: list.error 
+    });
+  }
+
   // Build dynamic query
   let query = `
-    SELECT id, username, email, role, branch, status, created_at 
+    SELECT id, username, email, role, branch, branch_id, status, created_at 
     FROM users 
     WHERE 1=1
   `;
@@ -54,11 +78,14 @@ router.get('/', verifyToken, isAdmin, (req, res) => {
     params.push(role);
   }
 
-  // Order by most recent first
-  query += ' ORDER BY created_at DESC';
+  // Add branch filter
+  if (req.branchScope) {
+    query += ' AND branch_id = ?';
+    params.push(req.branchScope);
+  }
 
   // Execute query
-  db.all(query, params, (err, users) => {
+  fetchPage(query, params, list, (err, page) => {
     if (err) {
       console.error('Error fetching users:', err);
       return res.status(500).json({ 
@@ -67,9 +94,12 @@ router.get('/', verifyToken, isAdmin, (req, res) => {
       });
     }
 
+    const users = page.rows.map(user => pickFields(user, list.fields));
     res.json({
       success: true,
       count: users.length,
+      total: page.total,
+      pagination: page.pagination,
       users
     });
   });
@@ -90,7 +120,7 @@ router.get('/:id', verifyToken, (req, res) => {
   }
 
   db.get(
-    'SELECT id, username, email, role, branch, status, created_at FROM users WHERE id = ?',
+    'SELECT id, username, email, role, branch, branch_id, status, created_at FROM users WHERE id = ?',
     [req.params.id],
     (err, user) => {
       if (err) {
@@ -121,7 +151,7 @@ router.get('/:id', verifyToken, (req, res) => {
 // Admin Only
 // ============================================
 router.post('/', verifyToken, isAdmin, (req, res) => {
-  const { username, email, password, role, branch } = req.body;
+  const { username, email, password, role, branch, branch_id } = req.body;
 
   // ──────────────────────────────────────
   // VALIDATION
@@ -165,39 +195,49 @@ router.post('/', verifyToken, isAdmin, (req, res) => {
   // CREATE USER
   // ──────────────────────────────────────
 
-  // Hash password
-  const hashedPassword = bcrypt.hashSync(password, 10);
+  // Branch by id or name; the default branch when none is given
+  resolveBranch({ branch_id, branch }, (err, userBranch) => {
+    if (err) {
+      return res.status(err.status || 500).json({ 
+        success: false,
+        error: err.status ? err.message : 'Failed to create user' 
+      });
+    }
+
+    // Hash password
+    const hashedPassword = bcrypt.hashSync(password, 10);
 
-  // Insert user
-  db.run(
-    `INSERT INTO users (username, email, password, role, branch, status) 
-     VALUES (?, ?, ?, ?, ?, ?)`,
-    [username, email, hashedPassword, role || 'user', branch || 'Main', 'active'],
-    function(err) {
-      if (err) {
-        console.error('Error creating user:', err);
-        
-        // Check for duplicate email or username
-        if (err.message.includes('UNIQUE constraint failed')) {
-          return res.status(400).json({ 
+    // Insert user
+    db.run(
+      `INSERT INTO users (username, email, password, role, branch, branch_id, status) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [username, email, hashedPassword, role || 'user', userBranch.name, userBranch.id, 'active'],
+      function(err) {
+        if (err) {
+          console.error('Error creating user:', err);
+          
+          // Check for duplicate email or username
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Email or username already exists' 
+            });
+          }
+          
+          return res.status(500).json({ 
             success: false,
-            error: 'Email or username already exists' 
+            error: 'Failed to create user' 
           });
         }
-        
-        return res.status(500).json({ 
-          success: false,
-          error: 'Failed to create user' 
+
+        res.status(201).json({ 
+          success: true,
+          message: 'User created successfully',
+          userId: this.lastID 
         });
       }
-
-      res.status(201).json({ 
-        success: true,
-        message: 'User created successfully',
-        userId: this.lastID 
-      });
-    }
-  );
+    );
+  });
 });
 
 // ============================================
@@ -206,7 +246,7 @@ router.post('/', verifyToken, isAdmin, (req, res) => {
 // Admin Only
 // ============================================
 router.put('/:id', verifyToken, isAdmin, (req, res) => {
-  const { username, email, role, branch, status } = req.body;
+  const { username, email, role, branch, branch_id, status } = req.body;
 
   // ──────────────────────────────────────
   // VALIDATION
@@ -251,41 +291,55 @@ router.put('/:id', verifyToken, isAdmin, (req, res) => {
   // UPDATE USER
   // ──────────────────────────────────────
 
-  db.run(
-    `UPDATE users 
-     SET username = ?, email = ?, role = ?, branch = ?, status = ? 
-     WHERE id = ?`,
-    [username, email, role, branch, status, req.params.id],
-    function(err) {
-      if (err) {
-        console.error('Error updating user:', err);
-        
-        if (err.message.includes('UNIQUE constraint failed')) {
-          return res.status(400).json({ 
+  // Branch only changes when one is given
+  const hasBranch = Boolean(branch_id || branch);
+
+  resolveBranch(hasBranch ? { branch_id, branch } : {}, (err, userBranch) => {
+    if (err) {
+      return res.status(err.status || 500).json({ 
+        success: false,
+        error: err.status ? err.message : 'Failed to update user' 
+      });
+    }
+
+    db.run(
+      `UPDATE users 
+       SET username = ?, email = ?, role = ?, branch = COALESCE(?, branch),
+           branch_id = COALESCE(?, branch_id), status = ? 
+       WHERE id = ?`,
+      [username, email, role, hasBranch ? userBranch.name : null, hasBranch ? userBranch.id : null,
+       status, req.params.id],
+      function(err) {
+        if (err) {
+          console.error('Error updating user:', err);
+          
+          if (err.message.includes('UNIQUE constraint failed')) {
+            return res.status(400).json({ 
+              success: false,
+              error: 'Email or username already exists' 
+            });
+          }
+          
+          return res.status(500).json({ 
             success: false,
-            error: 'Email or username already exists' 
+            error: 'Failed to update user' 
           });
         }
-        
-        return res.status(500).json({ 
-          success: false,
-          error: 'Failed to update user' 
-        });
-      }
 
-      if (this.changes === 0) {
-        return res.status(404).json({ 
-          success: false,
-          error: 'User not found' 
+        if (this.changes === 0) {
+          return res.status(404).json({ 
+            success: false,
+            error: 'User not found' 
+          });
+        }
+
+        res.json({ 
+          success: true,
+          message: 'User updated successfully' 
         });
       }
-
-      res.json({ 
-        success: true,
-        message: 'User updated successfully' 
-      });
-    }
-  );
+    );
+  });
 });
 
 // ============================================
@@ -521,7 +575,7 @@ router.get('/stats/overview', verifyToken, isAdmin, (req, res) => {
                     COUNT(s.id) as total_sales,
                     SUM(s.grand_total) as total_revenue
                    FROM users u
-                   LEFT JOIN sales s ON u.id = s.user_id
+                   LEFT JOIN sales s ON u.id = s.user_id AND s.status != 'voided'
                    GROUP BY u.id
                    ORDER BY total_sales DESC
                    LIMIT 10`,
@@ -564,7 +618,7 @@ router.get('/:id/activity', verifyToken, (req, res) => {
       SUM(grand_total) as total_revenue,
       AVG(grand_total) as average_sale
      FROM sales 
-     WHERE user_id = ?`,
+     WHERE user_id = ? AND status != 'voided'`,
     [req.params.id],
     (err, salesStats) => {
       if (err) {
@@ -576,7 +630,7 @@ router.get('/:id/activity', verifyToken, (req, res) => {
 
       // Get recent sales
       db.all(
-        `SELECT id, invoice_number, customer_name, grand_total, created_at
+        `SELECT id, invoice_number, customer_name, grand_total, status, created_at
          FROM sales 
          WHERE user_id = ?
          ORDER BY created_at DESC
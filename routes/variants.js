@@ -0,0 +1,450 @@
+/**
+ * PRODUCT VARIANT ROUTES
+ *
+ * Sizes, colours and other options of a parent product. Each variant has
+ * its own SKU, barcode, price override and stock:
+ * - GET /api/products/:productId/variants - List a product's variants (?branch_id=1)
+ * - POST /api/products/:productId/variants - Add variants, one by one or from an options matrix (Admin only)
+ * - PUT /api/products/:productId/variants/:variantId - Update a variant (Admin only)
+ * - DELETE /api/products/:productId/variants/:variantId - Delete an unsold variant (Admin only)
+ *
+ * Variant stock is changed like any product's, e.g. through
+ * POST /api/products/:variantId/stock-adjustments.
+ */
+
+const express = require('express');
+const db = require('../database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const httpError = require('../utils/httpError');
+const { adjustStock, refreshStatus } = require('../services/stock');
+const { writeBranchId } = require('../services/branches');
+const { setPrimaryBarcode } = require('../services/barcodes');
+const { recordPrices } = require('../services/prices');
+const {
+  normaliseAttributes, attributesKey, combineOptions,
+  variantName, variantSku, withAttributes, asGroup, loadFamilies, insertVariant
+} = require('../services/variants');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the parent product named in the URL
+ */
+const loadParent = (productId, callback) => {
+  db.get('SELECT * FROM products WHERE id = ?', [productId], (err, parent) => {
+    if (err) return callback(err);
+    if (!parent) return callback(httpError(404, 'Product not found'));
+    if (parent.parent_id) return callback(httpError(400, 'Product is itself a variant'));
+    callback(null, parent);
+  });
+};
+
+/**
+ * Parse an optional price; undefined when left out, null when cleared
+ */
+const parsePrice = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : NaN;
+};
+
+/**
+ * Turn the request body into one spec per variant to create
+ *
+ * Accepts { variants: [...] }, { options: { size: [...], colour: [...] } }
+ * with shared fields, or a single variant's fields.
+ */
+const variantSpecs = (body) => {
+  const { variants, options, ...shared } = body;
+
+  if (Array.isArray(variants)) return variants;
+
+  if (options && typeof options === 'object') {
+    const keys = Object.keys(options);
+    if (keys.length === 0 || keys.some(key => [].concat(options[key]).length === 0)) {
+      throw httpError(400, 'Every option needs at least one value');
+    }
+    return combineOptions(options).map(attributes => ({ ...shared, attributes, sku: undefined, barcode: undefined }));
+  }
+
+  return [body];
+};
+
+// ============================================
+// GET VARIANTS
+// GET /api/products/:productId/variants?branch_id=1
+// ============================================
+router.get('/', verifyToken, (req, res) => {
+  loadParent(req.params.productId, (err, parent) => {
+    if (err) {
+      return res.status(err.status || 500).json({
+        success: false,
+        error: err.status ? err.message : 'Failed to fetch variants'
+      });
+    }
+
+    loadFamilies([parent.id], req.branchScope, (err, family) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to fetch variants'
+        });
+      }
+
+      const product = asGroup(family.find(row => row.id === parent.id), family.filter(row => row.parent_id === parent.id));
+
+      res.json({
+        success: true,
+        count: product.variants.length,
+        product
+      });
+    });
+  });
+});
+
+// ============================================
+// ADD VARIANTS
+// POST /api/products/:productId/variants
+// Admin Only - Body is one of:
+//   { attributes: { size: 'M' }, sku, barcode, price_override, purchase_price, min_stock, quantity, branch_id }
+//   { variants: [{ attributes, sku, barcode, ... }, ...] }
+//   { options: { size: ['S', 'M'], colour: ['Red'] }, price_override, quantity, ... }  (SKUs are generated)
+// ============================================
+router.post('/', verifyToken, isAdmin, (req, res) => {
+  let specs;
+  try {
+    specs = variantSpecs(req.body);
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+
+  if (specs.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No variants provided'
+    });
+  }
+
+  loadParent(req.params.productId, (err, parent) => {
+    if (err) {
+      return res.status(err.status || 500).json({
+        success: false,
+        error: err.status ? err.message : 'Failed to add variants'
+      });
+    }
+
+    if (!parent.has_variants && parent.quantity !== 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product still holds stock; move or write it off before adding variants'
+      });
+    }
+
+    db.all('SELECT variant_attributes FROM products WHERE parent_id = ?', [parent.id], (err, existing) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to add variants'
+        });
+      }
+
+      const taken = new Set(existing.map(row => withAttributes(row).attributes).filter(Boolean).map(attributesKey));
+      const variants = [];
+
+      for (const spec of specs) {
+        const attributes = normaliseAttributes(spec.attributes);
+        if (!attributes) {
+          return res.status(400).json({
+            success: false,
+            error: 'Every variant needs attributes, e.g. { "size": "M" }'
+          });
+        }
+
+        const key = attributesKey(attributes);
+        if (taken.has(key)) {
+          return res.status(400).json({
+            success: false,
+            error: `Variant ${variantName(parent.name, attributes)} already exists`
+          });
+        }
+        taken.add(key);
+
+        const priceOverride = parsePrice(spec.price_override);
+        const purchasePrice = parsePrice(spec.purchase_price);
+        if (Number.isNaN(priceOverride) || Number.isNaN(purchasePrice)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Prices must be zero or more'
+          });
+        }
+
+        const quantity = parseInt(spec.quantity) || 0;
+        if (quantity < 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Opening quantity cannot be negative'
+          });
+        }
+
+        variants.push({
+          attributes,
+          sku: spec.sku ? String(spec.sku).trim() : variantSku(parent.sku, attributes),
+          barcode: spec.barcode,
+          priceOverride: priceOverride === undefined ? null : priceOverride,
+          purchasePrice: purchasePrice === undefined ? null : purchasePrice,
+          minStock: parseInt(spec.min_stock) || null,
+          quantity
+        });
+      }
+
+      const variantIds = [];
+
+      const fail = (err) => {
+        db.run('ROLLBACK');
+        if (err.message.includes('UNIQUE constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'A product with this SKU or barcode already exists'
+          });
+        }
+        res.status(err.status || 500).json({
+          success: false,
+          error: err.status ? err.message : 'Failed to add variants'
+        });
+      };
+
+      // one variant at a time: insert, then book its opening stock
+      const next = (index) => {
+        if (index >= variants.length) {
+          return db.run('COMMIT', () => {
+            res.status(201).json({
+              success: true,
+              message: `${variantIds.length} variant(s) added`,
+              variantIds
+            });
+          });
+        }
+
+        const variant = variants[index];
+
+        insertVariant({ parentId: parent.id, ...variant }, (err, variantId) => {
+          if (err) return fail(err);
+
+          variantIds.push(variantId);
+
+          setPrimaryBarcode(variantId, variant.barcode, (err) => {
+            if (err) return fail(err);
+
+            recordPrices(variantId, { userId: req.userId, reason: 'Variant created' }, (err) => {
+              if (err) return fail(err);
+
+              adjustStock({
+                productId: variantId,
+                branchId: writeBranchId(req),
+                change: variant.quantity,
+                type: 'opening',
+                userId: req.userId,
+                reason: 'Variant created'
+              }, (err) => {
+                if (err) return fail(err);
+                next(index + 1);
+              });
+            });
+          });
+        });
+      };
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION', (err) => {
+          if (err) return fail(err);
+          next(0);
+        });
+      });
+    });
+  });
+});
+
+// ============================================
+// UPDATE VARIANT
+// PUT /api/products/:productId/variants/:variantId
+// Admin Only - Body: { sku, barcode, attributes, price_override, purchase_price, min_stock }
+// Fields left out keep their value; price_override: null goes back to the parent's price, barcode: '' removes it
+// ============================================
+router.put('/:variantId', verifyToken, isAdmin, (req, res) => {
+  const { sku, barcode, attributes, min_stock } = req.body;
+  const priceOverride = parsePrice(req.body.price_override);
+  const purchasePrice = parsePrice(req.body.purchase_price);
+
+  if (Number.isNaN(priceOverride) || Number.isNaN(purchasePrice) || purchasePrice === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Prices must be zero or more'
+    });
+  }
+
+  const normalised = attributes === undefined ? null : normaliseAttributes(attributes);
+  if (attributes !== undefined && !normalised) {
+    return res.status(400).json({
+      success: false,
+      error: 'Attributes need at least one non-empty value, e.g. { "size": "M" }'
+    });
+  }
+
+  db.get(
+    `SELECT v.*, p.name as parent_name, p.selling_price as parent_price
+     FROM products v JOIN products p ON v.parent_id = p.id
+     WHERE v.id = ? AND v.parent_id = ?`,
+    [req.params.variantId, req.params.productId],
+    (err, variant) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update variant'
+        });
+      }
+
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found'
+        });
+      }
+
+      const override = priceOverride === undefined ? variant.price_override : priceOverride;
+
+      db.all(
+        'SELECT variant_attributes FROM products WHERE parent_id = ? AND id != ?',
+        [variant.parent_id, variant.id],
+        (err, siblings) => {
+          if (err) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to update variant'
+            });
+          }
+
+          const clash = normalised && siblings.some(sibling => {
+            const { attributes: taken } = withAttributes(sibling);
+            return taken && attributesKey(taken) === attributesKey(normalised);
+          });
+
+          if (clash) {
+            return res.status(400).json({
+              success: false,
+              error: 'Another variant already has these attributes'
+            });
+          }
+
+          const fail = (err) => {
+            db.run('ROLLBACK');
+            if (err.message.includes('UNIQUE constraint failed')) {
+              return res.status(400).json({
+                success: false,
+                error: 'A product with this SKU already exists'
+              });
+            }
+            res.status(err.status || 500).json({
+              success: false,
+              error: err.status ? err.message : 'Failed to update variant'
+            });
+          };
+
+          db.serialize(() => {
+            db.run('BEGIN TRANSACTION');
+
+            db.run(
+              `UPDATE products SET
+               sku = COALESCE(?, sku),
+               name = ?, variant_attributes = ?,
+               price_override = ?, selling_price = ?,
+               purchase_price = COALESCE(?, purchase_price), min_stock = COALESCE(?, min_stock),
+               updated_at = CURRENT_TIMESTAMP
+               WHERE id = ?`,
+              [sku ? String(sku).trim() : null,
+               normalised ? variantName(variant.parent_name, normalised) : variant.name,
+               normalised ? JSON.stringify(normalised) : variant.variant_attributes,
+               override, override === null ? variant.parent_price : override,
+               purchasePrice === undefined ? null : purchasePrice, parseInt(min_stock) || null,
+               variant.id],
+              (err) => {
+                if (err) return fail(err);
+  
+                setPrimaryBarcode(variant.id, barcode, (err) => {
+                  if (err) return fail(err);
+  
+                  // min_stock may move the status
+                  refreshStatus(variant.id, (err) => {
+                    if (err) return fail(err);
+  
+                    recordPrices(variant.id, { userId: req.userId, reason: 'Variant edited' }, (err) => {
+                      if (err) return fail(err);
+
+                      db.run('COMMIT', () => {
+                        res.json({
+                          success: true,
+                          message: 'Variant updated successfully'
+                        });
+                      });
+                    });
+                  });
+                });
+              }
+            );
+          });
+        }
+      );
+    }
+  );
+});
+
+// ============================================
+// DELETE VARIANT
+// DELETE /api/products/:productId/variants/:variantId
+// Admin Only - Variants that were sold are kept
+// ============================================
+router.delete('/:variantId', verifyToken, isAdmin, (req, res) => {
+  db.run(
+    'DELETE FROM products WHERE id = ? AND parent_id = ?',
+    [req.params.variantId, req.params.productId],
+    function(err) {
+      if (err) {
+        if (err.message.includes('FOREIGN KEY constraint failed')) {
+          return res.status(400).json({
+            success: false,
+            error: 'Variant has sales or other records and cannot be deleted'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to delete variant'
+        });
+      }
+
+      if (this.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found'
+        });
+      }
+
+      // The parent becomes an ordinary product again once its last variant is gone
+      db.run(
+        `UPDATE products SET has_variants = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND NOT EXISTS (SELECT 1 FROM products WHERE parent_id = ?)`,
+        [req.params.productId, req.params.productId],
+        () => {
+          res.json({
+            success: true,
+            message: 'Variant deleted successfully'
+          });
+        }
+      );
+    }
+  );
+});
+
+module.exports = router;
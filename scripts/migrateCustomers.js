@@ -0,0 +1,43 @@
+/**
+ * LINK OLD SALES TO CUSTOMERS
+ *
+ * Sales from before customer accounts only kept a typed customer_name.
+ * This groups those names and links each sale to a customer, matching an
+ * existing customer where one has the same name and creating one otherwise:
+ *
+ *   npm run customers:migrate -- [--dry-run]
+ *
+ * Names that differ only in case, accents, word order or a small typo per
+ * word count as the same person (see services/customers.js); walk-in names
+ * are skipped. --dry-run prints the matches without changing anything.
+ * Sales already linked are left alone, so it is safe to run again.
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const { linkSaleNames } = require('../services/customers');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+// Serialized so the queries wait for the schema updates database.js queues on open
+db.on('open', () => db.serialize(() => {
+  linkSaleNames({ dryRun }, (err, matches) => {
+    if (err) {
+      console.error('❌ Error linking sales to customers:', err.message);
+      return db.close(() => process.exit(1));
+    }
+
+    matches.forEach((match) => {
+      const target = match.created ? `new customer "${match.name}"` : `customer ${match.customer_id} "${match.name}"`;
+      console.log(`${match.sales} sale(s) → ${target}: ${match.names.map(name => `"${name}"`).join(', ')}`);
+    });
+
+    const sales = matches.reduce((sum, match) => sum + match.sales, 0);
+    const created = matches.filter(match => match.created).length;
+    console.log(dryRun
+      ? `ℹ️  Dry run: ${sales} sale(s) would be linked, ${created} customer(s) created`
+      : `✅ ${sales} sale(s) linked, ${created} customer(s) created`);
+    db.close(() => process.exit(0));
+  });
+}));
@@ -0,0 +1,114 @@
+/**
+ * MOVE STORED FILES BETWEEN STORAGE DRIVERS
+ *
+ * Copies every file a product or image refers to from one driver to another,
+ * e.g. from local disk to an S3 bucket before switching STORAGE_DRIVER:
+ *
+ *   npm run storage:migrate -- --from local --to s3 [--delete]
+ *
+ * Both drivers are configured from the environment (see services/storage).
+ * Keys stay the same, so the database needs no change. --delete removes each
+ * file from the source once it has been copied. Files missing at the source
+ * are reported and skipped; the exit code is 1 if any file could not be copied.
+ */
+
+require('dotenv').config();
+
+const db = require('../database');
+const { DRIVERS, createDriver } = require('../services/storage');
+const { referencedFiles } = require('../services/images');
+
+// Content types by file extension
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif'
+};
+
+/**
+ * Read --name value options
+ *
+ * @param {Array} args - Command line arguments
+ * @returns {Object} { from, to, delete }
+ */
+const parseArgs = (args) => {
+  const options = { delete: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--delete') options.delete = true;
+    else if (args[i] === '--from' || args[i] === '--to') options[args[i].slice(2)] = args[++i];
+  }
+  return options;
+};
+
+/**
+ * Is This Error A Missing File
+ *
+ * @param {Error} err - From a driver's get()
+ * @returns {Boolean}
+ */
+const isMissing = (err) => err.code === 'ENOENT' || err.name === 'NoSuchKey' ||
+  (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!DRIVERS.includes(options.from) || !DRIVERS.includes(options.to) || options.from === options.to) {
+  console.error('Usage: node scripts/migrateStorage.js --from <driver> --to <driver> [--delete]');
+  console.error(`Drivers: ${DRIVERS.join(', ')}`);
+  process.exit(1);
+}
+
+const source = createDriver(options.from);
+const target = createDriver(options.to);
+
+// Serialized so the query waits for the schema updates database.js queues on open
+db.on('open', () => db.serialize(() => {
+  referencedFiles((err, keys) => {
+    if (err) {
+      console.error('❌ Error reading image paths:', err.message);
+      process.exit(1);
+    }
+
+    const result = { copied: 0, missing: [], failed: [] };
+
+    const finish = () => {
+      console.log(`✅ ${result.copied} of ${keys.length} file(s) copied from ${options.from} to ${options.to}`);
+      result.missing.forEach(key => console.warn(`⚠️  Missing at source: ${key}`));
+      result.failed.forEach(({ key, message }) => console.error(`❌ ${key}: ${message}`));
+      db.close(() => process.exit(result.failed.length > 0 ? 1 : 0));
+    };
+
+    // One file at a time keeps memory flat however many images there are
+    const copyNext = (i) => {
+      if (i >= keys.length) return finish();
+
+      const key = keys[i];
+      source.get(key, (err, buffer) => {
+        if (err) {
+          if (isMissing(err)) result.missing.push(key);
+          else result.failed.push({ key, message: err.message });
+          return copyNext(i + 1);
+        }
+
+        const extension = key.split('.').pop().toLowerCase();
+        target.put(key, buffer, CONTENT_TYPES[extension] || 'application/octet-stream', (err) => {
+          if (err) {
+            result.failed.push({ key, message: err.message });
+            return copyNext(i + 1);
+          }
+
+          result.copied++;
+          if (!options.delete) return copyNext(i + 1);
+
+          source.remove(key, (err) => {
+            if (err) result.failed.push({ key, message: `copied, but not deleted: ${err.message}` });
+            copyNext(i + 1);
+          });
+        });
+      });
+    };
+
+    copyNext(0);
+  });
+}));
@@ -10,8 +10,10 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
+const { storage } = require('./services/storage');
+const { startPriceScheduler } = require('./services/prices');
+const { startLoyaltyScheduler } = require('./services/loyalty');
+const { startGiftCardScheduler } = require('./services/giftCards');
 
 // ============================================
 // SERVER CONFIGURATION
@@ -20,13 +22,6 @@ const fs = require('fs');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
-  console.log('✅ Created uploads directory');
-}
-
 // ============================================
 // MIDDLEWARE SETUP
 // ============================================
@@ -41,8 +36,10 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static Files - Serve uploaded images
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Static Files - Serve uploaded images (the s3 driver serves its own)
+if (storage.name === 'local') {
+  app.use(storage.baseUrl, express.static(storage.root));
+}
 
 // Request Logger - Log all incoming requests
 app.use((req, res, next) => {
@@ -56,8 +53,26 @@ app.use((req, res, next) => {
 
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const variantRoutes = require('./routes/variants');
+const barcodeRoutes = require('./routes/barcodes');
+const imageRoutes = require('./routes/images');
 const salesRoutes = require('./routes/sales');
 const userRoutes = require('./routes/users');
+const taxRoutes = require('./routes/tax');
+const promotionRoutes = require('./routes/promotions');
+const returnRoutes = require('./routes/returns');
+const registerRoutes = require('./routes/registers');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const branchRoutes = require('./routes/branches');
+const transferRoutes = require('./routes/transfers');
+const stocktakeRoutes = require('./routes/stocktakes');
+const priceRoutes = require('./routes/prices');
+const customerRoutes = require('./routes/customers');
+const loyaltyRoutes = require('./routes/loyalty');
+const giftCardRoutes = require('./routes/giftCards');
+const saleOrderRoutes = require('./routes/saleOrders');
+const numberingRoutes = require('./routes/numbering');
 
 // ============================================
 // API ROUTES
@@ -75,9 +90,27 @@ app.get('/api/health', (req, res) => {
 
 // Mount Route Handlers
 app.use('/api/auth', authRoutes);        // Authentication routes
+app.use('/api/products/:productId/variants', variantRoutes); // Product variants
+app.use('/api/products/:productId/barcodes', barcodeRoutes); // Product barcodes and labels
+app.use('/api/products/:productId/images', imageRoutes); // Product images
 app.use('/api/products', productRoutes);  // Product management
 app.use('/api/sales', salesRoutes);       // Sales/POS routes
 app.use('/api/users', userRoutes);        // User management
+app.use('/api/tax-rates', taxRoutes);     // Tax rates and classes
+app.use('/api/promotions', promotionRoutes); // Promotions and coupons
+app.use('/api/returns', returnRoutes);    // Returns and refunds
+app.use('/api/register-sessions', registerRoutes); // Cash drawer shifts
+app.use('/api/suppliers', supplierRoutes);  // Suppliers
+app.use('/api/purchase-orders', purchaseOrderRoutes); // Purchasing and goods receiving
+app.use('/api/branches', branchRoutes);   // Branches and per-branch stock
+app.use('/api/transfers', transferRoutes); // Stock transfers between branches
+app.use('/api/stocktakes', stocktakeRoutes); // Stocktakes and cycle counts
+app.use('/api/prices', priceRoutes);      // Price history and scheduled prices
+app.use('/api/customers', customerRoutes); // Customer accounts and purchase history
+app.use('/api/loyalty', loyaltyRoutes); // Loyalty points, tiers and points ledgers
+app.use('/api/gift-cards', giftCardRoutes); // Gift cards and store credit
+app.use('/api/sale-orders', saleOrderRoutes); // Parked carts, quotations and layaways
+app.use('/api/numbering-series', numberingRoutes); // Invoice and credit note numbering
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -88,8 +121,21 @@ app.get('/', (req, res) => {
       health: '/api/health',
       auth: '/api/auth',
       products: '/api/products',
+      variants: '/api/products/:productId/variants',
+      barcodes: '/api/products/:productId/barcodes',
+      images: '/api/products/:productId/images',
+      lookup: '/api/products/lookup/:code',
       sales: '/api/sales',
-      users: '/api/users'
+      users: '/api/users',
+      taxRates: '/api/tax-rates',
+      promotions: '/api/promotions',
+      returns: '/api/returns',
+      registerSessions: '/api/register-sessions',
+      suppliers: '/api/suppliers',
+      purchaseOrders: '/api/purchase-orders',
+      branches: '/api/branches',
+      transfers: '/api/transfers',
+      stocktakes: '/api/stocktakes'
     }
   });
 });
@@ -143,19 +189,42 @@ app.listen(PORT, () => {
   console.log('='.repeat(50));
   console.log(`📡 Server running on: http://localhost:${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📁 Uploads directory: ${uploadsDir}`);
+  console.log(`📁 File storage: ${storage.name === 'local' ? storage.root : `s3://${storage.bucket}`}`);
   console.log('='.repeat(50));
   console.log('📋 Available Endpoints:');
   console.log(`   - Health Check: http://localhost:${PORT}/api/health`);
   console.log(`   - Auth: http://localhost:${PORT}/api/auth`);
   console.log(`   - Products: http://localhost:${PORT}/api/products`);
+  console.log(`   - Variants: http://localhost:${PORT}/api/products/:productId/variants`);
+  console.log(`   - Barcodes: http://localhost:${PORT}/api/products/:productId/barcodes`);
+  console.log(`   - Images: http://localhost:${PORT}/api/products/:productId/images`);
   console.log(`   - Sales: http://localhost:${PORT}/api/sales`);
   console.log(`   - Users: http://localhost:${PORT}/api/users`);
+  console.log(`   - Tax Rates: http://localhost:${PORT}/api/tax-rates`);
+  console.log(`   - Promotions: http://localhost:${PORT}/api/promotions`);
+  console.log(`   - Returns: http://localhost:${PORT}/api/returns`);
+  console.log(`   - Register Sessions: http://localhost:${PORT}/api/register-sessions`);
+  console.log(`   - Suppliers: http://localhost:${PORT}/api/suppliers`);
+  console.log(`   - Purchase Orders: http://localhost:${PORT}/api/purchase-orders`);
+  console.log(`   - Branches: http://localhost:${PORT}/api/branches`);
+  console.log(`   - Transfers: http://localhost:${PORT}/api/transfers`);
+  console.log(`   - Stocktakes: http://localhost:${PORT}/api/stocktakes`);
+  console.log(`   - Prices: http://localhost:${PORT}/api/prices`);
+  console.log(`   - Customers: http://localhost:${PORT}/api/customers`);
+  console.log(`   - Loyalty: http://localhost:${PORT}/api/loyalty`);
+  console.log(`   - Gift cards: http://localhost:${PORT}/api/gift-cards`);
+  console.log(`   - Sale orders: http://localhost:${PORT}/api/sale-orders`);
+  console.log(`   - Numbering series: http://localhost:${PORT}/api/numbering-series`);
   console.log('='.repeat(50));
   console.log('🔐 Default Admin Credentials:');
   console.log('   Email: admin@company.com');
   console.log('   Password: admin123');
   console.log('='.repeat(50) + '\n');
+
+  // Scheduled price changes take effect without anyone having to ask
+  startPriceScheduler();
+  startLoyaltyScheduler();
+  startGiftCardScheduler();
 });
 
 // Handle graceful shutdown
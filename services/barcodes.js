@@ -0,0 +1,300 @@
+/**
+ * BARCODES
+ *
+ * A product can scan as several codes (manufacturer EAN/UPC, in-store
+ * internal codes); the primary one is mirrored on products.barcode.
+ * GS1 codes (EAN-13, UPC-A, EAN-8) are checked against their check digit.
+ *
+ * Weighed items carry their price (or weight) in the barcode:
+ *   2 T IIIII VVVVV C  - prefix 21-29, 5-digit item code (the product's
+ *                        PLU), 5-digit value, check digit
+ * The value is the price in cents, or the weight in grams with
+ * EMBEDDED_BARCODE_VALUE=weight. Codes generated here for products
+ * without a manufacturer code use prefix 20 so they never read as weighed.
+ * Products with a PLU are weighed: sold, counted and stocked by the kg, to
+ * the gram; everything else in whole units.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const BARCODE_TYPES = ['ean13', 'upca', 'ean8', 'internal', 'plu'];
+
+// Digits in each GS1 code, check digit included
+const GS1_LENGTHS = { ean13: 13, upca: 12, ean8: 8 };
+
+const INTERNAL_PREFIX = '20';
+const EMBEDDED_PATTERN = /^2[1-9]\d{11}$/;
+const EMBEDDED_VALUE = process.env.EMBEDDED_BARCODE_VALUE === 'weight' ? 'weight' : 'price';
+
+// 1 when the product aliased p is weighed
+const WEIGHED_SQL = "EXISTS (SELECT 1 FROM product_barcodes WHERE product_id = p.id AND type = 'plu')";
+
+// Weights are kept to the gram
+const roundWeight = (weight) => Math.round(weight * 1000) / 1000;
+
+/**
+ * Whether A Quantity Can Be Kept Of A Product
+ *
+ * @param {Number} quantity
+ * @param {Boolean} weighed - Product is weighed (see WEIGHED_SQL)
+ * @returns {Boolean} Whole units, or for weighed products kg to the gram
+ */
+const isStockQuantity = (quantity, weighed) => Number.isFinite(quantity) &&
+  (weighed ? roundWeight(quantity) === quantity : Number.isInteger(quantity));
+
+/**
+ * GS1 Check Digit
+ *
+ * @param {String} digits - Code without its check digit
+ * @returns {String} Single digit
+ */
+const checkDigit = (digits) => {
+  const sum = digits.split('').reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Whether A Numeric Code Ends In The Right Check Digit
+ *
+ * @param {String} code
+ * @returns {Boolean}
+ */
+const hasValidCheckDigit = (code) => /^\d{2,}$/.test(code) && checkDigit(code.slice(0, -1)) === code.slice(-1);
+
+/**
+ * Barcode Type From The Code's Shape
+ *
+ * @param {String} code
+ * @returns {String} ean13, upca, ean8 or internal
+ */
+const detectType = (code) => {
+  if (/^\d+$/.test(code)) {
+    const type = Object.keys(GS1_LENGTHS).find(key => GS1_LENGTHS[key] === code.length);
+    if (type) return type;
+  }
+  return 'internal';
+};
+
+/**
+ * Validate A Barcode
+ *
+ * @param {String} code
+ * @param {String} type - One of BARCODE_TYPES, detected when left out
+ * @returns {Object} { error } or { code, type }
+ */
+const checkBarcode = (code, type) => {
+  const trimmed = String(code === undefined || code === null ? '' : code).trim();
+  if (!trimmed) return { error: 'Barcode is required' };
+
+  const kind = type || detectType(trimmed);
+  if (!BARCODE_TYPES.includes(kind)) {
+    return { error: `Invalid barcode type. Must be one of: ${BARCODE_TYPES.join(', ')}` };
+  }
+
+  if (GS1_LENGTHS[kind]) {
+    if (!new RegExp(`^\\d{${GS1_LENGTHS[kind]}}$`).test(trimmed)) {
+      return { error: `${kind.toUpperCase()} barcodes have ${GS1_LENGTHS[kind]} digits` };
+    }
+    if (!hasValidCheckDigit(trimmed)) {
+      return { error: `Invalid check digit in ${trimmed}` };
+    }
+  }
+
+  if (kind === 'plu' && !/^\d{5}$/.test(trimmed)) {
+    return { error: 'PLU codes for weighed items have 5 digits' };
+  }
+
+  if (kind === 'internal' && !/^[A-Za-z0-9._-]{1,64}$/.test(trimmed)) {
+    return { error: 'Internal barcodes may only use letters, digits, ".", "_" and "-"' };
+  }
+
+  return { code: trimmed, type: kind };
+};
+
+/**
+ * In-Store Code For A Product Without A Manufacturer Barcode
+ *
+ * @param {Number} productId
+ * @returns {String} EAN-13 with prefix 20
+ */
+const internalCode = (productId) => {
+  const digits = INTERNAL_PREFIX + String(productId).padStart(10, '0');
+  return digits + checkDigit(digits);
+};
+
+/**
+ * Read A Weighed-Item Barcode
+ *
+ * @param {String} code
+ * @returns {Object|null} { item_code, value } or null if the code is not one
+ */
+const parseEmbedded = (code) => {
+  if (!EMBEDDED_PATTERN.test(code) || !hasValidCheckDigit(code)) return null;
+  return { item_code: code.slice(2, 7), value: Number(code.slice(7, 12)) };
+};
+
+/**
+ * Price And Weight Of A Weighed Item
+ *
+ * @param {Object} embedded - From parseEmbedded
+ * @param {Number} unitPrice - Product's selling price per kg
+ * @returns {Object} { item_code, price, weight }
+ */
+const embeddedAmounts = (embedded, unitPrice) => {
+  if (EMBEDDED_VALUE === 'weight') {
+    const weight = embedded.value / 1000;
+    return { item_code: embedded.item_code, price: roundMoney(weight * unitPrice), weight };
+  }
+
+  const price = embedded.value / 100;
+  return {
+    item_code: embedded.item_code,
+    price,
+    weight: unitPrice > 0 ? Math.round((price / unitPrice) * 1000) / 1000 : null
+  };
+};
+
+/**
+ * Make One Of A Product's Codes The Primary One
+ *
+ * With no code left to choose the first remaining scan code is used.
+ *
+ * @param {Number} productId
+ * @param {String} code - Code to promote, optional
+ * @param {Function} callback - (err)
+ */
+const refreshPrimary = (productId, code, callback) => {
+  db.run(
+    `UPDATE product_barcodes SET is_primary = COALESCE(id = (
+       SELECT id FROM product_barcodes
+       WHERE product_id = ? AND type != 'plu'
+       ORDER BY code = ? DESC, is_primary DESC, id LIMIT 1), 0)
+     WHERE product_id = ?`,
+    [productId, code || null, productId],
+    (err) => {
+      if (err) return callback(err);
+
+      db.run(
+        `UPDATE products SET updated_at = CURRENT_TIMESTAMP,
+         barcode = (SELECT code FROM product_barcodes WHERE product_id = ? AND is_primary = 1)
+         WHERE id = ?`,
+        [productId, productId],
+        (err) => callback(err)
+      );
+    }
+  );
+};
+
+/**
+ * Add A Barcode To A Product
+ *
+ * Adding a code the product already has just updates it. Run inside the
+ * caller's transaction.
+ *
+ * @param {Object} barcode
+ * @param {Number} barcode.productId
+ * @param {String} barcode.code
+ * @param {String} barcode.type - Detected when left out
+ * @param {Boolean} barcode.primary - Make it the primary code
+ * @param {Function} callback - (err, { code, type }) err.status is 400 for an invalid or taken code
+ */
+const addBarcode = ({ productId, code, type, primary }, callback) => {
+  const checked = checkBarcode(code, type);
+  if (checked.error) return callback(httpError(400, checked.error));
+
+  db.run(
+    `INSERT INTO product_barcodes (product_id, code, type) VALUES (?, ?, ?)
+     ON CONFLICT(code) DO UPDATE SET type = excluded.type WHERE product_id = excluded.product_id`,
+    [productId, checked.code, checked.type],
+    function(err) {
+      if (err) return callback(err);
+      if (this.changes === 0) {
+        return callback(httpError(400, `Barcode ${checked.code} already belongs to another product`));
+      }
+
+      // A PLU only identifies weighed items inside their barcode, so it is never primary
+      const promote = primary && checked.type !== 'plu' ? checked.code : null;
+      refreshPrimary(productId, promote, (err) => callback(err, checked));
+    }
+  );
+};
+
+/**
+ * Remove A Product's Primary Barcode
+ *
+ * Its next code, if any, becomes the primary one.
+ *
+ * @param {Number} productId
+ * @param {Function} callback - (err)
+ */
+const removePrimary = (productId, callback) => {
+  db.run('DELETE FROM product_barcodes WHERE product_id = ? AND is_primary = 1', [productId], (err) => {
+    if (err) return callback(err);
+    refreshPrimary(productId, null, callback);
+  });
+};
+
+/**
+ * Apply The Barcode Field Of A Product Form
+ *
+ * Left out keeps the current codes, '' removes the primary code and
+ * anything else becomes the primary code.
+ *
+ * @param {Number} productId
+ * @param {String} barcode - Value sent by the client
+ * @param {Function} callback - (err)
+ */
+const setPrimaryBarcode = (productId, barcode, callback) => {
+  if (barcode === undefined || barcode === null) return callback(null);
+  if (String(barcode).trim() === '') return removePrimary(productId, callback);
+  addBarcode({ productId, code: barcode, primary: true }, (err) => callback(err));
+};
+
+/**
+ * Find The Product A Scanned Code Belongs To
+ *
+ * Tries an exact barcode, then an exact SKU, then a weighed-item barcode.
+ *
+ * @param {String} code
+ * @param {Function} callback - (err, match) match is { product_id, matched_by, embedded } or null
+ */
+const findByCode = (code, callback) => {
+  const embedded = parseEmbedded(code);
+
+  db.get(
+    `SELECT product_id, matched_by FROM (
+       SELECT product_id, 'barcode' as matched_by, 1 as rank FROM product_barcodes WHERE code = ? AND type != 'plu'
+       UNION ALL
+       SELECT id, 'sku', 2 FROM products WHERE sku = ?
+       UNION ALL
+       SELECT product_id, 'embedded', 3 FROM product_barcodes WHERE code = ? AND type = 'plu'
+     )
+     ORDER BY rank LIMIT 1`,
+    [code, code, embedded ? embedded.item_code : null],
+    (err, row) => {
+      if (err) return callback(err);
+      if (!row) return callback(null, null);
+      callback(null, { ...row, embedded: row.matched_by === 'embedded' ? embedded : null });
+    }
+  );
+};
+
+module.exports = {
+  BARCODE_TYPES,
+  WEIGHED_SQL,
+  roundWeight,
+  isStockQuantity,
+  checkDigit,
+  hasValidCheckDigit,
+  checkBarcode,
+  internalCode,
+  embeddedAmounts,
+  refreshPrimary,
+  addBarcode,
+  removePrimary,
+  setPrimaryBarcode,
+  findByCode
+};
@@ -0,0 +1,72 @@
+/**
+ * BRANCHES
+ *
+ * Looks up the branch a user, product change or document belongs to.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+
+/**
+ * Get The Default Branch
+ *
+ * @param {Function} callback - (err, branch)
+ */
+const getDefaultBranch = (callback) => {
+  db.get('SELECT * FROM branches WHERE is_default = 1', callback);
+};
+
+/**
+ * Resolve A Branch From Request Input
+ *
+ * Accepts a branch id or a branch name (the old free-text users.branch);
+ * with neither the default branch is used.
+ *
+ * @param {Object} input - { branch_id, branch }
+ * @param {Function} callback - (err, branch) err.status is 400 for an unknown branch
+ */
+const resolveBranch = ({ branch_id, branch }, callback) => {
+  if (!branch_id && !branch) return getDefaultBranch(callback);
+
+  const [query, params] = branch_id
+    ? ['SELECT * FROM branches WHERE id = ?', [branch_id]]
+    : ['SELECT * FROM branches WHERE name = ? OR code = ?', [String(branch).trim(), String(branch).trim()]];
+
+  db.get(query, params, (err, row) => {
+    if (err) return callback(err);
+    if (!row) return callback(httpError(400, 'Branch not found'));
+    if (row.status !== 'active') return callback(httpError(400, `Branch "${row.name}" is inactive`));
+    callback(null, row);
+  });
+};
+
+/**
+ * Branch A Write Should Use
+ *
+ * Admins may name any branch in the body; everyone else works at their own.
+ *
+ * @param {Object} req - Express request (after verifyToken)
+ * @returns {Number|null}
+ */
+const writeBranchId = (req) => {
+  if (req.userRole === 'admin' && req.body && parseInt(req.body.branch_id)) {
+    return parseInt(req.body.branch_id);
+  }
+  return req.branchId || null;
+};
+
+/**
+ * Whether The Caller May Act For A Branch
+ *
+ * @param {Object} req - Express request (after verifyToken)
+ * @param {Number} branchId
+ * @returns {Boolean} true for admins and for staff of that branch
+ */
+const worksAt = (req, branchId) => req.userRole === 'admin' || req.branchId === branchId;
+
+module.exports = {
+  getDefaultBranch,
+  resolveBranch,
+  writeBranchId,
+  worksAt
+};
@@ -0,0 +1,482 @@
+/**
+ * CATALOGUE IMPORT / EXPORT
+ *
+ * Reads and writes the product catalogue as CSV or XLSX, one product per
+ * row with the column names in COLUMNS as the header. Import checks every
+ * row first (planImport) and only then writes (applyImport).
+ *
+ * Variants are rows with a parent_sku and attributes ("size=M; colour=Red");
+ * their selling_price is the price override (blank sells at the parent's
+ * price) and they take category, brand and the like from the parent.
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { adjustStock, refreshStatus } = require('./stock');
+const { checkBarcode, setPrimaryBarcode } = require('./barcodes');
+const { normaliseAttributes, attributesKey, withAttributes, variantName, insertVariant, syncVariants } = require('./variants');
+const { recordPrices } = require('./prices');
+
+const COLUMNS = [
+  'sku', 'name', 'parent_sku', 'attributes', 'barcode', 'category', 'brand', 'description',
+  'purchase_price', 'selling_price', 'quantity', 'min_stock', 'supplier', 'tax_code'
+];
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Largest file accepted in one import
+const MAX_ROWS = 20000;
+
+/**
+ * Format Of An Uploaded File
+ *
+ * @param {Object} file - multer file
+ * @returns {String|null} csv, xlsx or null
+ */
+const formatOf = (file) => {
+  const name = String(file.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  return null;
+};
+
+/**
+ * "size=M; colour=Red" As An Object
+ */
+const parseAttributes = (text) => {
+  const attributes = {};
+  for (const pair of text.split(';')) {
+    if (!pair.trim()) continue;
+    const [key, ...value] = pair.split('=');
+    attributes[key] = value.join('=');
+  }
+  return normaliseAttributes(attributes);
+};
+
+const formatAttributes = (attributes) =>
+  attributes ? Object.keys(attributes).map(key => `${key}=${attributes[key]}`).join('; ') : '';
+
+/**
+ * Read The First Sheet Of A CSV Or XLSX File
+ *
+ * @param {Buffer} buffer
+ * @param {String} format - csv or xlsx
+ * @param {Function} callback - (err, { columns, rows }) rows carry their
+ *                              spreadsheet row number as "row"; cells are trimmed strings
+ */
+const readSheet = (buffer, format, callback) => {
+  const workbook = new ExcelJS.Workbook();
+
+  // keep CSV cells as text so codes like 0036000291452 keep their leading zeros
+  const loading = format === 'csv'
+    ? workbook.csv.read(Readable.from(buffer), { map: value => value })
+    : workbook.xlsx.load(buffer);
+
+  loading.then(() => {
+    const sheet = workbook.worksheets[0];
+    if (!sheet || sheet.rowCount < 2) return callback(httpError(400, 'The file has no product rows'));
+    if (sheet.rowCount - 1 > MAX_ROWS) return callback(httpError(400, `Import at most ${MAX_ROWS} rows at a time`));
+
+    const header = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+      header[col] = String(cell.text).replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, '_');
+    });
+
+    if (!header.includes('sku')) {
+      return callback(httpError(400, 'The first row must hold the column names, including "sku"'));
+    }
+
+    const rows = [];
+    sheet.eachRow((row, number) => {
+      if (number === 1) return;
+
+      const record = { row: number };
+      header.forEach((key, col) => {
+        if (COLUMNS.includes(key)) record[key] = String(row.getCell(col).text || '').trim();
+      });
+      if (COLUMNS.some(key => record[key])) rows.push(record);
+    });
+
+    callback(null, { columns: COLUMNS.filter(key => header.includes(key)), rows });
+  }, () => callback(httpError(400, `Could not read the file as ${format.toUpperCase()}`)));
+};
+
+/**
+ * Load What Import Checks Rows Against
+ *
+ * @param {Number} stockBranch - Branch whose stock the quantity column means, or null for totals
+ * @param {Function} callback - (err, context)
+ */
+const loadContext = (stockBranch, callback) => {
+  const quantity = stockBranch
+    ? '(SELECT COALESCE(SUM(quantity), 0) FROM product_stock WHERE product_id = p.id AND branch_id = ?)'
+    : 'p.quantity';
+
+  db.all(
+    `SELECT p.id, p.sku, p.parent_id, p.has_variants, p.variant_attributes, ${quantity} as quantity
+     FROM products p`,
+    stockBranch ? [stockBranch] : [],
+    (err, products) => {
+      if (err) return callback(err);
+
+      db.all('SELECT code, product_id FROM product_barcodes', (err, barcodes) => {
+        if (err) return callback(err);
+
+        db.all('SELECT id, code FROM tax_rates', (err, taxRates) => {
+          if (err) return callback(err);
+
+          db.all('SELECT id, name FROM suppliers', (err, suppliers) => {
+            if (err) return callback(err);
+
+            // variants by parent and attributes, to spot two variants that would be the same
+            const variantKeys = new Map();
+            products.forEach(product => {
+              const { attributes } = withAttributes(product);
+              if (product.parent_id && attributes) {
+                variantKeys.set(`${product.parent_id} ${attributesKey(attributes)}`, product.sku);
+              }
+            });
+
+            callback(null, {
+              products: new Map(products.map(product => [product.sku, product])),
+              productsById: new Map(products.map(product => [product.id, product])),
+              variantKeys,
+              barcodes: new Map(barcodes.map(barcode => [barcode.code, barcode.product_id])),
+              taxRates: new Map(taxRates.map(rate => [rate.code.toLowerCase(), rate.id])),
+              suppliers: new Map(suppliers.map(supplier => [supplier.name.toLowerCase(), supplier.id]))
+            });
+          });
+        });
+      });
+    }
+  );
+};
+
+/**
+ * Check Import Rows
+ *
+ * Blank cells leave an existing product's value alone.
+ *
+ * @param {Array} rows - From readSheet
+ * @param {Object} context - From loadContext
+ * @param {Object} options - { upsert } update products whose SKU already exists
+ * @returns {Array} One entry per row: { row, sku, action: create|update, values, errors }
+ */
+const planImport = (rows, context, { upsert }) => {
+  const seenSkus = new Map();
+  const seenBarcodes = new Map();
+  const seenAttributes = new Set();
+
+  const plan = rows.map(record => {
+    const errors = [];
+    const sku = record.sku || '';
+    const existing = context.products.get(sku);
+    const values = {};
+
+    const number = (key, { whole = false } = {}) => {
+      if (!record[key]) return undefined;
+      const value = Number(record[key]);
+      if (!Number.isFinite(value) || value < 0 || (whole && !Number.isInteger(value))) {
+        errors.push(`${key} must be ${whole ? 'a whole number' : 'a number'} of 0 or more`);
+        return undefined;
+      }
+      return value;
+    };
+
+    if (!sku) errors.push('sku is required');
+    if (seenSkus.has(sku)) errors.push(`sku ${sku} is repeated (row ${seenSkus.get(sku)})`);
+    if (sku && !seenSkus.has(sku)) seenSkus.set(sku, record.row);
+    if (existing && !upsert) errors.push(`sku ${sku} already exists`);
+
+    ['name', 'category', 'brand', 'description'].forEach(key => {
+      if (record[key]) values[key] = record[key];
+    });
+    values.purchase_price = number('purchase_price');
+    values.selling_price = number('selling_price');
+    values.quantity = number('quantity', { whole: true });
+    values.min_stock = number('min_stock', { whole: true });
+
+    // ── variant rows hang off a parent that exists or comes earlier in the file ──
+    const parentSku = record.parent_sku || (existing && existing.parent_id
+      ? context.productsById.get(existing.parent_id).sku
+      : '');
+
+    if (parentSku) {
+      const parent = context.products.get(parentSku);
+      const parentInFile = seenSkus.has(parentSku) && parentSku !== sku;
+      values.parent_sku = parentSku;
+
+      if (!parent && !parentInFile) errors.push(`parent_sku ${parentSku} not found`);
+      if (parent && parent.parent_id) errors.push(`parent_sku ${parentSku} is itself a variant`);
+      if (parent && !parent.has_variants && parent.quantity !== 0) {
+        errors.push(`parent_sku ${parentSku} still holds stock`);
+      }
+      if (existing && existing.parent_id && parent && existing.parent_id !== parent.id) {
+        errors.push('a variant cannot move to another parent');
+      }
+      if (existing && !existing.parent_id) errors.push(`sku ${sku} is not a variant`);
+
+      const attributes = record.attributes
+        ? parseAttributes(record.attributes)
+        : existing && withAttributes(existing).attributes;
+      if (!attributes) {
+        errors.push('attributes are required for variants, e.g. "size=M; colour=Red"');
+      } else {
+        const key = `${parentSku} ${attributesKey(attributes)}`;
+        const holder = parent && context.variantKeys.get(`${parent.id} ${attributesKey(attributes)}`);
+        if ((holder && holder !== sku) || seenAttributes.has(key)) {
+          errors.push(`parent_sku ${parentSku} already has a variant ${formatAttributes(attributes)}`);
+        }
+        seenAttributes.add(key);
+        values.attributes = attributes;
+      }
+    } else {
+      if (!existing && !values.name) errors.push('name is required');
+      if (!existing && values.selling_price === undefined) errors.push('selling_price is required');
+      if (record.attributes) errors.push('attributes need a parent_sku');
+    }
+
+    if (existing && existing.has_variants && values.quantity !== undefined) {
+      errors.push('stock is kept on the variants; leave quantity blank for the parent');
+    }
+
+    if (record.barcode) {
+      const checked = checkBarcode(record.barcode);
+      if (checked.error) {
+        errors.push(checked.error);
+      } else {
+        const owner = context.barcodes.get(checked.code);
+        if (owner && (!existing || owner !== existing.id)) errors.push(`barcode ${checked.code} belongs to another product`);
+        if (seenBarcodes.has(checked.code)) errors.push(`barcode ${checked.code} is repeated (row ${seenBarcodes.get(checked.code)})`);
+        seenBarcodes.set(checked.code, record.row);
+        values.barcode = checked.code;
+      }
+    }
+
+    if (record.tax_code) {
+      values.tax_rate_id = context.taxRates.get(record.tax_code.toLowerCase());
+      if (!values.tax_rate_id) errors.push(`tax_code ${record.tax_code} not found`);
+    }
+
+    if (record.supplier) {
+      values.supplier = record.supplier;
+      values.supplier_id = context.suppliers.get(record.supplier.toLowerCase()) || null;
+    }
+
+    return {
+      row: record.row,
+      sku,
+      action: existing ? 'update' : 'create',
+      existing: existing || null,
+      values,
+      errors
+    };
+  });
+
+  // a variant whose parent is a new row of this file needs that row to go in without stock
+  const bySku = new Map(plan.map(entry => [entry.sku, entry]));
+  plan.forEach(entry => {
+    const parent = entry.values.parent_sku && !context.products.has(entry.values.parent_sku) && bySku.get(entry.values.parent_sku);
+    if (!parent) return;
+    if (parent.errors.length > 0) entry.errors.push(`parent row ${parent.row} has errors`);
+    if (parent.values.quantity) entry.errors.push(`parent row ${parent.row} must not have a quantity`);
+  });
+
+  return plan;
+};
+
+/**
+ * Write One Checked Row (inside the caller's transaction)
+ *
+ * @param {Object} entry - From planImport, without errors
+ * @param {Object} options - { ids, userId, branchId }
+ *                           ids maps SKUs created so far to their product id
+ * @param {Function} callback - (err)
+ */
+const applyRow = (entry, { ids, userId, branchId }, callback) => {
+  const { values, existing } = entry;
+  const isVariant = Boolean(values.parent_sku);
+
+  const setStock = (productId, change, type) => {
+    if (change === 0 && type !== 'opening') return refreshStatus(productId, callback);
+    adjustStock({ productId, branchId, change, type, userId, reason: 'Catalogue import' }, (err) => callback(err));
+  };
+
+  const logPrices = (productId, next) => recordPrices(productId, { userId, reason: 'Catalogue import' }, next);
+
+  const finish = (productId, isParent) => (err) => {
+    if (err) return callback(err);
+
+    setPrimaryBarcode(productId, values.barcode, (err) => {
+      if (err) return callback(err);
+      if (isParent) {
+        return syncVariants(productId, (err) => (err ? callback(err) : logPrices(productId, callback)));
+      }
+
+      logPrices(productId, (err) => {
+        if (err) return callback(err);
+        if (!existing) return setStock(productId, values.quantity || 0, 'opening');
+        if (values.quantity === undefined) return refreshStatus(productId, callback);
+        setStock(productId, values.quantity - existing.quantity, 'adjustment');
+      });
+    });
+  };
+
+  // ── new products ──
+  if (!existing && isVariant) {
+    if (!ids.has(values.parent_sku)) return callback(httpError(400, `parent_sku ${values.parent_sku} not found`));
+
+    return insertVariant({
+      parentId: ids.get(values.parent_sku),
+      sku: entry.sku,
+      attributes: values.attributes,
+      priceOverride: values.selling_price === undefined ? null : values.selling_price,
+      purchasePrice: values.purchase_price === undefined ? null : values.purchase_price,
+      minStock: values.min_stock === undefined ? null : values.min_stock
+    }, (err, productId) => {
+      if (err) return callback(err);
+      ids.set(entry.sku, productId);
+      finish(productId, false)(null);
+    });
+  }
+
+  if (!existing) {
+    return db.run(
+      `INSERT INTO products
+       (name, sku, category, brand, description, purchase_price, selling_price,
+        quantity, min_stock, supplier, supplier_id, status, tax_rate_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, 'out_of_stock', ?)`,
+      [values.name, entry.sku, values.category || null, values.brand || null, values.description || null,
+       values.purchase_price || 0, values.selling_price, values.min_stock === undefined ? 5 : values.min_stock,
+       values.supplier || null, values.supplier_id || null, values.tax_rate_id || null],
+      function(err) {
+        if (err) return callback(err);
+        ids.set(entry.sku, this.lastID);
+        finish(this.lastID, false)(null);
+      }
+    );
+  }
+
+  // ── existing products: only the cells that were filled in ──
+  const fields = {};
+  if (isVariant) {
+    if (values.attributes) {
+      fields.variant_attributes = JSON.stringify(values.attributes);
+    }
+    if (values.selling_price !== undefined) {
+      fields.price_override = values.selling_price;
+      fields.selling_price = values.selling_price;
+    }
+  } else {
+    ['name', 'category', 'brand', 'description', 'selling_price', 'supplier', 'supplier_id', 'tax_rate_id']
+      .forEach(key => { if (values[key] !== undefined) fields[key] = values[key]; });
+  }
+  ['purchase_price', 'min_stock'].forEach(key => { if (values[key] !== undefined) fields[key] = values[key]; });
+
+  const keys = Object.keys(fields);
+  const sets = keys.map(key => `${key} = ?`);
+
+  // a variant's name follows its attributes
+  if (isVariant && values.attributes) {
+    sets.push('name = (SELECT name FROM products parent WHERE parent.id = products.parent_id) || ?');
+  }
+
+  db.run(
+    `UPDATE products SET ${sets.concat('updated_at = CURRENT_TIMESTAMP').join(', ')} WHERE id = ?`,
+    [...keys.map(key => fields[key]),
+     ...(isVariant && values.attributes ? [variantName('', values.attributes)] : []),
+     existing.id],
+    finish(existing.id, Boolean(existing.has_variants))
+  );
+};
+
+/**
+ * Write Every Checked Row In File Order
+ *
+ * @param {Array} plan - Entries from planImport, without errors
+ * @param {Object} context - From loadContext
+ * @param {Object} options - { userId, branchId } branchId receives stock changes
+ * @param {Function} callback - (err, failedEntry)
+ */
+const applyImport = (plan, context, { userId, branchId }, callback) => {
+  const ids = new Map([...context.products.values()].map(product => [product.sku, product.id]));
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err, plan[index - 1]);
+    if (index >= plan.length) return callback(null);
+    applyRow(plan[index++], { ids, userId, branchId }, next);
+  };
+
+  next();
+};
+
+/**
+ * Catalogue As A CSV Or XLSX File
+ *
+ * Parents come before their variants so the file can be imported again.
+ *
+ * @param {String} format - csv or xlsx
+ * @param {Number} branchId - Quantities of this branch, or null for totals
+ * @param {Function} callback - (err, buffer)
+ */
+const exportCatalogue = (format, branchId, callback) => {
+  const quantity = branchId
+    ? '(SELECT COALESCE(SUM(quantity), 0) FROM product_stock WHERE product_id = p.id AND branch_id = ?)'
+    : 'p.quantity';
+
+  db.all(
+    `SELECT p.*, ${quantity} as stock, parent.sku as parent_sku, tr.code as tax_code
+     FROM products p
+     LEFT JOIN products parent ON p.parent_id = parent.id
+     LEFT JOIN tax_rates tr ON p.tax_rate_id = tr.id
+     ORDER BY COALESCE(p.parent_id, p.id), p.parent_id IS NOT NULL, p.id`,
+    branchId ? [branchId] : [],
+    (err, products) => {
+      if (err) return callback(err);
+
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Products');
+      sheet.columns = COLUMNS.map(key => ({ header: key, key, width: key === 'description' ? 40 : 16 }));
+
+      products.forEach(row => {
+        const product = withAttributes(row);
+        const variant = Boolean(product.parent_id);
+        sheet.addRow({
+          sku: product.sku,
+          name: product.name,
+          parent_sku: product.parent_sku || '',
+          attributes: formatAttributes(product.attributes),
+          barcode: product.barcode || '',
+          category: variant ? '' : product.category,
+          brand: variant ? '' : product.brand,
+          description: variant ? '' : product.description,
+          purchase_price: product.purchase_price,
+          selling_price: variant ? product.price_override : product.selling_price,
+          quantity: product.has_variants ? null : product.stock,
+          min_stock: product.min_stock,
+          supplier: variant ? '' : product.supplier,
+          tax_code: variant ? '' : product.tax_code
+        });
+      });
+
+      const writing = format === 'csv' ? workbook.csv.writeBuffer() : workbook.xlsx.writeBuffer();
+      writing.then(buffer => callback(null, Buffer.from(buffer)), callback);
+    }
+  );
+};
+
+module.exports = {
+  COLUMNS,
+  FORMATS,
+  formatOf,
+  readSheet,
+  loadContext,
+  planImport,
+  applyImport,
+  exportCatalogue
+};
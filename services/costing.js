@@ -0,0 +1,219 @@
+/**
+ * STOCK COSTING
+ *
+ * Stock that comes in opens a cost layer (quantity at a unit cost) at its
+ * branch; stock that goes out is costed by using up layers oldest first.
+ * COSTING_METHOD picks how:
+ *   fifo    - layers keep their own cost, so the oldest stock is costed first (default)
+ *   average - every receipt re-costs the branch's remaining layers at their
+ *             weighted average, so whatever goes out costs the average
+ * adjustStock records each movement's value on the stock ledger, which is
+ * what valuations and cost of goods sold are read from.
+ */
+
+const db = require('../database');
+const { roundMoney } = require('../utils/money');
+
+const COSTING_METHOD = process.env.COSTING_METHOD === 'average' ? 'average' : 'fifo';
+
+/**
+ * Unit Cost Of Stock Coming In
+ *
+ * @param {Number} productId
+ * @param {Number} unitCost - Known cost (receipt, return, transfer), or null for the purchase price
+ * @param {Function} callback - (err, unitCost)
+ */
+const incomingCost = (productId, unitCost, callback) => {
+  if (unitCost !== null && unitCost !== undefined && Number.isFinite(Number(unitCost))) {
+    return callback(null, Number(unitCost));
+  }
+
+  db.get('SELECT purchase_price FROM products WHERE id = ?', [productId], (err, product) => {
+    callback(err, product ? product.purchase_price || 0 : 0);
+  });
+};
+
+/**
+ * Open A Cost Layer For Stock That Came In
+ *
+ * The layer only holds what the branch now has beyond its other layers, so
+ * stock that had gone below zero is made good first. Run inside the caller's
+ * transaction.
+ *
+ * @param {Object} layer
+ * @param {Number} layer.productId
+ * @param {Number} layer.branchId
+ * @param {Number} layer.quantity - Units that came in
+ * @param {Number} layer.unitCost
+ * @param {Number} layer.balanceAfter - Branch stock after the movement
+ * @param {Number} layer.movementId - stock_movements row that brought it in
+ * @param {Function} callback - (err)
+ */
+const addLayer = ({ productId, branchId, quantity, unitCost, balanceAfter, movementId }, callback) => {
+  db.get(
+    'SELECT COALESCE(SUM(remaining), 0) as remaining FROM cost_layers WHERE product_id = ? AND branch_id = ?',
+    [productId, branchId],
+    (err, row) => {
+      if (err) return callback(err);
+
+      const remaining = Math.min(quantity, Math.max(0, balanceAfter - row.remaining));
+      if (remaining === 0) return callback(null);
+
+      db.run(
+        `INSERT INTO cost_layers (product_id, branch_id, quantity, remaining, unit_cost, movement_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [productId, branchId, quantity, remaining, unitCost, movementId],
+        (err) => {
+          if (err || COSTING_METHOD !== 'average') return callback(err);
+
+          db.run(
+            `UPDATE cost_layers SET unit_cost = (
+               SELECT SUM(remaining * unit_cost) / SUM(remaining) FROM cost_layers
+               WHERE product_id = ? AND branch_id = ? AND remaining > 0)
+             WHERE product_id = ? AND branch_id = ? AND remaining > 0`,
+            [productId, branchId, productId, branchId],
+            (err) => callback(err)
+          );
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Use Up Cost Layers For Stock Going Out
+ *
+ * Units beyond the branch's layers (stock taken below zero) are costed at
+ * the product's purchase price. Run inside the caller's transaction.
+ *
+ * @param {Number} productId
+ * @param {Number} branchId
+ * @param {Number} quantity - Units going out (positive)
+ * @param {Function} callback - (err, cost) total cost of the units
+ */
+const consumeLayers = (productId, branchId, quantity, callback) => {
+  db.all(
+    'SELECT id, remaining, unit_cost FROM cost_layers WHERE product_id = ? AND branch_id = ? AND remaining > 0 ORDER BY id',
+    [productId, branchId],
+    (err, layers) => {
+      if (err) return callback(err);
+
+      let left = quantity;
+      let cost = 0;
+      const used = [];
+      for (const layer of layers) {
+        if (left === 0) break;
+        const taken = Math.min(left, layer.remaining);
+        cost += taken * layer.unit_cost;
+        left -= taken;
+        used.push({ id: layer.id, taken });
+      }
+
+      let index = 0;
+      const next = (err) => {
+        if (err) return callback(err);
+
+        if (index < used.length) {
+          const layer = used[index++];
+          return db.run('UPDATE cost_layers SET remaining = remaining - ? WHERE id = ?', [layer.taken, layer.id], next);
+        }
+
+        if (left === 0) return callback(null, roundMoney(cost));
+        incomingCost(productId, null, (err, unitCost) => callback(err, roundMoney(cost + left * unitCost)));
+      };
+
+      next(null);
+    }
+  );
+};
+
+/**
+ * Net Sales Lines With Their Cost, For Profit Reports
+ *
+ * Sale lines count in when sold and returns count out when refunded; voided
+ * sales are left out. Revenue is net of tax. A return takes its cost back out
+ * of cost of goods sold only when the goods were restocked as sellable.
+ *
+ * @param {Object} filters - { startDate, endDate, branchId } all optional
+ * @returns {Object} { sql, params } rows of
+ *   (created_at, branch_id, product_id, quantity, revenue, cost)
+ */
+const profitLines = ({ startDate, endDate, branchId }) => {
+  const filter = (alias) => [
+    startDate ? `DATE(${alias}.created_at) >= DATE(?)` : null,
+    endDate ? `DATE(${alias}.created_at) <= DATE(?)` : null,
+    branchId ? `${alias}.branch_id = ?` : null
+  ].filter(Boolean).map(condition => ` AND ${condition}`).join('');
+
+  const filterParams = [startDate, endDate, branchId].filter(Boolean);
+
+  return {
+    sql: `
+      SELECT s.created_at, s.branch_id, si.product_id, si.quantity,
+             si.total - COALESCE(si.tax_amount, 0) as revenue,
+             COALESCE(si.cost, 0) as cost
+      FROM sale_items si
+      JOIN sales s ON si.sale_id = s.id
+      WHERE s.status != 'voided'${filter('s')}
+      UNION ALL
+      SELECT r.created_at, r.branch_id, ri.product_id, -ri.quantity,
+             -(ri.amount - COALESCE(ri.tax_amount, 0)),
+             CASE WHEN ri.restock = 'sellable' THEN -COALESCE(ri.cost, 0) ELSE 0 END
+      FROM return_items ri
+      JOIN returns r ON ri.return_id = r.id
+      JOIN sales s ON r.sale_id = s.id
+      WHERE s.status != 'voided'${filter('r')}`,
+    params: [...filterParams, ...filterParams]
+  };
+};
+
+/**
+ * Value Stock As It Stood At The End Of A Day
+ *
+ * Sums each product's ledger movements up to then, so it works for any
+ * past date. Stock from before costing started is valued from the day its
+ * 'valuation' movement was recorded.
+ *
+ * @param {Object} filters
+ * @param {String} filters.date - YYYY-MM-DD
+ * @param {Number} filters.branchId - One branch, optional
+ * @param {String} filters.category - One category, optional
+ * @param {Function} callback - (err, products) rows of
+ *   (id, name, sku, category, quantity, value, unit_cost)
+ */
+const valueStock = ({ date, branchId, category }, callback) => {
+  let query = `
+    SELECT p.id, p.name, p.sku, p.category,
+           SUM(m.quantity) as quantity, ROUND(SUM(COALESCE(m.value, 0)), 2) as value
+    FROM stock_movements m
+    JOIN products p ON p.id = m.product_id
+    WHERE m.created_at < datetime(DATE(?), '+1 day')`;
+  const params = [date];
+
+  if (branchId) {
+    query += ' AND m.branch_id = ?';
+    params.push(branchId);
+  }
+  if (category) {
+    query += ' AND p.category = ?';
+    params.push(category);
+  }
+  query += ' GROUP BY p.id HAVING SUM(m.quantity) != 0 OR SUM(COALESCE(m.value, 0)) != 0 ORDER BY p.name';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(row => ({
+      ...row,
+      unit_cost: row.quantity > 0 ? roundMoney(row.value / row.quantity) : null
+    })));
+  });
+};
+
+module.exports = {
+  COSTING_METHOD,
+  incomingCost,
+  addLayer,
+  consumeLayers,
+  profitLines,
+  valueStock
+};
@@ -0,0 +1,184 @@
+/**
+ * CUSTOMERS
+ *
+ * Customers are found at the till by phone, matched on its digits alone so
+ * spacing, dashes and a leading + make no difference. Visits, lifetime value
+ * (net of refunds) and last visit are read from the customer's sales.
+ * Sales from before customer accounts only kept a typed name; linkSaleNames
+ * groups those names into customers, treating names that differ only in case,
+ * accents, word order or a small typo per word as the same person.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { tokenize, allowedTypos, editDistance } = require('../utils/text');
+
+// Names typed for an anonymous sale, never made into customers
+const WALK_IN_NAMES = ['Walk-in Customer', 'Walk-in', 'Walkin', 'Guest', 'Customer', 'Cash Customer', 'Cash'];
+
+// Visits, lifetime value and first and last visit of each customer with a sale
+const CUSTOMER_STATS = `
+  SELECT s.customer_id,
+         COUNT(*) as visits,
+         ROUND(SUM(s.grand_total) - COALESCE(SUM(r.refunded), 0), 2) as lifetime_value,
+         MIN(s.created_at) as first_visit_at,
+         MAX(s.created_at) as last_visit_at
+  FROM sales s
+  LEFT JOIN (SELECT sale_id, SUM(total_refund) as refunded FROM returns GROUP BY sale_id) r ON r.sale_id = s.id
+  WHERE s.status != 'voided' AND s.customer_id IS NOT NULL
+  GROUP BY s.customer_id`;
+
+// Customers with their stats and loyalty points balance; filter on c.* columns
+const CUSTOMERS = `
+  SELECT c.*,
+         COALESCE(st.visits, 0) as visits,
+         COALESCE(st.lifetime_value, 0) as lifetime_value,
+         st.first_visit_at, st.last_visit_at,
+         COALESCE(lp.points_balance, 0) as points_balance
+  FROM customers c
+  LEFT JOIN (${CUSTOMER_STATS}) st ON st.customer_id = c.id
+  LEFT JOIN (SELECT customer_id, SUM(points) as points_balance FROM loyalty_ledger GROUP BY customer_id) lp
+    ON lp.customer_id = c.id`;
+
+/**
+ * Digits Of A Phone Number
+ *
+ * @param {String} phone
+ * @returns {String} Digits only, or null when there are none
+ */
+const phoneKey = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits || null;
+};
+
+/**
+ * Name Reduced To Its Words
+ *
+ * @param {String} name
+ * @returns {String} Lower-case words without accents, in alphabetical order
+ */
+const nameKey = (name) => tokenize(name).sort().join(' ');
+
+/**
+ * Are Two Name Keys The Same Person
+ *
+ * Every word must match, allowing as many typos as a search does.
+ *
+ * @param {String} a - From nameKey
+ * @param {String} b - From nameKey
+ * @returns {Boolean}
+ */
+const sameName = (a, b) => {
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  if (wordsA.length !== wordsB.length) return false;
+
+  return wordsA.every((word, i) => {
+    const limit = allowedTypos(Math.min(word.length, wordsB[i].length));
+    return editDistance(word, wordsB[i], limit) <= limit;
+  });
+};
+
+/**
+ * Find A Customer A Sale Can Be Linked To
+ *
+ * @param {Number} customerId
+ * @param {Function} callback - (err, customer) err.status is 400 when it
+ *                              does not exist or is inactive
+ */
+const findCustomer = (customerId, callback) => {
+  db.get('SELECT * FROM customers WHERE id = ?', [customerId], (err, customer) => {
+    if (err) return callback(err);
+    if (!customer) return callback(httpError(400, `Customer ID ${customerId} not found.`));
+    if (customer.status !== 'active') return callback(httpError(400, `Customer "${customer.name}" is inactive.`));
+    callback(null, customer);
+  });
+};
+
+/**
+ * Link Sales That Only Have A Customer Name To Customers
+ *
+ * Names are matched to existing customers first, then to each other; the
+ * most used spelling names a new customer. Walk-in names are left alone.
+ *
+ * @param {Object} options - { dryRun } only works out the matches when true
+ * @param {Function} callback - (err, matches) [{ customer_id, name, created, names, sales }]
+ */
+const linkSaleNames = ({ dryRun }, callback) => {
+  db.all(
+    `SELECT customer_name as name, COUNT(*) as sales FROM sales
+     WHERE customer_id IS NULL AND TRIM(COALESCE(customer_name, '')) != ''
+     GROUP BY customer_name ORDER BY sales DESC, customer_name`,
+    (err, names) => {
+      if (err) return callback(err);
+
+      db.all("SELECT id, name FROM customers WHERE status = 'active' ORDER BY id", (err, customers) => {
+        if (err) return callback(err);
+
+        const groups = customers.map(customer => ({
+          customer_id: customer.id, name: customer.name, key: nameKey(customer.name), created: false, names: [], sales: 0
+        }));
+
+        names.forEach(({ name, sales }) => {
+          const key = nameKey(name);
+          if (!key || WALK_IN_NAMES.some(walkIn => nameKey(walkIn) === key)) return;
+
+          let group = groups.find(candidate => sameName(candidate.key, key));
+          if (!group) {
+            group = { customer_id: null, name: name.trim(), key, created: true, names: [], sales: 0 };
+            groups.push(group);
+          }
+          group.names.push(name);
+          group.sales += sales;
+        });
+
+        const matches = groups
+          .filter(group => group.names.length > 0)
+          .map(({ key, ...group }) => group);
+
+        if (dryRun || matches.length === 0) return callback(null, matches);
+
+        db.serialize(() => {
+          db.run('BEGIN TRANSACTION');
+
+          let index = 0;
+          const next = (err) => {
+            if (err) {
+              db.run('ROLLBACK');
+              return callback(err);
+            }
+            if (index >= matches.length) {
+              return db.run('COMMIT', (err) => callback(err, matches));
+            }
+
+            const match = matches[index++];
+            const link = (err) => {
+              if (err) return next(err);
+              db.run(
+                `UPDATE sales SET customer_id = ?
+                 WHERE customer_id IS NULL AND customer_name IN (${match.names.map(() => '?').join(', ')})`,
+                [match.customer_id, ...match.names],
+                next
+              );
+            };
+
+            if (match.customer_id) return link(null);
+            db.run('INSERT INTO customers (name) VALUES (?)', [match.name], function(err) {
+              if (!err) match.customer_id = this.lastID;
+              link(err);
+            });
+          };
+
+          next(null);
+        });
+      });
+    }
+  );
+};
+
+module.exports = {
+  CUSTOMERS,
+  phoneKey,
+  findCustomer,
+  linkSaleNames
+};
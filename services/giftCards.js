@@ -0,0 +1,375 @@
+/**
+ * GIFT CARDS AND STORE CREDIT
+ *
+ * Both are stored-value accounts behind a random code: gift cards are sold
+ * at the till (issue and top-up are paid for like a sale), store credit is
+ * given instead of money for a return. Either pays for a sale as a
+ * 'gift_card' or 'store_credit' tender carrying the code as its reference,
+ * for part or all of the balance. Accounts can expire (expires_at, defaulting
+ * to GIFT_CARD_EXPIRY_DAYS / STORE_CREDIT_EXPIRY_DAYS after issue; 0 means
+ * never), after which what is left is written off.
+ *
+ * Every change is a gift_card_transactions row with the balance after it,
+ * so the balance is the sum of the account's transactions.
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const GIFT_CARD_TYPES = ['gift_card', 'store_credit'];
+
+// Tenders that pay from an account of the same type
+const STORED_VALUE_METHODS = GIFT_CARD_TYPES;
+
+// How a gift card sold at the till can be paid for
+const ISSUE_METHODS = ['cash', 'card', 'online'];
+
+// Days an account lasts after it is issued, by type; 0 means it never expires
+const EXPIRY_DAYS = {
+  gift_card: Math.max(0, parseInt(process.env.GIFT_CARD_EXPIRY_DAYS) || 0),
+  store_credit: Math.max(0, parseInt(process.env.STORE_CREDIT_EXPIRY_DAYS) || 0)
+};
+
+// Codes use letters and digits that cannot be misread (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+// How often the server writes off expired balances
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// An account's balance; bind the gift card id
+const BALANCE_SQL = 'SELECT COALESCE(ROUND(SUM(amount), 2), 0) FROM gift_card_transactions WHERE gift_card_id = ?';
+
+// Accounts with their balance; filter on g.* columns
+const GIFT_CARDS = `
+  SELECT g.*, COALESCE(b.balance, 0) as balance, c.name as customer_name
+  FROM gift_cards g
+  LEFT JOIN (SELECT gift_card_id, ROUND(SUM(amount), 2) as balance
+             FROM gift_card_transactions GROUP BY gift_card_id) b ON b.gift_card_id = g.id
+  LEFT JOIN customers c ON g.customer_id = c.id`;
+
+/**
+ * New Random Code
+ *
+ * 16 characters from a 31-character alphabet (about 79 bits), grouped in fours.
+ *
+ * @returns {String} e.g. 'K7QF-2MZR-9XWD-HT4B'
+ */
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code.match(/.{4}/g).join('-');
+};
+
+/**
+ * Code As Stored, Whatever Way It Was Typed
+ *
+ * @param {String} code
+ * @returns {String} Upper case in groups of four, or null when it cannot be a code
+ */
+const normalizeCode = (code) => {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (chars.length !== CODE_LENGTH) return null;
+  return chars.match(/.{4}/g).join('-');
+};
+
+/**
+ * Code With All But The Last Group Hidden, For Receipts And Lists
+ *
+ * @param {String} code
+ * @returns {String} e.g. '****-****-****-HT4B'
+ */
+const maskCode = (code) => code.replace(/[A-Z0-9](?=.*-)/g, '*');
+
+/**
+ * Expiry Date For A New Account
+ *
+ * @param {String} type - gift_card or store_credit
+ * @param {String} expiresAt - Date asked for, optional
+ * @returns {Object} { error } or { expiresAt } YYYY-MM-DD or null
+ */
+const expiryFor = (type, expiresAt) => {
+  if (expiresAt) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(expiresAt)) || isNaN(Date.parse(expiresAt))) {
+      return { error: 'expires_at must be a date (YYYY-MM-DD).' };
+    }
+    if (String(expiresAt) < new Date().toISOString().slice(0, 10)) {
+      return { error: 'expires_at cannot be in the past.' };
+    }
+    return { expiresAt: String(expiresAt) };
+  }
+
+  if (!EXPIRY_DAYS[type]) return { expiresAt: null };
+  const date = new Date(Date.now() + EXPIRY_DAYS[type] * 24 * 60 * 60 * 1000);
+  return { expiresAt: date.toISOString().slice(0, 10) };
+};
+
+/**
+ * Is An Account Past Its Expiry Date
+ *
+ * @param {Object} card - gift_cards row
+ * @returns {Boolean}
+ */
+const isExpired = (card) => Boolean(card.expires_at) && card.expires_at < new Date().toISOString().slice(0, 10);
+
+/**
+ * Add A Transaction To An Account
+ *
+ * Run inside the caller's transaction. Money taken off can never take the
+ * balance below zero.
+ *
+ * @param {Object} transaction
+ * @param {Number} transaction.giftCardId
+ * @param {String} transaction.type - issue, top_up, redeem, refund, expire or void
+ * @param {Number} transaction.amount - Signed (negative takes money off)
+ * @param {String} transaction.paymentMethod - How an issue or top-up was paid, optional
+ * @param {Number} transaction.sessionId - Register session that took the payment, optional
+ * @param {String} transaction.referenceType - e.g. 'sale', 'return', optional
+ * @param {Number} transaction.referenceId - Id of the referenced record, optional
+ * @param {Number} transaction.userId
+ * @param {String} transaction.note - Free text, optional
+ * @param {Function} callback - (err, balanceAfter) err.status is 400 when the balance is too low
+ */
+const addTransaction = (transaction, callback) => {
+  const { giftCardId, type, paymentMethod, sessionId, referenceType, referenceId, userId, note } = transaction;
+  const amount = roundMoney(transaction.amount);
+
+  db.run(
+    `INSERT INTO gift_card_transactions
+      (gift_card_id, type, amount, balance_after, payment_method, session_id, reference_type, reference_id, user_id, note)
+     SELECT ?, ?, ?, ROUND(balance + ?, 2), ?, ?, ?, ?, ?, ?
+     FROM (SELECT (${BALANCE_SQL}) as balance)
+     WHERE ROUND(balance + ?, 2) >= 0`,
+    [giftCardId, type, amount, amount, paymentMethod || null, sessionId || null, referenceType || null,
+     referenceId || null, userId || null, note || null, giftCardId, amount],
+    function(err) {
+      if (err) return callback(err);
+      if (this.changes === 0) return callback(httpError(400, 'Not enough balance on the card.'));
+
+      db.get('SELECT balance_after FROM gift_card_transactions WHERE id = ?', [this.lastID], (err, row) => {
+        callback(err, row && row.balance_after);
+      });
+    }
+  );
+};
+
+/**
+ * Issue A New Account
+ *
+ * Run inside the caller's transaction.
+ *
+ * @param {Object} account
+ * @param {String} account.type - gift_card or store_credit
+ * @param {Number} account.amount - Opening balance
+ * @param {Number} account.customerId - Optional
+ * @param {String} account.expiresAt - YYYY-MM-DD, or null (see expiryFor)
+ * @param {String} account.paymentMethod - How a gift card was paid for, optional
+ * @param {Number} account.sessionId - Register session that took the payment, optional
+ * @param {String} account.referenceType - What the store credit was given for, optional
+ * @param {Number} account.referenceId
+ * @param {Number} account.userId
+ * @param {String} account.note - Optional
+ * @param {Function} callback - (err, card) { id, code, type, balance, expires_at }
+ */
+const issueCard = (account, callback) => {
+  const { type, amount, customerId, expiresAt, userId } = account;
+  const code = generateCode();
+
+  db.run(
+    `INSERT INTO gift_cards (code, type, customer_id, initial_value, expires_at, issued_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [code, type, customerId || null, roundMoney(amount), expiresAt || null, userId || null],
+    function(err) {
+      // A code already in use is vanishingly rare; draw another
+      if (err && err.message.includes('UNIQUE constraint failed: gift_cards.code')) {
+        return issueCard(account, callback);
+      }
+      if (err && err.message.includes('FOREIGN KEY constraint failed')) {
+        return callback(httpError(400, `Customer ID ${customerId} not found.`));
+      }
+      if (err) return callback(err);
+
+      const giftCardId = this.lastID;
+      addTransaction({ ...account, giftCardId, type: 'issue' }, (err, balance) => {
+        if (err) return callback(err);
+        callback(null, { id: giftCardId, code, type, balance, expires_at: expiresAt || null });
+      });
+    }
+  );
+};
+
+/**
+ * Find An Account By Its Code
+ *
+ * @param {String} code - As typed or scanned
+ * @param {Function} callback - (err, card) GIFT_CARDS row, or null when there is none
+ */
+const findByCode = (code, callback) => {
+  const normalized = normalizeCode(code);
+  if (!normalized) return callback(null, null);
+  db.get(`${GIFT_CARDS} WHERE g.code = ?`, [normalized], callback);
+};
+
+/**
+ * Check The Stored-Value Tenders Of A Sale
+ *
+ * Each 'gift_card' or 'store_credit' tender must name an active, unexpired
+ * account of that type with enough balance for every tender drawn on it.
+ * The account is attached to the payment (gift_card_id) and its reference
+ * masked so the full code is not kept on the sale.
+ *
+ * @param {Array} payments - From buildPayments; updated in place
+ * @param {Function} callback - (err) err.status is 400 for an unusable card
+ */
+const resolveTenders = (payments, callback) => {
+  const tenders = payments.filter(payment => STORED_VALUE_METHODS.includes(payment.method));
+  const drawn = {};
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err);
+    if (index >= tenders.length) return callback(null);
+
+    const payment = tenders[index++];
+    const label = payment.method === 'gift_card' ? 'Gift card' : 'Store credit';
+    if (!payment.reference) return next(httpError(400, `${label} payments need the code as their reference.`));
+
+    findByCode(payment.reference, (err, card) => {
+      if (err) return next(err);
+      if (!card || card.type !== payment.method) return next(httpError(400, `${label} not found.`));
+      if (card.status !== 'active') return next(httpError(400, `${label} ${maskCode(card.code)} is void.`));
+      if (isExpired(card)) return next(httpError(400, `${label} ${maskCode(card.code)} expired on ${card.expires_at}.`));
+
+      drawn[card.id] = roundMoney((drawn[card.id] || 0) + payment.amount);
+      if (drawn[card.id] > card.balance) {
+        return next(httpError(400, `${label} ${maskCode(card.code)} only has ${card.balance} left.`));
+      }
+
+      payment.gift_card_id = card.id;
+      payment.reference = maskCode(card.code);
+      next(null);
+    });
+  };
+
+  next(null);
+};
+
+/**
+ * Take A Sale's Stored-Value Tenders Off Their Accounts
+ *
+ * Run inside the caller's transaction, after resolveTenders.
+ *
+ * @param {Object} sale - { saleId, payments, userId }
+ * @param {Function} callback - (err) err.status is 400 when a balance ran out meanwhile
+ */
+const redeemTenders = ({ saleId, payments, userId }, callback) => {
+  const tenders = payments.filter(payment => payment.gift_card_id && payment.amount > 0);
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err);
+    if (index >= tenders.length) return callback(null);
+
+    const payment = tenders[index++];
+    addTransaction({
+      giftCardId: payment.gift_card_id,
+      type: 'redeem',
+      amount: -payment.amount,
+      referenceType: 'sale',
+      referenceId: saleId,
+      userId
+    }, (err) => next(err && err.status ? httpError(400, `Card ${payment.reference} no longer has enough balance.`) : err));
+  };
+
+  next(null);
+};
+
+/**
+ * Put A Voided Sale's Stored-Value Tenders Back On Their Accounts
+ *
+ * Run inside the caller's transaction.
+ *
+ * @param {Number} saleId
+ * @param {Number} userId
+ * @param {Function} callback - (err)
+ */
+const refundTenders = (saleId, userId, callback) => {
+  db.all(
+    'SELECT gift_card_id, amount FROM payments WHERE sale_id = ? AND gift_card_id IS NOT NULL AND amount > 0',
+    [saleId],
+    (err, tenders) => {
+      if (err) return callback(err);
+
+      let index = 0;
+      const next = (err) => {
+        if (err) return callback(err);
+        if (index >= tenders.length) return callback(null);
+
+        const tender = tenders[index++];
+        addTransaction({
+          giftCardId: tender.gift_card_id,
+          type: 'refund',
+          amount: tender.amount,
+          referenceType: 'sale',
+          referenceId: saleId,
+          userId,
+          note: 'Sale voided'
+        }, next);
+      };
+
+      next(null);
+    }
+  );
+};
+
+/**
+ * Write Off The Balance Of Expired Accounts
+ *
+ * @param {Function} callback - (err, accounts) how many accounts were written off
+ */
+const expireCards = (callback) => {
+  db.run(
+    `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, note)
+     SELECT id, 'expire', -balance, 0, 'Expired on ' || expires_at
+     FROM (${GIFT_CARDS} WHERE g.status = 'active' AND g.expires_at < DATE('now'))
+     WHERE balance > 0`,
+    function(err) {
+      callback(err, err ? 0 : this.changes);
+    }
+  );
+};
+
+/**
+ * Write Off Expired Balances Every Hour
+ *
+ * @returns {Object} The interval timer
+ */
+const startGiftCardScheduler = () => setInterval(() => {
+  expireCards((err, accounts) => {
+    if (err) return console.error('❌ Error expiring gift cards:', err.message);
+    if (accounts > 0) console.log(`✅ ${accounts} expired gift card / store credit balance(s) written off`);
+  });
+}, EXPIRY_INTERVAL_MS);
+
+module.exports = {
+  GIFT_CARD_TYPES,
+  STORED_VALUE_METHODS,
+  ISSUE_METHODS,
+  GIFT_CARDS,
+  normalizeCode,
+  maskCode,
+  expiryFor,
+  isExpired,
+  addTransaction,
+  issueCard,
+  findByCode,
+  resolveTenders,
+  redeemTenders,
+  refundTenders,
+  expireCards,
+  startGiftCardScheduler
+};
@@ -0,0 +1,259 @@
+/**
+ * PRODUCT IMAGES
+ *
+ * Uploads are checked by decoding them (not by their name or MIME type),
+ * turned upright, stripped of EXIF and other metadata, and saved as WebP
+ * renditions under products/ in file storage (see services/storage). A
+ * product can have several images; the primary one is mirrored on
+ * products.image_path (medium) and products.thumbnail_path. Those columns
+ * hold storage keys; responses carry URLs from withImageUrls. Files no
+ * image refers to any more are orphans and can be swept with removeOrphans.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { storage, fileUrl } = require('./storage');
+
+// Formats accepted on upload, as sharp names them
+const IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+// Longest side of each rendition in pixels
+const RENDITIONS = { thumbnail: 160, medium: 480, large: 1200 };
+
+// Larger images are refused before they are decoded
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+// Orphans younger than this may belong to an upload still being saved
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Save An Uploaded Image As WebP Renditions
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Function} callback - (err, image) image is { width, height, format, keys }
+ *                              with storage keys { thumbnail, medium, large };
+ *                              err.status is 400 when the file is not a usable image
+ */
+const processImage = (buffer, callback) => {
+  const source = sharp(buffer, { limitInputPixels: MAX_PIXELS });
+
+  source.metadata().then((metadata) => {
+    if (!IMAGE_FORMATS.includes(metadata.format)) {
+      return callback(httpError(400, `Unsupported image format. Upload ${IMAGE_FORMATS.join(', ')}`));
+    }
+
+    const name = `products/${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const keys = {};
+
+    // Rotate by the EXIF orientation first; sharp drops all metadata on output
+    const writes = Object.keys(RENDITIONS).map((rendition) => {
+      keys[rendition] = `${name}-${rendition}.webp`;
+      return source.clone()
+        .rotate()
+        .resize(RENDITIONS[rendition], RENDITIONS[rendition], { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer()
+        .then(buffer => new Promise((resolve, reject) => {
+          storage.put(keys[rendition], buffer, 'image/webp', err => (err ? reject(err) : resolve()));
+        }));
+    });
+
+    Promise.all(writes).then(() => {
+      // EXIF orientations 5-8 swap width and height
+      const turned = metadata.orientation >= 5;
+      callback(null, {
+        width: turned ? metadata.height : metadata.width,
+        height: turned ? metadata.width : metadata.height,
+        format: metadata.format,
+        keys
+      });
+    }, (err) => {
+      removeFiles(Object.values(keys));
+      callback(err);
+    });
+  }, () => callback(httpError(400, 'The file is not a readable image')));
+};
+
+/**
+ * Delete Image Files
+ *
+ * Failures are only logged; a file left behind is swept up as an orphan.
+ *
+ * @param {Array} keys - Storage keys
+ * @param {Function} callback - () optional
+ */
+const removeFiles = (keys, callback) => {
+  const files = [...new Set(keys.filter(Boolean))];
+  let pending = files.length;
+  if (pending === 0) return callback && callback();
+
+  files.forEach((key) => {
+    storage.remove(key, (err) => {
+      if (err) console.error('Error deleting image:', err.message);
+      if (--pending === 0 && callback) callback();
+    });
+  });
+};
+
+/**
+ * Rendition Keys Of Image Rows
+ *
+ * @param {Array} images - product_images rows
+ * @returns {Array}
+ */
+const imageFiles = (images) => images.flatMap(image => [image.thumbnail_path, image.medium_path, image.large_path]);
+
+/**
+ * Add Image URLs To A Product Row
+ *
+ * @param {Object} product - Row with image_path and thumbnail_path
+ * @returns {Object} With image_url and thumbnail_url
+ */
+const withImageUrls = (product) => ({
+  ...product,
+  image_url: fileUrl(product.image_path),
+  thumbnail_url: fileUrl(product.thumbnail_path)
+});
+
+/**
+ * Add Rendition URLs To A product_images Row
+ *
+ * @param {Object} image
+ * @returns {Object} With urls { thumbnail, medium, large }
+ */
+const withRenditionUrls = (image) => ({
+  ...image,
+  urls: {
+    thumbnail: fileUrl(image.thumbnail_path),
+    medium: fileUrl(image.medium_path),
+    large: fileUrl(image.large_path)
+  }
+});
+
+/**
+ * Make One Of A Product's Images The Primary One
+ *
+ * With no image named the current primary (or else the first image) is kept.
+ *
+ * @param {Number} productId
+ * @param {Number} imageId - Image to promote, optional
+ * @param {Function} callback - (err)
+ */
+const refreshPrimaryImage = (productId, imageId, callback) => {
+  db.run(
+    `UPDATE product_images SET is_primary = COALESCE(id = (
+       SELECT id FROM product_images WHERE product_id = ?
+       ORDER BY id = ? DESC, is_primary DESC, sort_order, id LIMIT 1), 0)
+     WHERE product_id = ?`,
+    [productId, imageId || null, productId],
+    (err) => {
+      if (err) return callback(err);
+
+      db.run(
+        `UPDATE products SET updated_at = CURRENT_TIMESTAMP,
+         image_path = (SELECT medium_path FROM product_images WHERE product_id = ? AND is_primary = 1),
+         thumbnail_path = (SELECT thumbnail_path FROM product_images WHERE product_id = ? AND is_primary = 1)
+         WHERE id = ?`,
+        [productId, productId, productId],
+        (err) => callback(err)
+      );
+    }
+  );
+};
+
+/**
+ * Add A Processed Image To A Product
+ *
+ * The product's first image becomes primary. Run inside the caller's transaction.
+ *
+ * @param {Object} upload
+ * @param {Number} upload.productId
+ * @param {Object} upload.image - From processImage
+ * @param {String} upload.originalName - Name of the uploaded file
+ * @param {Boolean} upload.primary - Make it the primary image
+ * @param {Function} callback - (err, imageId)
+ */
+const addImage = ({ productId, image, originalName, primary }, callback) => {
+  db.run(
+    `INSERT INTO product_images
+     (product_id, thumbnail_path, medium_path, large_path, width, height, original_name, sort_order)
+     VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM product_images WHERE product_id = ?))`,
+    [productId, image.keys.thumbnail, image.keys.medium, image.keys.large,
+      image.width, image.height, originalName || null, productId],
+    function(err) {
+      if (err) return callback(err);
+
+      const imageId = this.lastID;
+      refreshPrimaryImage(productId, primary ? imageId : null, (err) => callback(err, imageId));
+    }
+  );
+};
+
+/**
+ * Storage Keys Any Product Or Image Refers To
+ *
+ * @param {Function} callback - (err, keys)
+ */
+const referencedFiles = (callback) => {
+  db.all(
+    `SELECT thumbnail_path as file FROM product_images
+     UNION SELECT medium_path FROM product_images
+     UNION SELECT large_path FROM product_images
+     UNION SELECT image_path FROM products WHERE image_path IS NOT NULL
+     UNION SELECT thumbnail_path FROM products WHERE thumbnail_path IS NOT NULL`,
+    (err, rows) => callback(err, rows && rows.map(row => row.file))
+  );
+};
+
+/**
+ * Find Stored Files That No Product Or Image Refers To
+ *
+ * Files newer than an hour are left alone.
+ *
+ * @param {Function} callback - (err, orphans) storage keys
+ */
+const findOrphans = (callback) => {
+  referencedFiles((err, keys) => {
+    if (err) return callback(err);
+
+    storage.list((err, files) => {
+      if (err) return callback(err);
+
+      const used = new Set(keys);
+      const cutoff = Date.now() - ORPHAN_MIN_AGE_MS;
+      callback(null, files
+        .filter(file => !used.has(file.key) && new Date(file.modified).getTime() < cutoff)
+        .map(file => file.key));
+    });
+  });
+};
+
+/**
+ * Delete Orphaned Image Files
+ *
+ * @param {Object} options - { dryRun } only lists them when true
+ * @param {Function} callback - (err, orphans) the files found
+ */
+const removeOrphans = ({ dryRun }, callback) => {
+  findOrphans((err, orphans) => {
+    if (err) return callback(err);
+    if (dryRun) return callback(null, orphans);
+    removeFiles(orphans, () => callback(null, orphans));
+  });
+};
+
+module.exports = {
+  IMAGE_FORMATS,
+  RENDITIONS,
+  processImage,
+  removeFiles,
+  imageFiles,
+  withImageUrls,
+  withRenditionUrls,
+  refreshPrimaryImage,
+  addImage,
+  referencedFiles,
+  removeOrphans
+};
@@ -0,0 +1,183 @@
+/**
+ * LIST QUERIES
+ *
+ * Shared query conventions for list endpoints:
+ *   ?limit=50&page=2          - page through the results (limit up to 200)
+ *   ?limit=50&cursor=...      - or continue from next_cursor of the previous page
+ *   ?sort=-created_at,name    - sort by whitelisted fields, "-" for descending
+ *   ?fields=id,name,sku       - return only these fields (id is always included)
+ *
+ * Each route describes its list with a spec:
+ *   { sort: { field: column or expression }, defaultSort: '-created_at', fields: [...] }
+ * Sort expressions run against the columns the route's query selects and
+ * must never be NULL (wrap nullable columns in COALESCE) so cursors stay exact.
+ * Ties are broken by id in the direction of the last sort field.
+ */
+
+const db = require('../database');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Array.isArray(values) ? values : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Read The List Parameters Of A Request
+ *
+ * @param {Object} query - req.query
+ * @param {Object} spec - { sort, defaultSort, fields }
+ * @returns {Object} { error } or { limit, page, offset, cursor, sort, fields }
+ */
+const parseListQuery = (query, spec) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a whole number of 1 or more' };
+  }
+
+  const sortParam = String(query.sort || spec.defaultSort);
+  const sort = [];
+  for (const part of sortParam.split(',').map(s => s.trim()).filter(Boolean)) {
+    const field = part.replace(/^[-+]/, '');
+    if (!Object.prototype.hasOwnProperty.call(spec.sort, field)) {
+      return { error: `Cannot sort by "${field}". Sort fields: ${Object.keys(spec.sort).join(', ')}` };
+    }
+    if (sort.some(s => s.field === field)) {
+      return { error: `Sort field "${field}" is repeated` };
+    }
+    sort.push({ field, expression: spec.sort[field], descending: part.startsWith('-') });
+  }
+  if (sort.length === 0) {
+    return { error: 'sort must name at least one field' };
+  }
+
+  let fields = null;
+  if (query.fields) {
+    fields = [...new Set(['id', ...String(query.fields).split(',').map(f => f.trim()).filter(Boolean)])];
+    const unknown = fields.filter(f => !spec.fields.includes(f));
+    if (unknown.length > 0) {
+      return { error: `Unknown field(s): ${unknown.join(', ')}. Fields: ${spec.fields.join(', ')}` };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    // The cursor holds the sort string it was made for, then one value per sort field and the id
+    if (!cursor || cursor[0] !== sortParam || cursor.length !== sort.length + 2) {
+      return { error: 'Invalid cursor; it must come from next_cursor of a list with the same sort' };
+    }
+  }
+
+  return {
+    limit,
+    page: cursor ? null : page,
+    offset: cursor ? 0 : (page - 1) * limit,
+    cursor,
+    sortParam,
+    sort,
+    fields
+  };
+};
+
+/**
+ * Fetch One Page Of A List Query
+ *
+ * The query is wrapped, so it must not have its own ORDER BY or LIMIT.
+ *
+ * @param {String} query - SELECT with the route's filters applied; must select id
+ * @param {Array} params - Values bound by the query
+ * @param {Object} list - From parseListQuery
+ * @param {Function} callback - (err, { rows, total, pagination })
+ */
+const fetchPage = (query, params, list, callback) => {
+  const keys = [...list.sort.map((s, i) => ({ ...s, key: `_sort${i}` })),
+    { key: 'id', descending: list.sort[list.sort.length - 1].descending }];
+  const keyColumns = list.sort.map((s, i) => `${s.expression} as _sort${i}`).join(', ');
+
+  // Keyset condition: (k0 > v0) OR (k0 = v0 AND k1 > v1) OR ... ('<' for descending keys)
+  let after = '';
+  let afterParams = [];
+  if (list.cursor) {
+    const values = list.cursor.slice(1);
+    after = 'WHERE ' + keys.map((key, i) => {
+      const equal = keys.slice(0, i).map(k => `${k.key} = ?`);
+      return `(${[...equal, `${key.key} ${key.descending ? '<' : '>'} ?`].join(' AND ')})`;
+    }).join(' OR ');
+    afterParams = keys.flatMap((key, i) => values.slice(0, i + 1));
+  }
+
+  const order = keys.map(k => `${k.key} ${k.descending ? 'DESC' : 'ASC'}`).join(', ');
+
+  db.get(`SELECT COUNT(*) as total FROM (${query})`, params, (err, count) => {
+    if (err) return callback(err);
+
+    db.all(
+      `SELECT * FROM (SELECT *, ${keyColumns} FROM (${query})) ${after}
+       ORDER BY ${order} LIMIT ? OFFSET ?`,
+      [...params, ...afterParams, list.limit + 1, list.offset],
+      (err, rows) => {
+        if (err) return callback(err);
+
+        // One row past the limit tells whether another page follows
+        const hasMore = rows.length > list.limit;
+        const pageRows = rows.slice(0, list.limit);
+        const last = pageRows[pageRows.length - 1];
+
+        callback(null, {
+          rows: pageRows.map(row => {
+            const clean = { ...row };
+            list.sort.forEach((s, i) => delete clean[`_sort${i}`]);
+            return clean;
+          }),
+          total: count.total,
+          pagination: {
+            limit: list.limit,
+            page: list.page,
+            pages: Math.ceil(count.total / list.limit),
+            has_more: hasMore,
+            next_cursor: hasMore
+              ? encodeCursor([list.sortParam, ...keys.map(k => last[k.key])])
+              : null
+          }
+        });
+      }
+    );
+  });
+};
+
+/**
+ * Keep Only The Requested Fields Of A Row
+ *
+ * @param {Object} row
+ * @param {Array} fields - From parseListQuery, or null for every field
+ * @returns {Object}
+ */
+const pickFields = (row, fields) => {
+  if (!fields) return row;
+  return fields.reduce((picked, field) => {
+    if (row[field] !== undefined) picked[field] = row[field];
+    return picked;
+  }, {});
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  fetchPage,
+  pickFields
+};
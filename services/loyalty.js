@@ -0,0 +1,372 @@
+/**
+ * LOYALTY POINTS
+ *
+ * Customers linked to a sale earn points on what they paid, at
+ * LOYALTY_POINTS_PER_UNIT per currency unit (or their category's own rate),
+ * times the multiplier of their tier. Tiers are reached by points earned over
+ * the last year. Points are redeemed at LOYALTY_POINT_VALUE each, either as
+ * a 'points' tender or as a discount (redeem_points), and expire
+ * LOYALTY_EXPIRY_DAYS after they were earned (0 keeps them forever), oldest
+ * first. Voids and refunds take back the points a sale earned and give back
+ * the points it used, in proportion to what was refunded.
+ *
+ * Every change is an entry in loyalty_ledger with the balance after it, so a
+ * customer's balance is the sum of their entries.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+// Points per currency unit spent, unless the category has its own rate
+const POINTS_PER_UNIT = Number.isFinite(parseFloat(process.env.LOYALTY_POINTS_PER_UNIT))
+  ? parseFloat(process.env.LOYALTY_POINTS_PER_UNIT)
+  : 1;
+
+// What one point is worth when redeemed
+const POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01;
+
+// Days points last after they are earned; 0 means they never expire
+const EXPIRY_DAYS = Number.isInteger(parseInt(process.env.LOYALTY_EXPIRY_DAYS))
+  ? Math.max(0, parseInt(process.env.LOYALTY_EXPIRY_DAYS))
+  : 365;
+
+// Tiers go by the points earned over this many days
+const TIER_WINDOW_DAYS = 365;
+
+// How often the server expires old points
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// A customer's balance; bind the customer id
+const BALANCE_SQL = 'SELECT COALESCE(SUM(points), 0) FROM loyalty_ledger WHERE customer_id = ?';
+
+/**
+ * Value Of Some Points
+ *
+ * @param {Number} points
+ * @returns {Number}
+ */
+const pointsValue = (points) => roundMoney(points * POINT_VALUE);
+
+/**
+ * Points Paid With A Sale's 'points' Tenders
+ *
+ * @param {Array} payments - From buildPayments
+ * @returns {Object} { error } or { points, value }
+ */
+const tenderedPoints = (payments) => {
+  const value = roundMoney(payments
+    .filter(payment => payment.method === 'points')
+    .reduce((sum, payment) => sum + payment.amount, 0));
+  const points = Math.round(value / POINT_VALUE);
+
+  if (pointsValue(points) !== value) {
+    return { error: `Points are worth ${POINT_VALUE} each; the points payment must be a multiple of that.` };
+  }
+  return { points, value };
+};
+
+/**
+ * Add An Entry To A Customer's Points Ledger
+ *
+ * Run inside the caller's transaction.
+ *
+ * @param {Object} entry
+ * @param {Number} entry.customerId
+ * @param {String} entry.type - earn, redeem, reverse_earn, reverse_redeem, expire or adjust
+ * @param {Number} entry.points - Signed (negative takes points away)
+ * @param {String} entry.reason - Free text, optional
+ * @param {String} entry.referenceType - e.g. 'sale', 'return', optional
+ * @param {Number} entry.referenceId - Id of the referenced record, optional
+ * @param {Number} entry.userId - Who made the change, optional
+ * @param {Function} callback - (err, balanceAfter)
+ */
+const addEntry = ({ customerId, type, points, reason, referenceType, referenceId, userId }, callback) => {
+  db.run(
+    `INSERT INTO loyalty_ledger
+      (customer_id, type, points, balance_after, reason, reference_type, reference_id, user_id)
+     VALUES (?, ?, ?, (${BALANCE_SQL}) + ?, ?, ?, ?, ?)`,
+    [customerId, type, points, customerId, points, reason || null, referenceType || null,
+     referenceId || null, userId || null],
+    function(err) {
+      if (err && err.message.includes('FOREIGN KEY constraint failed')) {
+        return callback(httpError(400, `Customer ID ${customerId} not found.`));
+      }
+      if (err) return callback(err);
+
+      db.get('SELECT balance_after FROM loyalty_ledger WHERE id = ?', [this.lastID], (err, row) => {
+        callback(err, row && row.balance_after);
+      });
+    }
+  );
+};
+
+/**
+ * Expire Points Older Than EXPIRY_DAYS
+ *
+ * Points are used oldest first, so what has expired is whatever was added
+ * before the cut-off and not used since. A reverse_earn takes back the points
+ * of the earn it reverses (dated as that earn), and a reverse_redeem undoes part
+ * of a redemption rather than adding new points, so neither counts as use or
+ * restarts the clock. Safe to run at any time.
+ *
+ * @param {Number} customerId - One customer, or null for everyone
+ * @param {Function} callback - (err, customers) how many customers lost points
+ */
+const expirePoints = (customerId, callback) => {
+  if (EXPIRY_DAYS === 0) return callback(null, 0);
+
+  db.run(
+    `INSERT INTO loyalty_ledger (customer_id, type, points, balance_after, reason)
+     SELECT customer_id, 'expire', -expired, balance - expired, ?
+     FROM (
+       SELECT customer_id,
+              SUM(CASE WHEN (type IN ('earn', 'reverse_earn') OR (type = 'adjust' AND points > 0))
+                        AND earned_at <= datetime('now', ?) THEN points ELSE 0 END)
+                + SUM(CASE WHEN type IN ('redeem', 'reverse_redeem', 'expire') OR (type = 'adjust' AND points < 0)
+                           THEN points ELSE 0 END) as expired,
+              SUM(points) as balance
+       FROM (
+         SELECT l.customer_id, l.type, l.points,
+                CASE WHEN l.type = 'reverse_earn' THEN COALESCE(
+                  (SELECT e.created_at FROM loyalty_ledger e
+                   WHERE e.customer_id = l.customer_id AND e.type = 'earn' AND e.reference_type = 'sale'
+                     AND e.reference_id = CASE l.reference_type
+                       WHEN 'return' THEN (SELECT sale_id FROM returns WHERE id = l.reference_id)
+                       ELSE l.reference_id END),
+                  l.created_at) ELSE l.created_at END as earned_at
+         FROM loyalty_ledger l
+         ${customerId ? 'WHERE l.customer_id = ?' : ''}
+       )
+       GROUP BY customer_id
+     )
+     WHERE expired > 0`,
+    [`Points older than ${EXPIRY_DAYS} days expired`, `-${EXPIRY_DAYS} days`, ...(customerId ? [customerId] : [])],
+    function(err) {
+      callback(err, err ? 0 : this.changes);
+    }
+  );
+};
+
+/**
+ * A Customer's Points Standing
+ *
+ * @param {Number} customerId
+ * @param {Function} callback - (err, standing) { balance, qualifying_points, tier, next_tier }
+ *                              tiers are loyalty_tiers rows, null when there is none
+ */
+const loadStanding = (customerId, callback) => {
+  db.get(
+    `SELECT (${BALANCE_SQL}) as balance,
+            (SELECT COALESCE(SUM(points), 0) FROM loyalty_ledger
+             WHERE customer_id = ? AND type IN ('earn', 'reverse_earn')
+               AND created_at >= datetime('now', ?)) as qualifying_points`,
+    [customerId, customerId, `-${TIER_WINDOW_DAYS} days`],
+    (err, standing) => {
+      if (err) return callback(err);
+
+      db.all('SELECT * FROM loyalty_tiers ORDER BY min_points', (err, tiers) => {
+        if (err) return callback(err);
+
+        const reached = tiers.filter(tier => tier.min_points <= standing.qualifying_points);
+        callback(null, {
+          ...standing,
+          tier: reached.length > 0 ? reached[reached.length - 1] : null,
+          next_tier: tiers.find(tier => tier.min_points > standing.qualifying_points) || null
+        });
+      });
+    }
+  );
+};
+
+/**
+ * Points A Sale Earns
+ *
+ * @param {Array} lines - Priced lines ({ category, total })
+ * @param {Object} rates - Points per unit keyed by category
+ * @param {Number} multiplier - The customer's tier multiplier
+ * @param {Number} paidShare - Part of the sale not paid with points (0 to 1)
+ * @returns {Number} Whole points
+ */
+const pointsEarned = (lines, rates, multiplier, paidShare) => {
+  const points = lines.reduce((sum, line) => {
+    const rate = rates[line.category] !== undefined ? rates[line.category] : POINTS_PER_UNIT;
+    return sum + line.total * rate;
+  }, 0);
+
+  // A small allowance so 99.999... from floating point still counts as 100
+  return Math.max(0, Math.floor(points * multiplier * paidShare + 1e-6));
+};
+
+/**
+ * Redeem And Earn Points On A New Sale
+ *
+ * Run inside the caller's transaction, once the sale row exists.
+ *
+ * @param {Object} sale
+ * @param {Number} sale.saleId
+ * @param {Number} sale.customerId
+ * @param {Object} sale.breakdown - From priceSale (points_redeemed for a points discount)
+ * @param {Array} sale.payments - From buildPayments
+ * @param {Number} sale.userId
+ * @param {Function} callback - (err, loyalty) { points_earned, points_redeemed, points_balance, tier };
+ *                              err.status is 400 when the customer has too few points
+ */
+const settleSale = ({ saleId, customerId, breakdown, payments, userId }, callback) => {
+  const tender = tenderedPoints(payments);
+  if (tender.error) return callback(httpError(400, tender.error));
+
+  const redeemed = breakdown.points_redeemed + tender.points;
+  const reference = { customerId, referenceType: 'sale', referenceId: saleId, userId };
+
+  expirePoints(customerId, (err) => {
+    if (err) return callback(err);
+
+    loadStanding(customerId, (err, standing) => {
+      if (err) return callback(err);
+      if (redeemed > standing.balance) {
+        return callback(httpError(400, `Only ${standing.balance} points available; ${redeemed} requested.`));
+      }
+
+      const redeem = (next) => {
+        if (redeemed === 0) return next(null);
+        addEntry({ ...reference, type: 'redeem', points: -redeemed, reason: 'Redeemed on sale' }, next);
+      };
+
+      redeem((err) => {
+        if (err) return callback(err);
+
+        const categories = [...new Set(breakdown.lines.map(line => line.category))];
+        db.all(
+          `SELECT category, points_per_unit FROM category_loyalty_rates
+           WHERE category IN (${categories.map(() => '?').join(', ')})`,
+          categories,
+          (err, rows) => {
+            if (err) return callback(err);
+
+            const rates = {};
+            rows.forEach(row => { rates[row.category] = row.points_per_unit; });
+
+            const paidShare = breakdown.grand_total > 0 ? 1 - tender.value / breakdown.grand_total : 0;
+            const multiplier = standing.tier ? standing.tier.multiplier : 1;
+            const earned = pointsEarned(breakdown.lines, rates, multiplier, paidShare);
+
+            const earn = (next) => {
+              if (earned === 0) return next(null);
+              const reason = standing.tier ? `Earned on sale (${standing.tier.name})` : 'Earned on sale';
+              addEntry({ ...reference, type: 'earn', points: earned, reason }, next);
+            };
+
+            earn((err) => {
+              if (err) return callback(err);
+
+              db.run(
+                'UPDATE sales SET points_earned = ?, points_redeemed = ?, points_discount = ? WHERE id = ?',
+                [earned, redeemed, breakdown.points_discount, saleId],
+                (err) => {
+                  if (err) return callback(err);
+
+                  callback(null, {
+                    points_earned: earned,
+                    points_redeemed: redeemed,
+                    points_balance: standing.balance - redeemed + earned,
+                    tier: standing.tier ? standing.tier.name : null
+                  });
+                }
+              );
+            });
+          }
+        );
+      });
+    });
+  });
+};
+
+/**
+ * Reverse A Sale's Points For A Refund Or Void
+ *
+ * Points earned are taken back and points redeemed given back in proportion
+ * to how much of the sale has now been refunded, so the last refund settles
+ * any rounding. Run inside the caller's transaction.
+ *
+ * @param {Object} reversal
+ * @param {Object} reversal.sale - sales row
+ * @param {Number} reversal.returnId - The return being made, or null for a void
+ * @param {Number} reversal.refund - Amount refunded now (the grand total for a void)
+ * @param {Number} reversal.userId
+ * @param {Function} callback - (err, reversed) { points_reversed, points_refunded, points_refund_value }
+ *                              points_refund_value is the part of the refund that was paid with
+ *                              points and so goes back as points rather than money
+ */
+const reverseSale = ({ sale, returnId, refund, userId }, callback) => {
+  const none = { points_reversed: 0, points_refunded: 0, points_refund_value: 0 };
+  if (!sale.customer_id || (!sale.points_earned && !sale.points_redeemed)) return callback(null, none);
+
+  db.get(
+    `SELECT COALESCE(SUM(total_refund), 0) as refunded,
+            COALESCE(SUM(points_reversed), 0) as reversed,
+            COALESCE(SUM(points_refunded), 0) as returned,
+            COALESCE(SUM(points_refund_value), 0) as returned_value,
+            (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE sale_id = ? AND method = 'points') as tendered
+     FROM returns WHERE sale_id = ? AND id IS NOT ?`,
+    [sale.id, sale.id, returnId],
+    (err, previous) => {
+      if (err) return callback(err);
+
+      const share = sale.grand_total > 0 ? Math.min(1, (previous.refunded + refund) / sale.grand_total) : 1;
+      const reversed = {
+        points_reversed: Math.round((sale.points_earned || 0) * share) - previous.reversed,
+        points_refunded: Math.round((sale.points_redeemed || 0) * share) - previous.returned,
+        points_refund_value: roundMoney(previous.tendered * share - previous.returned_value)
+      };
+
+      const reference = returnId
+        ? { referenceType: 'return', referenceId: returnId, reason: 'Sale refunded' }
+        : { referenceType: 'sale', referenceId: sale.id, reason: 'Sale voided' };
+
+      const takeBack = (next) => {
+        if (reversed.points_reversed === 0) return next(null);
+        addEntry({
+          ...reference, customerId: sale.customer_id, type: 'reverse_earn', points: -reversed.points_reversed, userId
+        }, next);
+      };
+
+      takeBack((err) => {
+        if (err) return callback(err);
+        if (reversed.points_refunded === 0) return callback(null, reversed);
+
+        addEntry({
+          ...reference, customerId: sale.customer_id, type: 'reverse_redeem', points: reversed.points_refunded, userId
+        }, (err) => callback(err, reversed));
+      });
+    }
+  );
+};
+
+/**
+ * Expire Old Points Every Hour
+ *
+ * @returns {Object} The interval timer
+ */
+const startLoyaltyScheduler = () => setInterval(() => {
+  expirePoints(null, (err, customers) => {
+    if (err) return console.error('❌ Error expiring loyalty points:', err.message);
+    if (customers > 0) console.log(`✅ Loyalty points expired for ${customers} customer(s)`);
+  });
+}, EXPIRY_INTERVAL_MS);
+
+module.exports = {
+  POINTS_PER_UNIT,
+  POINT_VALUE,
+  EXPIRY_DAYS,
+  TIER_WINDOW_DAYS,
+  BALANCE_SQL,
+  pointsValue,
+  tenderedPoints,
+  addEntry,
+  expirePoints,
+  loadStanding,
+  settleSale,
+  reverseSale,
+  startLoyaltyScheduler
+};
@@ -0,0 +1,119 @@
+/**
+ * DOCUMENT NUMBERING
+ *
+ * Invoices and credit notes (returns) are numbered from a series per document
+ * type: prefix, branch code, fiscal year and a zero-padded counter, e.g.
+ * INV-MAIN-2026-000042. Numbers are taken inside the transaction that writes
+ * the document, so a rolled back sale or return gives its number back and the
+ * series has no gaps. Each branch and fiscal year counts from 1 (unless the
+ * series leaves the branch or year out of its numbers).
+ *
+ * Documents numbered before series existed keep their old numbers.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+
+const DOCUMENT_TYPES = ['invoice', 'credit_note'];
+
+// Month (1-12) the fiscal year starts in; a fiscal year is named after the year it starts in
+const FISCAL_YEAR_START_MONTH = Math.min(Math.max(parseInt(process.env.FISCAL_YEAR_START_MONTH) || 1, 1), 12);
+
+// Branch documents fall back to when none is given
+const DEFAULT_BRANCH = '(SELECT id FROM branches WHERE is_default = 1)';
+
+/**
+ * Fiscal Year A Date Falls In
+ *
+ * @param {Date} date - Defaults to now
+ * @returns {Number} e.g. 2026
+ */
+const fiscalYear = (date = new Date()) => (date.getUTCMonth() + 1 >= FISCAL_YEAR_START_MONTH
+  ? date.getUTCFullYear()
+  : date.getUTCFullYear() - 1);
+
+/**
+ * Counter A Document Is Numbered From
+ *
+ * Series that leave the branch or year out of their numbers share one
+ * counter across branches or years (0), so numbers never repeat.
+ *
+ * @param {Object} series - numbering_series row
+ * @param {Number} branchId
+ * @param {Number} year - Fiscal year
+ * @returns {Object} { branchId, year }
+ */
+const counterKey = (series, branchId, year) => ({
+  branchId: series.include_branch ? branchId : 0,
+  year: series.include_year ? year : 0
+});
+
+/**
+ * Format A Document Number
+ *
+ * @param {Object} series - numbering_series row
+ * @param {String} branchCode
+ * @param {Number} year - Fiscal year
+ * @param {Number} number - Counter value
+ * @returns {String}
+ */
+const formatNumber = (series, branchCode, year, number) => [
+  series.prefix,
+  series.include_branch ? String(branchCode).toUpperCase() : null,
+  series.include_year ? String(year) : null,
+  String(number).padStart(series.padding, '0')
+].filter(Boolean).join('-');
+
+/**
+ * Take The Next Number In A Series
+ *
+ * Run inside the caller's transaction.
+ *
+ * @param {String} documentType - invoice or credit_note
+ * @param {Number} branchId - Branch the document belongs to (the default branch when null)
+ * @param {Function} callback - (err, number)
+ */
+const nextNumber = (documentType, branchId, callback) => {
+  db.get(
+    `SELECT s.*, b.id as branch_id, b.code as branch_code
+     FROM numbering_series s
+     LEFT JOIN branches b ON b.id = COALESCE(?, ${DEFAULT_BRANCH})
+     WHERE s.document_type = ?`,
+    [branchId || null, documentType],
+    (err, series) => {
+      if (err) return callback(err);
+      if (!series) return callback(httpError(500, `No numbering series for ${documentType}.`));
+
+      const year = fiscalYear();
+      const key = counterKey(series, series.branch_id || 0, year);
+
+      db.run(
+        `INSERT INTO numbering_counters (series_id, branch_id, fiscal_year, last_number) VALUES (?, ?, ?, 1)
+         ON CONFLICT(series_id, branch_id, fiscal_year)
+         DO UPDATE SET last_number = last_number + 1, updated_at = CURRENT_TIMESTAMP`,
+        [series.id, key.branchId, key.year],
+        (err) => {
+          if (err) return callback(err);
+
+          db.get(
+            'SELECT last_number FROM numbering_counters WHERE series_id = ? AND branch_id = ? AND fiscal_year = ?',
+            [series.id, key.branchId, key.year],
+            (err, counter) => {
+              if (err) return callback(err);
+              callback(null, formatNumber(series, series.branch_code || '', year, counter.last_number));
+            }
+          );
+        }
+      );
+    }
+  );
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  FISCAL_YEAR_START_MONTH,
+  fiscalYear,
+  counterKey,
+  formatNumber,
+  nextNumber
+};
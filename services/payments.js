@@ -0,0 +1,88 @@
+/**
+ * PAYMENTS
+ *
+ * Validates the tenders used to pay for a sale. A sale can be paid with
+ * several tenders (part cash, part card, ...); their amounts must add up
+ * to the grand total. Cash tenders may record the cash handed over, from
+ * which the change is worked out. A 'points' tender pays with the customer's
+ * loyalty points (see services/loyalty.js); 'gift_card' and 'store_credit'
+ * tenders pay from the account whose code is their reference (see
+ * services/giftCards.js).
+ */
+
+const { roundMoney } = require('../utils/money');
+
+// Tender types accepted at the till
+const TENDER_METHODS = ['cash', 'card', 'online', 'points', 'gift_card', 'store_credit'];
+
+/**
+ * Build Payments For A Sale
+ *
+ * Accepts either a payments array or (for older tills) a single
+ * payment_method covering the whole amount.
+ *
+ * @param {Object} body - Request body ({ payments } or { payment_method, amount_tendered })
+ * @param {Number} grandTotal - Authoritative total to be paid
+ * @returns {Object} { error } or { payments, paymentMethod, changeDue }
+ */
+const buildPayments = (body, grandTotal) => {
+  const tenders = Array.isArray(body.payments) && body.payments.length > 0
+    ? body.payments
+    : [{ method: body.payment_method || 'cash', amount: grandTotal, tendered: body.amount_tendered }];
+
+  const payments = [];
+
+  for (const tender of tenders) {
+    const method = tender.method;
+    const amount = roundMoney(parseFloat(tender.amount));
+
+    if (!TENDER_METHODS.includes(method)) {
+      return { error: `Invalid payment method "${method}". Must be one of: ${TENDER_METHODS.join(', ')}` };
+    }
+    if (isNaN(amount) || amount < 0) {
+      return { error: `Invalid amount for ${method} payment.` };
+    }
+
+    const payment = {
+      method,
+      amount,
+      tendered: null,
+      change_given: 0,
+      reference: tender.reference ? String(tender.reference).trim() : null,
+      gift_card_id: null
+    };
+
+    // Cash handed over beyond the amount due is given back as change
+    if (tender.tendered !== undefined && tender.tendered !== null && tender.tendered !== '') {
+      const tendered = roundMoney(parseFloat(tender.tendered));
+      if (method !== 'cash') {
+        return { error: 'Only cash payments can have a tendered amount.' };
+      }
+      if (isNaN(tendered) || tendered < amount) {
+        return { error: `Cash tendered (${tender.tendered}) is less than the cash amount (${amount}).` };
+      }
+      payment.tendered = tendered;
+      payment.change_given = roundMoney(tendered - amount);
+    }
+
+    payments.push(payment);
+  }
+
+  const paid = roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  if (Math.abs(paid - grandTotal) > 0.005) {
+    return { error: `Payments total ${paid} but the sale total is ${grandTotal}.` };
+  }
+
+  const methods = [...new Set(payments.map(payment => payment.method))];
+
+  return {
+    payments,
+    paymentMethod: methods.length === 1 ? methods[0] : 'split',
+    changeDue: roundMoney(payments.reduce((sum, payment) => sum + payment.change_given, 0))
+  };
+};
+
+module.exports = {
+  TENDER_METHODS,
+  buildPayments
+};
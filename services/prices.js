@@ -0,0 +1,151 @@
+/**
+ * PRICE HISTORY AND SCHEDULED PRICES
+ *
+ * Whatever changes a product's selling or purchase price calls recordPrices
+ * afterwards, which appends a price_history row for every product in the
+ * family whose prices differ from its last recorded ones. Scheduled changes
+ * are applied by applyDueChanges, which the server runs every minute.
+ */
+
+const db = require('../database');
+const { syncVariants } = require('./variants');
+
+// How often the server looks for scheduled changes that are due
+const SCHEDULE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Gross Margin Percentage, For Use In SQL
+ *
+ * @param {String} selling - Selling price expression
+ * @param {String} purchase - Purchase price expression
+ * @returns {String} Margin as a percentage of the selling price, NULL without one
+ */
+const marginSql = (selling, purchase) =>
+  `CASE WHEN ${selling} > 0 THEN ROUND((${selling} - COALESCE(${purchase}, 0)) * 100.0 / ${selling}, 2) END`;
+
+/**
+ * Record A Product's Price Changes
+ *
+ * Covers the product and its variants (whose prices follow a parent). Only
+ * prices that differ from the last recorded ones are logged, so it is safe
+ * to call after any edit. Run inside the caller's transaction.
+ *
+ * @param {Number} productId
+ * @param {Object} change - { userId, reason, scheduledChangeId }
+ * @param {Function} callback - (err)
+ */
+const recordPrices = (productId, { userId, reason, scheduledChangeId }, callback) => {
+  db.run(
+    `INSERT INTO price_history
+     (product_id, purchase_price, selling_price, previous_purchase_price, previous_selling_price,
+      reason, scheduled_change_id, user_id)
+     SELECT p.id, p.purchase_price, p.selling_price, h.purchase_price, h.selling_price, ?, ?, ?
+     FROM products p
+     LEFT JOIN price_history h ON h.id = (SELECT MAX(id) FROM price_history WHERE product_id = p.id)
+     WHERE (p.id = ? OR p.parent_id = ?)
+       AND (h.id IS NULL OR h.purchase_price IS NOT p.purchase_price OR h.selling_price IS NOT p.selling_price)`,
+    [reason || null, scheduledChangeId || null, userId || null, productId, productId],
+    (err) => callback(err)
+  );
+};
+
+/**
+ * Apply One Scheduled Change
+ *
+ * A variant's selling price becomes its price_override; a parent's is
+ * carried over to its variants.
+ *
+ * @param {Object} change - scheduled_price_changes row with the product's parent_id and has_variants
+ * @param {Function} callback - (err)
+ */
+const applyChange = (change, callback) => {
+  const finish = (err) => {
+    if (err) return callback(err);
+
+    recordPrices(change.product_id, {
+      userId: change.created_by,
+      reason: change.name ? `Scheduled: ${change.name}` : 'Scheduled price change',
+      scheduledChangeId: change.id
+    }, (err) => {
+      if (err) return callback(err);
+
+      db.run(
+        `UPDATE scheduled_price_changes SET status = 'applied', applied_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'pending'`,
+        [change.id],
+        (err) => callback(err)
+      );
+    });
+  };
+
+  db.run(
+    `UPDATE products SET
+     ${change.parent_id ? 'price_override = COALESCE(?, price_override),' : ''}
+     selling_price = COALESCE(?, selling_price),
+     purchase_price = COALESCE(?, purchase_price),
+     updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...(change.parent_id ? [change.selling_price] : []), change.selling_price, change.purchase_price, change.product_id],
+    (err) => {
+      if (err) return finish(err);
+      if (change.has_variants && change.selling_price !== null) return syncVariants(change.product_id, finish);
+      finish(null);
+    }
+  );
+};
+
+/**
+ * Apply Every Scheduled Change That Is Due
+ *
+ * Changes are applied oldest first, one after another. This runs off a timer
+ * on the connection requests share, so it opens no transaction of its own: a
+ * BEGIN here would fail inside a request's transaction, and its writes would
+ * be committed or rolled back with it. Applying a change again only rewrites
+ * the same prices, so one that fails or is rolled back stays pending and is
+ * simply tried again next time.
+ *
+ * @param {Function} callback - (err, applied) the changes applied
+ */
+const applyDueChanges = (callback) => {
+  db.all(
+    `SELECT c.*, p.parent_id, p.has_variants
+     FROM scheduled_price_changes c
+     JOIN products p ON c.product_id = p.id
+     WHERE c.status = 'pending' AND c.effective_at <= datetime('now')
+     ORDER BY c.effective_at, c.id`,
+    (err, changes) => {
+      if (err) return callback(err);
+
+      let index = 0;
+      const next = (err) => {
+        if (err) return callback(err, changes.slice(0, index - 1));
+        if (index >= changes.length) return callback(null, changes);
+        applyChange(changes[index++], next);
+      };
+
+      next(null);
+    }
+  );
+};
+
+/**
+ * Apply Scheduled Changes As They Fall Due
+ *
+ * The first check runs one interval after start-up, once the database is ready.
+ *
+ * @returns {Object} The interval timer
+ */
+const startPriceScheduler = () => setInterval(() => {
+  applyDueChanges((err, applied) => {
+    if (err) return console.error('❌ Error applying scheduled price changes:', err.message);
+    if (applied.length > 0) console.log(`✅ ${applied.length} scheduled price change(s) applied`);
+  });
+}, SCHEDULE_INTERVAL_MS);
+
+module.exports = {
+  SCHEDULE_INTERVAL_MS,
+  marginSql,
+  recordPrices,
+  applyDueChanges,
+  startPriceScheduler
+};
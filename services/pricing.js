@@ -0,0 +1,340 @@
+/**
+ * PRICING ENGINE
+ *
+ * Computes the authoritative price breakdown for a sale.
+ * Line prices always come from products.selling_price - the prices and
+ * totals sent by the till are only compared against what we compute here.
+ * Weighed items (products with a PLU) may be sold by weight, or by the
+ * scanned barcode carrying their price or weight (see services/barcodes.js).
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { PRICES_INCLUDE_TAX, TAX_RATE_JOINS, TAX_RATE_COLUMNS, taxOn } = require('./tax');
+const { loadPromotions, applyPromotions } = require('./promotions');
+const { pointsValue } = require('./loyalty');
+const { WEIGHED_SQL, roundWeight, embeddedAmounts, findByCode } = require('./barcodes');
+
+// Largest difference (in currency units) tolerated between client and server totals
+const TOTALS_TOLERANCE = 0.01;
+
+/**
+ * Load Products For A Cart
+ *
+ * Fetches every product referenced by the cart items in one query,
+ * together with the tax rate that applies to it
+ *
+ * @param {Array} items - Cart items ({ product_id, quantity })
+ * @param {Function} callback - (err, productsById)
+ */
+const loadProducts = (items, callback) => {
+  const ids = [...new Set(items.map(item => parseInt(item.product_id)))];
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const query = `
+    SELECT p.*, ${TAX_RATE_COLUMNS},
+           ${WEIGHED_SQL} as is_weighed
+    FROM products p ${TAX_RATE_JOINS}
+    WHERE p.id IN (${placeholders})`;
+
+  db.all(query, ids, (err, rows) => {
+    if (err) return callback(err);
+
+    const productsById = {};
+    (rows || []).forEach(row => { productsById[row.id] = row; });
+    callback(null, productsById);
+  });
+};
+
+/**
+ * Resolve Scanned Codes
+ *
+ * Items may carry the code scanned at the till in place of a product_id
+ * (one unit unless a quantity is given). A weighed-item barcode is kept on
+ * the item so its price or weight is read from the code when priced.
+ *
+ * @param {Array} items - Cart items ({ product_id, quantity } or { code })
+ * @param {Function} callback - (err, items) items with product_id set
+ */
+const resolveCodes = (items, callback) => {
+  const resolved = [];
+
+  const next = () => {
+    if (resolved.length >= items.length) return callback(null, resolved);
+
+    const item = items[resolved.length];
+    if (item.code === undefined || item.code === null || String(item.code).trim() === '') {
+      resolved.push(item);
+      return next();
+    }
+
+    findByCode(String(item.code).trim(), (err, match) => {
+      if (err) return callback(err);
+      if (!match) return callback(httpError(400, `No product found for code ${item.code}.`));
+
+      resolved.push({
+        ...item,
+        product_id: match.product_id,
+        quantity: item.quantity !== undefined ? item.quantity : 1,
+        embedded: match.embedded
+      });
+      next();
+    });
+  };
+
+  next();
+};
+
+/**
+ * Validate Cart Items
+ *
+ * Whole quantities are checked once the products are known (see priceCart),
+ * as weighed items may be sold by a fraction.
+ *
+ * @param {Array} items - Cart items from the request body
+ * @returns {String|null} Error message, or null if the cart is valid
+ */
+const validateItems = (items) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return 'No items provided.';
+  }
+
+  for (const item of items) {
+    if (!parseInt(item.product_id)) {
+      return 'Every item needs a product_id or code.';
+    }
+    if (item.embedded) continue;
+
+    const quantity = Number(item.weight !== undefined ? item.weight : item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return `Invalid quantity for product ID ${item.product_id}.`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Price A Cart
+ *
+ * Builds the receipt breakdown: per-line prices from the products table,
+ * promotions, the manual discount and any loyalty points redeemed as a
+ * discount spread across lines in proportion to what is left to pay on them,
+ * and each line's tax on its discounted amount at the product's own rate.
+ * With PRICES_INCLUDE_TAX the tax is extracted from the price instead of added.
+ * A weighed item's quantity is its weight; one scanned by a weighed-item
+ * barcode is charged the price in the code.
+ *
+ * @param {Array} items - Validated cart items ({ product_id, quantity, weight, embedded })
+ * @param {Object} productsById - Products keyed by id (see loadProducts)
+ * @param {Object} options - { discount, redeemPoints, promotions } manual discount
+ *                           amount and points redeemed for the whole sale, and
+ *                           promotions that may apply
+ * @returns {Object} { error } or { breakdown }
+ */
+const priceCart = (items, productsById, options = {}) => {
+  const lines = [];
+
+  for (const item of items) {
+    const product = productsById[parseInt(item.product_id)];
+    if (!product) {
+      return { error: `Product ID ${item.product_id} not found.` };
+    }
+    if (product.has_variants) {
+      return { error: `Choose a variant of "${product.name}".` };
+    }
+
+    if (item.weight !== undefined && !product.is_weighed) {
+      return { error: `"${product.name}" is not sold by weight.` };
+    }
+
+    const price = roundMoney(product.selling_price);
+    const amounts = item.embedded ? embeddedAmounts(item.embedded, price) : null;
+    const sent = Number(item.weight !== undefined ? item.weight : item.quantity);
+
+    if (!amounts && !product.is_weighed && !Number.isInteger(sent)) {
+      return { error: `Quantity of "${product.name}" must be a whole number.` };
+    }
+
+    const quantity = amounts ? amounts.weight : roundWeight(sent);
+    if (!(quantity > 0)) {
+      return { error: `Could not work out the weight of "${product.name}".` };
+    }
+
+    lines.push({
+      product_id: product.id,
+      name: product.name,
+      sku: product.sku,
+      category: product.category,
+      quantity,
+      weighed: Boolean(product.is_weighed),
+      price,
+      gross: amounts ? amounts.price : roundMoney(price * quantity),
+      tax_rate_id: product.applied_tax_rate_id || null,
+      tax_code: product.tax_code || null,
+      tax_rate: product.tax_percent || 0
+    });
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.gross, 0));
+
+  // Promotions come off first
+  const promotions = applyPromotions(lines, options.promotions || []);
+  const promotionDiscount = roundMoney(lines.reduce((sum, line) => sum + line.promotion_discount, 0));
+  const afterPromotions = roundMoney(subtotal - promotionDiscount);
+
+  const discount = roundMoney(parseFloat(options.discount) || 0);
+  if (discount < 0 || discount > afterPromotions) {
+    return { error: `Discount must be between 0 and the amount due (${afterPromotions}).` };
+  }
+
+  const pointsRedeemed = options.redeemPoints || 0;
+  const pointsDiscount = pointsValue(pointsRedeemed);
+  if (roundMoney(discount + pointsDiscount) > afterPromotions) {
+    return { error: `Points discount (${pointsDiscount}) is more than is left to pay (${roundMoney(afterPromotions - discount)}).` };
+  }
+  const manualDiscount = roundMoney(discount + pointsDiscount);
+
+  // Spread the manual and points discounts over the lines; the largest line absorbs rounding
+  const shares = lines.map(line => roundMoney(
+    afterPromotions > 0 ? manualDiscount * (line.gross - line.promotion_discount) / afterPromotions : 0
+  ));
+  const largest = lines.reduce((best, line, i) =>
+    line.gross - line.promotion_discount > lines[best].gross - lines[best].promotion_discount ? i : best, 0);
+  shares[largest] = roundMoney(shares[largest] + manualDiscount - shares.reduce((sum, share) => sum + share, 0));
+
+  lines.forEach((line, i) => {
+    const amount = roundMoney(line.gross - line.promotion_discount - shares[i]);
+    line.discount = roundMoney(line.promotion_discount + shares[i]);
+    line.tax = roundMoney(taxOn(amount, line.tax_rate));
+    line.total = PRICES_INCLUDE_TAX ? amount : roundMoney(amount + line.tax);
+  });
+
+  const tax = roundMoney(lines.reduce((sum, line) => sum + line.tax, 0));
+  const grandTotal = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+
+  return {
+    breakdown: {
+      lines,
+      subtotal,
+      promotions,
+      promotion_discount: promotionDiscount,
+      discount,
+      points_redeemed: pointsRedeemed,
+      points_discount: pointsDiscount,
+      total_discount: roundMoney(promotionDiscount + manualDiscount),
+      prices_include_tax: PRICES_INCLUDE_TAX,
+      tax,
+      taxes: summarizeTaxes(lines),
+      grand_total: grandTotal
+    }
+  };
+};
+
+/**
+ * Price A Sale Request
+ *
+ * Resolves scanned codes, validates the cart, loads products and running
+ * promotions (including any coupon_codes presented) and returns the priced
+ * breakdown.
+ * redeem_points turns that many loyalty points into a discount; whether the
+ * customer has them is checked when the sale is recorded.
+ *
+ * @param {Object} body - Request body ({ items, discount, redeem_points, coupon_codes })
+ * @param {Function} callback - (err, breakdown); err.status is set for client errors
+ */
+const priceSale = (body, callback) => {
+  const { discount } = body;
+
+  if (!body.items || !Array.isArray(body.items) || body.items.length === 0) {
+    return callback(httpError(400, 'No items provided.'));
+  }
+
+  const redeemPoints = Number(body.redeem_points || 0);
+  if (!Number.isInteger(redeemPoints) || redeemPoints < 0) {
+    return callback(httpError(400, 'redeem_points must be a whole number of points.'));
+  }
+
+  const couponCodes = [].concat(body.coupon_codes || body.coupon_code || []);
+
+  resolveCodes(body.items, (err, items) => {
+    if (err) return callback(err);
+
+    const invalid = validateItems(items);
+    if (invalid) return callback(httpError(400, invalid));
+
+    loadProducts(items, (err, productsById) => {
+      if (err) return callback(err);
+
+      loadPromotions(couponCodes, new Date(), (err, promotions) => {
+        if (err) return callback(err);
+
+        const { error, breakdown } = priceCart(items, productsById, { discount, redeemPoints, promotions });
+        if (error) return callback(httpError(400, error));
+
+        callback(null, breakdown);
+      });
+    });
+  });
+};
+
+/**
+ * Tax Summary By Rate
+ * One entry per rate used in the cart, as printed at the foot of a receipt
+ *
+ * @param {Array} lines - Priced lines
+ * @returns {Array} { tax_rate_id, code, rate, net, tax }
+ */
+const summarizeTaxes = (lines) => {
+  const byRate = {};
+
+  lines.forEach(line => {
+    const key = `${line.tax_rate_id}:${line.tax_rate}`;
+    if (!byRate[key]) {
+      byRate[key] = { tax_rate_id: line.tax_rate_id, code: line.tax_code, rate: line.tax_rate, net: 0, tax: 0 };
+    }
+    byRate[key].net = roundMoney(byRate[key].net + line.total - line.tax);
+    byRate[key].tax = roundMoney(byRate[key].tax + line.tax);
+  });
+
+  return Object.values(byRate);
+};
+
+/**
+ * Compare Client Totals
+ *
+ * Lists every total (and line price) the client sent that disagrees
+ * with the computed breakdown. Fields the client left out are not checked.
+ *
+ * @param {Object} body - Request body from the till
+ * @param {Object} breakdown - Result of priceCart
+ * @returns {Array} Mismatches ({ field, sent, expected })
+ */
+const findMismatches = (body, breakdown) => {
+  const mismatches = [];
+
+  const check = (field, sent, expected) => {
+    if (sent === undefined || sent === null || sent === '') return;
+    if (Math.abs(Number(sent) - expected) > TOTALS_TOLERANCE || isNaN(Number(sent))) {
+      mismatches.push({ field, sent: Number(sent), expected });
+    }
+  };
+
+  ['subtotal', 'tax', 'grand_total'].forEach(field => check(field, body[field], breakdown[field]));
+
+  (body.items || []).forEach((item, i) => {
+    check(`items[${i}].price`, item.price, breakdown.lines[i].price);
+  });
+
+  return mismatches;
+};
+
+module.exports = {
+  loadProducts,
+  resolveCodes,
+  validateItems,
+  priceCart,
+  priceSale,
+  findMismatches
+};
@@ -0,0 +1,218 @@
+/**
+ * PROMOTIONS ENGINE
+ *
+ * Applies admin-managed promotions to a priced cart:
+ * - percentage      value% off every unit
+ * - fixed_amount    value off every unit
+ * - fixed_price     every unit sells at value (happy-hour prices)
+ * - buy_x_get_y     for every buy_quantity units bought, get_quantity more are free
+ * - bundle          every buy_quantity units sell together for value
+ *
+ * A promotion targets one product, one category, or (with neither set)
+ * the whole catalogue. Promotions do not stack: the one giving the biggest
+ * discount is applied first and each line receives at most one promotion.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'fixed_price', 'buy_x_get_y', 'bundle'];
+
+/**
+ * Check Promotion Schedule
+ *
+ * @param {Object} promotion - Row from the promotions table
+ * @param {Date} now - Time of sale
+ * @returns {Boolean} Whether the promotion runs at this moment
+ */
+const isRunning = (promotion, now) => {
+  if (promotion.starts_at && now < new Date(promotion.starts_at)) return false;
+  if (promotion.ends_at && now > new Date(promotion.ends_at)) return false;
+
+  if (promotion.days_of_week) {
+    const days = promotion.days_of_week.split(',').map(day => parseInt(day));
+    if (!days.includes(now.getDay())) return false;
+  }
+
+  // Daily window, e.g. happy hour 17:00-19:00
+  if (promotion.daily_start && promotion.daily_end) {
+    const time = now.toTimeString().slice(0, 5);
+    if (time < promotion.daily_start || time >= promotion.daily_end) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Load Promotions For A Sale
+ *
+ * Returns every active automatic promotion plus those unlocked by the
+ * coupon codes presented. Unknown, expired or used-up coupons are an error.
+ *
+ * @param {Array} couponCodes - Codes entered at the till
+ * @param {Date} now - Time of sale
+ * @param {Function} callback - (err, promotions)
+ */
+const loadPromotions = (couponCodes, now, callback) => {
+  const codes = [...new Set((couponCodes || []).map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+  const placeholders = codes.map(() => '?').join(', ');
+
+  let query = `SELECT * FROM promotions WHERE status = 'active' AND (coupon_code IS NULL`;
+  if (codes.length > 0) query += ` OR coupon_code IN (${placeholders})`;
+  query += ')';
+
+  db.all(query, codes, (err, rows) => {
+    if (err) return callback(err);
+
+    for (const code of codes) {
+      const coupon = rows.find(row => row.coupon_code === code);
+      if (!coupon || !isRunning(coupon, now)) {
+        return callback(httpError(400, `Coupon "${code}" is not valid.`));
+      }
+      if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) {
+        return callback(httpError(400, `Coupon "${code}" has reached its usage limit.`));
+      }
+    }
+
+    callback(null, rows.filter(row =>
+      isRunning(row, now) &&
+      (row.usage_limit === null || row.times_used < row.usage_limit)
+    ));
+  });
+};
+
+/**
+ * Does A Promotion Cover A Line
+ */
+const covers = (promotion, line) => {
+  if (promotion.product_id) return promotion.product_id === line.product_id;
+  if (promotion.category) return promotion.category === line.category;
+  return true;
+};
+
+/**
+ * Discount Per Line For One Promotion
+ *
+ * Discounts are worked out on each line's gross (which for a weighed item
+ * scanned by its barcode is the price in the code) and never exceed it.
+ * Weighed lines have no units to count, so multi-buys leave them out.
+ *
+ * @param {Object} promotion - Row from the promotions table
+ * @param {Array} lines - Eligible priced lines
+ * @returns {Object} Discount keyed by line index
+ */
+const discountsFor = (promotion, lines) => {
+  const discounts = {};
+  const value = Number(promotion.value) || 0;
+
+  if (['percentage', 'fixed_amount', 'fixed_price'].includes(promotion.type)) {
+    lines.forEach(({ line, index }) => {
+      let perUnit = 0;
+      if (promotion.type === 'percentage') perUnit = line.price * Math.min(value, 100) / 100;
+      if (promotion.type === 'fixed_amount') perUnit = Math.min(value, line.price);
+      if (promotion.type === 'fixed_price') perUnit = Math.max(line.price - value, 0);
+      discounts[index] = line.price > 0 ? roundMoney(Math.min(line.gross * perUnit / line.price, line.gross)) : 0;
+    });
+    return discounts;
+  }
+
+  // Multi-buy promotions pool units across lines, most expensive first
+  const units = [];
+  lines.filter(({ line }) => !line.weighed).forEach(({ line, index }) => {
+    for (let i = 0; i < line.quantity; i++) units.push({ index, price: line.price });
+  });
+  units.sort((a, b) => b.price - a.price);
+
+  const buy = parseInt(promotion.buy_quantity) || 0;
+  const get = parseInt(promotion.get_quantity) || 0;
+  const groupSize = promotion.type === 'buy_x_get_y' ? buy + get : buy;
+  if (buy <= 0 || (promotion.type === 'buy_x_get_y' && get <= 0)) return discounts;
+
+  for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+    const group = units.slice(start, start + groupSize);
+
+    if (promotion.type === 'buy_x_get_y') {
+      // The cheapest units in each group are free
+      group.slice(buy).forEach(unit => {
+        discounts[unit.index] = (discounts[unit.index] || 0) + unit.price;
+      });
+    } else {
+      // Bundle: spread the saving over the group in proportion to price
+      const groupTotal = group.reduce((sum, unit) => sum + unit.price, 0);
+      const saving = Math.max(groupTotal - value, 0);
+      group.forEach(unit => {
+        discounts[unit.index] = (discounts[unit.index] || 0) + saving * unit.price / groupTotal;
+      });
+    }
+  }
+
+  lines.forEach(({ line, index }) => {
+    if (discounts[index] !== undefined) discounts[index] = roundMoney(Math.min(discounts[index], line.gross));
+  });
+  return discounts;
+};
+
+/**
+ * Apply Promotions To Priced Lines
+ *
+ * Sets promotion_id, promotion_name and promotion_discount on each line
+ * that receives a promotion.
+ *
+ * @param {Array} lines - Priced lines (need product_id, category, price, quantity, gross, weighed)
+ * @param {Array} promotions - Result of loadPromotions
+ * @returns {Array} Applied promotions ({ id, name, coupon_code, discount })
+ */
+const applyPromotions = (lines, promotions) => {
+  const applied = [];
+  let candidates = [...promotions];
+
+  lines.forEach(line => {
+    line.promotion_id = null;
+    line.promotion_name = null;
+    line.promotion_discount = 0;
+  });
+
+  // Greedy: apply whichever promotion saves the most on the lines still free
+  while (candidates.length > 0) {
+    let best = null;
+
+    candidates.forEach(promotion => {
+      const eligible = lines
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => !line.promotion_id && covers(promotion, line));
+      const discounts = discountsFor(promotion, eligible);
+      const total = roundMoney(Object.values(discounts).reduce((sum, amount) => sum + amount, 0));
+
+      if (total > 0 && (!best || total > best.total)) {
+        best = { promotion, discounts, total };
+      }
+    });
+
+    if (!best) break;
+
+    Object.entries(best.discounts).filter(([, amount]) => amount > 0).forEach(([index, amount]) => {
+      const line = lines[index];
+      line.promotion_id = best.promotion.id;
+      line.promotion_name = best.promotion.name;
+      line.promotion_discount = amount;
+    });
+
+    applied.push({
+      id: best.promotion.id,
+      name: best.promotion.name,
+      coupon_code: best.promotion.coupon_code,
+      discount: best.total
+    });
+    candidates = candidates.filter(promotion => promotion !== best.promotion);
+  }
+
+  return applied;
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  isRunning,
+  loadPromotions,
+  applyPromotions
+};
@@ -0,0 +1,192 @@
+/**
+ * REGISTER SESSIONS
+ *
+ * Looks up a cashier's open shift and builds X/Z reports:
+ * what each tender should hold (expected) against what was counted.
+ * Expected cash = opening float + cash taken - cash refunded
+ *                 + pay-ins - drops - payouts
+ */
+
+const db = require('../database');
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Find A User's Open Session
+ *
+ * @param {Number} userId
+ * @param {Function} callback - (err, session) session is undefined when none is open
+ */
+const findOpenSession = (userId, callback) => {
+  db.get(
+    "SELECT * FROM register_sessions WHERE user_id = ? AND status = 'open'",
+    [userId],
+    callback
+  );
+};
+
+/**
+ * Build Session Report
+ *
+ * @param {Object} session - Row from register_sessions
+ * @param {Object} counts - Counted amount per tender ({ cash: 512.5, card: 830 }), optional
+ * @param {Function} callback - (err, report)
+ */
+const buildReport = (session, counts, callback) => {
+  db.get(
+    `SELECT COUNT(*) as sales_count,
+            COALESCE(SUM(grand_total),0) as gross_sales,
+            COALESCE(SUM(tax),0) as tax,
+            COALESCE(SUM(discount),0) as discounts
+     FROM sales WHERE session_id = ? AND status != 'voided'`,
+    [session.id],
+    (err, sales) => {
+      if (err) return callback(err);
+
+      db.get(
+        `SELECT COUNT(*) as count, COALESCE(SUM(grand_total),0) as total
+         FROM sales WHERE session_id = ? AND status = 'voided'`,
+        [session.id],
+        (err, voids) => {
+          if (err) return callback(err);
+
+          // gift cards sold or topped up and layaway payments taken in the session are paid for
+          // like sales; a layaway's sale does not count its deposit again
+          db.all(
+            `SELECT method, SUM(count) as count,
+                    COALESCE(SUM(amount),0) as amount,
+                    COALESCE(SUM(change_given),0) as change_given
+             FROM (
+               SELECT p.method, COUNT(*) as count, SUM(p.amount) as amount, SUM(p.change_given) as change_given
+               FROM payments p JOIN sales s ON p.sale_id = s.id
+               WHERE s.session_id = ? AND s.status != 'voided' AND p.method != 'deposit'
+               GROUP BY p.method
+               UNION ALL
+               SELECT payment_method, COUNT(*), SUM(amount), 0
+               FROM gift_card_transactions
+               WHERE session_id = ? AND type IN ('issue', 'top_up') AND payment_method IS NOT NULL
+               GROUP BY payment_method
+               UNION ALL
+               SELECT method, COUNT(*), SUM(amount), SUM(change_given)
+               FROM sale_order_payments WHERE session_id = ? AND type = 'payment'
+               GROUP BY method
+             )
+             GROUP BY method`,
+            [session.id, session.id, session.id],
+            (err, payments) => {
+              if (err) return callback(err);
+
+              // what was paid with loyalty points goes back as points, not by the refund method;
+              // cancelled layaways give back what was paid on them
+              db.all(
+                `SELECT method, SUM(count) as count, COALESCE(SUM(amount),0) as amount
+                 FROM (
+                   SELECT refund_method as method, COUNT(*) as count, SUM(total_refund - points_refund_value) as amount
+                   FROM returns WHERE session_id = ? GROUP BY refund_method
+                   UNION ALL
+                   SELECT 'points', COUNT(*), SUM(points_refund_value)
+                   FROM returns WHERE session_id = ? AND points_refund_value > 0 GROUP BY 1
+                   UNION ALL
+                   SELECT method, COUNT(*), SUM(amount)
+                   FROM sale_order_payments WHERE session_id = ? AND type = 'refund' GROUP BY method
+                 )
+                 GROUP BY method`,
+                [session.id, session.id, session.id],
+                (err, refunds) => {
+                  if (err) return callback(err);
+
+                  db.all(
+                    `SELECT type, COUNT(*) as count, COALESCE(SUM(amount),0) as amount
+                     FROM cash_movements WHERE session_id = ? GROUP BY type`,
+                    [session.id],
+                    (err, movements) => {
+                      if (err) return callback(err);
+
+                      callback(null, assembleReport(session, counts, { sales, voids, payments, refunds, movements }));
+                    }
+                  );
+                }
+              );
+            }
+          );
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Put the report together from the queried totals
+ */
+const assembleReport = (session, counts, { sales, voids, payments, refunds, movements }) => {
+  const movement = (type) => (movements.find(row => row.type === type) || { amount: 0 }).amount;
+  const payIns = movement('pay_in');
+  const drops = movement('drop');
+  const payouts = movement('payout');
+
+  // one entry per tender seen in payments, refunds or counts; cash is always listed
+  const methods = [...new Set([
+    'cash',
+    ...payments.map(row => row.method),
+    ...refunds.map(row => row.method),
+    ...Object.keys(counts || {})
+  ])];
+
+  const tenders = methods.map(method => {
+    const taken = (payments.find(row => row.method === method) || { amount: 0 }).amount;
+    const refunded = (refunds.find(row => row.method === method) || { amount: 0 }).amount;
+
+    let expected = taken - refunded;
+    if (method === 'cash') expected += session.opening_float + payIns - drops - payouts;
+    expected = roundMoney(expected);
+
+    const hasCount = counts && counts[method] !== undefined && counts[method] !== null && counts[method] !== '';
+    const counted = hasCount ? roundMoney(parseFloat(counts[method])) : null;
+
+    return {
+      method,
+      taken: roundMoney(taken),
+      refunded: roundMoney(refunded),
+      expected,
+      counted,
+      over_short: hasCount ? roundMoney(counted - expected) : null
+    };
+  });
+
+  const cash = tenders.find(tender => tender.method === 'cash');
+
+  return {
+    session_id: session.id,
+    user_id: session.user_id,
+    branch_id: session.branch_id,
+    register_name: session.register_name,
+    status: session.status,
+    opened_at: session.opened_at,
+    closed_at: session.closed_at,
+    generated_at: new Date().toISOString(),
+    opening_float: session.opening_float,
+    sales: {
+      count: sales.sales_count,
+      gross: roundMoney(sales.gross_sales),
+      tax: roundMoney(sales.tax),
+      discounts: roundMoney(sales.discounts),
+      voided_count: voids.count,
+      voided_total: roundMoney(voids.total)
+    },
+    cash_movements: {
+      pay_ins: roundMoney(payIns),
+      drops: roundMoney(drops),
+      payouts: roundMoney(payouts)
+    },
+    tenders,
+    expected_cash: cash.expected,
+    counted_cash: cash.counted,
+    over_short: tenders.some(tender => tender.over_short !== null)
+      ? roundMoney(tenders.reduce((sum, tender) => sum + (tender.over_short || 0), 0))
+      : null
+  };
+};
+
+module.exports = {
+  findOpenSession,
+  buildReport
+};
@@ -0,0 +1,353 @@
+/**
+ * SALE ORDERS
+ *
+ * Carts that are not sold yet, finished later through POST /api/sales with
+ * order_id:
+ *   parked    - a cart put aside to be picked up on any till at the branch;
+ *               it is priced again when completed
+ *   quotation - prices given to a customer, held until valid_until
+ *               (QUOTATION_VALID_DAYS by default)
+ *   layaway   - goods put aside against a deposit (at least
+ *               LAYAWAY_MIN_DEPOSIT_PERCENT of the total) and paid off in
+ *               instalments; the customer takes them when the sale is completed
+ * Quotations and layaways keep the breakdown they were priced at. A layaway's
+ * goods are reserved at its branch: reserved_quantity on product_stock and
+ * products, which sales cannot take.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { buildPayments } = require('./payments');
+const { priceSale } = require('./pricing');
+
+const ORDER_TYPES = ['parked', 'quotation', 'layaway'];
+
+const ORDER_STATUSES = ['open', 'completed', 'cancelled'];
+
+// Days a quotation is valid for when no valid_until is given
+const QUOTATION_VALID_DAYS = parseInt(process.env.QUOTATION_VALID_DAYS) || 30;
+
+// Smallest deposit that puts goods on layaway, as a percentage of the total
+const LAYAWAY_MIN_DEPOSIT_PERCENT = Number.isFinite(parseFloat(process.env.LAYAWAY_MIN_DEPOSIT_PERCENT))
+  ? parseFloat(process.env.LAYAWAY_MIN_DEPOSIT_PERCENT)
+  : 10;
+
+// Tenders layaway deposits and instalments can be paid with
+const INSTALMENT_METHODS = ['cash', 'card', 'online'];
+
+// Tender under which a completed layaway's earlier payments are recorded on its sale
+const DEPOSIT_METHOD = 'deposit';
+
+// Number prefix by order type
+const NUMBER_PREFIXES = { parked: 'PRK', quotation: 'QUO', layaway: 'LAY' };
+
+// Amount paid towards an order (aliased o), net of refunds
+const PAID_SQL = `
+  SELECT COALESCE(ROUND(SUM(CASE WHEN type = 'payment' THEN amount ELSE -amount END), 2), 0)
+  FROM sale_order_payments WHERE order_id = o.id`;
+
+/**
+ * New Order Number
+ *
+ * @param {String} type - parked, quotation or layaway
+ * @returns {String}
+ */
+const orderNumber = (type) => `${NUMBER_PREFIXES[type]}-${Date.now()}-${Math.floor(Math.random() * 9000) + 1000}`;
+
+/**
+ * Load An Order With Its Items And Payments
+ *
+ * @param {Number} orderId
+ * @param {Function} callback - (err, order) null when it does not exist; items
+ *                              and payments attached, paid and balance left to
+ *                              pay (0 once completed or cancelled) worked out
+ */
+const loadOrder = (orderId, callback) => {
+  db.get(
+    `SELECT o.*, (${PAID_SQL}) as paid
+     FROM sale_orders o WHERE o.id = ?`,
+    [orderId],
+    (err, order) => {
+      if (err || !order) return callback(err, null);
+
+      db.all(
+        `SELECT oi.*, p.name as product_name, p.sku
+         FROM sale_order_items oi LEFT JOIN products p ON oi.product_id = p.id
+         WHERE oi.order_id = ? ORDER BY oi.id`,
+        [orderId],
+        (err, items) => {
+          if (err) return callback(err);
+
+          db.all('SELECT * FROM sale_order_payments WHERE order_id = ? ORDER BY id', [orderId], (err, payments) => {
+            if (err) return callback(err);
+            callback(null, {
+              ...order,
+              coupon_codes: order.coupon_codes ? JSON.parse(order.coupon_codes) : [],
+              breakdown: JSON.parse(order.breakdown),
+              balance: order.status === 'open' ? roundMoney(order.grand_total - order.paid) : 0,
+              items,
+              payments
+            });
+          });
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Find An Open Order To Complete As A Sale
+ *
+ * @param {Number} orderId
+ * @param {Function} callback - (err, order) err.status is 404 or 409 when it cannot be completed
+ */
+const findOpenOrder = (orderId, callback) => {
+  loadOrder(orderId, (err, order) => {
+    if (err) return callback(err);
+    if (!order) return callback(httpError(404, `Order ID ${orderId} not found.`));
+    if (order.status !== 'open') return callback(httpError(409, `Order ${order.order_number} is already ${order.status}.`));
+    if (order.type === 'quotation' && order.valid_until && order.valid_until < new Date().toISOString().slice(0, 10)) {
+      return callback(httpError(409, `Quotation ${order.order_number} expired on ${order.valid_until}.`));
+    }
+    callback(null, order);
+  });
+};
+
+/**
+ * Price A Sale, Optionally Completing An Order
+ *
+ * Without order_id the cart is priced as sent. A parked cart is priced again
+ * at today's prices, from the items sent or else the ones it was parked with;
+ * quotations and layaways are sold at the breakdown they were given.
+ *
+ * @param {Object} body - Request body of POST /api/sales
+ * @param {Function} callback - (err, breakdown, order) order is null without order_id
+ */
+const priceOrder = (body, callback) => {
+  if (body.order_id === undefined || body.order_id === null || body.order_id === '') {
+    return priceSale(body, (err, breakdown) => callback(err, breakdown, null));
+  }
+
+  findOpenOrder(body.order_id, (err, order) => {
+    if (err) return callback(err);
+
+    if (order.type !== 'parked') {
+      if (Number(body.redeem_points || 0) > 0) {
+        return callback(httpError(400, `Points cannot be redeemed on a ${order.type}; it is sold at the price given.`));
+      }
+      return callback(null, order.breakdown, order);
+    }
+
+    priceSale({
+      ...body,
+      items: body.items || order.items.map(item => ({ product_id: item.product_id, quantity: item.quantity })),
+      discount: body.discount !== undefined ? body.discount : order.discount,
+      coupon_codes: body.coupon_codes || body.coupon_code || order.coupon_codes
+    }, (err, breakdown) => callback(err, breakdown, order));
+  });
+};
+
+/**
+ * Build Deposit Or Instalment Payments
+ *
+ * The amount paid is whatever the tenders add up to, from 0.01 up to max.
+ *
+ * @param {Object} body - Request body ({ payments })
+ * @param {Number} max - Most that may be paid
+ * @returns {Object} { error } or { payments, amount, changeDue } as buildPayments
+ */
+const buildInstalment = (body, max) => {
+  if (!Array.isArray(body.payments) || body.payments.length === 0) {
+    return { error: 'payments are required.' };
+  }
+  if (body.payments.some(tender => !INSTALMENT_METHODS.includes(tender.method))) {
+    return { error: `Layaway payments must be one of: ${INSTALMENT_METHODS.join(', ')}` };
+  }
+
+  const amount = roundMoney(body.payments.reduce((sum, tender) => sum + (parseFloat(tender.amount) || 0), 0));
+  if (amount <= 0) return { error: 'Payments must add up to more than 0.' };
+  if (amount > max) return { error: `Payments total ${amount} but only ${max} is left to pay.` };
+
+  const { error, payments, changeDue } = buildPayments(body, amount);
+  if (error) return { error };
+  return { payments, amount, changeDue };
+};
+
+/**
+ * Payments For Completing A Sale From A Layaway
+ *
+ * What was paid on the layaway becomes a 'deposit' tender; the tenders sent
+ * cover the rest, and may be left out when nothing is left.
+ *
+ * @param {Object} body - Request body of POST /api/sales
+ * @param {Object} order - From findOpenOrder
+ * @returns {Object} { error } or { payments, paymentMethod, changeDue } as buildPayments
+ */
+const layawayPayments = (body, order) => {
+  const due = roundMoney(order.grand_total - order.paid);
+  const sent = Array.isArray(body.payments) && body.payments.length > 0;
+
+  const rest = due > 0 || sent ? buildPayments(body, due) : { payments: [], changeDue: 0 };
+  if (rest.error) return { error: rest.error };
+
+  const payments = [
+    {
+      method: DEPOSIT_METHOD,
+      amount: order.paid,
+      tendered: null,
+      change_given: 0,
+      reference: order.order_number,
+      gift_card_id: null
+    },
+    ...rest.payments
+  ].filter(payment => payment.amount > 0 || payment.method !== DEPOSIT_METHOD);
+
+  const methods = [...new Set(payments.map(payment => payment.method))];
+  return {
+    payments,
+    paymentMethod: methods.length === 1 ? methods[0] : 'split',
+    changeDue: rest.changeDue
+  };
+};
+
+/**
+ * Record Payments Taken Or Refunded On An Order
+ *
+ * Run inside the caller's transaction.
+ *
+ * @param {Object} entry
+ * @param {Number} entry.orderId
+ * @param {String} entry.type - payment or refund
+ * @param {Array} entry.payments - From buildInstalment (or refunds in the same shape)
+ * @param {Number} entry.sessionId - Register session taking or giving the money
+ * @param {Number} entry.userId
+ * @param {Function} callback - (err)
+ */
+const recordPayments = ({ orderId, type, payments, sessionId, userId }, callback) => {
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err);
+    if (index >= payments.length) return callback(null);
+
+    const payment = payments[index++];
+    db.run(
+      `INSERT INTO sale_order_payments
+        (order_id, type, method, amount, tendered, change_given, reference, gift_card_id, session_id, user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [orderId, type, payment.method, payment.amount, payment.tendered || null, payment.change_given || 0,
+       payment.reference || null, payment.gift_card_id || null, sessionId || null, userId],
+      (err) => next(err)
+    );
+  };
+
+  next(null);
+};
+
+/**
+ * Reserve Or Release A Layaway's Goods At Its Branch
+ *
+ * Reserving checks each line against what the branch has that is not
+ * already reserved. Run inside the caller's transaction.
+ *
+ * @param {Array} lines - { product_id, quantity }
+ * @param {Number} branchId
+ * @param {Number} direction - 1 to reserve, -1 to release
+ * @param {Function} callback - (err) err.status is 400 when there is not enough stock
+ */
+const reserveStock = (lines, branchId, direction, callback) => {
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err);
+    if (index >= lines.length) return callback(null);
+
+    const line = lines[index++];
+    const change = direction * line.quantity;
+
+    const check = (done) => {
+      if (direction < 0) return done(null);
+
+      db.get(
+        `SELECT p.name, COALESCE(ps.quantity, 0) - COALESCE(ps.reserved_quantity, 0) as available
+         FROM products p
+         LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.branch_id = ?
+         WHERE p.id = ?`,
+        [branchId, line.product_id],
+        (err, product) => {
+          if (err) return done(err);
+          if (!product) return done(httpError(400, `Product ID ${line.product_id} not found.`));
+          if (product.available < line.quantity) {
+            return done(httpError(400,
+              `Not enough stock for "${product.name}". Available: ${product.available}, Requested: ${line.quantity}`));
+          }
+          done(null);
+        }
+      );
+    };
+
+    check((err) => {
+      if (err) return next(err);
+
+      db.run(
+        `UPDATE product_stock SET reserved_quantity = MAX(0, COALESCE(reserved_quantity, 0) + ?)
+         WHERE product_id = ? AND branch_id = ?`,
+        [change, line.product_id, branchId],
+        (err) => {
+          if (err) return next(err);
+          db.run(
+            'UPDATE products SET reserved_quantity = MAX(0, COALESCE(reserved_quantity, 0) + ?) WHERE id = ?',
+            [change, line.product_id],
+            next
+          );
+        }
+      );
+    });
+  };
+
+  next(null);
+};
+
+/**
+ * Mark An Order Completed By A Sale
+ *
+ * A layaway's reserved goods are released so the sale can take them.
+ * Run inside the caller's transaction.
+ *
+ * @param {Object} order - From findOpenOrder
+ * @param {Number} saleId
+ * @param {Function} callback - (err) err.status is 409 when it was completed or cancelled meanwhile
+ */
+const completeOrder = (order, saleId, callback) => {
+  db.run(
+    `UPDATE sale_orders SET status = 'completed', sale_id = ?, completed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'open'`,
+    [saleId, order.id],
+    function(err) {
+      if (err) return callback(err);
+      if (this.changes === 0) return callback(httpError(409, `Order ${order.order_number} is no longer open.`));
+      if (order.type !== 'layaway') return callback(null);
+      reserveStock(order.items, order.branch_id, -1, callback);
+    }
+  );
+};
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_STATUSES,
+  QUOTATION_VALID_DAYS,
+  LAYAWAY_MIN_DEPOSIT_PERCENT,
+  DEPOSIT_METHOD,
+  PAID_SQL,
+  orderNumber,
+  loadOrder,
+  findOpenOrder,
+  priceOrder,
+  buildInstalment,
+  layawayPayments,
+  recordPayments,
+  reserveStock,
+  completeOrder
+};
@@ -0,0 +1,111 @@
+/**
+ * PRODUCT SEARCH
+ *
+ * Full-text search over the products_fts index (name, sku, brand,
+ * description, category and barcodes), which triggers keep in step with
+ * products and product_barcodes. Every word of the search must match the
+ * start of a word in the product ("choc milk" finds "Chocolate Milk").
+ * A word that starts no indexed word is swapped for the closest indexed
+ * words within one or two typos, so "nescfe" still finds "Nescafe" and
+ * "mlik" finds "Milk".
+ */
+
+const db = require('../database');
+const { tokenize, allowedTypos, editDistance } = require('../utils/text');
+
+// Matching product ids with their bm25 relevance (lower is better); bind the MATCH expression.
+// Column weights: name, sku, brand, description, category, barcodes
+// (the rank column rather than bm25() itself, which cannot be used once SQLite flattens the subquery)
+const MATCH_SQL = `
+  SELECT rowid as product_id, rank as search_rank
+  FROM products_fts WHERE products_fts MATCH ? AND rank MATCH 'bm25(10.0, 8.0, 5.0, 1.0, 3.0, 8.0)'`;
+
+// Close words tried in place of a misspelt one
+const MAX_CORRECTIONS = 5;
+
+/**
+ * Indexed Words Close To A Misspelt One
+ *
+ * A word may also be a misspelt start of an indexed word ("choclat" for "chocolate").
+ *
+ * @param {String} word
+ * @param {Function} callback - (err, corrections) [{ term, prefix }] best first
+ */
+const findCorrections = (word, callback) => {
+  const limit = allowedTypos(word.length);
+  if (limit === 0) return callback(null, []);
+
+  db.all('SELECT term, doc FROM products_fts_vocab WHERE length(term) >= ?', [word.length - limit], (err, terms) => {
+    if (err) return callback(err);
+
+    const corrections = terms
+      .map(({ term, doc }) => {
+        const whole = editDistance(word, term, limit);
+        const start = editDistance(word, term.slice(0, word.length), limit);
+        return whole <= start
+          ? { term, prefix: false, distance: whole, doc }
+          : { term: term.slice(0, word.length), prefix: true, distance: start, doc };
+      })
+      .filter(c => c.distance <= limit)
+      .sort((a, b) => a.distance - b.distance || b.doc - a.doc);
+
+    // Prefixes cut from several words repeat
+    const seen = new Set();
+    callback(null, corrections
+      .filter(c => !seen.has(`${c.term}${c.prefix}`) && seen.add(`${c.term}${c.prefix}`))
+      .slice(0, MAX_CORRECTIONS));
+  });
+};
+
+/**
+ * Build The FTS5 Query For A Search
+ *
+ * @param {String} text - What the user typed
+ * @param {Function} callback - (err, search) search is { match, corrected } or
+ *                              null when the text has no words; corrected lists
+ *                              { word, replacements } for each misspelt word
+ */
+const buildMatch = (text, callback) => {
+  const words = [...new Set(tokenize(text))];
+  if (words.length === 0) return callback(null, null);
+
+  const parts = [];
+  const corrected = [];
+
+  const nextWord = (i) => {
+    if (i >= words.length) return callback(null, { match: parts.join(' AND '), corrected });
+
+    const word = words[i];
+    db.get(
+      'SELECT 1 as found FROM products_fts_vocab WHERE term >= ? AND term < ? LIMIT 1',
+      [word, `${word}\uffff`],
+      (err, row) => {
+        if (err) return callback(err);
+
+        if (row) {
+          parts.push(`"${word}"*`);
+          return nextWord(i + 1);
+        }
+
+        findCorrections(word, (err, corrections) => {
+          if (err) return callback(err);
+
+          if (corrections.length === 0) {
+            parts.push(`"${word}"*`);
+          } else {
+            parts.push(`(${corrections.map(c => `"${c.term}"${c.prefix ? '*' : ''}`).join(' OR ')})`);
+            corrected.push({ word, replacements: corrections.map(c => c.term) });
+          }
+          nextWord(i + 1);
+        });
+      }
+    );
+  };
+
+  nextWord(0);
+};
+
+module.exports = {
+  MATCH_SQL,
+  buildMatch
+};
@@ -0,0 +1,343 @@
+/**
+ * STOCK LEDGER
+ *
+ * Every change to stock goes through adjustStock, which updates the
+ * branch's product_stock row and the product's total quantity, and
+ * appends a row to stock_movements with the resulting branch balance and
+ * the value of the units moved. The ledger can then be replayed to find
+ * drift, or summed to value stock at any date.
+ */
+
+const db = require('../database');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { incomingCost, addLayer, consumeLayers } = require('./costing');
+
+// Why stock moved
+const MOVEMENT_TYPES = [
+  'opening', 'sale', 'return', 'void', 'receipt',
+  'adjustment', 'transfer', 'stocktake', 'damage', 'valuation'
+];
+
+// Used when a caller has no branch (e.g. admins with tokens from before branches)
+const DEFAULT_BRANCH = '(SELECT id FROM branches WHERE is_default = 1)';
+
+// Stock status from quantity and min_stock, for use inside an UPDATE on products
+const STATUS_SQL = `CASE WHEN quantity <= 0 THEN 'out_of_stock'
+                         WHEN quantity <= min_stock THEN 'low_stock'
+                         ELSE 'in_stock' END`;
+
+// Products with one branch's stock alongside; bind the branch id for the join.
+// Filter on branch_quantity / branch_status and pass rows through asBranchStock.
+const BRANCH_PRODUCTS = `
+  SELECT p.*,
+         COALESCE(ps.quantity, 0) as branch_quantity,
+         COALESCE(ps.reserved_quantity, 0) as branch_reserved_quantity,
+         CASE WHEN COALESCE(ps.quantity, 0) <= 0 THEN 'out_of_stock'
+              WHEN COALESCE(ps.quantity, 0) <= p.min_stock THEN 'low_stock'
+              ELSE 'in_stock' END as branch_status
+  FROM products p
+  LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.branch_id = ?`;
+
+/**
+ * Add The Quantity Still Sellable
+ *
+ * Stock reserved for layaways (see services/saleOrders.js) is on hand but
+ * cannot be sold.
+ *
+ * @param {Object} product - Product row with quantity and reserved_quantity
+ * @returns {Object} The product with available_quantity
+ */
+const withAvailable = (product) => ({
+  ...product,
+  reserved_quantity: product.reserved_quantity || 0,
+  available_quantity: (product.quantity || 0) - (product.reserved_quantity || 0)
+});
+
+/**
+ * Present A BRANCH_PRODUCTS Row As The Branch Sees It
+ *
+ * quantity, reserved_quantity and status become the branch's own; the
+ * all-branch total is kept as total_quantity.
+ *
+ * @param {Object} row - Row selected from BRANCH_PRODUCTS
+ * @returns {Object}
+ */
+const asBranchStock = (row) => {
+  const { branch_quantity, branch_reserved_quantity, branch_status, ...product } = row;
+  return withAvailable({
+    ...product,
+    total_quantity: row.quantity,
+    quantity: branch_quantity,
+    reserved_quantity: branch_reserved_quantity,
+    status: branch_status
+  });
+};
+
+/**
+ * Recompute A Product's Stock Status From Its Quantity
+ *
+ * @param {Number} productId
+ * @param {Function} callback - (err)
+ */
+const refreshStatus = (productId, callback) => {
+  db.run(`UPDATE products SET status = ${STATUS_SQL} WHERE id = ?`, [productId], (err) => callback(err));
+};
+
+/**
+ * Cost Of A Movement
+ *
+ * Stock going out uses up cost layers (see services/costing); stock coming
+ * in is valued at its unit cost.
+ *
+ * @param {Number} productId
+ * @param {Number} branchId
+ * @param {Number} change - Signed quantity
+ * @param {Number} unitCost - Cost of stock coming in, or null for the purchase price
+ * @param {Function} callback - (err, value) signed, negative when stock goes out
+ */
+const costMovement = (productId, branchId, change, unitCost, callback) => {
+  if (change < 0) {
+    return consumeLayers(productId, branchId, -change, (err, cost) => callback(err, -cost));
+  }
+
+  incomingCost(productId, unitCost, (err, cost) => callback(err, roundMoney(change * cost)));
+};
+
+/**
+ * Adjust Stock And Record The Movement
+ *
+ * Run inside the caller's transaction; the caller commits or rolls back.
+ * Balances are kept to the gram, as weighed products move by a fraction.
+ *
+ * @param {Object} movement
+ * @param {Number} movement.productId
+ * @param {Number} movement.branchId - Branch whose stock changes (default branch if left out)
+ * @param {Number} movement.change - Signed quantity (negative takes stock out)
+ * @param {String} movement.type - One of MOVEMENT_TYPES
+ * @param {Number} movement.userId - Who made the change
+ * @param {String} movement.reason - Free text, optional
+ * @param {String} movement.referenceType - e.g. 'sale', 'return', optional
+ * @param {Number} movement.referenceId - Id of the referenced record, optional
+ * @param {Number} movement.unitCost - Cost of stock coming in, optional (purchase price by default)
+ * @param {Function} callback - (err, balanceAfter, value) balance at the branch and the
+ *                              signed cost of the units moved
+ */
+const adjustStock = ({ productId, branchId, change, type, userId, reason, referenceType, referenceId, unitCost }, callback) => {
+  if (!MOVEMENT_TYPES.includes(type)) {
+    return callback(httpError(400, `Invalid movement type "${type}".`));
+  }
+
+  const branch = `COALESCE(?, ${DEFAULT_BRANCH})`;
+
+  db.run(
+    'UPDATE products SET quantity = ROUND(quantity + ?, 3), updated_at = CURRENT_TIMESTAMP WHERE id = ? AND has_variants = 0',
+    [change, productId],
+    function(err) {
+      if (err) return callback(err);
+      if (this.changes === 0) {
+        // Either missing, or a parent whose stock is kept on its variants
+        return db.get('SELECT name FROM products WHERE id = ?', [productId], (err, product) => {
+          if (err) return callback(err);
+          if (!product) return callback(httpError(404, `Product ID ${productId} not found.`));
+          callback(httpError(400, `"${product.name}" has variants; stock is kept on each variant.`));
+        });
+      }
+
+      db.run(
+        `INSERT INTO product_stock (product_id, branch_id, quantity) VALUES (?, ${branch}, ?)
+         ON CONFLICT(product_id, branch_id)
+         DO UPDATE SET quantity = ROUND(quantity + excluded.quantity, 3), updated_at = CURRENT_TIMESTAMP`,
+        [productId, branchId || null, change],
+        (err) => {
+          if (err && err.message.includes('FOREIGN KEY constraint failed')) {
+            return callback(httpError(400, `Branch ID ${branchId} not found.`));
+          }
+          if (err) return callback(err);
+
+          refreshStatus(productId, (err) => {
+            if (err) return callback(err);
+
+            db.get(
+              `SELECT branch_id, quantity FROM product_stock WHERE product_id = ? AND branch_id = ${branch}`,
+              [productId, branchId || null],
+              (err, stock) => {
+                if (err) return callback(err);
+
+                costMovement(productId, stock.branch_id, change, unitCost, (err, value) => {
+                  if (err) return callback(err);
+
+                  db.run(
+                    `INSERT INTO stock_movements
+                      (product_id, branch_id, type, quantity, balance_after, unit_cost, value,
+                       reason, reference_type, reference_id, user_id)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [productId, stock.branch_id, type, change, stock.quantity,
+                     change === 0 ? null : Math.abs(value / change), change === 0 ? null : value,
+                     reason || null, referenceType || null, referenceId || null, userId || null],
+                    function(err) {
+                      if (err) return callback(err);
+                      if (change <= 0) return callback(null, stock.quantity, value);
+
+                      addLayer({
+                        productId,
+                        branchId: stock.branch_id,
+                        quantity: change,
+                        unitCost: value / change,
+                        balanceAfter: stock.quantity,
+                        movementId: this.lastID
+                      }, (err) => callback(err, stock.quantity, value));
+                    }
+                  );
+                });
+              }
+            );
+          });
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Apply Several Movements One After Another
+ *
+ * @param {Array} movements - Objects accepted by adjustStock
+ * @param {Function} callback - (err)
+ */
+const adjustStockEach = (movements, callback) => {
+  let index = 0;
+
+  const next = (err) => {
+    if (err) return callback(err);
+    if (index >= movements.length) return callback(null);
+    adjustStock(movements[index++], next);
+  };
+
+  next();
+};
+
+/**
+ * Find Branch Stock Below What Layaways Have Reserved
+ *
+ * @param {Number} branchId
+ * @param {Array} productIds - Products to look at
+ * @param {Function} callback - (err, rows) product_id, product_name, quantity, reserved_quantity
+ */
+const findBelowReserved = (branchId, productIds, callback) => {
+  if (productIds.length === 0) return callback(null, []);
+
+  db.all(
+    `SELECT ps.product_id, p.name as product_name, ps.quantity, ps.reserved_quantity
+     FROM product_stock ps
+     JOIN products p ON p.id = ps.product_id
+     WHERE ps.branch_id = ? AND ps.quantity < COALESCE(ps.reserved_quantity, 0)
+       AND ps.product_id IN (${productIds.map(() => '?').join(',')})
+     ORDER BY p.name`,
+    [branchId, ...productIds],
+    callback
+  );
+};
+
+/**
+ * Compare Stock With The Ledger
+ *
+ * Lists every branch balance that differs from the sum of its movements,
+ * and (with branch_id null) every product whose total differs from the
+ * sum of its branch balances.
+ *
+ * @param {Number} productId - Limit to one product, optional
+ * @param {Function} callback - (err, rows) rows where stock and ledger disagree
+ */
+const findDrift = (productId, callback) => {
+  const productFilter = productId ? 'AND p.id = ?' : '';
+  const params = productId ? [productId, productId] : [];
+
+  db.all(
+    `SELECT * FROM (
+       SELECT p.id, p.name, p.sku, b.id as branch_id, b.name as branch_name,
+              COALESCE(ps.quantity, 0) as quantity,
+              COALESCE(m.ledger_quantity, 0) as ledger_quantity,
+              COALESCE(ps.quantity, 0) - COALESCE(m.ledger_quantity, 0) as drift
+       FROM products p
+       CROSS JOIN branches b
+       LEFT JOIN product_stock ps ON ps.product_id = p.id AND ps.branch_id = b.id
+       LEFT JOIN (SELECT product_id, branch_id, SUM(quantity) as ledger_quantity
+                  FROM stock_movements GROUP BY product_id, branch_id) m
+              ON m.product_id = p.id AND m.branch_id = b.id
+       WHERE 1=1 ${productFilter}
+       UNION ALL
+       SELECT p.id, p.name, p.sku, NULL, NULL, p.quantity,
+              COALESCE((SELECT SUM(quantity) FROM product_stock WHERE product_id = p.id), 0),
+              p.quantity - COALESCE((SELECT SUM(quantity) FROM product_stock WHERE product_id = p.id), 0)
+       FROM products p
+       WHERE 1=1 ${productFilter}
+     )
+     WHERE drift != 0
+     ORDER BY id, branch_id`,
+    params,
+    callback
+  );
+};
+
+/**
+ * Reset Stock To The Ledger
+ *
+ * Branch balances are set to the sum of their movements and product
+ * totals to the sum of their branch balances.
+ *
+ * @param {Number} productId - Limit to one product, optional
+ * @param {Function} callback - (err, fixed) rows that were corrected
+ */
+const rebuildFromLedger = (productId, callback) => {
+  findDrift(productId, (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return callback(null, []);
+
+    const productIds = [...new Set(rows.map(row => row.id))];
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+
+      rows.filter(row => row.branch_id).forEach(row => {
+        db.run(
+          `INSERT INTO product_stock (product_id, branch_id, quantity) VALUES (?, ?, ?)
+           ON CONFLICT(product_id, branch_id)
+           DO UPDATE SET quantity = excluded.quantity, updated_at = CURRENT_TIMESTAMP`,
+          [row.id, row.branch_id, row.ledger_quantity]
+        );
+      });
+
+      productIds.forEach(id => {
+        db.run(
+          `UPDATE products SET updated_at = CURRENT_TIMESTAMP,
+             quantity = (SELECT COALESCE(SUM(quantity), 0) FROM product_stock WHERE product_id = products.id)
+           WHERE id = ?`,
+          [id]
+        );
+        db.run(`UPDATE products SET status = ${STATUS_SQL} WHERE id = ?`, [id]);
+      });
+
+      db.run('COMMIT', (err) => {
+        if (err) {
+          db.run('ROLLBACK');
+          return callback(err);
+        }
+        callback(null, rows);
+      });
+    });
+  });
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  BRANCH_PRODUCTS,
+  withAvailable,
+  asBranchStock,
+  refreshStatus,
+  adjustStock,
+  adjustStockEach,
+  findBelowReserved,
+  findDrift,
+  rebuildFromLedger
+};
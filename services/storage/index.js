@@ -0,0 +1,70 @@
+/**
+ * FILE STORAGE
+ *
+ * Uploaded files are kept by key (e.g. "products/1712000000000-ab12cd-thumbnail.webp")
+ * in the driver chosen with STORAGE_DRIVER:
+ *   local - a directory (UPLOADS_DIR, default uploads/) served by the API at UPLOADS_URL (default /uploads)
+ *   s3    - an S3-compatible bucket: S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ *           S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE=true (MinIO) and S3_PUBLIC_URL
+ * Every driver offers put, get, remove, list and url. The database stores
+ * keys only; clients get URLs from the API, made with url().
+ */
+
+const path = require('path');
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+
+const DRIVERS = ['local', 's3'];
+
+/**
+ * Create A Storage Driver From Settings
+ *
+ * @param {String} name - One of DRIVERS
+ * @param {Object} env - Settings, process.env by default
+ * @returns {Object} Driver:
+ *   put(key, buffer, contentType, callback(err))
+ *   get(key, callback(err, buffer))
+ *   remove(key, callback(err)) - a missing file is not an error
+ *   list(callback(err, [{ key, modified }]))
+ *   url(key) - public URL of the file
+ */
+const createDriver = (name, env = process.env) => {
+  if (name === 'local') {
+    return createLocalDriver({
+      root: path.resolve(env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads')),
+      baseUrl: (env.UPLOADS_URL || '/uploads').replace(/\/$/, '')
+    });
+  }
+
+  if (name === 's3') {
+    return createS3Driver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+
+  throw new Error(`Unknown storage driver "${name}". Use one of: ${DRIVERS.join(', ')}`);
+};
+
+// The driver the API stores uploads in
+const storage = createDriver(process.env.STORAGE_DRIVER || 'local');
+
+/**
+ * Public URL Of A Stored File
+ *
+ * @param {String} key - Storage key, or null
+ * @returns {String|null}
+ */
+const fileUrl = (key) => (key ? storage.url(key) : null);
+
+module.exports = {
+  DRIVERS,
+  createDriver,
+  storage,
+  fileUrl
+};
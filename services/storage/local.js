@@ -0,0 +1,75 @@
+/**
+ * LOCAL DISK STORAGE
+ *
+ * Keeps files under one directory; server.js serves it at the base URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create A Local Disk Driver
+ *
+ * @param {Object} options
+ * @param {String} options.root - Directory files are kept in
+ * @param {String} options.baseUrl - URL the directory is served at, e.g. /uploads
+ * @returns {Object} Storage driver (see services/storage/index.js)
+ */
+const createLocalDriver = ({ root, baseUrl }) => {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys never leave the root directory
+  const fileOf = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+    root,
+    baseUrl,
+
+    put(key, buffer, contentType, callback) {
+      const file = fileOf(key);
+      fs.mkdir(path.dirname(file), { recursive: true }, (err) => {
+        if (err) return callback(err);
+        fs.writeFile(file, buffer, callback);
+      });
+    },
+
+    get(key, callback) {
+      fs.readFile(fileOf(key), callback);
+    },
+
+    remove(key, callback) {
+      fs.unlink(fileOf(key), (err) => callback(err && err.code !== 'ENOENT' ? err : null));
+    },
+
+    list(callback) {
+      const files = [];
+      const walk = (dir, prefix) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+          if (entry.name.startsWith('.')) return;
+          if (entry.isDirectory()) return walk(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+          if (entry.isFile()) {
+            files.push({ key: `${prefix}${entry.name}`, modified: fs.statSync(path.join(dir, entry.name)).mtime });
+          }
+        });
+      };
+
+      try {
+        walk(root, '');
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, files);
+    },
+
+    url(key) {
+      return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+  };
+};
+
+module.exports = { createLocalDriver };
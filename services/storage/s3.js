@@ -0,0 +1,86 @@
+/**
+ * S3-COMPATIBLE STORAGE
+ *
+ * Keeps files in a bucket on AWS S3 or any S3-compatible server (MinIO,
+ * Ceph, ...). Objects are read through their public URL, so the bucket
+ * (or the prefix used) must allow anonymous reads or sit behind a CDN.
+ */
+
+const {
+  S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Create An S3 Driver
+ *
+ * @param {Object} options
+ * @param {String} options.bucket
+ * @param {String} options.region - Defaults to us-east-1 (what MinIO expects)
+ * @param {String} options.endpoint - For S3-compatible servers, e.g. http://localhost:9000
+ * @param {String} options.accessKeyId - Falls back to the AWS SDK's usual credentials
+ * @param {String} options.secretAccessKey
+ * @param {Boolean} options.forcePathStyle - Bucket in the path rather than the host name (MinIO)
+ * @param {String} options.publicUrl - Base URL objects are served from (bucket URL or CDN)
+ * @returns {Object} Storage driver (see services/storage/index.js)
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) => {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = (publicUrl
+    || (endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    bucket,
+
+    put(key, buffer, contentType, callback) {
+      client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        // Keys are never reused, so copies can be kept for good
+        CacheControl: 'public, max-age=31536000, immutable'
+      })).then(() => callback(null), callback);
+    },
+
+    get(key, callback) {
+      client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+        .then(result => result.Body.transformToByteArray())
+        .then(bytes => callback(null, Buffer.from(bytes)), callback);
+    },
+
+    remove(key, callback) {
+      // Deleting a missing object succeeds on S3
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })).then(() => callback(null), callback);
+    },
+
+    list(callback) {
+      const files = [];
+      const nextPage = (token) => {
+        client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken: token }))
+          .then((page) => {
+            (page.Contents || []).forEach(object => files.push({ key: object.Key, modified: object.LastModified }));
+            if (page.IsTruncated) return nextPage(page.NextContinuationToken);
+            callback(null, files);
+          }, callback);
+      };
+      nextPage();
+    },
+
+    url(key) {
+      return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+  };
+};
+
+module.exports = { createS3Driver };
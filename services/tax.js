@@ -0,0 +1,44 @@
+/**
+ * TAX RULES
+ *
+ * Resolves which tax rate applies to a product and splits line amounts
+ * into net and tax. A product's own tax_rate_id wins, then the rate
+ * assigned to its category, then the default rate.
+ */
+
+// Whether selling prices already include tax (true) or tax is added on top (false)
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === 'true';
+
+// Joins that resolve the applicable rate for products aliased as "p"
+const TAX_RATE_JOINS = `
+  LEFT JOIN category_tax_rates ctr ON ctr.category = p.category
+  LEFT JOIN tax_rates tr ON tr.id = COALESCE(
+    p.tax_rate_id,
+    ctr.tax_rate_id,
+    (SELECT id FROM tax_rates WHERE is_default = 1 LIMIT 1)
+  )`;
+
+// Columns exposing the resolved rate, to be selected alongside TAX_RATE_JOINS
+const TAX_RATE_COLUMNS = 'tr.id AS applied_tax_rate_id, tr.code AS tax_code, tr.rate AS tax_percent';
+
+/**
+ * Tax On A Line Amount
+ *
+ * @param {Number} amount - Line amount after discounts
+ * @param {Number} rate - Tax rate in percent
+ * @param {Boolean} inclusive - Whether the amount already contains the tax
+ * @returns {Number} Unrounded tax amount
+ */
+const taxOn = (amount, rate, inclusive = PRICES_INCLUDE_TAX) => {
+  if (!rate) return 0;
+  return inclusive
+    ? amount * rate / (100 + rate)
+    : amount * rate / 100;
+};
+
+module.exports = {
+  PRICES_INCLUDE_TAX,
+  TAX_RATE_JOINS,
+  TAX_RATE_COLUMNS,
+  taxOn
+};
@@ -0,0 +1,293 @@
+/**
+ * PRODUCT VARIANTS
+ *
+ * A variant (size, colour, ...) is a product row with parent_id set. It has
+ * its own SKU, barcode and stock, and is what gets sold, received and
+ * counted. The parent only groups its variants: it holds no stock, and its
+ * selling price applies to every variant without a price_override.
+ */
+
+const db = require('../database');
+const { BRANCH_PRODUCTS, withAvailable, asBranchStock } = require('./stock');
+const { withImageUrls } = require('./images');
+
+// Parent fields every variant inherits (kept in step when the parent is edited)
+const INHERITED_FIELDS = ['category', 'brand', 'description', 'tax_rate_id', 'supplier', 'supplier_id'];
+
+/**
+ * Normalise Variant Attributes
+ *
+ * @param {Object} attributes - e.g. { size: 'M', colour: 'Red' }
+ * @returns {Object|null} Attributes with trimmed, lower-case keys, or null
+ *                        if there are none or a value is empty
+ */
+const normaliseAttributes = (attributes) => {
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) return null;
+
+  const normalised = {};
+  for (const key of Object.keys(attributes)) {
+    const name = key.trim().toLowerCase();
+    const value = String(attributes[key] === null || attributes[key] === undefined ? '' : attributes[key]).trim();
+    if (!name || !value) return null;
+    normalised[name] = value;
+  }
+
+  return Object.keys(normalised).length > 0 ? normalised : null;
+};
+
+/**
+ * Compare Key For Attributes, The Same Whatever Order They Were Given In
+ *
+ * @param {Object} attributes - Normalised attributes
+ * @returns {String}
+ */
+const attributesKey = (attributes) =>
+  JSON.stringify(Object.keys(attributes).sort().map(key => [key, attributes[key].toLowerCase()]));
+
+/**
+ * Every Combination Of Option Values
+ *
+ * @param {Object} options - e.g. { size: ['S', 'M'], colour: ['Red', 'Blue'] }
+ * @returns {Array} Attribute objects, one per combination
+ */
+const combineOptions = (options) => Object.keys(options).reduce(
+  (combinations, key) => combinations.flatMap(combination =>
+    [].concat(options[key]).map(value => ({ ...combination, [key]: value }))),
+  [{}]
+);
+
+/**
+ * Display Label For Attributes, e.g. "M / Red"
+ *
+ * @param {Object} attributes - Normalised attributes
+ * @returns {String}
+ */
+const variantLabel = (attributes) => Object.values(attributes).join(' / ');
+
+/**
+ * Name Stored On A Variant Row, e.g. "T-Shirt (M / Red)"
+ *
+ * @param {String} parentName
+ * @param {Object} attributes - Normalised attributes
+ * @returns {String}
+ */
+const variantName = (parentName, attributes) => `${parentName} (${variantLabel(attributes)})`;
+
+/**
+ * SKU Generated For A Variant, e.g. "TSHIRT-M-RED"
+ *
+ * @param {String} parentSku
+ * @param {Object} attributes - Normalised attributes
+ * @returns {String}
+ */
+const variantSku = (parentSku, attributes) =>
+  [parentSku, ...Object.values(attributes).map(value => value.toUpperCase().replace(/[^A-Z0-9]+/g, ''))].join('-');
+
+/**
+ * Present A Product Row With Its Attributes Parsed
+ *
+ * @param {Object} row - Product row
+ * @returns {Object}
+ */
+const withAttributes = (row) => {
+  const { variant_attributes, ...product } = row;
+  let attributes = null;
+  try {
+    attributes = variant_attributes ? JSON.parse(variant_attributes) : null;
+  } catch (e) {
+    attributes = null;
+  }
+  return { ...product, attributes };
+};
+
+/**
+ * Stock Status Of A Parent From Its Variants
+ *
+ * @param {Array} variants
+ * @returns {String}
+ */
+const groupStatus = (variants) => {
+  if (variants.length === 0 || variants.every(variant => variant.status === 'out_of_stock')) return 'out_of_stock';
+  return variants.some(variant => variant.status === 'low_stock' || variant.status === 'out_of_stock')
+    ? 'low_stock'
+    : 'in_stock';
+};
+
+/**
+ * Attach Variants To A Parent
+ *
+ * The parent's quantity, reserved quantity and status are summed up from its variants.
+ *
+ * @param {Object} parent - Product row (already in the caller's branch view)
+ * @param {Array} variants - Its variant rows (same view)
+ * @returns {Object}
+ */
+const asGroup = (parent, variants) => {
+  const group = { ...parent, variants, variant_count: variants.length };
+  if (!parent.has_variants) return group;
+
+  group.quantity = variants.reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+  group.reserved_quantity = variants.reduce((sum, variant) => sum + (variant.reserved_quantity || 0), 0);
+  group.available_quantity = group.quantity - group.reserved_quantity;
+  if (parent.total_quantity !== undefined) {
+    group.total_quantity = variants.reduce((sum, variant) => sum + (variant.total_quantity || 0), 0);
+  }
+  group.status = groupStatus(variants);
+  return group;
+};
+
+/**
+ * Load Products With Their Variants
+ *
+ * @param {Array} ids - Product ids (parents or standalone products)
+ * @param {Number} branchId - Show this branch's stock, or null for totals
+ * @param {Function} callback - (err, rows) parents, standalone products and
+ *                              variants, with attributes parsed and image URLs
+ */
+const loadFamilies = (ids, branchId, callback) => {
+  if (ids.length === 0) return callback(null, []);
+
+  const placeholders = ids.map(() => '?').join(',');
+  const [query, params] = branchId
+    ? [`${BRANCH_PRODUCTS} WHERE p.id IN (${placeholders}) OR p.parent_id IN (${placeholders}) ORDER BY p.id`,
+      [branchId, ...ids, ...ids]]
+    : [`SELECT * FROM products WHERE id IN (${placeholders}) OR parent_id IN (${placeholders}) ORDER BY id`,
+      [...ids, ...ids]];
+
+  db.all(query, params, (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(row => withImageUrls(withAttributes(branchId ? asBranchStock(row) : withAvailable(row)))));
+  });
+};
+
+/**
+ * Group Product Rows Under Their Parents
+ *
+ * Rows that matched a filter may be parents, variants or standalone
+ * products. Each is replaced by its top-level product (in the order first
+ * seen) carrying every one of its variants.
+ *
+ * @param {Array} rows - Product rows as returned by the listing query
+ * @param {Number} branchId - Branch view the rows were selected in, or null
+ * @param {Function} callback - (err, products)
+ */
+const groupVariants = (rows, branchId, callback) => {
+  const topIds = [...new Set(rows.map(row => row.parent_id || row.id))];
+
+  loadFamilies(topIds, branchId, (err, family) => {
+    if (err) return callback(err);
+
+    const products = topIds
+      .map(id => family.find(row => row.id === id))
+      .filter(Boolean)
+      .map(product => product.has_variants
+        ? asGroup(product, family.filter(row => row.parent_id === product.id))
+        : product);
+
+    callback(null, products);
+  });
+};
+
+/**
+ * Add A Variant Under A Parent
+ *
+ * The parent is marked as having variants; the variant starts with no
+ * stock. Run inside the caller's transaction.
+ *
+ * @param {Object} variant
+ * @param {Number} variant.parentId
+ * @param {String} variant.sku
+ * @param {Object} variant.attributes - Normalised attributes
+ * @param {Number} variant.priceOverride - null to sell at the parent's price
+ * @param {Number} variant.purchasePrice - null for the parent's
+ * @param {Number} variant.minStock - null for the parent's
+ * @param {Function} callback - (err, variantId)
+ */
+const insertVariant = ({ parentId, sku, attributes, priceOverride, purchasePrice, minStock }, callback) => {
+  db.run(
+    "UPDATE products SET has_variants = 1, status = 'out_of_stock', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [parentId],
+    (err) => {
+      if (err) return callback(err);
+
+      db.run(
+        `INSERT INTO products
+         (name, sku, parent_id, variant_attributes, price_override, selling_price, purchase_price,
+          quantity, min_stock, status, ${INHERITED_FIELDS.join(', ')})
+         SELECT name || ' (' || ? || ')', ?, id, ?, ?, COALESCE(?, selling_price), COALESCE(?, purchase_price),
+                0, COALESCE(?, min_stock), 'out_of_stock', ${INHERITED_FIELDS.join(', ')}
+         FROM products WHERE id = ?`,
+        [variantLabel(attributes), sku, JSON.stringify(attributes), priceOverride, priceOverride,
+         purchasePrice, minStock, parentId],
+        function(err) {
+          callback(err, this && this.lastID);
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Carry A Parent's Details Over To Its Variants
+ *
+ * Inherited fields and the name are copied; the selling price follows the
+ * parent unless the variant has a price_override. Run inside the caller's
+ * transaction.
+ *
+ * @param {Number} parentId
+ * @param {Function} callback - (err)
+ */
+const syncVariants = (parentId, callback) => {
+  db.run(
+    `UPDATE products SET
+     ${INHERITED_FIELDS.map(field => `${field} = parent.${field}`).join(', ')},
+     selling_price = COALESCE(products.price_override, parent.selling_price),
+     updated_at = CURRENT_TIMESTAMP
+     FROM products AS parent
+     WHERE products.parent_id = parent.id AND parent.id = ?`,
+    [parentId],
+    (err) => {
+      if (err) return callback(err);
+
+      db.all(
+        `SELECT v.id, v.variant_attributes, p.name as parent_name
+         FROM products v JOIN products p ON v.parent_id = p.id
+         WHERE p.id = ?`,
+        [parentId],
+        (err, variants) => {
+          if (err) return callback(err);
+
+          let index = 0;
+          const next = (err) => {
+            if (err) return callback(err);
+            if (index >= variants.length) return callback(null);
+
+            const variant = variants[index++];
+            const { attributes } = withAttributes(variant);
+            if (!attributes) return next();
+
+            db.run('UPDATE products SET name = ? WHERE id = ?', [variantName(variant.parent_name, attributes), variant.id], next);
+          };
+
+          next();
+        }
+      );
+    }
+  );
+};
+
+module.exports = {
+  INHERITED_FIELDS,
+  normaliseAttributes,
+  attributesKey,
+  combineOptions,
+  variantLabel,
+  variantName,
+  variantSku,
+  withAttributes,
+  asGroup,
+  loadFamilies,
+  groupVariants,
+  insertVariant,
+  syncVariants
+};
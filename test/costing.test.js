@@ -0,0 +1,63 @@
+const { ready, run, all } = require('./helpers/database');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { adjustStock } = require('../services/stock');
+const { valueStock } = require('../services/costing');
+
+// Move stock at the default branch; resolves with the signed value moved
+const move = (productId, change, unitCost) => new Promise((resolve, reject) => {
+  adjustStock({ productId, change, type: change > 0 ? 'receipt' : 'sale', unitCost }, (err, balance, value) => (
+    err ? reject(err) : resolve(value)
+  ));
+});
+
+const addProduct = async (sku, purchasePrice) => (await run(
+  'INSERT INTO products (name, sku, selling_price, purchase_price, quantity) VALUES (?, ?, 10, ?, 0)',
+  [sku, sku, purchasePrice]
+)).lastID;
+
+test.before(ready);
+
+test('stock going out uses up the oldest layers first', async () => {
+  const product = await addProduct('FIFO-1', 5);
+  assert.strictEqual(await move(product, 10, 2), 20);
+  assert.strictEqual(await move(product, 10, 3), 30);
+
+  assert.strictEqual(await move(product, -15), -35);
+  assert.deepStrictEqual(
+    await all('SELECT quantity, remaining, unit_cost FROM cost_layers WHERE product_id = ? ORDER BY id', [product]),
+    [{ quantity: 10, remaining: 0, unit_cost: 2 }, { quantity: 10, remaining: 5, unit_cost: 3 }]
+  );
+});
+
+test('stock taken below zero is costed at the purchase price and made good first', async () => {
+  const product = await addProduct('FIFO-2', 4);
+  await move(product, 5, 3);
+
+  assert.strictEqual(await move(product, -8), -27);
+
+  // the first 3 units coming back only cover what was oversold
+  await move(product, 5, 6);
+  assert.deepStrictEqual(
+    await all('SELECT remaining, unit_cost FROM cost_layers WHERE product_id = ? AND remaining > 0', [product]),
+    [{ remaining: 2, unit_cost: 6 }]
+  );
+});
+
+test('valueStock values what is left at the cost of its layers', async () => {
+  const product = await addProduct('FIFO-3', 1);
+  await move(product, 4, 2.5);
+  await move(product, 6, 4);
+  await move(product, -5);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const rows = await new Promise((resolve, reject) => {
+    valueStock({ date: today }, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const row = rows.find(row => row.id === product);
+
+  assert.strictEqual(row.quantity, 5);
+  assert.strictEqual(row.value, 20);
+  assert.strictEqual(row.unit_cost, 4);
+});
@@ -0,0 +1,74 @@
+/**
+ * TEST DATABASE
+ *
+ * Require this before anything that loads database.js: the app then runs on
+ * a fresh in-memory database instead of inventory.db. ready() resolves once
+ * the tables are made and the default admin exists.
+ *
+ * The start-up messages are kept quiet, as the Node 20 test runner can fail
+ * to read emoji written by a test while it reports results.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const log = console.log;
+console.log = () => {};
+
+const db = require('../../database');
+
+let waiting = null;
+
+/**
+ * Wait For The Database To Be Set Up
+ *
+ * @returns {Promise} Resolves with the database connection
+ */
+const ready = () => {
+  if (!waiting) {
+    waiting = new Promise((resolve, reject) => {
+      const check = () => {
+        db.get('SELECT id FROM users WHERE email = ?', ['admin@company.com'], (err, row) => {
+          // the tables are made once the connection is open
+          if (err && !/no such table/.test(err.message)) return reject(err);
+          if (!row) return setTimeout(check, 20);
+          console.log = log;
+          resolve(db);
+        });
+      };
+      check();
+    });
+  }
+  return waiting;
+};
+
+/**
+ * Run A Statement
+ *
+ * @param {String} sql
+ * @param {Array} params
+ * @returns {Promise} Resolves with { lastID, changes }
+ */
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+/**
+ * Fetch Rows
+ *
+ * @param {String} sql
+ * @param {Array} params
+ * @returns {Promise} Resolves with the rows
+ */
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+module.exports = {
+  db,
+  ready,
+  run,
+  all
+};
@@ -0,0 +1,67 @@
+const { ready, run, all } = require('./helpers/database');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { expirePoints } = require('../services/loyalty');
+
+const expire = (customerId) => new Promise((resolve, reject) => {
+  expirePoints(customerId, (err, customers) => (err ? reject(err) : resolve(customers)));
+});
+
+const addCustomer = async (name) => (await run('INSERT INTO customers (name) VALUES (?)', [name])).lastID;
+
+// Ledger entry made some days ago; balance_after is not read by expiry
+const entry = (customerId, type, points, referenceId, daysAgo) => run(
+  `INSERT INTO loyalty_ledger (customer_id, type, points, balance_after, reference_type, reference_id, created_at)
+   VALUES (?, ?, ?, 0, 'sale', ?, datetime('now', ?))`,
+  [customerId, type, points, referenceId, `-${daysAgo} days`]
+);
+
+const expired = (customerId) => all(
+  "SELECT points, balance_after FROM loyalty_ledger WHERE customer_id = ? AND type = 'expire'",
+  [customerId]
+);
+
+test.before(ready);
+
+test('expirePoints expires old points not used since', async () => {
+  const customer = await addCustomer('Old points');
+  await entry(customer, 'earn', 100, 1, 400);
+  await entry(customer, 'redeem', -30, 2, 10);
+  await entry(customer, 'earn', 20, 2, 10);
+
+  assert.strictEqual(await expire(customer), 1);
+  assert.deepStrictEqual(await expired(customer), [{ points: -70, balance_after: 20 }]);
+
+  assert.strictEqual(await expire(customer), 0);
+});
+
+test('expirePoints does not count taking back new points as using old ones', async () => {
+  const customer = await addCustomer('Voided sale');
+  await entry(customer, 'earn', 100, 1, 400);
+  await entry(customer, 'earn', 50, 2, 0);
+  await entry(customer, 'reverse_earn', -50, 2, 0);
+
+  await expire(customer);
+  assert.deepStrictEqual(await expired(customer), [{ points: -100, balance_after: 0 }]);
+});
+
+test('expirePoints dates points taken back as the earn they reverse', async () => {
+  const customer = await addCustomer('Refunded old sale');
+  await entry(customer, 'earn', 100, 1, 400);
+  await entry(customer, 'reverse_earn', -40, 1, 0);
+  await entry(customer, 'earn', 25, 2, 0);
+
+  await expire(customer);
+  assert.deepStrictEqual(await expired(customer), [{ points: -60, balance_after: 25 }]);
+});
+
+test('expirePoints does not restart the clock on redeemed points given back', async () => {
+  const customer = await addCustomer('Refunded redemption');
+  await entry(customer, 'earn', 100, 1, 400);
+  await entry(customer, 'redeem', -80, 2, 5);
+  await entry(customer, 'reverse_redeem', 80, 2, 0);
+
+  await expire(customer);
+  assert.deepStrictEqual(await expired(customer), [{ points: -100, balance_after: 0 }]);
+});
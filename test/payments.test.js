@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildPayments } = require('../services/payments');
+
+test('buildPayments takes one payment_method for the whole total from older tills', () => {
+  const result = buildPayments({ payment_method: 'card' }, 12.5);
+
+  assert.strictEqual(result.paymentMethod, 'card');
+  assert.strictEqual(result.changeDue, 0);
+  assert.deepStrictEqual(result.payments.map(payment => [payment.method, payment.amount]), [['card', 12.5]]);
+});
+
+test('buildPayments splits a sale over several tenders and gives change on cash', () => {
+  const result = buildPayments({
+    payments: [
+      { method: 'card', amount: 30, reference: ' 4242 ' },
+      { method: 'cash', amount: 19.99, tendered: 20 }
+    ]
+  }, 49.99);
+
+  assert.strictEqual(result.paymentMethod, 'split');
+  assert.strictEqual(result.changeDue, 0.01);
+  assert.strictEqual(result.payments[0].reference, '4242');
+  assert.strictEqual(result.payments[1].change_given, 0.01);
+});
+
+test('buildPayments rejects tenders that do not add up to the total', () => {
+  const result = buildPayments({ payments: [{ method: 'cash', amount: 10 }] }, 10.5);
+  assert.match(result.error, /Payments total 10 but the sale total is 10.5/);
+});
+
+test('buildPayments rejects unknown methods, negative amounts and bad tendered cash', () => {
+  assert.match(buildPayments({ payments: [{ method: 'cheque', amount: 5 }] }, 5).error, /Invalid payment method/);
+  assert.match(buildPayments({ payments: [{ method: 'cash', amount: -5 }] }, -5).error, /Invalid amount/);
+  assert.match(buildPayments({ payments: [{ method: 'card', amount: 5, tendered: 10 }] }, 5).error, /Only cash/);
+  assert.match(buildPayments({ payments: [{ method: 'cash', amount: 5, tendered: 4 }] }, 5).error, /less than the cash amount/);
+});
@@ -0,0 +1,128 @@
+require('./helpers/database');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { priceCart } = require('../services/pricing');
+
+const PRODUCTS = {
+  1: { id: 1, name: 'Pen', sku: 'PEN', category: 'Stationery', selling_price: 2.5, tax_percent: 0 },
+  2: { id: 2, name: 'Notebook', sku: 'NB', category: 'Stationery', selling_price: 4, tax_percent: 0 },
+  3: { id: 3, name: 'Cheddar', sku: 'CHD', category: 'Deli', selling_price: 12.99, tax_percent: 0, is_weighed: 1 },
+  4: { id: 4, name: 'Mug', sku: 'MUG', category: 'Kitchen', selling_price: 10, tax_percent: 20 }
+};
+
+const promotion = (fields) => ({
+  id: 1, name: 'Promo', coupon_code: null, product_id: null, category: null,
+  value: 0, buy_quantity: null, get_quantity: null, ...fields
+});
+
+test('priceCart prices lines from the products, not the till', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 1, quantity: 3, price: 0.01 }, { product_id: 4, quantity: 1 }],
+    PRODUCTS
+  );
+
+  assert.strictEqual(breakdown.subtotal, 17.5);
+  assert.strictEqual(breakdown.tax, 2);
+  assert.strictEqual(breakdown.grand_total, 19.5);
+  assert.deepStrictEqual(breakdown.lines.map(line => line.total), [7.5, 12]);
+});
+
+test('priceCart spreads a manual discount over the lines', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 1, quantity: 2 }, { product_id: 2, quantity: 1 }],
+    PRODUCTS,
+    { discount: 1.8 }
+  );
+
+  assert.deepStrictEqual(breakdown.lines.map(line => line.discount), [1, 0.8]);
+  assert.strictEqual(breakdown.grand_total, 7.2);
+});
+
+test('priceCart rejects unknown products, fractional units and a discount above the total', () => {
+  assert.match(priceCart([{ product_id: 9, quantity: 1 }], PRODUCTS).error, /not found/);
+  assert.match(priceCart([{ product_id: 1, quantity: 1.5 }], PRODUCTS).error, /whole number/);
+  assert.match(priceCart([{ product_id: 1, weight: 0.5 }], PRODUCTS).error, /not sold by weight/);
+  assert.match(priceCart([{ product_id: 1, quantity: 1 }], PRODUCTS, { discount: 3 }).error, /Discount must be/);
+});
+
+test('priceCart sells weighed products by the kg, to the gram', () => {
+  const { breakdown } = priceCart([{ product_id: 3, weight: 0.4567 }], PRODUCTS);
+  const [line] = breakdown.lines;
+
+  assert.strictEqual(line.quantity, 0.457);
+  assert.strictEqual(line.weighed, true);
+  assert.strictEqual(line.gross, 5.94);
+  assert.strictEqual(breakdown.grand_total, 5.94);
+});
+
+test('priceCart charges the price in a weighed-item barcode', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 3, quantity: 1, embedded: { item_code: '00003', value: 812 } }],
+    PRODUCTS
+  );
+  const [line] = breakdown.lines;
+
+  assert.strictEqual(line.gross, 8.12);
+  assert.strictEqual(line.quantity, 0.625);
+});
+
+test('applyPromotions gives the cheapest units of a multi-buy free', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 1, quantity: 2 }, { product_id: 2, quantity: 1 }],
+    PRODUCTS,
+    { promotions: [promotion({ type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 })] }
+  );
+
+  assert.strictEqual(breakdown.promotion_discount, 2.5);
+  assert.strictEqual(breakdown.lines[0].promotion_discount, 2.5);
+  assert.strictEqual(breakdown.lines[1].promotion_discount, 0);
+  assert.strictEqual(breakdown.grand_total, 6.5);
+});
+
+test('applyPromotions picks the promotion that saves the most', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 2, quantity: 2 }],
+    PRODUCTS,
+    {
+      promotions: [
+        promotion({ id: 1, name: 'Ten off', type: 'percentage', value: 10 }),
+        promotion({ id: 2, name: 'Quarter off', type: 'percentage', value: 25 })
+      ]
+    }
+  );
+
+  assert.deepStrictEqual(breakdown.promotions.map(applied => applied.id), [2]);
+  assert.strictEqual(breakdown.promotion_discount, 2);
+});
+
+test('applyPromotions leaves weighed lines out of multi-buys', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 3, weight: 0.3 }, { product_id: 3, weight: 0.3 }],
+    PRODUCTS,
+    { promotions: [promotion({ type: 'buy_x_get_y', buy_quantity: 1, get_quantity: 1 })] }
+  );
+
+  assert.strictEqual(breakdown.promotion_discount, 0);
+  assert.deepStrictEqual(breakdown.promotions, []);
+});
+
+test('applyPromotions works out weighed discounts on the gross and never beyond it', () => {
+  const { breakdown } = priceCart(
+    [{ product_id: 3, weight: 0.4 }],
+    PRODUCTS,
+    { promotions: [promotion({ type: 'fixed_amount', value: 20 })] }
+  );
+
+  assert.strictEqual(breakdown.lines[0].gross, 5.2);
+  assert.strictEqual(breakdown.lines[0].promotion_discount, 5.2);
+  assert.strictEqual(breakdown.grand_total, 0);
+
+  const percentage = priceCart(
+    [{ product_id: 3, weight: 0.4 }],
+    PRODUCTS,
+    { promotions: [promotion({ type: 'percentage', value: 10 })] }
+  ).breakdown;
+
+  assert.strictEqual(percentage.lines[0].promotion_discount, 0.52);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, allowedTypos, editDistance } = require('../utils/text');
+
+test('tokenize lower-cases words and drops accents and punctuation', () => {
+  assert.deepStrictEqual(tokenize('Café au-Lait 1L'), ['cafe', 'au', 'lait', '1l']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('editDistance counts insertions, deletions and substitutions as one typo each', () => {
+  assert.strictEqual(editDistance('nescfe', 'nescafe', 2), 1);
+  assert.strictEqual(editDistance('milks', 'milk', 2), 1);
+  assert.strictEqual(editDistance('mulk', 'milk', 2), 1);
+  assert.strictEqual(editDistance('milk', 'milk', 2), 0);
+});
+
+test('editDistance counts a swap of two adjacent letters as one typo', () => {
+  assert.strictEqual(editDistance('mlik', 'milk', 2), 1);
+  assert.strictEqual(editDistance('chocloate', 'chocolate', 2), 1);
+  assert.strictEqual(editDistance('ab', 'ba', 1), 1);
+});
+
+test('"mlik" is within the typos allowed to correct it to "milk"', () => {
+  const limit = allowedTypos('mlik'.length);
+  assert.strictEqual(limit, 1);
+  assert.ok(editDistance('mlik', 'milk', limit) <= limit);
+});
+
+test('editDistance gives up past the limit', () => {
+  assert.strictEqual(editDistance('milk', 'bread', 1), 2);
+  assert.strictEqual(editDistance('mkli', 'milk', 1), 2);
+  assert.strictEqual(editDistance('mlik', 'milk', 0), 1);
+});
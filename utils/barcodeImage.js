@@ -0,0 +1,133 @@
+/**
+ * BARCODE IMAGES
+ *
+ * Draws EAN-13, UPC-A and EAN-8 barcodes as SVG (with the digits and an
+ * optional caption) or as a plain black-and-white PNG.
+ */
+
+const zlib = require('zlib');
+
+// Left-hand odd parity patterns; even parity and right-hand patterns derive from them
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = L_CODES.map(code => code.replace(/./g, bit => (bit === '0' ? '1' : '0')));
+const G_CODES = R_CODES.map(code => code.split('').reverse().join(''));
+
+// Which left-hand digits use even parity, picked by an EAN-13's first digit
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Blank modules either side of the bars
+const QUIET_ZONE = 10;
+
+/**
+ * Bars Of A Code As A String Of Modules ('1' is a bar)
+ *
+ * @param {String} code - 13, 12 (UPC-A) or 8 digits, check digit included
+ * @returns {String|null} null if the code cannot be drawn
+ */
+const encode = (code) => {
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(code)) return null;
+
+  if (code.length === 8) {
+    const left = code.slice(0, 4).split('').map(d => L_CODES[d]).join('');
+    const right = code.slice(4).split('').map(d => R_CODES[d]).join('');
+    return `101${left}01010${right}101`;
+  }
+
+  // A UPC-A is an EAN-13 starting with 0
+  const digits = code.length === 12 ? `0${code}` : code;
+  const parity = EAN13_PARITY[digits[0]];
+  const left = digits.slice(1, 7).split('').map((d, i) => (parity[i] === 'L' ? L_CODES : G_CODES)[d]).join('');
+  const right = digits.slice(7).split('').map(d => R_CODES[d]).join('');
+  return `101${left}01010${right}101`;
+};
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Barcode Label As SVG
+ *
+ * @param {String} code
+ * @param {Object} options - { caption, moduleWidth, height }
+ * @returns {String|null} SVG markup, or null if the code cannot be drawn
+ */
+const toSvg = (code, { caption, moduleWidth = 2, height = 60 } = {}) => {
+  const modules = encode(code);
+  if (!modules) return null;
+
+  const top = caption ? 18 : 4;
+  const width = (modules.length + QUIET_ZONE * 2) * moduleWidth;
+  const bars = [];
+  for (let i = 0; i < modules.length; i++) {
+    if (modules[i] === '1') {
+      bars.push(`<rect x="${(i + QUIET_ZONE) * moduleWidth}" y="${top}" width="${moduleWidth}" height="${height}"/>`);
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${top + height + 18}" viewBox="0 0 ${width} ${top + height + 18}">`,
+    `<rect width="100%" height="100%" fill="#fff"/>`,
+    caption ? `<text x="${width / 2}" y="13" font-family="sans-serif" font-size="11" text-anchor="middle">${escapeXml(caption)}</text>` : '',
+    `<g fill="#000">${bars.join('')}</g>`,
+    `<text x="${width / 2}" y="${top + height + 14}" font-family="monospace" font-size="13" text-anchor="middle">${code}</text>`,
+    '</svg>'
+  ].join('');
+};
+
+// CRC-32 as PNG chunks need it
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Barcode As A Greyscale PNG (bars only)
+ *
+ * @param {String} code
+ * @param {Object} options - { moduleWidth, height }
+ * @returns {Buffer|null} PNG data, or null if the code cannot be drawn
+ */
+const toPng = (code, { moduleWidth = 2, height = 60 } = {}) => {
+  const modules = encode(code);
+  if (!modules) return null;
+
+  const padded = '0'.repeat(QUIET_ZONE) + modules + '0'.repeat(QUIET_ZONE);
+  const width = padded.length * moduleWidth;
+
+  // One filter byte (0 = none) then one byte per pixel, the same for every row
+  const row = Buffer.alloc(width + 1, 255);
+  row[0] = 0;
+  for (let i = 0; i < padded.length; i++) {
+    if (padded[i] === '1') row.fill(0, 1 + i * moduleWidth, 1 + (i + 1) * moduleWidth);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // greyscale
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(Array(height).fill(row)))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+module.exports = { encode, toSvg, toPng };
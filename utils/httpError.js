@@ -0,0 +1,16 @@
+/**
+ * HTTP ERROR HELPER
+ *
+ * Creates an Error that carries the HTTP status it should be reported with.
+ * Services pass these to their callbacks; routes (and the global error
+ * handler in server.js) read err.status to build the response.
+ */
+
+/**
+ * @param {Number} status - HTTP status code
+ * @param {String} message - Message safe to show to the client
+ * @returns {Error}
+ */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = httpError;
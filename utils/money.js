@@ -0,0 +1,13 @@
+/**
+ * MONEY HELPERS
+ */
+
+/**
+ * Round a money amount to 2 decimal places
+ *
+ * @param {Number} amount
+ * @returns {Number}
+ */
+const roundMoney = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,63 @@
+/**
+ * TEXT MATCHING HELPERS
+ *
+ * Shared by product search and customer name matching.
+ */
+
+/**
+ * Split Text Into Words The Way The Search Index Does
+ *
+ * @param {String} text
+ * @returns {Array} Lower-case words without accents
+ */
+const tokenize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Typos Allowed In A Word Of This Length
+ *
+ * @param {Number} length
+ * @returns {Number}
+ */
+const allowedTypos = (length) => (length < 3 ? 0 : length <= 5 ? 1 : 2);
+
+/**
+ * Edit Distance, Giving Up Past A Limit
+ *
+ * Optimal string alignment: insertions, deletions, substitutions and
+ * swaps of two adjacent letters each count as one typo ("mlik" is one
+ * from "milk").
+ *
+ * @param {String} a
+ * @param {String} b
+ * @param {Number} limit
+ * @returns {Number} Distance, or limit + 1 once it is certainly above the limit
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    if (Math.min(...current) > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = { tokenize, allowedTypos, editDistance };